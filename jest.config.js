@@ -9,7 +9,7 @@ module.exports = {
     testMatch: ["**/__tests__/**/*.js", "**/?(*.)+(spec|test).js"],
 
     // Coverage configuration
-    collectCoverageFrom: ["src/**/*.js", "!src/**/*.test.js", "!src/**/*.spec.js"],
+    collectCoverageFrom: ["src/**/*.js", "!src/**/*.test.js", "!src/**/*.spec.js", "!src/**/__tests__/helpers/**"],
 
     // Transform files with babel-jest (Babel is installed)
     transform: {
@@ -19,6 +19,6 @@ module.exports = {
     // Module file extensions
     moduleFileExtensions: ["js", "json"],
 
-    // Ignore patterns
-    testPathIgnorePatterns: ["/node_modules/", "/dist/", "/build/"],
+    // Ignore patterns (helpers shared between test suites aren't suites themselves)
+    testPathIgnorePatterns: ["/node_modules/", "/dist/", "/build/", "/__tests__/helpers/"],
 };
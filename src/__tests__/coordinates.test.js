@@ -0,0 +1,76 @@
+import { formatCoordinate, columnLabel, parseCoordinate, checkTypedShot } from "../utils/coordinates.js";
+import Gameboard from "../models/Gameboard.js";
+import { MAX_BOARD_SIZE, DEFAULT_BOARD_SIZE, DIRECTIONS } from "../models/Constants.js";
+
+describe("Coordinate Tests", () => {
+    test("names cells by column letter and row number", () => {
+        expect(formatCoordinate(0, 0)).toBe("A1");
+        expect(formatCoordinate(1, 6)).toBe("B7");
+        expect(formatCoordinate(9, 9)).toBe("J10");
+    });
+
+    test("has a letter for every column of the largest board", () => {
+        expect(columnLabel(MAX_BOARD_SIZE - 1)).toBe("T");
+    });
+
+    test("reads cell names back, ignoring case and spaces", () => {
+        expect(parseCoordinate("B7")).toEqual({ x: 1, y: 6 });
+        expect(parseCoordinate(" j 10 ")).toEqual({ x: 9, y: 9 });
+        expect(parseCoordinate(formatCoordinate(19, 19))).toEqual({ x: 19, y: 19 });
+    });
+
+    test.each(["", "7B", "B", "7", "B0", "B-1", "BB7", "B7.5", "B 7 C"])("doesn't read %p as a cell", (text) => {
+        expect(parseCoordinate(text)).toBeNull();
+    });
+
+    describe("checkTypedShot()", () => {
+        let board;
+
+        beforeEach(() => {
+            // A 10x10 board with an island at C4 and a ship along A1-B1
+            board = new Gameboard(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE, { islands: [{ x: 2, y: 3 }] });
+            board.placeShip(0, 0, 2, DIRECTIONS.EAST);
+        });
+
+        test("accepts a square that hasn't been fired at", () => {
+            expect(checkTypedShot("b1", board)).toEqual({ cell: { x: 1, y: 0 }, problem: null });
+            expect(checkTypedShot("J10", board)).toEqual({ cell: { x: 9, y: 9 }, problem: null });
+        });
+
+        test("rejects squares off the grid", () => {
+            expect(checkTypedShot("K1", board)).toEqual({ cell: null, problem: "K1 isn't on the grid." });
+            expect(checkTypedShot("A11", board).problem).toBe("A11 isn't on the grid.");
+            expect(checkTypedShot("F6", new Gameboard(DEFAULT_BOARD_SIZE, 5)).problem).toBe("F6 isn't on the grid.");
+        });
+
+        test.each(["A0", "hello", "", "4C"])("rejects %p as not a square", (text) => {
+            expect(checkTypedShot(text, board)).toEqual({
+                cell: null,
+                problem: `"${text}" isn't a square - type a letter and a number, like C4.`,
+            });
+        });
+
+        test("rejects squares already fired at", () => {
+            board.receiveAttack(0, 0);
+            board.receiveAttack(5, 5);
+
+            expect(checkTypedShot("A1", board).problem).toBe("You've already fired at A1.");
+            expect(checkTypedShot("f6", board).problem).toBe("You've already fired at F6.");
+        });
+
+        test("rejects islands, which can't be fired at", () => {
+            expect(checkTypedShot("C4", board)).toEqual({
+                cell: null,
+                problem: "C4 is an island - there's nothing there to hit.",
+            });
+        });
+
+        test("lets an armed weapon be aimed at squares already fired at and islands, but not off the grid", () => {
+            board.receiveAttack(0, 0);
+
+            expect(checkTypedShot("A1", board, true)).toEqual({ cell: { x: 0, y: 0 }, problem: null });
+            expect(checkTypedShot("C4", board, true)).toEqual({ cell: { x: 2, y: 3 }, problem: null });
+            expect(checkTypedShot("K1", board, true).problem).toBe("K1 isn't on the grid.");
+        });
+    });
+});
@@ -0,0 +1,1015 @@
+import Game from "../models/Game.js";
+import { RealPlayer, ComputerPlayer } from "../models/Player.js";
+import Gameboard from "../models/Gameboard.js";
+import { SCHEMA_VERSION } from "../models/schema.js";
+import {
+    MIN_BOARD_SIZE,
+    DIRECTIONS,
+    ATTACK_RESULTS,
+    CELL_STATES,
+    GAME_PHASES,
+    GAME_MODES,
+    GAME_EVENTS,
+    GAME_VARIANTS,
+    WEAPONS,
+    WEAPON_SUPPLY,
+    SONAR_RESULTS,
+    MINES_PER_PLAYER,
+    MINE_PENALTIES,
+    TURN_TIMEOUTS,
+} from "../models/Constants.js";
+import { placeFleet } from "./helpers/fleet.js";
+
+// Lays MINES_PER_PLAYER mines down the right-hand column, away from placeFleet()'s ships
+function layMines(player) {
+    for (let y = 0; y < MINES_PER_PLAYER; y++) player.gameboard.placeMine(4, y);
+}
+
+describe("Game Class Tests", () => {
+    let alice, bob;
+
+    beforeEach(() => {
+        alice = new RealPlayer("Alice", MIN_BOARD_SIZE);
+        bob = new RealPlayer("Bob", MIN_BOARD_SIZE);
+    });
+
+    describe("Constructor Tests", () => {
+        test("starts in the setup phase with player one to move", () => {
+            const game = new Game(alice, bob);
+            expect(game.phase).toBe(GAME_PHASES.SETUP);
+            expect(game.currentPlayer).toBe(alice);
+            expect(game.turn).toBe(0);
+            expect(game.winner).toBeNull();
+        });
+
+        test("throws TypeError without two different players", () => {
+            expect(() => new Game(alice)).toThrow(TypeError);
+            expect(() => new Game(alice, alice)).toThrow(TypeError);
+        });
+
+        test("throws RangeError for mismatched board sizes", () => {
+            expect(() => new Game(alice, new RealPlayer("Carol", MIN_BOARD_SIZE + 1))).toThrow(RangeError);
+            const wide = new RealPlayer("Carol", new Gameboard(MIN_BOARD_SIZE + 1, MIN_BOARD_SIZE));
+            const tall = new RealPlayer("Dave", new Gameboard(MIN_BOARD_SIZE, MIN_BOARD_SIZE + 1));
+            expect(() => new Game(wide, tall)).toThrow(RangeError);
+        });
+
+        test("throws RangeError for mismatched placement rules", () => {
+            const apart = new RealPlayer("Carol", new Gameboard(MIN_BOARD_SIZE, MIN_BOARD_SIZE, { noTouching: true }));
+            expect(() => new Game(alice, apart)).toThrow(/same placement rules/);
+        });
+
+        test("throws RangeError for mismatched maps", () => {
+            const islands = [{ x: 2, y: 2 }];
+            const island = new RealPlayer("Carol", new Gameboard(MIN_BOARD_SIZE, MIN_BOARD_SIZE, { islands }));
+            const sameIsland = new RealPlayer("Dave", new Gameboard(MIN_BOARD_SIZE, MIN_BOARD_SIZE, { islands }));
+
+            expect(() => new Game(alice, island)).toThrow(/same map/);
+            expect(() => new Game(island, sameIsland)).not.toThrow();
+        });
+
+        test("leaves islands out of the room for the fleet", () => {
+            const islands = [
+                { x: 2, y: 2 },
+                { x: 3, y: 2 },
+            ];
+            const [carol, dave] = ["Carol", "Dave"].map(
+                (name) => new RealPlayer(name, new Gameboard(MIN_BOARD_SIZE, MIN_BOARD_SIZE, { islands }))
+            );
+
+            expect(() => new Game(alice, bob, { fleet: [5, 2] })).not.toThrow();
+            expect(() => new Game(carol, dave, { fleet: [5, 2] })).toThrow(/over-capacity/);
+        });
+
+        test.each([
+            [["real", "real"], GAME_MODES.HOT_SEAT],
+            [["real", "comp"], GAME_MODES.VS_COMPUTER],
+            [["comp", "real"], GAME_MODES.VS_COMPUTER],
+            [["comp", "comp"], GAME_MODES.SPECTATOR],
+        ])("derives the mode from player types %j", (types, mode) => {
+            const [one, two] = types.map((type, i) =>
+                type === "real"
+                    ? new RealPlayer(`Human ${i}`, MIN_BOARD_SIZE)
+                    : new ComputerPlayer(`AI ${i}`, MIN_BOARD_SIZE)
+            );
+            expect(new Game(one, two).mode).toBe(mode);
+        });
+
+        test("uses a custom fleet, or the standard one for the board size", () => {
+            expect(new Game(alice, bob).fleet).toEqual([2, 2]);
+            expect(new Game(alice, bob, { fleet: [3, 2, 2] }).fleet).toEqual([3, 2, 2]);
+            expect(new Game(alice, bob, { fleet: ["T", 2] }).fleet).toEqual(["T", 2]);
+        });
+
+        test.each([
+            ["an empty fleet", []],
+            ["a ship that's too long", [6]],
+            ["a fleet too big for the board", [5, 4]],
+            ["an unknown shape", ["Z"]],
+        ])("throws RangeError for %s", (_, fleet) => {
+            expect(() => new Game(alice, bob, { fleet })).toThrow(RangeError);
+        });
+    });
+
+    describe("Phase Tests", () => {
+        test("startPlacement() places computer fleets only", () => {
+            const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE);
+            const game = new Game(alice, computer);
+
+            game.startPlacement();
+
+            expect(game.phase).toBe(GAME_PHASES.PLACEMENT);
+            expect(game.isFleetComplete(computer)).toBe(true);
+            expect(game.isFleetComplete(alice)).toBe(false);
+        });
+
+        test("the same seed places the same computer fleet", () => {
+            const layout = () => {
+                const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE);
+                new Game(alice, computer, { seed: "fleet" }).startPlacement();
+                return computer.gameboard.displayBoard();
+            };
+
+            expect(layout()).toBe(layout());
+        });
+
+        test("randomiseFleet() replaces a player's placement with a full fleet", () => {
+            const game = new Game(alice, bob);
+            game.startPlacement();
+            alice.gameboard.placeShip(0, 0, 2, DIRECTIONS.EAST);
+
+            game.randomiseFleet(alice);
+
+            expect(game.isFleetComplete(alice)).toBe(true);
+            expect(alice.gameboard.ships).toHaveLength(game.fleet.length);
+        });
+
+        test("computers place a custom fleet", () => {
+            const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE);
+            const game = new Game(alice, computer, { fleet: [3, 3] });
+
+            game.startPlacement();
+
+            expect(computer.gameboard.ships.map((ship) => ship.length)).toEqual([3, 3]);
+            expect(game.isFleetComplete(computer)).toBe(true);
+        });
+
+        test("computers place shaped ships", () => {
+            const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE);
+            const game = new Game(alice, computer, { fleet: ["L", 2] });
+
+            game.startPlacement();
+
+            expect(computer.gameboard.ships.map((ship) => ship.type)).toEqual(["L", 2]);
+            expect(game.isFleetComplete(computer)).toBe(true);
+            expect(Game.fromJSON(JSON.parse(JSON.stringify(game))).fleet).toEqual(["L", 2]);
+        });
+
+        test("start() refuses to begin with an incomplete fleet", () => {
+            const game = new Game(alice, bob);
+            game.startPlacement();
+            placeFleet(alice);
+
+            expect(() => game.start()).toThrow(/Bob hasn't placed their whole fleet/);
+        });
+
+        test("start() moves to in-progress and starts player one's turn", () => {
+            const game = new Game(alice, bob);
+            const turnStarted = jest.fn();
+            game.on(GAME_EVENTS.TURN_STARTED, turnStarted);
+            game.startPlacement();
+            placeFleet(alice);
+            placeFleet(bob);
+
+            game.start();
+
+            expect(game.phase).toBe(GAME_PHASES.IN_PROGRESS);
+            expect(turnStarted).toHaveBeenCalledWith({ player: alice, turn: 1 });
+        });
+
+        test("phases can't be skipped or repeated", () => {
+            const game = new Game(alice, bob);
+            expect(() => game.start()).toThrow(/placement phase/);
+            expect(() => game.playTurn(alice, 0, 0)).toThrow(/in-progress phase/);
+            game.startPlacement();
+            expect(() => game.startPlacement()).toThrow(/setup phase/);
+        });
+    });
+
+    describe("playTurn() Tests", () => {
+        let game;
+
+        beforeEach(() => {
+            game = new Game(alice, bob);
+            game.startPlacement();
+            placeFleet(alice);
+            placeFleet(bob);
+            game.start();
+        });
+
+        test("alternates turns after each attack", () => {
+            game.playTurn(alice, 4, 4);
+            expect(game.currentPlayer).toBe(bob);
+            expect(game.turn).toBe(2);
+
+            game.playTurn(bob, 4, 4);
+            expect(game.currentPlayer).toBe(alice);
+        });
+
+        test("rejects a player moving out of turn", () => {
+            expect(() => game.playTurn(bob, 0, 0)).toThrow(/not Bob's turn/);
+            expect(game.currentPlayer).toBe(alice);
+        });
+
+        test("emits attacked for every attack", () => {
+            const attacked = jest.fn();
+            game.on(GAME_EVENTS.ATTACKED, attacked);
+
+            game.playTurn(alice, 0, 0);
+
+            expect(attacked).toHaveBeenCalledWith({
+                attacker: alice,
+                defender: bob,
+                result: ATTACK_RESULTS.HIT,
+                x: 0,
+                y: 0,
+                turn: 1,
+            });
+        });
+
+        test("emits shipSunk with the ship that was sunk", () => {
+            const shipSunk = jest.fn();
+            game.on(GAME_EVENTS.SHIP_SUNK, shipSunk);
+
+            game.playTurn(alice, 0, 0);
+            game.playTurn(bob, 4, 4);
+            game.playTurn(alice, 1, 0);
+
+            expect(shipSunk).toHaveBeenCalledTimes(1);
+            expect(shipSunk.mock.calls[0][0].ship).toBe(bob.gameboard.ships[0]);
+        });
+
+        test("finishes the game when a fleet is sunk", () => {
+            const gameOver = jest.fn();
+            const turnStarted = jest.fn();
+            game.on(GAME_EVENTS.GAME_OVER, gameOver);
+
+            [
+                [0, 0],
+                [1, 0],
+                [0, 2],
+            ].forEach(([x, y], i) => {
+                game.playTurn(alice, x, y);
+                game.playTurn(bob, i, 4);
+            });
+            game.on(GAME_EVENTS.TURN_STARTED, turnStarted);
+            game.playTurn(alice, 1, 2);
+
+            expect(game.phase).toBe(GAME_PHASES.FINISHED);
+            expect(game.winner).toBe(alice);
+            expect(gameOver).toHaveBeenCalledWith({ winner: alice, loser: bob });
+            expect(turnStarted).not.toHaveBeenCalled();
+            expect(() => game.playTurn(bob, 4, 4)).toThrow();
+        });
+
+        test("records every attack in the history", () => {
+            game.playTurn(alice, 0, 0);
+            game.playTurn(bob, 4, 4);
+
+            expect(game.history).toEqual([
+                { turn: 1, attacker: alice, x: 0, y: 0, result: ATTACK_RESULTS.HIT },
+                { turn: 2, attacker: bob, x: 4, y: 4, result: ATTACK_RESULTS.MISS },
+            ]);
+        });
+
+        test("computers attack without coordinates", () => {
+            const computerGame = new Game(alice, new ComputerPlayer("AI", MIN_BOARD_SIZE));
+            computerGame.startPlacement();
+            placeFleet(alice);
+            computerGame.start();
+
+            computerGame.playTurn(alice, 4, 4);
+            const attack = computerGame.playTurn(computerGame.currentPlayer);
+
+            expect(Object.values(ATTACK_RESULTS)).toContain(attack.result);
+            expect(computerGame.currentPlayer).toBe(alice);
+        });
+    });
+
+    describe("Event and Cancellation Tests", () => {
+        test("on() returns an unsubscribe function", () => {
+            const game = new Game(alice, bob);
+            const handler = jest.fn();
+            const unsubscribe = game.on(GAME_EVENTS.TURN_STARTED, handler);
+            unsubscribe();
+
+            game.startPlacement();
+            placeFleet(alice);
+            placeFleet(bob);
+            game.start();
+
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        test("on() rejects unknown events", () => {
+            expect(() => new Game(alice, bob).on("exploded", () => {})).toThrow(TypeError);
+        });
+
+        test("a cancelled game accepts no further moves", () => {
+            const game = new Game(alice, bob);
+            game.startPlacement();
+            placeFleet(alice);
+            placeFleet(bob);
+            game.start();
+
+            game.cancel();
+
+            expect(game.isCancelled).toBe(true);
+            expect(() => game.playTurn(alice, 0, 0)).toThrow(/cancelled/);
+        });
+    });
+
+    describe("Salvo Tests", () => {
+        let game;
+
+        beforeEach(() => {
+            game = new Game(alice, bob, { variant: GAME_VARIANTS.SALVO });
+            game.startPlacement();
+            placeFleet(alice);
+            placeFleet(bob);
+            game.start();
+        });
+
+        test("fires one shot per ship afloat", () => {
+            expect(game.shotsFor(alice)).toBe(2);
+            expect(new Game(alice, bob).shotsFor(alice)).toBe(1);
+        });
+
+        test("rejects an unknown variant", () => {
+            expect(() => new Game(alice, bob, { variant: "blitz" })).toThrow(RangeError);
+        });
+
+        test("each variant has its own way to take a turn", () => {
+            expect(() => game.playTurn(alice, 0, 0)).toThrow(/playVolley/);
+
+            const classic = new Game(new RealPlayer("C", MIN_BOARD_SIZE), new RealPlayer("D", MIN_BOARD_SIZE));
+            classic.startPlacement();
+            classic.players.forEach(placeFleet);
+            classic.start();
+            expect(() => classic.playVolley(classic.currentPlayer, [{ x: 0, y: 0 }])).toThrow(/salvo/);
+        });
+
+        test("rejects a volley with the wrong number of shots", () => {
+            expect(() => game.playVolley(alice, [{ x: 0, y: 0 }])).toThrow(RangeError);
+            expect(game.currentPlayer).toBe(alice);
+            expect(game.history).toHaveLength(0);
+        });
+
+        test("resolves the whole volley before announcing it", () => {
+            const attacked = jest.fn();
+            const volleyFired = jest.fn();
+            game.on(GAME_EVENTS.ATTACKED, attacked);
+            game.on(GAME_EVENTS.VOLLEY_FIRED, volleyFired);
+
+            game.playVolley(alice, [
+                { x: 0, y: 0 },
+                { x: 4, y: 4 },
+            ]);
+
+            expect(attacked).not.toHaveBeenCalled();
+            expect(volleyFired).toHaveBeenCalledTimes(1);
+            expect(volleyFired.mock.calls[0][0].shots).toEqual([
+                { result: ATTACK_RESULTS.HIT, x: 0, y: 0 },
+                { result: ATTACK_RESULTS.MISS, x: 4, y: 4 },
+            ]);
+            expect(game.history.map((move) => move.turn)).toEqual([1, 1]);
+            expect(game.currentPlayer).toBe(bob);
+        });
+
+        test("losing a ship loses a shot", () => {
+            game.playVolley(alice, [
+                { x: 0, y: 0 },
+                { x: 1, y: 0 },
+            ]);
+            expect(game.shotsFor(bob)).toBe(1);
+        });
+
+        test("computers choose their own volley", () => {
+            const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE);
+            // Seeded so the computer's ships are clear of Alice's volley and it still has two shots to fire
+            const computerGame = new Game(alice, computer, { variant: GAME_VARIANTS.SALVO, seed: "volley" });
+            computerGame.startPlacement();
+            computerGame.start();
+            computerGame.playVolley(alice, [
+                { x: 4, y: 4 },
+                { x: 3, y: 4 },
+            ]);
+
+            expect(computerGame.playVolley(computer)).toHaveLength(2);
+            expect(computerGame.currentPlayer).toBe(alice);
+        });
+
+        test("a volley that sinks the last ship wins the game", () => {
+            game.playVolley(alice, [
+                { x: 0, y: 0 },
+                { x: 1, y: 0 },
+            ]);
+            game.playVolley(bob, [{ x: 4, y: 4 }]);
+            game.playVolley(alice, [
+                { x: 0, y: 2 },
+                { x: 1, y: 2 },
+            ]);
+
+            expect(game.phase).toBe(GAME_PHASES.FINISHED);
+            expect(game.winner).toBe(alice);
+        });
+    });
+
+    describe("Practice Mode Tests", () => {
+        let game;
+
+        // Players are swapped for restored copies on undo/redo, so always go through the game to find them
+        const human = () => game.players[0];
+        const playRound = (x, y) => {
+            game.playTurn(human(), x, y);
+            game.playTurn(game.currentPlayer);
+        };
+
+        beforeEach(() => {
+            game = new Game(alice, new ComputerPlayer("AI", MIN_BOARD_SIZE), { practice: true });
+            game.startPlacement();
+            placeFleet(alice);
+            game.start();
+        });
+
+        test("only applies to games against the computer", () => {
+            expect(game.practice).toBe(true);
+            expect(new Game(alice, bob, { practice: true }).practice).toBe(false);
+        });
+
+        test("undo is disabled in normal games", () => {
+            const normal = new Game(alice, new ComputerPlayer("AI", MIN_BOARD_SIZE));
+            normal.startPlacement();
+            normal.start();
+            normal.playTurn(alice, 0, 0);
+            normal.playTurn(normal.currentPlayer);
+
+            expect(normal.canUndo).toBe(false);
+            expect(() => normal.undo()).toThrow(/no move to undo/);
+        });
+
+        test("undo() rolls back the human's attack and the computer's reply", () => {
+            const before = JSON.stringify(game);
+            const turnStarted = jest.fn();
+            game.on(GAME_EVENTS.TURN_STARTED, turnStarted);
+            playRound(0, 0);
+
+            game.undo();
+
+            // Cells, ship hit counts, the AI's attack history and the move history are all restored
+            expect(JSON.stringify(game)).toBe(before);
+            expect(game.currentPlayer).toBe(human());
+            expect(turnStarted).toHaveBeenLastCalledWith({ player: human(), turn: 1 });
+            expect(game.canUndo).toBe(false);
+        });
+
+        test("can't undo while the computer is still to reply", () => {
+            game.playTurn(human(), 0, 0);
+            expect(game.canUndo).toBe(false);
+        });
+
+        test("redo() replays the undone moves until a new move is made", () => {
+            playRound(0, 0);
+            const after = JSON.stringify(game);
+
+            game.undo();
+            game.redo();
+            expect(JSON.stringify(game)).toBe(after);
+
+            game.undo();
+            playRound(1, 1);
+            expect(game.canRedo).toBe(false);
+            expect(() => game.redo()).toThrow(/no move to redo/);
+        });
+
+        test("a finished game can be undone and redone", () => {
+            const cells = Array.from({ length: MIN_BOARD_SIZE ** 2 }, (_, i) => [
+                i % MIN_BOARD_SIZE,
+                Math.floor(i / MIN_BOARD_SIZE),
+            ]);
+            while (game.phase === GAME_PHASES.IN_PROGRESS) {
+                if (game.currentPlayer === human()) game.playTurn(human(), ...cells.shift());
+                else game.playTurn(game.currentPlayer);
+            }
+            const gameOver = jest.fn();
+            game.on(GAME_EVENTS.GAME_OVER, gameOver);
+
+            game.undo();
+            expect(game.phase).toBe(GAME_PHASES.IN_PROGRESS);
+            expect(game.winner).toBeNull();
+
+            game.redo();
+            expect(game.phase).toBe(GAME_PHASES.FINISHED);
+            expect(gameOver).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe("Weapons Tests", () => {
+        let game;
+
+        beforeEach(() => {
+            game = new Game(alice, bob, { weapons: true });
+            game.startPlacement();
+            placeFleet(alice);
+            placeFleet(bob);
+            game.start();
+        });
+
+        test("only applies to classic games", () => {
+            expect(game.weapons).toBe(true);
+            expect(game.weaponsLeft(alice)).toEqual(WEAPON_SUPPLY);
+
+            const salvo = new Game(alice, bob, { variant: GAME_VARIANTS.SALVO, weapons: true });
+            expect(salvo.weapons).toBe(false);
+            expect(salvo.weaponsLeft(alice)).toBeNull();
+        });
+
+        test("a weapon takes the player's turn and is recorded shot by shot", () => {
+            const weaponUsed = jest.fn();
+            game.on(GAME_EVENTS.WEAPON_USED, weaponUsed);
+
+            const strike = game.useWeapon(alice, WEAPONS.BOMB, 1, 0);
+
+            expect(strike.result).toBe(ATTACK_RESULTS.SUNK);
+            expect(strike.shots).toHaveLength(6);
+            expect(weaponUsed).toHaveBeenCalledWith(
+                expect.objectContaining({ attacker: alice, defender: bob, turn: 1 })
+            );
+            expect(game.history).toHaveLength(6);
+            expect(game.history.every((move) => move.weapon === WEAPONS.BOMB && move.turn === 1)).toBe(true);
+            expect(game.weaponsLeft(alice)[WEAPONS.BOMB]).toBe(0);
+            expect(game.currentPlayer).toBe(bob);
+        });
+
+        test("a sonar ping is recorded as one move that leaves the board alone", () => {
+            const before = bob.gameboard.displayBoard();
+
+            game.useWeapon(alice, WEAPONS.SONAR, 3, 3);
+
+            expect(game.history).toEqual([
+                { turn: 1, attacker: alice, x: 3, y: 3, result: SONAR_RESULTS.CLEAR, weapon: WEAPONS.SONAR },
+            ]);
+            expect(bob.gameboard.displayBoard()).toBe(before);
+            expect(game.weaponsLeft(alice)[WEAPONS.SONAR]).toBe(WEAPON_SUPPLY[WEAPONS.SONAR] - 1);
+        });
+
+        test("rejects weapons that aren't available", () => {
+            game.useWeapon(alice, WEAPONS.BOMB, 3, 3);
+            game.playTurn(bob, 4, 4);
+            expect(() => game.useWeapon(alice, WEAPONS.BOMB, 0, 0)).toThrow(/no Bomb left/);
+            expect(() => game.useWeapon(bob, WEAPONS.SONAR, 0, 0)).toThrow();
+
+            const classic = new Game(new RealPlayer("C", MIN_BOARD_SIZE), new RealPlayer("D", MIN_BOARD_SIZE));
+            classic.startPlacement();
+            classic.players.forEach(placeFleet);
+            classic.start();
+            expect(() => classic.useWeapon(classic.currentPlayer, WEAPONS.BOMB, 0, 0)).toThrow(/special weapons/);
+        });
+
+        test("computers use their weapons during playTurn()", () => {
+            const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "smart");
+            const computerGame = new Game(alice, computer, { weapons: true, seed: "weapons" });
+            computerGame.startPlacement();
+            computerGame.start();
+            computerGame.playTurn(alice, 4, 4);
+
+            computerGame.playTurn(computer);
+
+            expect(computerGame.history[1].weapon).toBe(WEAPONS.SONAR);
+            expect(computerGame.weaponsLeft(computer)[WEAPONS.SONAR]).toBe(WEAPON_SUPPLY[WEAPONS.SONAR] - 1);
+        });
+
+        test("round-trips the weapons left", () => {
+            game.useWeapon(alice, WEAPONS.LINE_STRIKE, 0, 4);
+
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+
+            expect(restored.weaponsLeft(restored.players[0])).toEqual(game.weaponsLeft(alice));
+            expect(restored.history.map((move) => move.weapon)).toEqual(game.history.map((move) => move.weapon));
+        });
+
+        test.each([
+            ["weapons in a salvo game", { variant: GAME_VARIANTS.SALVO }, RangeError],
+            ["more weapons than the supply", { arsenals: [{ ...WEAPON_SUPPLY, bomb: 2 }, WEAPON_SUPPLY] }, RangeError],
+            [
+                "a sonar move with an attack result",
+                { history: [{ turn: 1, attacker: 0, x: 0, y: 0, result: "hit", weapon: WEAPONS.SONAR }] },
+                RangeError,
+            ],
+        ])("fromJSON() rejects %s", (_, changes, error) => {
+            const data = { ...JSON.parse(JSON.stringify(game)), ...changes };
+            expect(() => Game.fromJSON(data)).toThrow(error);
+        });
+    });
+
+    describe("Mines Tests", () => {
+        function startMinedGame(minePenalty) {
+            const game = new Game(alice, bob, { minePenalty, seed: "mines" });
+            game.startPlacement();
+            [alice, bob].forEach((player) => {
+                placeFleet(player);
+                layMines(player);
+            });
+            game.start();
+            return game;
+        }
+
+        test("each player lays their mines before the battle", () => {
+            expect(() => new Game(alice, bob, { minePenalty: "explode" })).toThrow(RangeError);
+            expect(new Game(alice, bob).minePenalty).toBeNull();
+
+            const game = new Game(alice, bob, { minePenalty: MINE_PENALTIES.LOSE_TURN });
+            game.startPlacement();
+            placeFleet(alice);
+            placeFleet(bob);
+            expect(game.minesToLay(alice)).toBe(MINES_PER_PLAYER);
+            expect(game.isFleetComplete(alice)).toBe(false);
+            expect(() => game.start()).toThrow(/whole fleet/);
+
+            layMines(alice);
+            expect(game.minesToLay(alice)).toBe(0);
+            expect(game.isFleetComplete(alice)).toBe(true);
+        });
+
+        test("computers lay their mines at random, as does randomiseFleet()", () => {
+            const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "random");
+            const game = new Game(alice, computer, { minePenalty: MINE_PENALTIES.RETALIATION, seed: "mines" });
+            game.startPlacement();
+            expect(computer.gameboard.mineCount).toBe(MINES_PER_PLAYER);
+
+            game.randomiseFleet(alice);
+            expect(game.isFleetComplete(alice)).toBe(true);
+        });
+
+        test("retaliation hits one of the attacker's own ships", () => {
+            const game = startMinedGame(MINE_PENALTIES.RETALIATION);
+            const mineDetonated = jest.fn();
+            game.on(GAME_EVENTS.MINE_DETONATED, mineDetonated);
+
+            expect(game.playTurn(alice, 4, 1).result).toBe(ATTACK_RESULTS.MINE);
+
+            const [attack, retaliation] = game.history;
+            expect(attack).toEqual({ turn: 1, attacker: alice, x: 4, y: 1, result: ATTACK_RESULTS.MINE });
+            expect(retaliation).toMatchObject({
+                turn: 1,
+                attacker: bob,
+                result: ATTACK_RESULTS.HIT,
+                retaliation: true,
+            });
+            expect(alice.gameboard.board[retaliation.y][retaliation.x]).toBe(CELL_STATES.HIT);
+            expect(mineDetonated).toHaveBeenCalledWith(
+                expect.objectContaining({ attacker: alice, defender: bob, x: 4, y: 1, penalty: "retaliation" })
+            );
+            expect(game.currentPlayer).toBe(bob);
+        });
+
+        test("retaliation can sink the attacker's last ship", () => {
+            const game = startMinedGame(MINE_PENALTIES.RETALIATION);
+            const gameOver = jest.fn();
+            game.on(GAME_EVENTS.GAME_OVER, gameOver);
+            game.playTurn(alice, 3, 3);
+            game.playTurn(bob, 0, 0);
+            game.playTurn(alice, 3, 4);
+            game.playTurn(bob, 1, 0);
+            game.playTurn(alice, 2, 4);
+            game.playTurn(bob, 0, 2);
+
+            game.playTurn(alice, 4, 0);
+
+            expect(game.history.at(-1)).toMatchObject({ x: 1, y: 2, result: ATTACK_RESULTS.SUNK_ALL });
+            expect(game.winner).toBe(bob);
+            expect(gameOver).toHaveBeenCalledWith({ winner: bob, loser: alice });
+        });
+
+        test("losing a turn skips the attacker's next turn", () => {
+            const game = startMinedGame(MINE_PENALTIES.LOSE_TURN);
+            const turnSkipped = jest.fn();
+            game.on(GAME_EVENTS.TURN_SKIPPED, turnSkipped);
+
+            game.playTurn(alice, 4, 2);
+            expect(game.history).toHaveLength(1);
+            expect(game.currentPlayer).toBe(bob);
+
+            game.playTurn(bob, 3, 3);
+            expect(turnSkipped).toHaveBeenCalledWith({ player: alice, turn: 2 });
+            expect(game.currentPlayer).toBe(bob);
+            expect(game.turn).toBe(3);
+
+            game.playTurn(bob, 3, 4);
+            expect(game.currentPlayer).toBe(alice);
+        });
+
+        test("computers avoid their own hits when a mine strikes back", () => {
+            const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "random");
+            const game = new Game(alice, computer, { minePenalty: MINE_PENALTIES.RETALIATION, seed: "mines" });
+            game.startPlacement();
+            placeFleet(alice);
+            layMines(alice);
+            game.start();
+
+            // Alice sets off the computer's mines first, so they strike back at the board the computer is firing at
+            const nextTarget = () => {
+                const cells = computer.gameboard.board.flatMap((row, y) => row.map((cell, x) => ({ cell, x, y })));
+                return (
+                    cells.find(({ cell }) => cell === CELL_STATES.MINE) ??
+                    cells.find(({ cell }) => typeof cell !== "string")
+                );
+            };
+            while (game.phase === GAME_PHASES.IN_PROGRESS) {
+                if (game.currentPlayer === computer) {
+                    game.playTurn(computer);
+                } else {
+                    const { x, y } = nextTarget();
+                    game.playTurn(alice, x, y);
+                }
+            }
+            const struckBack = game.history.filter((move) => move.retaliation && move.attacker === computer);
+            expect(struckBack).toHaveLength(MINES_PER_PLAYER);
+            expect(game.phase).toBe(GAME_PHASES.FINISHED);
+        });
+
+        test("round-trips the mines and the turns to skip", () => {
+            const game = startMinedGame(MINE_PENALTIES.LOSE_TURN);
+            game.playTurn(alice, 4, 0);
+
+            const data = JSON.parse(JSON.stringify(game));
+            expect(data.turnsToSkip).toEqual([1, 0]);
+            const restored = Game.fromJSON(data);
+
+            expect(restored.minePenalty).toBe(MINE_PENALTIES.LOSE_TURN);
+            expect(restored.toJSON()).toEqual(data);
+        });
+
+        test.each([
+            ["an unknown penalty", { minePenalty: "explode" }, RangeError],
+            ["a bad turnsToSkip", { turnsToSkip: [0] }, RangeError],
+            ["a negative turn to skip", { turnsToSkip: [-1, 0] }, RangeError],
+            [
+                "a retaliation flag that isn't true",
+                { history: [{ turn: 1, attacker: 1, x: 0, y: 0, result: "hit", retaliation: false }] },
+                RangeError,
+            ],
+            ["mines in a game without them", { minePenalty: null }, RangeError],
+        ])("fromJSON() rejects %s", (_, changes, error) => {
+            const game = startMinedGame(MINE_PENALTIES.RETALIATION);
+            const data = { ...JSON.parse(JSON.stringify(game)), ...changes };
+            expect(() => Game.fromJSON(data)).toThrow(error);
+        });
+    });
+
+    describe("Timed Game Tests", () => {
+        function startTimedGame(options, players = [alice, bob]) {
+            const game = new Game(...players, { seed: "timed", ...options });
+            game.startPlacement();
+            players.forEach(placeFleet);
+            game.start();
+            return game;
+        }
+
+        test("validates the time limits", () => {
+            const untimed = new Game(alice, bob);
+            expect([untimed.turnLimit, untimed.clockLimit, untimed.timeLeft(alice)]).toEqual([null, null, null]);
+            expect(untimed.turnTimeout).toBe(TURN_TIMEOUTS.RANDOM_SHOT);
+
+            const timed = new Game(alice, bob, { turnLimit: 30, clockLimit: 300, turnTimeout: TURN_TIMEOUTS.FORFEIT });
+            expect([timed.turnLimit, timed.clockLimit, timed.timeLeft(bob)]).toEqual([30, 300, 300000]);
+
+            expect(() => new Game(alice, bob, { turnLimit: 0 })).toThrow(RangeError);
+            expect(() => new Game(alice, bob, { clockLimit: 1.5 })).toThrow(RangeError);
+            expect(() => new Game(alice, bob, { clockLimit: "60" })).toThrow(RangeError);
+            expect(() => new Game(alice, bob, { turnTimeout: "panic" })).toThrow(RangeError);
+        });
+
+        test("spendTime() runs a player's clock down to zero", () => {
+            const game = startTimedGame({ clockLimit: 60 });
+
+            game.spendTime(alice, 1500.4);
+            expect(game.timeLeft(alice)).toBe(58500);
+            expect(game.timeLeft(bob)).toBe(60000);
+
+            game.spendTime(alice, 120000);
+            expect(game.timeLeft(alice)).toBe(0);
+            expect(game.phase).toBe(GAME_PHASES.IN_PROGRESS);
+
+            expect(() => game.spendTime(alice, -1)).toThrow(RangeError);
+            expect(() => game.spendTime(new RealPlayer("Eve", MIN_BOARD_SIZE), 1)).toThrow(TypeError);
+            const untimed = startTimedGame({}, [
+                new RealPlayer("C", MIN_BOARD_SIZE),
+                new RealPlayer("D", MIN_BOARD_SIZE),
+            ]);
+            expect(() => untimed.spendTime(untimed.players[0], 1000)).not.toThrow();
+        });
+
+        test("a timed-out turn fires a random shot, the same one for the same seed", () => {
+            const game = startTimedGame({ turnLimit: 15 });
+            const timedOut = jest.fn();
+            game.on(GAME_EVENTS.TURN_TIMED_OUT, timedOut);
+            game.playTurn(alice, 4, 4);
+
+            const shot = game.timeOutTurn(bob);
+
+            expect(timedOut).toHaveBeenCalledWith({ player: bob, turn: 2, action: TURN_TIMEOUTS.RANDOM_SHOT });
+            expect(game.history.at(-1)).toEqual({ turn: 2, attacker: bob, ...shot });
+            expect(game.currentPlayer).toBe(alice);
+
+            const [carol, dave] = [new RealPlayer("Carol", MIN_BOARD_SIZE), new RealPlayer("Dave", MIN_BOARD_SIZE)];
+            const replayed = startTimedGame({ turnLimit: 15 }, [carol, dave]);
+            replayed.playTurn(carol, 4, 4);
+            expect(replayed.timeOutTurn(dave)).toEqual(shot);
+        });
+
+        test("a timed-out salvo turn fires a whole random volley", () => {
+            const game = startTimedGame({ turnLimit: 15, variant: GAME_VARIANTS.SALVO });
+
+            const volley = game.timeOutTurn(alice);
+
+            expect(volley).toHaveLength(2);
+            expect(new Set(volley.map(({ x, y }) => `${x},${y}`)).size).toBe(2);
+        });
+
+        test("a forfeited turn passes to the opponent without a shot", () => {
+            const game = startTimedGame({ turnLimit: 15, turnTimeout: TURN_TIMEOUTS.FORFEIT });
+            const turnStarted = jest.fn();
+            game.on(GAME_EVENTS.TURN_STARTED, turnStarted);
+
+            expect(game.timeOutTurn(alice)).toBeNull();
+
+            expect(game.history).toEqual([]);
+            expect(turnStarted).toHaveBeenCalledWith({ player: bob, turn: 2 });
+            expect(() => game.timeOutTurn(alice)).toThrow(/not Alice's turn/);
+        });
+
+        test("running out of clock loses the game", () => {
+            const game = startTimedGame({ clockLimit: 60 });
+            const events = [];
+            game.on(GAME_EVENTS.CLOCK_RAN_OUT, ({ player }) => events.push(`clock:${player.name}`));
+            game.on(GAME_EVENTS.GAME_OVER, ({ winner }) => events.push(`over:${winner.name}`));
+
+            game.runOutOfTime(alice);
+
+            expect(events).toEqual(["clock:Alice", "over:Bob"]);
+            expect(game.winner).toBe(bob);
+            expect(game.timeLeft(alice)).toBe(0);
+            const untimed = startTimedGame({}, [
+                new RealPlayer("C", MIN_BOARD_SIZE),
+                new RealPlayer("D", MIN_BOARD_SIZE),
+            ]);
+            expect(() => untimed.runOutOfTime(untimed.players[0])).toThrow(/clocks/);
+        });
+
+        test("round-trips the limits and the time left", () => {
+            const game = startTimedGame({ turnLimit: 30, clockLimit: 300, turnTimeout: TURN_TIMEOUTS.FORFEIT });
+            game.spendTime(alice, 12345);
+
+            const data = JSON.parse(JSON.stringify(game));
+            const restored = Game.fromJSON(data);
+
+            expect(restored.timeLeft(restored.players[0])).toBe(287655);
+            expect(restored.turnTimeout).toBe(TURN_TIMEOUTS.FORFEIT);
+            expect(restored.toJSON()).toEqual(data);
+        });
+
+        test.each([
+            ["clocks without a clock limit", { clockLimit: null }, RangeError],
+            ["a clock above the limit", { clocks: [300001, 0] }, RangeError],
+            ["a missing clock", { clocks: [1000] }, RangeError],
+            ["a turn limit of zero", { turnLimit: 0 }, RangeError],
+            ["an unknown turn timeout", { turnTimeout: "panic" }, RangeError],
+        ])("fromJSON() rejects %s", (_, changes, error) => {
+            const game = startTimedGame({ turnLimit: 30, clockLimit: 300 });
+            const data = { ...JSON.parse(JSON.stringify(game)), ...changes };
+            expect(() => Game.fromJSON(data)).toThrow(error);
+        });
+    });
+
+    describe("Serialization Tests", () => {
+        test("round-trips a game in progress and resumes the current turn", () => {
+            const game = new Game(alice, new ComputerPlayer("AI", MIN_BOARD_SIZE, "smart"));
+            game.startPlacement();
+            placeFleet(alice);
+            game.start();
+            game.playTurn(alice, 0, 0);
+
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+            const turnStarted = jest.fn();
+            restored.on(GAME_EVENTS.TURN_STARTED, turnStarted);
+            restored.resume();
+
+            expect(restored.phase).toBe(GAME_PHASES.IN_PROGRESS);
+            expect(restored.mode).toBe(GAME_MODES.VS_COMPUTER);
+            expect(restored.currentPlayer.name).toBe("AI");
+            expect(restored.turn).toBe(2);
+            expect(restored.practice).toBe(false);
+            expect(restored.seed).toBe(game.seed);
+            expect(restored.fleet).toEqual(game.fleet);
+            expect(turnStarted).toHaveBeenCalledWith({ player: restored.currentPlayer, turn: 2, resumed: true });
+        });
+
+        test("plays and round-trips a game on a rectangular board", () => {
+            const wide = () => new Gameboard(MIN_BOARD_SIZE + 3, MIN_BOARD_SIZE);
+            const game = new Game(new RealPlayer("Alice", wide()), new ComputerPlayer("AI", wide()));
+            game.startPlacement();
+            game.randomiseFleet(game.players[0]);
+            game.start();
+            game.playTurn(game.players[0], MIN_BOARD_SIZE + 2, MIN_BOARD_SIZE - 1);
+
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+
+            expect(restored.players.map(({ gameboard }) => [gameboard.width, gameboard.height])).toEqual([
+                [MIN_BOARD_SIZE + 3, MIN_BOARD_SIZE],
+                [MIN_BOARD_SIZE + 3, MIN_BOARD_SIZE],
+            ]);
+            expect(restored.history).toHaveLength(1);
+        });
+
+        test("round-trips the move history", () => {
+            const game = new Game(alice, bob);
+            game.startPlacement();
+            placeFleet(alice);
+            placeFleet(bob);
+            game.start();
+            game.playTurn(alice, 0, 0);
+            game.playTurn(bob, 3, 3);
+
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+
+            expect(restored.history.map(({ attacker, ...move }) => ({ attacker: attacker.name, ...move }))).toEqual(
+                game.history.map(({ attacker, ...move }) => ({ attacker: attacker.name, ...move }))
+            );
+        });
+
+        test("upgrades a version 1 save and carries on from where it was saved", () => {
+            // Saved mid-game against the computer, in the first versioned format
+            const data = JSON.parse(`{"version":1,"players":[
+                {"version":1,"type":"real","name":"Alice","gameboard":{"version":1,"size":5,"ships":[
+                    {"version":1,"length":2,"hits":0,"cells":[{"x":0,"y":0,"hit":false},{"x":1,"y":0,"hit":false}]},
+                    {"version":1,"length":2,"hits":0,"cells":[{"x":0,"y":2,"hit":false},{"x":1,"y":2,"hit":false}]}
+                ],"misses":[{"x":0,"y":4}]}},
+                {"version":1,"type":"comp","name":"AI","gameboard":{"version":1,"size":5,"ships":[
+                    {"version":1,"length":2,"hits":1,"cells":[{"x":1,"y":2,"hit":false},{"x":1,"y":1,"hit":true}]},
+                    {"version":1,"length":2,"hits":0,"cells":[{"x":0,"y":4,"hit":false},{"x":0,"y":3,"hit":false}]}
+                ],"misses":[{"x":4,"y":4}]},"strategy":"hunt","attackHistory":["0,4"]}
+            ],"phase":"in-progress","currentPlayer":1,"winner":null,"turn":4}`);
+
+            const game = Game.fromJSON(data);
+            const [human, computer] = game.players;
+
+            expect(human).toBeInstanceOf(RealPlayer);
+            expect(computer).toBeInstanceOf(ComputerPlayer);
+            expect(computer.strategy).toBe("hunt");
+            expect(human.gameboard.board[4][0]).toBe(CELL_STATES.MISS);
+            expect(computer.gameboard.board[1][1]).toBe(CELL_STATES.HIT);
+            expect(game).toMatchObject({ phase: GAME_PHASES.IN_PROGRESS, currentPlayer: computer, turn: 4 });
+            expect(game.history).toEqual([]);
+            expect(game.practice).toBe(false);
+            expect(game.seed).toEqual(expect.any(String));
+            expect(game.variant).toBe(GAME_VARIANTS.CLASSIC);
+            expect(game.fleet).toEqual([2, 2]);
+            expect(human.gameboard).toMatchObject({ width: 5, height: 5 });
+            expect(human.gameboard.noTouching).toBe(false);
+            expect(human.gameboard.ships.map((ship) => ship.shape)).toEqual([null, null]);
+            expect(human.gameboard.islands).toEqual([]);
+            expect(game.weapons).toBe(false);
+            expect(computer.toJSON()).toMatchObject({ cleared: [], contact: null });
+            expect(game.minePenalty).toBeNull();
+            expect(human.gameboard.toJSON().mines).toEqual([]);
+            expect(game).toMatchObject({ turnLimit: null, clockLimit: null });
+
+            // It plays on, and saves in the current format
+            game.playTurn(computer);
+            expect(game.currentPlayer).toBe(human);
+            expect(game.toJSON().version).toBe(SCHEMA_VERSION);
+        });
+
+        test.each([
+            ["an unsupported version", { version: SCHEMA_VERSION + 1 }, RangeError],
+            ["a version before the oldest supported", { version: 0 }, RangeError],
+            ["a missing player", { players: [] }, RangeError],
+            ["an unknown phase", { phase: "paused" }, RangeError],
+            ["an out-of-range current player", { currentPlayer: 2 }, RangeError],
+            ["a winner before the game has finished", { winner: 0 }, RangeError],
+            ["a negative turn", { turn: -1 }, RangeError],
+            ["a missing fleet", { fleet: undefined }, TypeError],
+            ["a fleet too big for the board", { fleet: [5, 5] }, RangeError],
+            [
+                "a move outside the board",
+                { history: [{ turn: 0, attacker: 0, x: 9, y: 0, result: "hit" }] },
+                RangeError,
+            ],
+        ])("fromJSON() rejects %s", (_, changes, error) => {
+            const game = new Game(alice, bob);
+            const data = { ...JSON.parse(JSON.stringify(game)), ...changes };
+            expect(() => Game.fromJSON(data)).toThrow(error);
+        });
+    });
+});
@@ -1,12 +1,28 @@
 // gameSetup.test.js
-import { placeShipsRandom, __testing__ } from "../utils/gameSetup.js";
+import {
+    placeShipsRandom,
+    placeMinesRandom,
+    getUnplacedShips,
+    initialisePlayers,
+    checkFleet,
+    parseFleet,
+    createIslands,
+    __testing__,
+} from "../utils/gameSetup.js";
+import { RealPlayer, ComputerPlayer } from "../models/Player.js";
 import Gameboard from "../models/Gameboard.js";
+import { SeededRandom } from "../utils/random.js";
 import {
     MIN_BOARD_SIZE,
     MAX_BOARD_SIZE,
+    DEFAULT_BOARD_SIZE,
     MAX_PLACEMENT_ATTEMPTS,
     getShipConfigForBoardSize,
     BOARD_CAPACITY_THRESHOLD,
+    FLEET_REJECTIONS,
+    MAPS,
+    MINES_PER_PLAYER,
+    CELL_STATES,
 } from "../models/Constants.js";
 import * as CONSTANTS from "../models/Constants.js";
 
@@ -58,6 +74,18 @@ describe("Game Setup Module Tests", () => {
             }).toThrow(/Failed to place 20-length ship after 100 attempts/);
         });
 
+        test("falls back to the free placements left once random guesses run out", () => {
+            const crowded = new Gameboard(MIN_BOARD_SIZE);
+            for (let i = 0; i < MIN_BOARD_SIZE - 1; i++) {
+                crowded.placeShip(0, i, MIN_BOARD_SIZE, "E");
+            }
+
+            tryPlaceShip(crowded, MIN_BOARD_SIZE, 1, new SeededRandom("crowded"));
+
+            const last = crowded.ships.at(-1);
+            expect(crowded.getShipCells(last).every(({ y }) => y === MIN_BOARD_SIZE - 1)).toBe(true);
+        });
+
         test("throws error when board completely full", () => {
             const smallBoard = new Gameboard(MIN_BOARD_SIZE);
 
@@ -79,7 +107,7 @@ describe("Game Setup Module Tests", () => {
 
                 placeShipsRandom([board]);
 
-                const expected = getShipConfigForBoardSize(board.size);
+                const expected = getShipConfigForBoardSize(board.width);
                 expect(board.ships).toHaveLength(expected.length);
                 const lengths = board.ships.map((ship) => ship.length).sort();
                 expect(lengths).toEqual(expected.slice().sort());
@@ -91,14 +119,24 @@ describe("Game Setup Module Tests", () => {
 
                 placeShipsRandom([board1, board2]);
 
-                const expected = getShipConfigForBoardSize(board1.size);
+                const expected = getShipConfigForBoardSize(board1.width);
                 expect(board1.ships).toHaveLength(expected.length);
                 expect(board2.ships).toHaveLength(expected.length);
             });
 
+            test("the same seed gives the same layout", () => {
+                const board1 = new Gameboard(MAX_BOARD_SIZE);
+                const board2 = new Gameboard(MAX_BOARD_SIZE);
+
+                placeShipsRandom([board1], new SeededRandom("fleet"));
+                placeShipsRandom([board2], new SeededRandom("fleet"));
+
+                expect(board2.displayBoard()).toBe(board1.displayBoard());
+            });
+
             test("places ships according to lookup table for a non-max board", () => {
                 const board = new Gameboard(MAX_BOARD_SIZE - 2);
-                const expected = getShipConfigForBoardSize(board.size);
+                const expected = getShipConfigForBoardSize(board.width);
 
                 placeShipsRandom([board]);
 
@@ -110,26 +148,98 @@ describe("Game Setup Module Tests", () => {
             test("handles boards of different sizes", () => {
                 const smallBoard = new Gameboard(MIN_BOARD_SIZE + 3);
                 const largeBoard = new Gameboard(MAX_BOARD_SIZE);
-                const smallExpected = getShipConfigForBoardSize(smallBoard.size);
-                const largeExpected = getShipConfigForBoardSize(largeBoard.size);
+                const smallExpected = getShipConfigForBoardSize(smallBoard.width);
+                const largeExpected = getShipConfigForBoardSize(largeBoard.width);
 
                 placeShipsRandom([smallBoard, largeBoard]);
 
                 expect(smallBoard.ships).toHaveLength(smallExpected.length);
                 expect(largeBoard.ships).toHaveLength(largeExpected.length);
             });
+
+            test("places the equivalent square board's fleet on a rectangular board", () => {
+                const board = new Gameboard(10, 6);
+
+                placeShipsRandom([board], new SeededRandom("wide"));
+
+                // 10x6 has 60 cells, so it gets the 7x7 fleet
+                expect(board.ships.map((ship) => ship.length)).toEqual(getShipConfigForBoardSize(7));
+                for (const ship of board.ships) {
+                    for (const { x, y } of board.getShipCells(ship)) {
+                        expect(x).toBeLessThan(board.width);
+                        expect(y).toBeLessThan(board.height);
+                    }
+                }
+            });
+
+            test("places the standard fleet on the largest board", () => {
+                const board = new Gameboard(MAX_BOARD_SIZE);
+
+                placeShipsRandom([board], new SeededRandom("large"));
+
+                expect(board.ships).toHaveLength(getShipConfigForBoardSize(MAX_BOARD_SIZE).length);
+            });
+
+            test("places a fleet right at the capacity threshold", () => {
+                const board = new Gameboard(MAX_BOARD_SIZE);
+                const fleet = Array(Math.floor((MAX_BOARD_SIZE ** 2 * BOARD_CAPACITY_THRESHOLD) / 5)).fill(5);
+
+                placeShipsRandom([board], new SeededRandom("dense"), fleet);
+
+                expect(board.ships).toHaveLength(fleet.length);
+            });
+
+            test("keeps ships apart on a no-touching board", () => {
+                const board = new Gameboard(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE, { noTouching: true });
+
+                placeShipsRandom([board], new SeededRandom("apart"));
+
+                for (const ship of board.ships) {
+                    for (const { x, y } of board.getShipCells(ship)) {
+                        for (const cell of board.getAdjacentCells(x, y)) {
+                            expect([null, ship]).toContain(board.getShipAt(cell.x, cell.y));
+                        }
+                    }
+                }
+            });
+
+            test("places a custom fleet instead of the lookup table's", () => {
+                const board = new Gameboard(MAX_BOARD_SIZE);
+
+                placeShipsRandom([board], new SeededRandom("custom"), [4, 4, 2]);
+
+                expect(board.ships.map((ship) => ship.length)).toEqual([4, 4, 2]);
+            });
+
+            test("places shaped ships, largest first", () => {
+                const board = new Gameboard(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE, { noTouching: true });
+
+                placeShipsRandom([board], new SeededRandom("shapes"), ["L", 3, "plus", "T"]);
+
+                expect(board.ships.map((ship) => ship.type)).toEqual(["plus", "L", "T", 3]);
+                expect(getUnplacedShips(["L", 3, "plus", "T"], board)).toEqual([]);
+            });
         });
 
         describe("Validation", () => {
             test("accepts board at 30% capacity threshold", () => {
                 const board = new Gameboard(MIN_BOARD_SIZE + 3);
-                const expected = getShipConfigForBoardSize(board.size);
+                const expected = getShipConfigForBoardSize(board.width);
                 const capacity = expected.reduce((s, l) => s + l, 0);
-                expect(capacity / board.size ** 2).toBeLessThanOrEqual(BOARD_CAPACITY_THRESHOLD);
+                expect(capacity / board.cellCount).toBeLessThanOrEqual(BOARD_CAPACITY_THRESHOLD);
                 expect(() => {
                     placeShipsRandom([board]);
                 }).not.toThrow();
             });
+
+            test("rejects a custom fleet over the capacity threshold", () => {
+                const board = new Gameboard(MIN_BOARD_SIZE);
+
+                expect(() => placeShipsRandom([board], new SeededRandom(), [5, 5])).toThrow(
+                    "Board too small for these ships"
+                );
+                expect(board.ships).toHaveLength(0);
+            });
         });
 
         describe("Edge Cases", () => {
@@ -172,4 +282,276 @@ describe("Game Setup Module Tests", () => {
             });
         });
     });
+
+    describe("placeMinesRandom()", () => {
+        test("lays mines on open water, clear of the fleet", () => {
+            const board = new Gameboard(MIN_BOARD_SIZE);
+            placeShipsRandom([board], new SeededRandom("mines"));
+
+            placeMinesRandom([board], new SeededRandom("mines"));
+
+            expect(board.mineCount).toBe(MINES_PER_PLAYER);
+            expect(board.ships.every((ship) => board.getShipCells(ship).length === ship.length)).toBe(true);
+        });
+
+        test("lays the same minefield for the same seed", () => {
+            const boards = [new Gameboard(), new Gameboard()];
+            boards.forEach((board) => placeMinesRandom([board], new SeededRandom("same"), 5));
+
+            expect(boards[0].displayBoard()).toBe(boards[1].displayBoard());
+            expect(boards[0].mineCount).toBe(5);
+        });
+
+        test("throws when there isn't enough open water", () => {
+            const board = new Gameboard(MIN_BOARD_SIZE);
+            board.board.forEach((row, y) => row.forEach((_, x) => (x > 0 || y > 1) && board.placeMine(x, y)));
+
+            expect(board.board[1][0]).toBe(CELL_STATES.EMPTY);
+            expect(() => placeMinesRandom([board], new SeededRandom(), 3)).toThrow(/Not enough open water/);
+        });
+    });
+
+    describe("checkFleet()", () => {
+        test("accepts every standard fleet", () => {
+            for (let size = MIN_BOARD_SIZE; size <= MAX_BOARD_SIZE; size++) {
+                expect(checkFleet(getShipConfigForBoardSize(size), size).valid).toBe(true);
+            }
+        });
+
+        test("reports the cells covered and the board's capacity", () => {
+            expect(checkFleet([5, 4, 3, 3, 2], 10)).toEqual({ valid: true, cells: 17, capacity: 30 });
+        });
+
+        test("uses width x height for a rectangular board's capacity", () => {
+            expect(checkFleet([5, 4], 10, 5)).toEqual({ valid: true, cells: 9, capacity: 15 });
+        });
+
+        test("rejects fleets too tightly packed to keep apart under the no-touching rule", () => {
+            const fleet = Array(9).fill(2);
+
+            expect(checkFleet(fleet, 8, 8).valid).toBe(true);
+            expect(checkFleet(fleet, 8, 8, { noTouching: true })).toMatchObject({
+                valid: false,
+                reason: FLEET_REJECTIONS.OVER_CAPACITY,
+            });
+            expect(checkFleet(getShipConfigForBoardSize(8), 8, 8, { noTouching: true }).valid).toBe(true);
+        });
+
+        test("counts the cells of shaped ships", () => {
+            expect(checkFleet(["plus", "L", 3], 8)).toEqual({ valid: true, cells: 12, capacity: 19 });
+        });
+
+        test("reserves a shape's whole bounding box under the no-touching rule", () => {
+            // Four crosses cover 20 cells, under the capacity, but each needs a 4x4 block of the padded 10x10 board
+            const fleet = Array(4).fill("plus");
+
+            expect(checkFleet(fleet, 9, 9).valid).toBe(true);
+            expect(checkFleet(fleet, 9, 9, { noTouching: true }).reason).toBe(FLEET_REJECTIONS.OVER_CAPACITY);
+        });
+
+        test("leaves islands out of the capacity", () => {
+            expect(checkFleet([5, 4, 3, 3, 2], 10, 10, { islands: 10 })).toEqual({
+                valid: true,
+                cells: 17,
+                capacity: 27,
+            });
+            expect(checkFleet([5, 2], MIN_BOARD_SIZE, MIN_BOARD_SIZE, { islands: 2 }).reason).toBe(
+                FLEET_REJECTIONS.OVER_CAPACITY
+            );
+        });
+
+        test("accepts a fleet that exactly fills the capacity", () => {
+            expect(checkFleet([5, 2], MIN_BOARD_SIZE)).toEqual({ valid: true, cells: 7, capacity: 7 });
+        });
+
+        test.each([
+            [[], FLEET_REJECTIONS.EMPTY],
+            [[6], FLEET_REJECTIONS.INVALID_LENGTH],
+            [[1, 2], FLEET_REJECTIONS.INVALID_LENGTH],
+            [[2.5], FLEET_REJECTIONS.INVALID_LENGTH],
+            [["Z"], FLEET_REJECTIONS.INVALID_LENGTH],
+            [[5, 3], FLEET_REJECTIONS.OVER_CAPACITY],
+        ])("rejects %j on the smallest board", (fleet, reason) => {
+            expect(checkFleet(fleet, MIN_BOARD_SIZE)).toMatchObject({ valid: false, reason });
+        });
+    });
+
+    describe("createIslands()", () => {
+        test("leaves the open sea empty", () => {
+            expect(createIslands(MAPS.OPEN, 10)).toEqual([]);
+        });
+
+        test("puts a lagoon in the middle of the board", () => {
+            expect(createIslands(MAPS.LAGOON, 8, 5)).toEqual([
+                { x: 3, y: 2 },
+                { x: 4, y: 2 },
+            ]);
+        });
+
+        test("spreads an archipelago evenly", () => {
+            expect(createIslands(MAPS.ARCHIPELAGO, 10)).toEqual([
+                { x: 2, y: 2 },
+                { x: 6, y: 2 },
+                { x: 2, y: 6 },
+                { x: 6, y: 6 },
+            ]);
+        });
+
+        test("scatters distinct random islands from the seed", () => {
+            const islands = createIslands(MAPS.RANDOM, 20, 20, new SeededRandom("map"));
+
+            expect(islands).toHaveLength(24);
+            expect(new Set(islands.map(({ x, y }) => `${x},${y}`)).size).toBe(24);
+            expect(createIslands(MAPS.RANDOM, 20, 20, new SeededRandom("map"))).toEqual(islands);
+        });
+
+        test("throws RangeError for an unknown map", () => {
+            expect(() => createIslands("volcano", 10)).toThrow(RangeError);
+        });
+
+        test.each(Object.values(MAPS))("leaves room for the standard fleet on the %s map", (map) => {
+            for (let size = MIN_BOARD_SIZE; size <= MAX_BOARD_SIZE; size++) {
+                const islands = createIslands(map, size, size, new SeededRandom(String(size)));
+                const boards = [new Gameboard(size, size, { noTouching: true, islands })];
+
+                expect(() => placeShipsRandom(boards, new SeededRandom(map))).not.toThrow();
+                expect(boards[0].ships).toHaveLength(getShipConfigForBoardSize(size).length);
+            }
+        });
+    });
+
+    describe("parseFleet()", () => {
+        test("reads lengths and shapes from the form's fleet field", () => {
+            expect(parseFleet("5,4,L,plus")).toEqual([5, 4, "L", "plus"]);
+        });
+
+        test("returns undefined when no fleet was submitted", () => {
+            expect(parseFleet(undefined)).toBeUndefined();
+        });
+    });
+
+    describe("getUnplacedShips()", () => {
+        test("returns the whole fleet for an empty board", () => {
+            const board = new Gameboard(MAX_BOARD_SIZE);
+            expect(getUnplacedShips([5, 4, 3, 3, 2], board)).toEqual([5, 4, 3, 3, 2]);
+        });
+
+        test("removes one entry per placed ship, even for repeated lengths", () => {
+            const board = new Gameboard(MAX_BOARD_SIZE);
+            board.placeShip(0, 0, 3, "E");
+            board.placeShip(0, 1, 5, "E");
+
+            expect(getUnplacedShips([5, 4, 3, 3, 2], board)).toEqual([4, 3, 2]);
+        });
+
+        test("returns an empty array once the fleet is complete", () => {
+            const board = new Gameboard(MAX_BOARD_SIZE);
+            placeShipsRandom([board]);
+
+            expect(getUnplacedShips(getShipConfigForBoardSize(board.width), board)).toEqual([]);
+        });
+    });
+
+    describe("initialisePlayers()", () => {
+        test("builds two human players for a hot-seat game", () => {
+            const { playerOne, playerTwo } = initialisePlayers({
+                "board-width": "8",
+                "board-height": "8",
+                "player-type-1": "real",
+                "player-name-1": "Alice",
+                "player-type-2": "real",
+                "player-name-2": "Bob",
+            });
+
+            expect(playerOne).toBeInstanceOf(RealPlayer);
+            expect(playerTwo).toBeInstanceOf(RealPlayer);
+            expect(playerTwo.name).toBe("Bob");
+            expect(playerOne.gameboard).toMatchObject({ width: 8, height: 8 });
+        });
+
+        test("gives each player their own board of the chosen width and height", () => {
+            const { playerOne, playerTwo } = initialisePlayers({
+                "board-width": "9",
+                "board-height": "6",
+                "player-name-1": "Alice",
+                "player-name-2": "Computer",
+            });
+
+            expect([playerOne.gameboard.width, playerOne.gameboard.height]).toEqual([9, 6]);
+            expect([playerTwo.gameboard.width, playerTwo.gameboard.height]).toEqual([9, 6]);
+            expect(playerOne.gameboard).not.toBe(playerTwo.gameboard);
+        });
+
+        test("applies the no-touching rule to both boards", () => {
+            const { playerOne, playerTwo } = initialisePlayers({
+                "board-width": "8",
+                "board-height": "8",
+                "player-name-1": "Alice",
+                "player-name-2": "Computer",
+                "no-touching": "on",
+            });
+
+            expect(playerOne.gameboard.noTouching).toBe(true);
+            expect(playerTwo.gameboard.noTouching).toBe(true);
+        });
+
+        test("gives both boards the same islands from the chosen map", () => {
+            const form = {
+                "board-width": "12",
+                "board-height": "12",
+                "player-name-1": "Alice",
+                "player-name-2": "Computer",
+                map: MAPS.RANDOM,
+                seed: "islands",
+            };
+            const { playerOne, playerTwo } = initialisePlayers(form);
+
+            expect(playerOne.gameboard.islands).toHaveLength(8);
+            expect(playerTwo.gameboard.islands).toEqual(playerOne.gameboard.islands);
+            expect(initialisePlayers(form).playerOne.gameboard.islands).toEqual(playerOne.gameboard.islands);
+            expect(initialisePlayers({ ...form, map: undefined }).playerOne.gameboard.islands).toEqual([]);
+        });
+
+        test("defaults to a human against a computer", () => {
+            const { playerOne, playerTwo } = initialisePlayers({
+                "board-width": "10",
+                "board-height": "10",
+                "player-name-1": "Alice",
+                "player-name-2": "Computer",
+            });
+
+            expect(playerOne).toBeInstanceOf(RealPlayer);
+            expect(playerTwo).toBeInstanceOf(ComputerPlayer);
+        });
+
+        test("uses the typed seed, or generates one when it's blank", () => {
+            const form = {
+                "board-width": "5",
+                "board-height": "5",
+                "player-name-1": "Alice",
+                "player-name-2": "Computer",
+            };
+
+            expect(initialisePlayers({ ...form, seed: " abc123 " }).seed).toBe("abc123");
+            expect(initialisePlayers({ ...form, seed: "" }).seed).toMatch(/^\w+$/);
+        });
+
+        test("computers built from the same seed fire the same shots", () => {
+            const form = {
+                "board-width": "10",
+                "board-height": "10",
+                "player-type-1": "comp",
+                "player-name-1": "AI 1",
+                "player-name-2": "AI 2",
+                seed: "repeat",
+            };
+            const shots = () => {
+                const { playerOne } = initialisePlayers(form);
+                const target = new Gameboard(10);
+                return Array.from({ length: 20 }, () => playerOne.attack(target));
+            };
+
+            expect(shots()).toEqual(shots());
+        });
+    });
 });
@@ -0,0 +1,92 @@
+import { __testing__ } from "../views/GameView.js";
+
+const { MAX_ANNOUNCEMENTS, addAnnouncement, squareInDirection } = __testing__;
+
+// A grid of stand-in squares, indexed [y][x], carrying their coordinates like the real ones
+function createSquares(width, height) {
+    return Array.from({ length: height }, (_, y) =>
+        Array.from({ length: width }, (__, x) => ({ dataset: { x: String(x), y: String(y) } }))
+    );
+}
+
+// Minimal stand-in for the announcer live region: just the parts of an element addAnnouncement() uses
+function createAnnouncer() {
+    const announcer = {
+        children: [],
+        ownerDocument: { createElement: () => ({ textContent: "", remove: () => announcer.children.shift() }) },
+        appendChild: (child) => announcer.children.push(child),
+        get childElementCount() {
+            return announcer.children.length;
+        },
+        get firstElementChild() {
+            return announcer.children[0];
+        },
+    };
+    return announcer;
+}
+
+describe("GameView Tests", () => {
+    describe("squareInDirection()", () => {
+        // A grid wider than it is tall, and one taller than it is wide
+        const wide = createSquares(7, 3);
+        const tall = createSquares(3, 7);
+        const move = (squares, x, y, key) => {
+            const square = squareInDirection(squares, squares[y][x], key);
+            return square && [Number(square.dataset.x), Number(square.dataset.y)];
+        };
+
+        test("moves one square with the arrow keys", () => {
+            expect(move(wide, 3, 1, "ArrowUp")).toEqual([3, 0]);
+            expect(move(wide, 3, 1, "ArrowDown")).toEqual([3, 2]);
+            expect(move(wide, 3, 1, "ArrowLeft")).toEqual([2, 1]);
+            expect(move(wide, 3, 1, "ArrowRight")).toEqual([4, 1]);
+        });
+
+        test("stops at the edges of a wide grid", () => {
+            expect(move(wide, 0, 0, "ArrowUp")).toEqual([0, 0]);
+            expect(move(wide, 0, 0, "ArrowLeft")).toEqual([0, 0]);
+            expect(move(wide, 6, 2, "ArrowRight")).toEqual([6, 2]);
+            expect(move(wide, 6, 2, "ArrowDown")).toEqual([6, 2]);
+        });
+
+        test("stops at the edges of a tall grid", () => {
+            expect(move(tall, 2, 0, "ArrowRight")).toEqual([2, 0]);
+            expect(move(tall, 2, 6, "ArrowDown")).toEqual([2, 6]);
+            expect(move(tall, 2, 5, "ArrowDown")).toEqual([2, 6]);
+            expect(move(tall, 0, 6, "ArrowLeft")).toEqual([0, 6]);
+        });
+
+        test("goes to the start and end of the row with Home and End", () => {
+            expect(move(wide, 3, 2, "Home")).toEqual([0, 2]);
+            expect(move(wide, 3, 2, "End")).toEqual([6, 2]);
+            expect(move(tall, 1, 4, "End")).toEqual([2, 4]);
+        });
+
+        test("ignores other keys", () => {
+            expect(move(wide, 3, 1, "Enter")).toBeNull();
+            expect(move(wide, 3, 1, "a")).toBeNull();
+        });
+    });
+
+    describe("addAnnouncement()", () => {
+        test("adds each message after the ones before it", () => {
+            const announcer = createAnnouncer();
+            addAnnouncement(announcer, "It's Alice's turn.");
+            addAnnouncement(announcer, "Alice attacked C4 - miss.");
+
+            expect(announcer.children.map(({ textContent }) => textContent)).toEqual([
+                "It's Alice's turn.",
+                "Alice attacked C4 - miss.",
+            ]);
+        });
+
+        test(`keeps only the latest ${MAX_ANNOUNCEMENTS} messages`, () => {
+            const announcer = createAnnouncer();
+            for (let turn = 1; turn <= MAX_ANNOUNCEMENTS + 3; turn++) addAnnouncement(announcer, `Turn ${turn}`);
+
+            expect(announcer.childElementCount).toBe(MAX_ANNOUNCEMENTS);
+            expect(announcer.children[0].textContent).toBe("Turn 4");
+            expect(announcer.children.at(-1).textContent).toBe(`Turn ${MAX_ANNOUNCEMENTS + 3}`);
+        });
+    });
+});
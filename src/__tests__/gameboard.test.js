@@ -1,5 +1,17 @@
 import Gameboard from "../models/Gameboard.js";
-import { MIN_BOARD_SIZE, MAX_BOARD_SIZE, DEFAULT_BOARD_SIZE, DIRECTIONS, ATTACK_RESULTS } from "../models/Constants.js";
+import { SCHEMA_VERSION } from "../models/schema.js";
+import {
+    MIN_BOARD_SIZE,
+    MAX_BOARD_SIZE,
+    DEFAULT_BOARD_SIZE,
+    DIRECTIONS,
+    ATTACK_RESULTS,
+    PLACEMENT_REJECTIONS,
+    CELL_STATES,
+    WEAPONS,
+    STRIKE_AXES,
+    SONAR_RESULTS,
+} from "../models/Constants.js";
 
 describe("Gameboard Class Tests", () => {
     describe("Constructor Tests", () => {
@@ -17,11 +29,18 @@ describe("Gameboard Class Tests", () => {
             test("throws RangeError for size above maximum", () => {
                 expect(() => new Gameboard(MAX_BOARD_SIZE + 1)).toThrow(RangeError);
             });
+
+            test("validates width and height separately", () => {
+                expect(() => new Gameboard(MAX_BOARD_SIZE, MIN_BOARD_SIZE - 1)).toThrow(RangeError);
+                expect(() => new Gameboard(MIN_BOARD_SIZE, 6.5)).toThrow(TypeError);
+            });
         });
 
         describe("Valid Input Tests", () => {
             test("assigns default size correctly", () => {
-                expect(new Gameboard().size).toBe(DEFAULT_BOARD_SIZE);
+                const gameboard = new Gameboard();
+                expect(gameboard.width).toBe(DEFAULT_BOARD_SIZE);
+                expect(gameboard.height).toBe(DEFAULT_BOARD_SIZE);
             });
 
             test.each([
@@ -30,7 +49,29 @@ describe("Gameboard Class Tests", () => {
                 [MAX_BOARD_SIZE, "maximum"],
             ])("creates gameboard with size %i (%s valid value)", (size) => {
                 const gameboard = new Gameboard(size);
-                expect(gameboard.size).toBe(size);
+                expect(gameboard.isSquare).toBe(true);
+                expect(gameboard.width).toBe(size);
+                expect(gameboard.height).toBe(size);
+            });
+
+            test("creates a rectangular board with separate width and height", () => {
+                const gameboard = new Gameboard(MAX_BOARD_SIZE, MIN_BOARD_SIZE);
+
+                expect(gameboard.width).toBe(MAX_BOARD_SIZE);
+                expect(gameboard.height).toBe(MIN_BOARD_SIZE);
+                expect(gameboard.isSquare).toBe(false);
+                expect(gameboard.cellCount).toBe(MAX_BOARD_SIZE * MIN_BOARD_SIZE);
+                expect(gameboard.board).toHaveLength(MIN_BOARD_SIZE);
+                expect(gameboard.board[0]).toHaveLength(MAX_BOARD_SIZE);
+            });
+
+            test("a rectangular board only accepts coordinates inside its own width and height", () => {
+                const gameboard = new Gameboard(MAX_BOARD_SIZE, MIN_BOARD_SIZE);
+
+                expect(gameboard.placeShip(MAX_BOARD_SIZE - 5, 0, 5, DIRECTIONS.EAST).success).toBe(true);
+                expect(gameboard.placeShip(0, 0, MIN_BOARD_SIZE + 1, DIRECTIONS.SOUTH).success).toBe(false);
+                expect(gameboard.receiveAttack(MAX_BOARD_SIZE - 1, MIN_BOARD_SIZE - 1)).toBe(ATTACK_RESULTS.MISS);
+                expect(() => gameboard.receiveAttack(0, MIN_BOARD_SIZE)).toThrow(RangeError);
             });
         });
     });
@@ -114,6 +155,58 @@ describe("Gameboard Class Tests", () => {
         });
     });
 
+    describe("Shaped Ship Tests", () => {
+        let gameboard;
+
+        beforeEach(() => {
+            gameboard = new Gameboard();
+        });
+
+        test("places a shape turned and mirrored", () => {
+            const { success, ship } = gameboard.placeShip(4, 4, "L", DIRECTIONS.SOUTH, true);
+
+            expect(success).toBe(true);
+            expect(ship.shape).toBe("L");
+            expect(gameboard.getShipCells(ship)).toEqual([
+                { x: 4, y: 4 },
+                { x: 4, y: 5 },
+                { x: 4, y: 6 },
+                { x: 5, y: 6 },
+            ]);
+        });
+
+        test("rejects a shape sticking out of the board, reporting the cell that's off it", () => {
+            expect(gameboard.checkPlacement(0, 0, "plus", DIRECTIONS.EAST)).toEqual({
+                valid: false,
+                reason: PLACEMENT_REJECTIONS.OUT_OF_BOUNDS,
+                position: { x: 1, y: -1, segment: 3 },
+            });
+        });
+
+        test("rejects a shape overlapping another ship", () => {
+            gameboard.placeShip(5, 0, 4, DIRECTIONS.SOUTH);
+
+            expect(gameboard.placeShip(4, 1, "T", DIRECTIONS.EAST)).toMatchObject({
+                success: false,
+                reason: PLACEMENT_REJECTIONS.CELL_OCCUPIED,
+            });
+        });
+
+        test("a shape sinks once every cell is hit", () => {
+            gameboard.placeShip(0, 0, 2, DIRECTIONS.EAST);
+            gameboard.placeShip(4, 4, "T", DIRECTIONS.EAST);
+
+            expect(gameboard.receiveAttack(4, 4)).toBe(ATTACK_RESULTS.HIT);
+            expect(gameboard.receiveAttack(5, 4)).toBe(ATTACK_RESULTS.HIT);
+            expect(gameboard.receiveAttack(6, 4)).toBe(ATTACK_RESULTS.HIT);
+            expect(gameboard.receiveAttack(5, 5)).toBe(ATTACK_RESULTS.SUNK);
+        });
+
+        test("throws TypeError for an unknown shape", () => {
+            expect(() => gameboard.placeShip(0, 0, "Z", DIRECTIONS.EAST)).toThrow(TypeError);
+        });
+    });
+
     describe("receiveAttack() Tests", () => {
         let gameboard;
 
@@ -182,4 +275,554 @@ describe("Gameboard Class Tests", () => {
             expect(gameboard.ships[1].length).toBe(3);
         });
     });
+
+    describe("getShipCells() Tests", () => {
+        test("returns every cell the ship occupies", () => {
+            const gameboard = new Gameboard(DEFAULT_BOARD_SIZE);
+            const { ship } = gameboard.placeShip(2, 3, 3, DIRECTIONS.SOUTH);
+
+            expect(gameboard.getShipCells(ship)).toEqual([
+                { x: 2, y: 3 },
+                { x: 2, y: 4 },
+                { x: 2, y: 5 },
+            ]);
+        });
+
+        test("getShipAt() finds the ship on a cell, even after it has been hit", () => {
+            const gameboard = new Gameboard(DEFAULT_BOARD_SIZE);
+            const { ship } = gameboard.placeShip(2, 3, 3, DIRECTIONS.SOUTH);
+            gameboard.receiveAttack(2, 4);
+
+            expect(gameboard.getShipAt(2, 4)).toBe(ship);
+            expect(gameboard.getShipAt(3, 4)).toBeNull();
+        });
+
+        test("returns an empty array for a ship that isn't on the board", () => {
+            const gameboard = new Gameboard(DEFAULT_BOARD_SIZE);
+            const other = new Gameboard(DEFAULT_BOARD_SIZE);
+            const { ship } = other.placeShip(0, 0, 2, DIRECTIONS.EAST);
+
+            expect(gameboard.getShipCells(ship)).toEqual([]);
+        });
+    });
+
+    describe("checkPlacement() Tests", () => {
+        let gameboard;
+
+        beforeEach(() => {
+            gameboard = new Gameboard(DEFAULT_BOARD_SIZE);
+        });
+
+        test("reports a valid placement without placing the ship", () => {
+            expect(gameboard.checkPlacement(0, 0, 3, DIRECTIONS.EAST)).toEqual({ valid: true });
+            expect(gameboard.ships).toHaveLength(0);
+        });
+
+        test("reports the same rejection reasons as placeShip()", () => {
+            gameboard.placeShip(2, 0, 2, DIRECTIONS.SOUTH);
+
+            expect(gameboard.checkPlacement(0, 0, 3, DIRECTIONS.EAST)).toMatchObject({
+                valid: false,
+                reason: "cell-occupied",
+                position: { x: 2, y: 0, segment: 2 },
+            });
+            expect(gameboard.checkPlacement(0, 0, 2, DIRECTIONS.NORTH)).toMatchObject({
+                valid: false,
+                reason: "out-of-bounds",
+            });
+        });
+
+        test("throws TypeError for invalid input", () => {
+            expect(() => gameboard.checkPlacement("a", 0)).toThrow(TypeError);
+            expect(() => gameboard.checkPlacement(0, 0, 2, "up")).toThrow(TypeError);
+        });
+    });
+
+    describe("No-Touching Rule Tests", () => {
+        let gameboard;
+
+        beforeEach(() => {
+            gameboard = new Gameboard(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE, { noTouching: true });
+            gameboard.placeShip(2, 2, 3, DIRECTIONS.EAST);
+        });
+
+        test("is off unless asked for", () => {
+            const relaxed = new Gameboard();
+            relaxed.placeShip(2, 2, 3, DIRECTIONS.EAST);
+
+            expect(relaxed.noTouching).toBe(false);
+            expect(relaxed.placeShip(2, 3, 3, DIRECTIONS.EAST).success).toBe(true);
+        });
+
+        test.each([
+            ["alongside", 2, 3, DIRECTIONS.EAST],
+            ["end to end", 5, 2, DIRECTIONS.EAST],
+            ["diagonally", 5, 3, DIRECTIONS.SOUTH],
+        ])("rejects a ship touching another %s", (_, x, y, direction) => {
+            expect(gameboard.placeShip(x, y, 2, direction)).toMatchObject({
+                success: false,
+                reason: PLACEMENT_REJECTIONS.ADJACENT_SHIP,
+            });
+            expect(gameboard.ships).toHaveLength(1);
+        });
+
+        test("accepts a ship one cell of water away", () => {
+            expect(gameboard.placeShip(2, 4, 3, DIRECTIONS.EAST).success).toBe(true);
+            expect(gameboard.checkPlacement(6, 0, 2, DIRECTIONS.SOUTH)).toEqual({ valid: true });
+        });
+
+        test("reports overlaps as overlaps rather than as touching", () => {
+            expect(gameboard.checkPlacement(3, 0, 3, DIRECTIONS.SOUTH)).toMatchObject({
+                reason: PLACEMENT_REJECTIONS.CELL_OCCUPIED,
+            });
+        });
+
+        test("survives clear() and serialization", () => {
+            const restored = Gameboard.fromJSON(JSON.parse(JSON.stringify(gameboard)));
+            restored.clear();
+            restored.placeShip(0, 0, 2, DIRECTIONS.EAST);
+
+            expect(restored.noTouching).toBe(true);
+            expect(restored.checkPlacement(0, 1, 2, DIRECTIONS.EAST).reason).toBe(PLACEMENT_REJECTIONS.ADJACENT_SHIP);
+        });
+
+        test("fromJSON() rejects touching ships", () => {
+            const relaxed = new Gameboard();
+            relaxed.placeShip(2, 2, 3, DIRECTIONS.EAST);
+            relaxed.placeShip(2, 3, 3, DIRECTIONS.EAST);
+            const data = { ...JSON.parse(JSON.stringify(relaxed)), noTouching: true };
+
+            expect(() => Gameboard.fromJSON(data)).toThrow(/no-touching/);
+        });
+    });
+
+    describe("Island Tests", () => {
+        let gameboard;
+
+        beforeEach(() => {
+            gameboard = new Gameboard(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE, {
+                islands: [
+                    { x: 4, y: 4 },
+                    { x: 5, y: 4 },
+                ],
+            });
+        });
+
+        test("marks islands on the board", () => {
+            expect(gameboard.board[4][4]).toBe(CELL_STATES.ISLAND);
+            expect(gameboard.islands).toEqual([
+                { x: 4, y: 4 },
+                { x: 5, y: 4 },
+            ]);
+            expect(gameboard.playableCellCount).toBe(gameboard.cellCount - 2);
+            expect(new Gameboard().islands).toEqual([]);
+        });
+
+        test("throws for an island off the board", () => {
+            expect(() => new Gameboard(5, 5, { islands: [{ x: 5, y: 0 }] })).toThrow(RangeError);
+            expect(() => new Gameboard(5, 5, { islands: [{ x: 1.5, y: 0 }] })).toThrow(TypeError);
+        });
+
+        test("rejects a ship crossing an island", () => {
+            expect(gameboard.placeShip(4, 2, 3, DIRECTIONS.SOUTH)).toMatchObject({
+                success: false,
+                reason: PLACEMENT_REJECTIONS.ISLAND,
+                position: { x: 4, y: 4, segment: 2 },
+            });
+            expect(gameboard.placeShip(4, 3, 3, DIRECTIONS.EAST).success).toBe(true);
+        });
+
+        test("doesn't count islands as touching under the no-touching rule", () => {
+            const strict = new Gameboard(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE, {
+                noTouching: true,
+                islands: [{ x: 4, y: 4 }],
+            });
+            expect(strict.placeShip(4, 5, 3, DIRECTIONS.EAST).success).toBe(true);
+        });
+
+        test("islands can't be attacked", () => {
+            expect(() => gameboard.receiveAttack(4, 4)).toThrow(/island/);
+            expect(() =>
+                gameboard.receiveVolley([
+                    { x: 0, y: 0 },
+                    { x: 5, y: 4 },
+                ])
+            ).toThrow(/island/);
+            expect(gameboard.board[0][0]).toBe(CELL_STATES.EMPTY);
+        });
+
+        test("survive clear() and serialization", () => {
+            gameboard.placeShip(0, 0, 3, DIRECTIONS.EAST);
+            gameboard.receiveAttack(9, 9);
+            const restored = Gameboard.fromJSON(JSON.parse(JSON.stringify(gameboard)));
+
+            expect(restored.islands).toEqual(gameboard.islands);
+            expect(restored.displayBoard()).toBe(gameboard.displayBoard());
+            restored.clear();
+            expect(restored.board[4][5]).toBe(CELL_STATES.ISLAND);
+        });
+
+        test("fromJSON() rejects a ship on an island", () => {
+            gameboard.placeShip(4, 5, 2, DIRECTIONS.EAST);
+            const data = JSON.parse(JSON.stringify(gameboard));
+            data.islands.push({ x: 4, y: 5 });
+
+            expect(() => Gameboard.fromJSON(data)).toThrow(/used more than once/);
+        });
+    });
+
+    describe("Mine Tests", () => {
+        let gameboard;
+
+        beforeEach(() => {
+            gameboard = new Gameboard(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE, { islands: [{ x: 9, y: 9 }] });
+            gameboard.placeShip(0, 0, 3, DIRECTIONS.EAST);
+        });
+
+        test("lays mines on open water only", () => {
+            expect(gameboard.placeMine(5, 5)).toEqual({ success: true });
+            expect(gameboard.board[5][5]).toBe(CELL_STATES.MINE);
+            expect(gameboard.mineCount).toBe(1);
+
+            expect(gameboard.placeMine(5, 5)).toEqual({ success: false, reason: PLACEMENT_REJECTIONS.MINE });
+            expect(gameboard.placeMine(1, 0)).toEqual({ success: false, reason: PLACEMENT_REJECTIONS.CELL_OCCUPIED });
+            expect(gameboard.placeMine(9, 9)).toEqual({ success: false, reason: PLACEMENT_REJECTIONS.ISLAND });
+            expect(() => gameboard.placeMine(10, 0)).toThrow(RangeError);
+            expect(gameboard.mineCount).toBe(1);
+        });
+
+        test("removeMine() takes up a mine, clear() takes up all of them", () => {
+            gameboard.placeMine(5, 5);
+            gameboard.placeMine(6, 6);
+
+            expect(gameboard.removeMine(5, 5)).toBe(true);
+            expect(gameboard.removeMine(5, 5)).toBe(false);
+            expect(gameboard.removeMine(0, 0)).toBe(false);
+            expect(gameboard.board[0][0]).not.toBe(CELL_STATES.EMPTY);
+            expect(gameboard.mineCount).toBe(1);
+
+            gameboard.clear();
+            expect(gameboard.mineCount).toBe(0);
+        });
+
+        test("rejects a ship across a mine", () => {
+            gameboard.placeMine(5, 5);
+            expect(gameboard.placeShip(3, 5, 3, DIRECTIONS.EAST)).toMatchObject({
+                success: false,
+                reason: PLACEMENT_REJECTIONS.MINE,
+            });
+        });
+
+        test("doesn't count mines as touching under the no-touching rule", () => {
+            const strict = new Gameboard(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE, { noTouching: true });
+            strict.placeMine(4, 4);
+            expect(strict.placeShip(4, 5, 3, DIRECTIONS.EAST).success).toBe(true);
+        });
+
+        test("firing on a mine sets it off", () => {
+            gameboard.placeMine(5, 5);
+
+            expect(gameboard.receiveAttack(5, 5)).toBe(ATTACK_RESULTS.MINE);
+            expect(gameboard.board[5][5]).toBe(CELL_STATES.DETONATED);
+            expect(gameboard.mineCount).toBe(1);
+            expect(gameboard.removeMine(5, 5)).toBe(false);
+            expect(() => gameboard.receiveAttack(5, 5)).toThrow(/already been attacked/);
+        });
+
+        test("survive serialization, set off or not", () => {
+            gameboard.placeMine(5, 5);
+            gameboard.placeMine(6, 6);
+            gameboard.receiveAttack(6, 6);
+
+            const data = JSON.parse(JSON.stringify(gameboard));
+            expect(data.mines).toEqual([
+                { x: 5, y: 5, detonated: false },
+                { x: 6, y: 6, detonated: true },
+            ]);
+            const restored = Gameboard.fromJSON(data);
+            expect(restored.displayBoard()).toBe(gameboard.displayBoard());
+            expect(restored.receiveAttack(5, 5)).toBe(ATTACK_RESULTS.MINE);
+        });
+
+        test("fromJSON() rejects a mine under a ship or with a bad detonated flag", () => {
+            gameboard.placeMine(5, 5);
+            const data = JSON.parse(JSON.stringify(gameboard));
+
+            expect(() => Gameboard.fromJSON({ ...data, mines: [{ x: 1, y: 0, detonated: false }] })).toThrow(
+                /used more than once/
+            );
+            expect(() => Gameboard.fromJSON({ ...data, mines: [{ x: 5, y: 5, detonated: "no" }] })).toThrow(TypeError);
+        });
+    });
+
+    describe("getAdjacentCells() Tests", () => {
+        test("lists all eight neighbours in the middle of the board", () => {
+            expect(new Gameboard().getAdjacentCells(4, 4)).toHaveLength(8);
+        });
+
+        test("leaves out cells off the board", () => {
+            expect(new Gameboard().getAdjacentCells(0, 0)).toEqual([
+                { x: 1, y: 0 },
+                { x: 0, y: 1 },
+                { x: 1, y: 1 },
+            ]);
+        });
+    });
+
+    describe("removeShip() and clear() Tests", () => {
+        let gameboard;
+
+        beforeEach(() => {
+            gameboard = new Gameboard(DEFAULT_BOARD_SIZE);
+        });
+
+        test("removes a ship and frees its cells", () => {
+            const { ship } = gameboard.placeShip(0, 0, 3, DIRECTIONS.EAST);
+
+            expect(gameboard.removeShip(ship)).toBe(true);
+            expect(gameboard.ships).toHaveLength(0);
+            expect(gameboard.getShipCells(ship)).toEqual([]);
+            expect(gameboard.placeShip(0, 0, 3, DIRECTIONS.EAST).success).toBe(true);
+        });
+
+        test("returns false for a ship that isn't on the board", () => {
+            const other = new Gameboard(DEFAULT_BOARD_SIZE);
+            const { ship } = other.placeShip(0, 0, 2, DIRECTIONS.EAST);
+
+            expect(gameboard.removeShip(ship)).toBe(false);
+        });
+
+        test("refuses to remove a ship that has been hit", () => {
+            const { ship } = gameboard.placeShip(0, 0, 3, DIRECTIONS.EAST);
+            gameboard.receiveAttack(0, 0);
+
+            expect(() => gameboard.removeShip(ship)).toThrow(/already been hit/);
+        });
+
+        test("clear() removes every ship and attack", () => {
+            gameboard.placeShip(0, 0, 3, DIRECTIONS.EAST);
+            gameboard.receiveAttack(5, 5);
+
+            gameboard.clear();
+
+            expect(gameboard.ships).toHaveLength(0);
+            expect(gameboard.board.flat().every((cell) => cell === null)).toBe(true);
+        });
+    });
+
+    describe("receiveVolley() Tests", () => {
+        let gameboard;
+
+        beforeEach(() => {
+            gameboard = new Gameboard(DEFAULT_BOARD_SIZE);
+            gameboard.placeShip(0, 0, 2, DIRECTIONS.EAST);
+        });
+
+        test("resolves every shot in order", () => {
+            expect(
+                gameboard.receiveVolley([
+                    { x: 0, y: 0 },
+                    { x: 5, y: 5 },
+                    { x: 1, y: 0 },
+                ])
+            ).toEqual([
+                { result: ATTACK_RESULTS.HIT, x: 0, y: 0 },
+                { result: ATTACK_RESULTS.MISS, x: 5, y: 5 },
+                { result: ATTACK_RESULTS.SUNK_ALL, x: 1, y: 0 },
+            ]);
+        });
+
+        test("leaves the board untouched if any shot is invalid", () => {
+            gameboard.receiveAttack(3, 3);
+            const before = gameboard.displayBoard();
+
+            expect(() =>
+                gameboard.receiveVolley([
+                    { x: 0, y: 0 },
+                    { x: 3, y: 3 },
+                ])
+            ).toThrow(/already been attacked/);
+            expect(() =>
+                gameboard.receiveVolley([
+                    { x: 0, y: 0 },
+                    { x: 0, y: 0 },
+                ])
+            ).toThrow(/more than once/);
+            expect(() =>
+                gameboard.receiveVolley([
+                    { x: 0, y: 0 },
+                    { x: DEFAULT_BOARD_SIZE, y: 0 },
+                ])
+            ).toThrow(RangeError);
+            expect(gameboard.displayBoard()).toBe(before);
+        });
+
+        test("rejects an empty volley", () => {
+            expect(() => gameboard.receiveVolley([])).toThrow(TypeError);
+        });
+    });
+
+    describe("receiveWeapon() Tests", () => {
+        let gameboard;
+
+        beforeEach(() => {
+            gameboard = new Gameboard(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE, { islands: [{ x: 2, y: 2 }] });
+            gameboard.placeShip(1, 1, 2, DIRECTIONS.EAST);
+            gameboard.placeShip(5, 5, 3, DIRECTIONS.EAST);
+        });
+
+        test("a bomb fires at every open cell around its aim, skipping islands and cells already hit", () => {
+            gameboard.receiveAttack(0, 0);
+
+            const strike = gameboard.receiveWeapon(WEAPONS.BOMB, 1, 1);
+
+            expect(strike.cells).toHaveLength(9);
+            expect(strike.shots).toHaveLength(7);
+            expect(strike.shots).toContainEqual({ result: ATTACK_RESULTS.HIT, x: 1, y: 1 });
+            expect(strike.shots.map(({ x, y }) => `${x},${y}`)).not.toContain("2,2");
+            expect(strike.result).toBe(ATTACK_RESULTS.SUNK);
+            expect(gameboard.board[2][0]).toBe(CELL_STATES.MISS);
+        });
+
+        test("a line strike fires down a whole column", () => {
+            const strike = gameboard.receiveWeapon(WEAPONS.LINE_STRIKE, 6, 0, STRIKE_AXES.COLUMN);
+
+            expect(strike.shots).toHaveLength(DEFAULT_BOARD_SIZE);
+            expect(strike.result).toBe(ATTACK_RESULTS.HIT);
+            expect(gameboard.board[5][6]).toBe(CELL_STATES.HIT);
+        });
+
+        test("sonar reports whether a ship is in the area without firing", () => {
+            const before = gameboard.displayBoard();
+
+            expect(gameboard.receiveWeapon(WEAPONS.SONAR, 4, 6)).toMatchObject({
+                result: SONAR_RESULTS.CONTACT,
+                shots: [],
+            });
+            expect(gameboard.receiveWeapon(WEAPONS.SONAR, 8, 1).result).toBe(SONAR_RESULTS.CLEAR);
+            expect(gameboard.displayBoard()).toBe(before);
+        });
+
+        test("throws when there is nothing left to fire at", () => {
+            gameboard.receiveWeapon(WEAPONS.BOMB, 8, 8);
+
+            expect(() => gameboard.receiveWeapon(WEAPONS.BOMB, 9, 9)).toThrow(/nothing left to attack/);
+            expect(() => gameboard.receiveWeapon(WEAPONS.SONAR, 9, 9)).not.toThrow();
+            expect(() => gameboard.receiveWeapon(WEAPONS.BOMB, DEFAULT_BOARD_SIZE, 0)).toThrow(RangeError);
+            expect(() => gameboard.receiveWeapon("torpedo", 0, 0)).toThrow(TypeError);
+        });
+    });
+
+    describe("Serialization Tests", () => {
+        test("round-trips ships, hits and misses", () => {
+            const gameboard = new Gameboard(8);
+            gameboard.placeShip(0, 0, 3, DIRECTIONS.EAST);
+            gameboard.placeShip(5, 5, 2, DIRECTIONS.SOUTH);
+            gameboard.receiveAttack(1, 0);
+            gameboard.receiveAttack(7, 7);
+
+            const restored = Gameboard.fromJSON(JSON.parse(JSON.stringify(gameboard)));
+
+            expect(restored).toMatchObject({ width: 8, height: 8 });
+            expect(restored.displayBoard()).toBe(gameboard.displayBoard());
+            expect(restored.ships.map((ship) => ship.hits)).toEqual([1, 0]);
+            expect(restored.getShipCells(restored.ships[1])).toEqual(gameboard.getShipCells(gameboard.ships[1]));
+        });
+
+        test("round-trips a rectangular board", () => {
+            const gameboard = new Gameboard(9, 6);
+            gameboard.placeShip(8, 1, 4, DIRECTIONS.SOUTH);
+            gameboard.receiveAttack(8, 5);
+
+            const restored = Gameboard.fromJSON(JSON.parse(JSON.stringify(gameboard)));
+
+            expect([restored.width, restored.height]).toEqual([9, 6]);
+            expect(restored.displayBoard()).toBe(gameboard.displayBoard());
+        });
+
+        test("round-trips shaped ships", () => {
+            const gameboard = new Gameboard();
+            gameboard.placeShip(2, 2, "plus", DIRECTIONS.EAST);
+            gameboard.placeShip(7, 7, "L", DIRECTIONS.WEST, true);
+            gameboard.receiveAttack(3, 1);
+
+            const restored = Gameboard.fromJSON(JSON.parse(JSON.stringify(gameboard)));
+
+            expect(restored.ships.map((ship) => ship.shape)).toEqual(["plus", "L"]);
+            expect(restored.getShipCells(restored.ships[1])).toEqual(gameboard.getShipCells(gameboard.ships[1]));
+            expect(restored.displayBoard()).toBe(gameboard.displayBoard());
+        });
+
+        test("restored ships are shared between their cells", () => {
+            const gameboard = new Gameboard(DEFAULT_BOARD_SIZE);
+            gameboard.placeShip(0, 0, 2, DIRECTIONS.EAST);
+            gameboard.receiveAttack(0, 0);
+
+            const restored = Gameboard.fromJSON(JSON.parse(JSON.stringify(gameboard)));
+
+            expect(restored.receiveAttack(1, 0)).toBe(ATTACK_RESULTS.SUNK_ALL);
+        });
+
+        describe("fromJSON() Validation", () => {
+            let data;
+
+            beforeEach(() => {
+                const gameboard = new Gameboard(MIN_BOARD_SIZE);
+                gameboard.placeShip(0, 0, 2, DIRECTIONS.EAST);
+                gameboard.receiveAttack(0, 0);
+                gameboard.receiveAttack(4, 4);
+                data = JSON.parse(JSON.stringify(gameboard));
+            });
+
+            test("accepts unmodified data", () => {
+                expect(data.version).toBe(SCHEMA_VERSION);
+                expect(() => Gameboard.fromJSON(data)).not.toThrow();
+            });
+
+            test("rejects an unsupported version", () => {
+                data.version = SCHEMA_VERSION + 1;
+                expect(() => Gameboard.fromJSON(data)).toThrow(/unsupported schema version/);
+            });
+
+            test("rejects an invalid size", () => {
+                data.width = MAX_BOARD_SIZE + 1;
+                expect(() => Gameboard.fromJSON(data)).toThrow(/gameboard width/);
+            });
+
+            test("rejects a missing height", () => {
+                delete data.height;
+                expect(() => Gameboard.fromJSON(data)).toThrow(/gameboard height/);
+            });
+
+            test("rejects cells that don't form the ship's shape", () => {
+                data.ships[0].cells[1] = { x: 1, y: 1, hit: false };
+                expect(() => Gameboard.fromJSON(data)).toThrow(/don't form a straight ship/);
+            });
+
+            test("rejects cells outside the board", () => {
+                data.ships[0].cells[1].x = MIN_BOARD_SIZE;
+                expect(() => Gameboard.fromJSON(data)).toThrow(/ships\[0\]\.cells\[1\]\.x/);
+            });
+
+            test("rejects a ship with the wrong number of cells", () => {
+                data.ships[0].cells.pop();
+                expect(() => Gameboard.fromJSON(data)).toThrow(/expected 2 cells/);
+            });
+
+            test("rejects a hit count that doesn't match the hit cells", () => {
+                data.ships[0].hits = 0;
+                expect(() => Gameboard.fromJSON(data)).toThrow(/0 hits recorded but 1 cells are hit/);
+            });
+
+            test("rejects overlapping cells", () => {
+                data.misses.push({ x: 1, y: 0 });
+                expect(() => Gameboard.fromJSON(data)).toThrow(/used more than once/);
+            });
+
+            test("rejects missing arrays", () => {
+                delete data.misses;
+                expect(() => Gameboard.fromJSON(data)).toThrow(TypeError);
+            });
+        });
+    });
 });
@@ -0,0 +1,364 @@
+import {
+    GridPainter,
+    playerBoardLooks,
+    opponentBoardLooks,
+    lookKey,
+    paintSquare,
+    __testing__,
+} from "../views/GridPainter.js";
+import Gameboard from "../models/Gameboard.js";
+import { MIN_BOARD_SIZE, DEFAULT_BOARD_SIZE, DIRECTIONS, SONAR_RESULTS } from "../models/Constants.js";
+
+const { shipGrid, shipOutline, playerSquareLook, opponentSquareLook } = __testing__;
+
+// Minimal stand-in for a grid square: just the parts of an element paintSquare() uses
+function createSquare(x, y) {
+    const attributes = new Map();
+    const square = {
+        classList: new Set(),
+        dataset: { x: String(x), y: String(y) },
+        children: [],
+        ownerDocument: { createElement: () => ({ classList: new Set() }) },
+        replaceChildren: (...children) => (square.children = children),
+        setAttribute: (name, value) => attributes.set(name, value),
+        getAttribute: (name) => attributes.get(name) ?? null,
+    };
+    square.classList.remove = (...names) => names.forEach((name) => square.classList.delete(name));
+    square.classList.add = (...names) => names.forEach((name) => Set.prototype.add.call(square.classList, name));
+    return square;
+}
+
+// Builds grids of fake squares, counting how often it's asked to
+function createBuild() {
+    return jest.fn((board) =>
+        Array.from({ length: board.height }, (_, y) =>
+            Array.from({ length: board.width }, (__, x) => createSquare(x, y))
+        )
+    );
+}
+
+describe("GridPainter Tests", () => {
+    let board, build, paint, painter;
+
+    beforeEach(() => {
+        board = new Gameboard(MIN_BOARD_SIZE);
+        board.placeShip(0, 0, 2, DIRECTIONS.EAST);
+        build = createBuild();
+        paint = jest.fn();
+        painter = new GridPainter(build, paint);
+        painter.fit(board);
+    });
+
+    describe("fit()", () => {
+        test("builds a grid the size of the board", () => {
+            expect(build).toHaveBeenCalledTimes(1);
+            expect(painter.squares).toHaveLength(MIN_BOARD_SIZE);
+            expect(painter.squares[0]).toHaveLength(MIN_BOARD_SIZE);
+        });
+
+        test("keeps the grid for another board of the same size", () => {
+            expect(painter.fit(new Gameboard(MIN_BOARD_SIZE))).toBe(false);
+            expect(build).toHaveBeenCalledTimes(1);
+        });
+
+        test("rebuilds the grid only when the width or height changes", () => {
+            expect(painter.fit(new Gameboard(MIN_BOARD_SIZE + 1, MIN_BOARD_SIZE))).toBe(true);
+            expect(painter.fit(new Gameboard(MIN_BOARD_SIZE + 1, MIN_BOARD_SIZE))).toBe(false);
+            expect(painter.fit(new Gameboard(MIN_BOARD_SIZE + 1, MIN_BOARD_SIZE + 1))).toBe(true);
+            expect(build).toHaveBeenCalledTimes(3);
+            expect(painter.squares).toHaveLength(MIN_BOARD_SIZE + 1);
+        });
+
+        test("paints a rebuilt grid from scratch", () => {
+            painter.paint(playerBoardLooks(board));
+
+            const wide = new Gameboard(MIN_BOARD_SIZE + 1, MIN_BOARD_SIZE);
+            painter.fit(wide);
+            expect(painter.paint(playerBoardLooks(wide))).toHaveLength((MIN_BOARD_SIZE + 1) * MIN_BOARD_SIZE);
+        });
+    });
+
+    describe("paint()", () => {
+        test("paints every square the first time", () => {
+            expect(painter.paint(opponentBoardLooks(board))).toHaveLength(MIN_BOARD_SIZE * MIN_BOARD_SIZE);
+            expect(paint).toHaveBeenCalledTimes(MIN_BOARD_SIZE * MIN_BOARD_SIZE);
+        });
+
+        test("never repaints a square whose look hasn't changed", () => {
+            painter.paint(opponentBoardLooks(board));
+            paint.mockClear();
+
+            expect(painter.paint(opponentBoardLooks(board))).toEqual([]);
+            expect(paint).not.toHaveBeenCalled();
+        });
+
+        test("repaints just the square a miss or a hit landed on", () => {
+            painter.paint(opponentBoardLooks(board));
+
+            board.receiveAttack(3, 3);
+            expect(painter.paint(opponentBoardLooks(board))).toEqual([{ x: 3, y: 3 }]);
+            board.receiveAttack(0, 0);
+            expect(painter.paint(opponentBoardLooks(board))).toEqual([{ x: 0, y: 0 }]);
+        });
+
+        test("repaints the whole ship an attack sinks, to outline it", () => {
+            board.receiveAttack(0, 0);
+            painter.paint(playerBoardLooks(board));
+
+            board.receiveAttack(1, 0);
+            expect(painter.paint(playerBoardLooks(board))).toEqual([
+                { x: 0, y: 0 },
+                { x: 1, y: 0 },
+            ]);
+        });
+
+        test("paints each square with its look", () => {
+            board.receiveAttack(3, 3);
+            const lookAt = opponentBoardLooks(board);
+            painter.paint(lookAt);
+
+            expect(paint).toHaveBeenCalledWith(painter.squares[3][3], lookAt(3, 3));
+        });
+    });
+
+    test("forget() has a square repainted even though its look hasn't changed", () => {
+        painter.paint(opponentBoardLooks(board));
+        painter.forget(2, 1);
+
+        expect(painter.paint(opponentBoardLooks(board))).toEqual([{ x: 2, y: 1 }]);
+    });
+
+    describe("lookKey()", () => {
+        const look = { classes: ["ship", "sunk"], marker: "hit", clicked: true, label: "sunk" };
+
+        test("is the same for looks that look the same", () => {
+            expect(lookKey({ ...look, classes: [...look.classes] })).toBe(lookKey(look));
+        });
+
+        test("differs when anything about the look does", () => {
+            expect(lookKey({ ...look, classes: ["ship"] })).not.toBe(lookKey(look));
+            expect(lookKey({ ...look, marker: null })).not.toBe(lookKey(look));
+            expect(lookKey({ ...look, clicked: false })).not.toBe(lookKey(look));
+            expect(lookKey({ ...look, label: "hit" })).not.toBe(lookKey(look));
+        });
+    });
+
+    describe("paintSquare()", () => {
+        test("replaces the classes and marker of the square's old look", () => {
+            const square = createSquare(1, 6);
+            square.classList.add("targeted");
+            paintSquare(square, { classes: ["ship", "sunk"], marker: "hit", clicked: true, label: "sunk" });
+            paintSquare(square, { classes: ["clicked"], marker: null, clicked: true, label: "miss" });
+
+            expect([...square.classList]).toEqual(["targeted", "clicked"]);
+            expect(square.children).toEqual([]);
+            expect(square.dataset.clicked).toBe("true");
+        });
+
+        test("draws the marker in the square", () => {
+            const square = createSquare(0, 0);
+            paintSquare(square, { classes: [], marker: "miss", clicked: false, label: "miss" });
+
+            expect(square.children).toHaveLength(1);
+            expect([...square.children[0].classList]).toEqual(["miss"]);
+        });
+    });
+
+    describe("ship outlines", () => {
+        let board;
+
+        // The square's outline class and edges, with the ships still afloat revealed or not
+        const outlineAt = (x, y, revealAfloat = true) => shipOutline(shipGrid(board), x, y, revealAfloat);
+
+        beforeEach(() => {
+            board = new Gameboard(DEFAULT_BOARD_SIZE);
+        });
+
+        test("outlines a sunk straight ship along its sides and ends", () => {
+            board.placeShip(1, 1, 3, DIRECTIONS.EAST);
+            [1, 2, 3].forEach((x) => board.receiveAttack(x, 1));
+
+            expect(outlineAt(1, 1, false)).toEqual(["sunk", "edge-top", "edge-bottom", "edge-left"]);
+            expect(outlineAt(2, 1, false)).toEqual(["sunk", "edge-top", "edge-bottom"]);
+            expect(outlineAt(3, 1, false)).toEqual(["sunk", "edge-top", "edge-right", "edge-bottom"]);
+        });
+
+        test("follows the bend of an L", () => {
+            board.placeShip(1, 1, "L", DIRECTIONS.EAST);
+
+            expect(outlineAt(1, 1)).toEqual(["revealed", "edge-top", "edge-bottom", "edge-left"]);
+            expect(outlineAt(2, 1)).toEqual(["revealed", "edge-top", "edge-bottom"]);
+            expect(outlineAt(3, 1)).toEqual(["revealed", "edge-top", "edge-right"]);
+            expect(outlineAt(3, 2)).toEqual(["revealed", "edge-right", "edge-bottom", "edge-left"]);
+        });
+
+        test("leaves open the side a T's stem joins", () => {
+            board.placeShip(1, 5, "T", DIRECTIONS.EAST);
+
+            expect(outlineAt(2, 5)).toEqual(["revealed", "edge-top"]);
+            expect(outlineAt(2, 6)).toEqual(["revealed", "edge-right", "edge-bottom", "edge-left"]);
+        });
+
+        test("gives the middle of a plus no edges at all", () => {
+            board.placeShip(5, 5, "plus", DIRECTIONS.EAST);
+
+            expect(outlineAt(6, 5)).toEqual(["revealed"]);
+            expect(outlineAt(6, 4)).toEqual(["revealed", "edge-top", "edge-right", "edge-left"]);
+            expect(outlineAt(5, 5)).toEqual(["revealed", "edge-top", "edge-bottom", "edge-left"]);
+        });
+
+        test("draws the edge between two touching ships", () => {
+            board.placeShip(0, 8, 2, DIRECTIONS.EAST);
+            board.placeShip(0, 9, 2, DIRECTIONS.EAST);
+
+            expect(outlineAt(0, 8)).toEqual(["revealed", "edge-top", "edge-bottom", "edge-left"]);
+            expect(outlineAt(0, 9)).toEqual(["revealed", "edge-top", "edge-bottom", "edge-left"]);
+        });
+
+        test("doesn't outline ships still afloat until they're revealed", () => {
+            board.placeShip(1, 1, 3, DIRECTIONS.EAST);
+            board.receiveAttack(1, 1);
+
+            expect(outlineAt(1, 1, false)).toEqual([]);
+            expect(outlineAt(0, 0)).toEqual([]);
+        });
+
+        test("marks each ship sunk or revealed once the game is over", () => {
+            board.placeShip(0, 0, 2, DIRECTIONS.EAST);
+            board.placeShip(0, 2, 2, DIRECTIONS.EAST);
+            board.receiveAttack(0, 0);
+            board.receiveAttack(1, 0);
+            board.receiveAttack(0, 2);
+            const lookAt = opponentBoardLooks(board, { gameOver: true });
+
+            expect(lookAt(0, 0)).toMatchObject({ label: "sunk", marker: "hit", clicked: true });
+            expect(lookAt(0, 0).classes).toContain("sunk");
+            // A hit on a surviving ship keeps its marker, and the rest of the ship is shown but was never fired at
+            expect(lookAt(0, 2)).toMatchObject({ label: "hit, revealed", marker: "hit", clicked: true });
+            expect(lookAt(1, 2)).toMatchObject({ label: "ship, revealed", marker: null, clicked: false });
+            expect(lookAt(1, 2).classes).toEqual(["revealed", "edge-top", "edge-right", "edge-bottom"]);
+        });
+    });
+
+    describe("opponent squares before the game is over", () => {
+        let board, lookAt;
+
+        beforeEach(() => {
+            board = new Gameboard(MIN_BOARD_SIZE);
+            board.placeShip(0, 0, 2, DIRECTIONS.EAST);
+            board.placeShip(0, 2, 2, DIRECTIONS.EAST);
+            board.placeMine(4, 4);
+            board.receiveAttack(0, 0);
+            lookAt = opponentBoardLooks(board);
+        });
+
+        test("hide ships and mines that haven't been fired on", () => {
+            for (const [x, y] of [
+                [1, 0],
+                [0, 2],
+                [4, 4],
+                [3, 3],
+            ]) {
+                expect(lookAt(x, y)).toEqual({ classes: [], marker: null, clicked: false, label: "not fired at" });
+            }
+        });
+
+        test("show a hit without giving away the rest of the ship", () => {
+            expect(lookAt(0, 0)).toEqual({ classes: ["clicked"], marker: "hit", clicked: true, label: "hit" });
+        });
+
+        test("show spectators every ship and mine", () => {
+            lookAt = opponentBoardLooks(board, { revealShips: true });
+
+            expect(lookAt(1, 0)).toMatchObject({ classes: ["ship"], clicked: false, label: "ship" });
+            expect(lookAt(4, 4)).toMatchObject({ classes: ["mine"], clicked: false, label: "mine" });
+        });
+
+        test("hide a ship that has been fired on but not sunk, even with its outline worked out", () => {
+            const outline = shipOutline(shipGrid(board), 1, 0, false);
+            expect(opponentSquareLook(board.board[0][1], { revealShips: false, outline })).toMatchObject({
+                classes: [],
+                label: "not fired at",
+            });
+        });
+    });
+
+    describe("islands next to ships", () => {
+        let board;
+
+        beforeEach(() => {
+            board = new Gameboard(MIN_BOARD_SIZE, MIN_BOARD_SIZE, { islands: [{ x: 2, y: 0 }] });
+            board.placeShip(0, 0, 2, DIRECTIONS.EAST);
+        });
+
+        test("show on the opponent's board as land that can't be fired at", () => {
+            expect(opponentBoardLooks(board)(2, 0)).toEqual({
+                classes: ["clicked", "island"],
+                marker: null,
+                clicked: true,
+                label: "island",
+            });
+            expect(playerSquareLook(board.board[0][2], [])).toMatchObject({ classes: ["island"], label: "island" });
+        });
+
+        test("don't give away the ship beside them", () => {
+            expect(opponentBoardLooks(board)(1, 0)).toMatchObject({ classes: [], label: "not fired at" });
+        });
+
+        test("are never part of a ship's outline, which runs between the ship and the island", () => {
+            board.receiveAttack(0, 0);
+            board.receiveAttack(1, 0);
+            const ships = shipGrid(board);
+
+            expect(shipOutline(ships, 2, 0, true)).toEqual([]);
+            expect(shipOutline(ships, 1, 0, true)).toEqual(["sunk", "edge-top", "edge-right", "edge-bottom"]);
+            expect(playerBoardLooks(board)(2, 0).classes).toEqual(["island"]);
+        });
+    });
+
+    describe("screen reader labels", () => {
+        let board;
+
+        // The aria-label a square is painted with
+        const labelOf = (lookAt, x, y) => {
+            const square = createSquare(x, y);
+            paintSquare(square, lookAt(x, y));
+            return square.getAttribute("aria-label");
+        };
+
+        beforeEach(() => {
+            board = new Gameboard(DEFAULT_BOARD_SIZE);
+            board.placeShip(0, 0, 2, DIRECTIONS.EAST);
+            board.placeShip(2, 2, 3, DIRECTIONS.SOUTH);
+        });
+
+        test("name the square, then what's on it", () => {
+            board.receiveAttack(1, 6);
+            board.receiveAttack(2, 3);
+
+            expect(labelOf(opponentBoardLooks(board), 1, 6)).toBe("B7, miss");
+            expect(labelOf(opponentBoardLooks(board), 2, 3)).toBe("C4, hit");
+            expect(labelOf(opponentBoardLooks(board), 9, 9)).toBe("J10, not fired at");
+            expect(labelOf(playerBoardLooks(board), 9, 9)).toBe("J10, water");
+            expect(labelOf(playerBoardLooks(board), 2, 2)).toBe("C3, ship");
+        });
+
+        test("tell sunk ships from the ones revealed at the end of the game", () => {
+            board.receiveAttack(0, 0);
+            board.receiveAttack(1, 0);
+            board.receiveAttack(2, 3);
+            const lookAt = opponentBoardLooks(board, { gameOver: true });
+
+            expect(labelOf(lookAt, 0, 0)).toBe("A1, sunk");
+            expect(labelOf(lookAt, 2, 2)).toBe("C3, ship, revealed");
+            expect(labelOf(lookAt, 2, 3)).toBe("C4, hit, revealed");
+            expect(labelOf(playerBoardLooks(board), 1, 0)).toBe("B1, sunk");
+        });
+
+        test("say what a sonar ping found", () => {
+            const pings = [{ x: 2, y: 3, result: SONAR_RESULTS.CONTACT }];
+
+            expect(labelOf(opponentBoardLooks(board, { pings }), 3, 4)).toBe("D5, not fired at, sonar contact");
+        });
+    });
+});
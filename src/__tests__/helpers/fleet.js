@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Fleet set-up shared by the test suites that play whole games.
+ *
+ * @module fleet
+ */
+
+import { DIRECTIONS } from "../../models/Constants.js";
+
+/**
+ * Places a MIN_BOARD_SIZE fleet - two 2-long ships, at the left of the top and third rows
+ * @param {Player} player
+ */
+export function placeFleet(player) {
+    player.gameboard.placeShip(0, 0, 2, DIRECTIONS.EAST);
+    player.gameboard.placeShip(0, 2, 2, DIRECTIONS.EAST);
+}
@@ -0,0 +1,112 @@
+import { SpectatorPlayback } from "../utils/playback.js";
+
+describe("SpectatorPlayback Tests", () => {
+    let playback, fired;
+
+    // Counts the shots let go so far
+    function queueShot() {
+        playback.waitForShot().then(() => fired++);
+    }
+
+    // Lets any released shots' promise callbacks run
+    const settle = () => Promise.resolve();
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        playback = new SpectatorPlayback({ delayMs: 1000 });
+        fired = 0;
+    });
+
+    afterEach(() => {
+        playback.stop();
+        jest.useRealTimers();
+    });
+
+    test("lets each shot go after the delay while playing", async () => {
+        queueShot();
+        jest.advanceTimersByTime(999);
+        await settle();
+        expect(fired).toBe(0);
+
+        jest.advanceTimersByTime(1);
+        await settle();
+        expect(fired).toBe(1);
+        expect(playback.waiting).toBe(false);
+    });
+
+    test("pausing stops the loop", async () => {
+        queueShot();
+        playback.setPlaying(false);
+        jest.advanceTimersByTime(60000);
+        await settle();
+
+        expect(fired).toBe(0);
+        expect(playback.waiting).toBe(true);
+    });
+
+    test("step lets exactly one shot go while paused", async () => {
+        playback.setPlaying(false);
+        queueShot();
+        expect(playback.step()).toBe(true);
+        await settle();
+        expect(fired).toBe(1);
+
+        // Nothing is waiting until the next shot is queued
+        expect(playback.step()).toBe(false);
+        queueShot();
+        jest.advanceTimersByTime(60000);
+        await settle();
+        expect(fired).toBe(1);
+    });
+
+    test("step does nothing while playing", async () => {
+        queueShot();
+        expect(playback.step()).toBe(false);
+        await settle();
+        expect(fired).toBe(0);
+    });
+
+    test("playing again waits a whole delay before the next shot", async () => {
+        playback.setPlaying(false);
+        queueShot();
+        playback.setPlaying(true);
+        jest.advanceTimersByTime(999);
+        await settle();
+        expect(fired).toBe(0);
+
+        jest.advanceTimersByTime(1);
+        await settle();
+        expect(fired).toBe(1);
+    });
+
+    test("a new speed takes effect on the shot being waited for", async () => {
+        queueShot();
+        jest.advanceTimersByTime(500);
+        playback.setDelay(200);
+        expect(playback.delayMs).toBe(200);
+
+        jest.advanceTimersByTime(200);
+        await settle();
+        expect(fired).toBe(1);
+
+        queueShot();
+        jest.advanceTimersByTime(200);
+        await settle();
+        expect(fired).toBe(2);
+    });
+
+    test("rejects a negative or missing delay", () => {
+        expect(() => playback.setDelay(-1)).toThrow(RangeError);
+        expect(() => playback.setDelay(NaN)).toThrow(RangeError);
+    });
+
+    test("stopping drops the waiting shot", async () => {
+        queueShot();
+        playback.stop();
+        jest.advanceTimersByTime(60000);
+        await settle();
+
+        expect(fired).toBe(0);
+        expect(playback.waiting).toBe(false);
+    });
+});
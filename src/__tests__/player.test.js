@@ -1,4 +1,6 @@
-import { RealPlayer, ComputerPlayer } from "../models/Player.js";
+import { RealPlayer, ComputerPlayer, playerFromJSON } from "../models/Player.js";
+import { SCHEMA_VERSION } from "../models/schema.js";
+import { SeededRandom } from "../utils/random.js";
 import Gameboard from "../models/Gameboard.js";
 import {
     MIN_BOARD_SIZE,
@@ -7,6 +9,9 @@ import {
     DIRECTIONS,
     ATTACK_RESULTS,
     DEFAULT_COMPUTER_NAME,
+    WEAPONS,
+    WEAPON_SUPPLY,
+    SONAR_RESULTS,
 } from "../models/Constants.js";
 
 describe("Player Classes Tests", () => {
@@ -16,13 +21,13 @@ describe("Player Classes Tests", () => {
                 const player = new RealPlayer("Alice");
                 expect(player.name).toBe("Alice");
                 expect(player.gameboard).toBeInstanceOf(Gameboard);
-                expect(player.gameboard.size).toBe(DEFAULT_BOARD_SIZE);
+                expect(player.gameboard).toMatchObject({ width: DEFAULT_BOARD_SIZE, height: DEFAULT_BOARD_SIZE });
             });
 
             test("creates player with custom board size", () => {
                 const player = new RealPlayer("Bob", 8);
                 expect(player.name).toBe("Bob");
-                expect(player.gameboard.size).toBe(8);
+                expect(player.gameboard).toMatchObject({ width: 8, height: 8 });
             });
 
             test("trims whitespace from player name", () => {
@@ -128,7 +133,7 @@ describe("Player Classes Tests", () => {
                 const computer = new ComputerPlayer();
                 expect(computer.name).toBe(DEFAULT_COMPUTER_NAME);
                 expect(computer.gameboard).toBeInstanceOf(Gameboard);
-                expect(computer.gameboard.size).toBe(DEFAULT_BOARD_SIZE);
+                expect(computer.gameboard).toMatchObject({ width: DEFAULT_BOARD_SIZE, height: DEFAULT_BOARD_SIZE });
             });
 
             test("creates computer player with custom name", () => {
@@ -138,7 +143,7 @@ describe("Player Classes Tests", () => {
 
             test("creates computer player with custom board size", () => {
                 const computer = new ComputerPlayer("AI", 8);
-                expect(computer.gameboard.size).toBe(8);
+                expect(computer.gameboard).toMatchObject({ width: 8, height: 8 });
             });
 
             test("throws TypeError for invalid name", () => {
@@ -201,6 +206,291 @@ describe("Player Classes Tests", () => {
                 // Next attack should fail because all cells attacked
                 expect(() => computer.attack(opponent.gameboard)).toThrow();
             });
+
+            test.each(["random", "hunt", "smart"])(
+                "%s strategy covers every cell of a rectangular board",
+                (strategy) => {
+                    const rectangular = new ComputerPlayer(
+                        "AI",
+                        DEFAULT_BOARD_SIZE,
+                        strategy,
+                        new SeededRandom("rect")
+                    );
+                    const target = new Gameboard(MAX_BOARD_SIZE, MIN_BOARD_SIZE);
+                    target.placeShip(MAX_BOARD_SIZE - 1, 0, MIN_BOARD_SIZE, DIRECTIONS.SOUTH);
+
+                    const cells = new Set();
+                    for (let i = 0; i < target.cellCount; i++) {
+                        const { x, y } = rectangular.attack(target);
+                        cells.add(`${x},${y}`);
+                    }
+
+                    expect(cells.size).toBe(MAX_BOARD_SIZE * MIN_BOARD_SIZE);
+                    expect(() => rectangular.attack(target)).toThrow(/All cells have already been attacked/);
+                }
+            );
+        });
+
+        describe("attack() Method - Smart Strategy", () => {
+            let computer, opponent;
+
+            beforeEach(() => {
+                computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "smart");
+                opponent = new RealPlayer("Human", MIN_BOARD_SIZE);
+            });
+
+            test("fires at the most likely cell on an untouched board", () => {
+                opponent.gameboard.placeShip(0, 0, 3, DIRECTIONS.EAST);
+
+                const { x, y } = computer.attack(opponent.gameboard);
+
+                // The centre of a 5x5 board is covered by the most length-3 placements
+                expect([x, y]).toEqual([2, 2]);
+            });
+
+            test("targets the cells next to an unresolved hit", () => {
+                opponent.gameboard.placeShip(2, 2, 3, DIRECTIONS.EAST);
+                opponent.gameboard.receiveAttack(2, 2);
+
+                const { x, y } = computer.attack(opponent.gameboard);
+
+                expect([
+                    [1, 2],
+                    [3, 2],
+                    [2, 1],
+                    [2, 3],
+                ]).toContainEqual([x, y]);
+            });
+
+            test("takes sunk ships out of the count", () => {
+                opponent.gameboard.placeShip(0, 0, 2, DIRECTIONS.EAST);
+                opponent.gameboard.placeShip(0, 4, 5, DIRECTIONS.EAST);
+                opponent.gameboard.receiveAttack(0, 0);
+                opponent.gameboard.receiveAttack(1, 0); // Sinks the 2-length ship
+
+                const { x, y } = computer.attack(opponent.gameboard);
+
+                // Only the 5-length ship remains, and it can't pass through the sunk ship's cells
+                expect(x).toBeGreaterThanOrEqual(2);
+                expect(y).toBeGreaterThanOrEqual(1);
+            });
+
+            test("sinks every ship without repeating an attack", () => {
+                opponent.gameboard.placeShip(0, 0, 3, DIRECTIONS.SOUTH);
+                opponent.gameboard.placeShip(2, 4, 2, DIRECTIONS.EAST);
+
+                let result;
+                let attackCount = 0;
+                while (result !== ATTACK_RESULTS.SUNK_ALL) {
+                    result = computer.attack(opponent.gameboard).result;
+                    attackCount++;
+                }
+
+                expect(attackCount).toBeLessThanOrEqual(MIN_BOARD_SIZE ** 2);
+            });
+        });
+
+        describe("attack() Method - Shaped Ships", () => {
+            test.each(["random", "hunt", "smart"])("%s strategy sinks a fleet of shaped ships", (strategy) => {
+                const computer = new ComputerPlayer("AI", DEFAULT_BOARD_SIZE, strategy, new SeededRandom("shapes"));
+                const target = new Gameboard();
+                target.placeShip(1, 1, "plus", DIRECTIONS.EAST);
+                target.placeShip(8, 2, "L", DIRECTIONS.SOUTH, true);
+                target.placeShip(3, 8, "T", DIRECTIONS.NORTH);
+
+                let result;
+                let attackCount = 0;
+                while (result !== ATTACK_RESULTS.SUNK_ALL) {
+                    result = computer.attack(target).result;
+                    attackCount++;
+                }
+
+                expect(attackCount).toBeLessThanOrEqual(target.cellCount);
+            });
+
+            test("smart strategy follows a hit around the corner of an L", () => {
+                const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "smart");
+                const target = new Gameboard(MIN_BOARD_SIZE);
+                target.placeShip(0, 0, "L", DIRECTIONS.EAST);
+                for (const [x, y] of [
+                    [0, 0],
+                    [1, 0],
+                    [2, 0],
+                ]) {
+                    target.receiveAttack(x, y);
+                }
+                target.receiveAttack(3, 0); // Miss past the end of the L
+
+                const { x, y } = computer.attack(target);
+
+                // The last cell of the L is where it bends, below one end or the other
+                expect([
+                    [0, 1],
+                    [2, 1],
+                ]).toContainEqual([x, y]);
+            });
+        });
+
+        describe("attack() Method - No-Touching Rule", () => {
+            test.each(["random", "hunt", "smart"])("%s strategy never fires next to a sunk ship", (strategy) => {
+                const computer = new ComputerPlayer("AI", DEFAULT_BOARD_SIZE, strategy, new SeededRandom("apart"));
+                const target = new Gameboard(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE, { noTouching: true });
+                target.placeShip(0, 0, 2, DIRECTIONS.EAST);
+                target.placeShip(4, 4, 3, DIRECTIONS.SOUTH);
+                target.placeShip(7, 1, 4, DIRECTIONS.SOUTH);
+
+                const ruledOut = new Set();
+                let result;
+                while (result !== ATTACK_RESULTS.SUNK_ALL) {
+                    const attack = computer.attack(target);
+                    expect(ruledOut).not.toContain(`${attack.x},${attack.y}`);
+                    result = attack.result;
+
+                    if (result === ATTACK_RESULTS.SUNK) {
+                        const ship = target.getShipAt(attack.x, attack.y);
+                        for (const { x, y } of target.getShipCells(ship)) {
+                            for (const cell of target.getAdjacentCells(x, y)) ruledOut.add(`${cell.x},${cell.y}`);
+                        }
+                    }
+                }
+            });
+        });
+
+        describe("attack() Method - Islands", () => {
+            const islands = [
+                { x: 2, y: 2 },
+                { x: 3, y: 2 },
+                { x: 4, y: 0 },
+            ];
+
+            test.each(["random", "hunt", "smart"])("%s strategy sinks every ship around the islands", (strategy) => {
+                const computer = new ComputerPlayer("AI", DEFAULT_BOARD_SIZE, strategy, new SeededRandom("land"));
+                const target = new Gameboard(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE, { islands });
+                target.placeShip(1, 3, 4, DIRECTIONS.EAST);
+                target.placeShip(6, 7, 3, DIRECTIONS.SOUTH);
+
+                let result;
+                while (result !== ATTACK_RESULTS.SUNK_ALL) {
+                    result = computer.attack(target).result;
+                }
+                expect(target.getRemainingShips()).toHaveLength(0);
+            });
+
+            test("runs out of cells once all the water has been fired at", () => {
+                const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "random", new SeededRandom("land"));
+                const target = new Gameboard(MIN_BOARD_SIZE, MIN_BOARD_SIZE, { islands });
+
+                for (let i = 0; i < target.playableCellCount; i++) computer.attack(target);
+                expect(() => computer.attack(target)).toThrow("All cells have already been attacked");
+            });
+        });
+
+        describe("attack() Method - Mines", () => {
+            test.each(["random", "hunt", "smart"])(
+                "%s strategy skips water no ship could cover while mines are hidden",
+                (strategy) => {
+                    const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, strategy, new SeededRandom("mines"));
+                    const target = new Gameboard(MIN_BOARD_SIZE);
+                    target.placeShip(0, 0, 2, DIRECTIONS.EAST);
+                    target.placeMine(4, 4);
+                    // Hemmed in by misses, the corner can only hide water or the mine
+                    target.receiveAttack(3, 4);
+                    target.receiveAttack(4, 3);
+
+                    let result;
+                    while (result !== ATTACK_RESULTS.SUNK_ALL) {
+                        const attack = computer.attack(target);
+                        expect(attack).not.toMatchObject({ x: 4, y: 4 });
+                        result = attack.result;
+                    }
+                }
+            );
+
+            test.each(["random", "hunt", "smart"])(
+                "%s strategy never fires at cells a mine's retaliation already hit",
+                (strategy) => {
+                    const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, strategy, new SeededRandom("struck"));
+                    const target = new Gameboard(MIN_BOARD_SIZE);
+                    target.placeShip(0, 0, 3, DIRECTIONS.EAST);
+                    target.placeShip(2, 2, 2, DIRECTIONS.SOUTH);
+                    // Hits the computer didn't fire itself
+                    target.receiveAttack(1, 0);
+                    target.receiveAttack(4, 4);
+
+                    let result;
+                    while (result !== ATTACK_RESULTS.SUNK_ALL) {
+                        const attack = computer.attack(target);
+                        expect(["1,0", "4,4"]).not.toContain(`${attack.x},${attack.y}`);
+                        result = attack.result;
+                    }
+                }
+            );
+        });
+
+        describe("attackVolley() Method", () => {
+            test("picks distinct, unattacked targets for the whole volley", () => {
+                const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "smart");
+                const board = new Gameboard(MIN_BOARD_SIZE);
+                board.placeShip(0, 0, 3, DIRECTIONS.EAST);
+                board.receiveAttack(4, 4);
+
+                const volley = computer.attackVolley(board, 5);
+                const keys = volley.map(({ x, y }) => `${x},${y}`);
+
+                expect(volley).toHaveLength(5);
+                expect(new Set(keys).size).toBe(5);
+                expect(keys).not.toContain("4,4");
+            });
+        });
+
+        describe("useWeapon() Method", () => {
+            // Every 3x3 area of a 5x5 board crosses row 1 or row 3, so sonar always finds a ship
+            const crowdedBoard = () => {
+                const board = new Gameboard(MIN_BOARD_SIZE);
+                board.placeShip(0, 1, 5, DIRECTIONS.EAST);
+                board.placeShip(0, 3, 5, DIRECTIONS.EAST);
+                return board;
+            };
+
+            test("pings with sonar first, then bombs what it found", () => {
+                const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "smart", new SeededRandom("sonar"));
+                const board = crowdedBoard();
+
+                const ping = computer.useWeapon(board, { ...WEAPON_SUPPLY });
+                expect(ping).toMatchObject({ weapon: WEAPONS.SONAR, result: SONAR_RESULTS.CONTACT });
+
+                const bomb = computer.useWeapon(board, { ...WEAPON_SUPPLY, [WEAPONS.SONAR]: 1 });
+                expect(bomb).toMatchObject({ weapon: WEAPONS.BOMB, x: ping.x, y: ping.y });
+                expect(bomb.shots).toHaveLength(ping.cells.length);
+            });
+
+            test("finishes off a damaged ship with single shots", () => {
+                const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "smart");
+                const board = crowdedBoard();
+                board.receiveAttack(2, 1);
+
+                expect(computer.useWeapon(board, { ...WEAPON_SUPPLY })).toBeNull();
+            });
+
+            test("fires single shots once its weapons are used up", () => {
+                const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "smart");
+                const empty = Object.fromEntries(Object.values(WEAPONS).map((weapon) => [weapon, 0]));
+
+                expect(computer.useWeapon(crowdedBoard(), empty)).toBeNull();
+            });
+
+            test("never fires a single shot at a cell its weapons already hit", () => {
+                const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "random", new SeededRandom("bomb"));
+                const board = crowdedBoard();
+                const bomb = computer.useWeapon(board, {
+                    [WEAPONS.BOMB]: 1,
+                    [WEAPONS.LINE_STRIKE]: 0,
+                    [WEAPONS.SONAR]: 0,
+                });
+
+                for (let i = 0; i < MIN_BOARD_SIZE ** 2 - bomb.shots.length; i++) computer.attack(board);
+                expect(() => computer.attack(board)).toThrow("All cells have already been attacked");
+            });
         });
 
         describe("Integration Tests", () => {
@@ -294,4 +584,75 @@ describe("Player Classes Tests", () => {
             expect([ATTACK_RESULTS.HIT, ATTACK_RESULTS.MISS]).toContain(twoAttack.result);
         });
     });
+
+    describe("Serialization Tests", () => {
+        test("round-trips a human player", () => {
+            const player = new RealPlayer("Alice", 8);
+            player.gameboard.placeShip(0, 0, 3, DIRECTIONS.EAST);
+
+            const restored = playerFromJSON(JSON.parse(JSON.stringify(player)));
+
+            expect(restored).toBeInstanceOf(RealPlayer);
+            expect(restored.name).toBe("Alice");
+            expect(restored.gameboard.displayBoard()).toBe(player.gameboard.displayBoard());
+        });
+
+        test("round-trips a computer player's strategy and attack history", () => {
+            const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "hunt");
+            const opponent = new RealPlayer("Human", MIN_BOARD_SIZE);
+            for (let i = 0; i < MIN_BOARD_SIZE ** 2 - 1; i++) computer.attack(opponent.gameboard);
+
+            const restored = playerFromJSON(JSON.parse(JSON.stringify(computer)));
+            const restoredOpponent = playerFromJSON(JSON.parse(JSON.stringify(opponent)));
+
+            expect(restored).toBeInstanceOf(ComputerPlayer);
+            expect(restored.strategy).toBe("hunt");
+            // Only one cell is left, so the restored history must steer the AI straight to it
+            expect(() => restored.attack(restoredOpponent.gameboard)).not.toThrow();
+            expect(() => restored.attack(restoredOpponent.gameboard)).toThrow(/already been attacked/);
+        });
+
+        test("a restored computer carries on with the same random choices", () => {
+            const computer = new ComputerPlayer("AI", DEFAULT_BOARD_SIZE, "smart", new SeededRandom("resume"));
+            const opponent = new RealPlayer("Human", DEFAULT_BOARD_SIZE);
+            for (let i = 0; i < 5; i++) computer.attack(opponent.gameboard);
+
+            const restored = playerFromJSON(JSON.parse(JSON.stringify(computer)));
+            const restoredOpponent = playerFromJSON(JSON.parse(JSON.stringify(opponent)));
+
+            expect(restored.attack(restoredOpponent.gameboard)).toEqual(computer.attack(opponent.gameboard));
+        });
+
+        test("round-trips what a computer's sonar has found", () => {
+            const computer = new ComputerPlayer("AI", MIN_BOARD_SIZE, "smart", new SeededRandom("sonar"));
+            const board = new Gameboard(MIN_BOARD_SIZE);
+            board.placeShip(0, 1, 5, DIRECTIONS.EAST);
+            computer.useWeapon(board, { ...WEAPON_SUPPLY });
+
+            const data = JSON.parse(JSON.stringify(computer));
+            const restored = playerFromJSON(data);
+
+            // The ping either found the ship or ruled its area out
+            expect(data.contact !== null || data.cleared.length > 0).toBe(true);
+            expect(JSON.parse(JSON.stringify(restored))).toEqual(data);
+        });
+
+        test("fromJSON() rejects unknown player types and versions", () => {
+            const data = JSON.parse(JSON.stringify(new RealPlayer("Alice", MIN_BOARD_SIZE)));
+
+            expect(() => playerFromJSON({ ...data, type: "robot" })).toThrow(/player type/);
+            expect(() => playerFromJSON({ ...data, version: SCHEMA_VERSION + 1 })).toThrow(RangeError);
+            expect(() => playerFromJSON({ ...data, name: "" })).toThrow(TypeError);
+        });
+
+        test("fromJSON() rejects an unknown strategy, or attack history or sonar findings outside the board", () => {
+            const data = JSON.parse(JSON.stringify(new ComputerPlayer("AI", MIN_BOARD_SIZE)));
+
+            expect(() => playerFromJSON({ ...data, strategy: "psychic" })).toThrow(/player strategy/);
+            expect(() => playerFromJSON({ ...data, attackHistory: [`${MIN_BOARD_SIZE},0`] })).toThrow(RangeError);
+            expect(() => playerFromJSON({ ...data, attackHistory: ["A1"] })).toThrow(TypeError);
+            expect(() => playerFromJSON({ ...data, cleared: [`0,${MIN_BOARD_SIZE}`] })).toThrow(RangeError);
+            expect(() => playerFromJSON({ ...data, contact: { x: -1, y: 0 } })).toThrow(RangeError);
+        });
+    });
 });
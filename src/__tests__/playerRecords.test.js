@@ -0,0 +1,215 @@
+import PlayerRecords from "../models/PlayerRecords.js";
+import Game from "../models/Game.js";
+import { RealPlayer, ComputerPlayer } from "../models/Player.js";
+import { SCHEMA_VERSION } from "../models/schema.js";
+import { MIN_BOARD_SIZE, GAME_PHASES } from "../models/Constants.js";
+import { placeFleet } from "./helpers/fleet.js";
+
+// The cells of a board holding ships, or water, in reading order
+function cellsOf(player, ships) {
+    const cells = [];
+    for (let y = 0; y < MIN_BOARD_SIZE; y++) {
+        for (let x = 0; x < MIN_BOARD_SIZE; x++) {
+            if ((player.gameboard.getShipAt(x, y) !== null) === ships) cells.push({ x, y });
+        }
+    }
+    return cells;
+}
+
+// Plays a game out: the winner fires only at ships and a human loser only at water, while computers play themselves
+function playOut(game, winner) {
+    const targets = new Map(
+        game.players.map((player) => [player, cellsOf(game.opponentOf(player), player === winner)])
+    );
+    while (game.phase === GAME_PHASES.IN_PROGRESS) {
+        const player = game.currentPlayer;
+        if (player instanceof ComputerPlayer) {
+            game.playTurn(player);
+        } else {
+            const { x, y } = targets.get(player).shift();
+            game.playTurn(player, x, y);
+        }
+    }
+}
+
+describe("PlayerRecords Tests", () => {
+    let alice, bob, records;
+
+    function startGame(opponent, options = {}) {
+        const game = new Game(alice, opponent, options);
+        game.startPlacement();
+        placeFleet(alice);
+        if (opponent instanceof RealPlayer) placeFleet(opponent);
+        game.start();
+        return game;
+    }
+
+    beforeEach(() => {
+        alice = new RealPlayer("Alice", MIN_BOARD_SIZE);
+        bob = new RealPlayer("Bob", MIN_BOARD_SIZE);
+        records = new PlayerRecords();
+    });
+
+    test("records a finished game for both human players", () => {
+        const game = startGame(bob);
+        playOut(game, alice);
+
+        expect(records.recordGame(game)).toBe(true);
+        expect(records.getRecord("Alice")).toEqual({
+            name: "Alice",
+            games: 1,
+            wins: 1,
+            losses: 0,
+            shots: 4,
+            hits: 4,
+            accuracyTotal: 1,
+            accuracyGames: 1,
+            versusComputer: {},
+        });
+        expect(records.getRecord("Bob")).toMatchObject({
+            games: 1,
+            wins: 0,
+            losses: 1,
+            shots: 3,
+            hits: 0,
+            accuracyTotal: 0,
+            accuracyGames: 1,
+        });
+    });
+
+    test("adds up games played under the same name", () => {
+        const first = startGame(bob);
+        playOut(first, alice);
+        records.recordGame(first);
+
+        // Fresh players, as each game needs its own boards
+        alice = new RealPlayer("Alice", MIN_BOARD_SIZE);
+        bob = new RealPlayer("Bob", MIN_BOARD_SIZE);
+        const second = startGame(bob);
+        playOut(second, bob);
+        records.recordGame(second);
+
+        expect(records.getRecord("Alice")).toMatchObject({ games: 2, wins: 1, losses: 1, shots: 8, hits: 4 });
+        expect(records.records.map(({ name }) => name)).toEqual(["Alice", "Bob"]);
+    });
+
+    test("averages each game's accuracy, so long games don't count for more than short ones", () => {
+        // Alice hits 4 of her 5 shots and wins
+        const first = startGame(bob);
+        const shots = [
+            [0, 0],
+            [4, 4],
+            [4, 4],
+            [3, 3],
+            [1, 0],
+            [0, 0],
+            [0, 2],
+            [1, 0],
+            [1, 2],
+        ];
+        shots.forEach(([x, y], i) => first.playTurn(i % 2 === 0 ? alice : bob, x, y));
+        records.recordGame(first);
+
+        // Then misses all 4 of hers and loses
+        alice = new RealPlayer("Alice", MIN_BOARD_SIZE);
+        bob = new RealPlayer("Bob", MIN_BOARD_SIZE);
+        const second = startGame(bob);
+        playOut(second, bob);
+        records.recordGame(second);
+
+        const record = records.getRecord("Alice");
+        expect(record).toMatchObject({ shots: 9, hits: 4, accuracyTotal: 0.8, accuracyGames: 2 });
+        expect(PlayerRecords.getAverageAccuracy(record)).toBeCloseTo(0.4);
+    });
+
+    test("has no average accuracy without a shot fired", () => {
+        expect(PlayerRecords.getAverageAccuracy({ accuracyTotal: 0, accuracyGames: 0 })).toBeNull();
+    });
+
+    test("keeps results against each computer strategy, without a record for the computer", () => {
+        const game = startGame(new ComputerPlayer("AI", MIN_BOARD_SIZE, "hunt"));
+        playOut(game, alice);
+        records.recordGame(game);
+
+        expect(records.getRecord("Alice").versusComputer).toEqual({ hunt: { wins: 1, losses: 0 } });
+        expect(records.getRecord("AI")).toBeNull();
+    });
+
+    test("ignores unfinished and practice games", () => {
+        expect(records.recordGame(startGame(bob))).toBe(false);
+
+        alice = new RealPlayer("Alice", MIN_BOARD_SIZE);
+        const practice = startGame(new ComputerPlayer("AI", MIN_BOARD_SIZE), { practice: true });
+        playOut(practice, alice);
+        expect(records.recordGame(practice)).toBe(false);
+        expect(records.records).toEqual([]);
+    });
+
+    test("ignores a hot-seat game between two players with the same name", () => {
+        const game = startGame(new RealPlayer("Alice", MIN_BOARD_SIZE));
+        playOut(game, alice);
+
+        expect(records.recordGame(game)).toBe(false);
+        expect(records.getRecord("Alice")).toBeNull();
+    });
+
+    test("still records a game against a computer with the same name", () => {
+        const game = startGame(new ComputerPlayer("Alice", MIN_BOARD_SIZE, "random"));
+        playOut(game, alice);
+
+        expect(records.recordGame(game)).toBe(true);
+        expect(records.getRecord("Alice")).toMatchObject({ games: 1, wins: 1, versusComputer: { random: {} } });
+    });
+
+    test("survives a JSON round trip", () => {
+        const game = startGame(new ComputerPlayer("AI", MIN_BOARD_SIZE, "smart"));
+        playOut(game, alice);
+        records.recordGame(game);
+
+        const data = JSON.parse(JSON.stringify(records));
+        expect(data.version).toBe(SCHEMA_VERSION);
+        expect(PlayerRecords.fromJSON(data).records).toEqual(records.records);
+    });
+
+    describe("fromJSON validation", () => {
+        const record = {
+            name: "Alice",
+            games: 3,
+            wins: 2,
+            losses: 1,
+            shots: 20,
+            hits: 9,
+            accuracyTotal: 1.2,
+            accuracyGames: 3,
+            versusComputer: {},
+        };
+        const load = (players) => PlayerRecords.fromJSON({ version: SCHEMA_VERSION, players });
+
+        test("accepts a valid record", () => {
+            const versusComputer = { random: { wins: 1, losses: 0 }, smart: { wins: 0, losses: 1 } };
+            expect(load([{ ...record, versusComputer }]).getRecord("Alice").versusComputer).toEqual(versusComputer);
+        });
+
+        test("rejects the wrong shape", () => {
+            expect(() => PlayerRecords.fromJSON({ version: SCHEMA_VERSION })).toThrow(TypeError);
+            expect(() => load([{ ...record, name: "" }])).toThrow(TypeError);
+            expect(() => load([{ ...record, hits: 1.5 }])).toThrow(TypeError);
+            expect(() => load([{ ...record, accuracyTotal: "1.2" }])).toThrow(TypeError);
+        });
+
+        test("rejects records that don't add up", () => {
+            expect(() => load([{ ...record, losses: 2 }])).toThrow(RangeError);
+            expect(() => load([{ ...record, hits: 21 }])).toThrow(RangeError);
+            expect(() => load([{ ...record, accuracyGames: 4 }])).toThrow(RangeError);
+            expect(() => load([{ ...record, accuracyTotal: 3.5 }])).toThrow(RangeError);
+            expect(() => load([{ ...record, games: 30, wins: 20, losses: 10, accuracyGames: 21 }])).toThrow(/shots/);
+            expect(() => load([record, record])).toThrow(/repeated/);
+            expect(() => load([{ ...record, versusComputer: { genius: { wins: 0, losses: 0 } } }])).toThrow(RangeError);
+            expect(() => load([{ ...record, versusComputer: { hunt: { wins: 3, losses: 0 } } }])).toThrow(RangeError);
+        });
+
+        test("rejects an unsupported version", () => {
+            expect(() => PlayerRecords.fromJSON({ version: SCHEMA_VERSION + 1, players: [] })).toThrow(RangeError);
+        });
+    });
+});
@@ -0,0 +1,60 @@
+import { SeededRandom, generateSeed } from "../utils/random.js";
+
+describe("SeededRandom Tests", () => {
+    const draw = (random, count = 20) => Array.from({ length: count }, () => random.next());
+
+    test("the same seed gives the same sequence", () => {
+        expect(draw(new SeededRandom("battleship"))).toEqual(draw(new SeededRandom("battleship")));
+    });
+
+    test("different seeds give different sequences", () => {
+        expect(draw(new SeededRandom("battleship"))).not.toEqual(draw(new SeededRandom("battleships")));
+    });
+
+    test("next() stays within [0, 1) and nextInt() within [0, max)", () => {
+        const random = new SeededRandom("bounds");
+        for (let i = 0; i < 1000; i++) {
+            const value = random.next();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+
+            const int = random.nextInt(7);
+            expect(Number.isInteger(int)).toBe(true);
+            expect(int).toBeGreaterThanOrEqual(0);
+            expect(int).toBeLessThan(7);
+        }
+    });
+
+    test("derived streams are repeatable and independent of their parent", () => {
+        const parent = new SeededRandom("seed");
+        const first = draw(parent.derive("placement"));
+
+        draw(parent);
+
+        expect(draw(parent.derive("placement"))).toEqual(first);
+        expect(draw(parent.derive("player-1"))).not.toEqual(first);
+    });
+
+    test("fromJSON() carries on from the saved position", () => {
+        const random = new SeededRandom("resume");
+        draw(random, 5);
+
+        const restored = SeededRandom.fromJSON(JSON.parse(JSON.stringify(random)));
+
+        expect(restored.seed).toBe("resume");
+        expect(draw(restored)).toEqual(draw(random));
+    });
+
+    test("rejects blank seeds and malformed data", () => {
+        expect(() => new SeededRandom("  ")).toThrow(TypeError);
+        expect(() => new SeededRandom(42)).toThrow(TypeError);
+        expect(() => SeededRandom.fromJSON({ seed: "x", state: -1 })).toThrow(RangeError);
+        expect(() => SeededRandom.fromJSON({ seed: "x" })).toThrow(TypeError);
+    });
+
+    test("generateSeed() makes short, varied seeds", () => {
+        const seeds = new Set(Array.from({ length: 50 }, generateSeed));
+        expect(seeds.size).toBeGreaterThan(1);
+        for (const seed of seeds) expect(seed).toMatch(/^[a-z0-9]{6}$/);
+    });
+});
@@ -0,0 +1,144 @@
+import Game from "../models/Game.js";
+import Replay from "../models/Replay.js";
+import { RealPlayer } from "../models/Player.js";
+import { MIN_BOARD_SIZE, ATTACK_RESULTS, CELL_STATES, WEAPONS, MINE_PENALTIES } from "../models/Constants.js";
+import { placeFleet } from "./helpers/fleet.js";
+
+describe("Replay Class Tests", () => {
+    let game, alice, bob;
+
+    beforeEach(() => {
+        alice = new RealPlayer("Alice", MIN_BOARD_SIZE);
+        bob = new RealPlayer("Bob", MIN_BOARD_SIZE);
+        game = new Game(alice, bob);
+        game.startPlacement();
+        placeFleet(alice);
+        placeFleet(bob);
+        game.start();
+
+        // Alice sinks Bob's fleet while Bob misses along the bottom row
+        [
+            [0, 0],
+            [1, 0],
+            [0, 2],
+        ].forEach(([x, y], i) => {
+            game.playTurn(alice, x, y);
+            game.playTurn(bob, i, 4);
+        });
+        game.playTurn(alice, 1, 2);
+    });
+
+    test("starts before the first attack with both fleets intact", () => {
+        const replay = new Replay(game);
+        const [replayAlice, replayBob] = replay.players;
+
+        expect(replay.position).toBe(0);
+        expect(replay.length).toBe(7);
+        expect(replay.lastMove).toBeNull();
+        expect(replayAlice.name).toBe("Alice");
+        expect(replayBob.gameboard.getRemainingShips()).toHaveLength(2);
+        expect(replayBob.gameboard.board[0][0]).not.toBe(CELL_STATES.HIT);
+    });
+
+    test("stepForward() applies the next attack to the defender's board", () => {
+        const replay = new Replay(game);
+
+        expect(replay.stepForward()).toBe(true);
+        expect(replay.players[1].gameboard.board[0][0]).toBe(CELL_STATES.HIT);
+        expect(replay.lastMove).toMatchObject({ turn: 1, x: 0, y: 0, result: ATTACK_RESULTS.HIT });
+        expect(replay.lastMove.attacker).toBe(replay.players[0]);
+        expect(replay.lastMove.defender).toBe(replay.players[1]);
+
+        replay.stepForward();
+        expect(replay.players[0].gameboard.board[4][0]).toBe(CELL_STATES.MISS);
+    });
+
+    test("stepBack() undoes the last attack", () => {
+        const replay = new Replay(game);
+        replay.stepForward();
+        replay.stepForward();
+
+        expect(replay.stepBack()).toBe(true);
+        expect(replay.position).toBe(1);
+        expect(replay.players[0].gameboard.board[4][0]).toBe(CELL_STATES.EMPTY);
+        expect(replay.players[1].gameboard.board[0][0]).toBe(CELL_STATES.HIT);
+    });
+
+    test("won't step past either end", () => {
+        const replay = new Replay(game);
+        expect(replay.stepBack()).toBe(false);
+
+        replay.goTo(replay.length);
+        expect(replay.isAtEnd).toBe(true);
+        expect(replay.stepForward()).toBe(false);
+        expect(replay.lastMove.result).toBe(ATTACK_RESULTS.SUNK_ALL);
+        expect(replay.players[1].gameboard.getRemainingShips()).toHaveLength(0);
+    });
+
+    test("goTo() rejects positions outside the replay", () => {
+        const replay = new Replay(game);
+        expect(() => replay.goTo(-1)).toThrow(RangeError);
+        expect(() => replay.goTo(replay.length + 1)).toThrow(RangeError);
+    });
+
+    test("steps over sonar pings without changing the boards", () => {
+        const weaponsGame = new Game(new RealPlayer("Carol", MIN_BOARD_SIZE), new RealPlayer("Dave", MIN_BOARD_SIZE), {
+            weapons: true,
+        });
+        const [carol, dave] = weaponsGame.players;
+        weaponsGame.startPlacement();
+        placeFleet(carol);
+        placeFleet(dave);
+        weaponsGame.start();
+        weaponsGame.useWeapon(carol, WEAPONS.SONAR, 1, 1);
+        weaponsGame.useWeapon(dave, WEAPONS.BOMB, 0, 0);
+
+        const replay = new Replay(weaponsGame);
+        replay.stepForward();
+        expect(replay.lastMove.weapon).toBe(WEAPONS.SONAR);
+        expect(replay.players[1].gameboard.displayBoard()).toBe(
+            new Replay(weaponsGame).players[1].gameboard.displayBoard()
+        );
+
+        replay.goTo(replay.length);
+        expect(replay.players[0].gameboard.board[0][0]).toBe(CELL_STATES.HIT);
+        expect(replay.players[0].gameboard.board[1][1]).toBe(CELL_STATES.MISS);
+    });
+
+    test("sets the mines again and replays their retaliation", () => {
+        const minedGame = new Game(new RealPlayer("Carol", MIN_BOARD_SIZE), new RealPlayer("Dave", MIN_BOARD_SIZE), {
+            minePenalty: MINE_PENALTIES.RETALIATION,
+        });
+        const [carol, dave] = minedGame.players;
+        minedGame.startPlacement();
+        for (const player of minedGame.players) {
+            placeFleet(player);
+            [0, 1, 2].forEach((y) => player.gameboard.placeMine(4, y));
+        }
+        minedGame.start();
+        minedGame.playTurn(carol, 4, 0);
+        const struck = minedGame.history[1];
+
+        const replay = new Replay(minedGame);
+        expect(replay.players[1].gameboard.board[0][4]).toBe(CELL_STATES.MINE);
+
+        replay.stepForward();
+        expect(replay.lastMove.result).toBe(ATTACK_RESULTS.MINE);
+        expect(replay.players[1].gameboard.board[0][4]).toBe(CELL_STATES.DETONATED);
+
+        replay.stepForward();
+        expect(replay.lastMove).toMatchObject({ retaliation: true, x: struck.x, y: struck.y });
+        expect(replay.lastMove.defender).toBe(replay.players[0]);
+        expect(replay.players[0].gameboard.board[struck.y][struck.x]).toBe(CELL_STATES.HIT);
+        expect(dave.gameboard.mineCount).toBe(3);
+    });
+
+    test("leaves the original game untouched", () => {
+        const before = JSON.stringify(game);
+        const replay = new Replay(game);
+        replay.goTo(3);
+        replay.stepBack();
+
+        expect(JSON.stringify(game)).toBe(before);
+    });
+});
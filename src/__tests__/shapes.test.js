@@ -0,0 +1,116 @@
+import {
+    isShipType,
+    parseShipType,
+    getShipOffsets,
+    getShipSize,
+    getShipBounds,
+    getShipOrientations,
+    fitsShipType,
+} from "../models/shapes.js";
+import { DIRECTIONS, MIN_SHIP_LENGTH, MAX_SHIP_LENGTH } from "../models/Constants.js";
+
+describe("Ship Shape Tests", () => {
+    describe("getShipOffsets()", () => {
+        test("lays a straight ship out from its base cell", () => {
+            expect(getShipOffsets(3)).toEqual([
+                [0, 0],
+                [1, 0],
+                [2, 0],
+            ]);
+            expect(getShipOffsets(3, DIRECTIONS.NORTH)).toEqual([
+                [0, 0],
+                [0, -1],
+                [0, -2],
+            ]);
+        });
+
+        test("turns shapes clockwise about the base cell", () => {
+            // The L runs east and bends south at its far end
+            expect(getShipOffsets("L", DIRECTIONS.SOUTH)).toEqual([
+                [0, 0],
+                [0, 1],
+                [0, 2],
+                [-1, 2],
+            ]);
+            expect(getShipOffsets("L", DIRECTIONS.WEST)).toEqual([
+                [0, 0],
+                [-1, 0],
+                [-2, 0],
+                [-2, -1],
+            ]);
+        });
+
+        test("mirroring flips the shape across its length", () => {
+            expect(getShipOffsets("L", DIRECTIONS.EAST, true)).toEqual([
+                [0, 0],
+                [1, 0],
+                [2, 0],
+                [2, -1],
+            ]);
+            expect(getShipOffsets(4, DIRECTIONS.EAST, true)).toEqual(getShipOffsets(4));
+        });
+
+        test("throws TypeError for unknown types and directions", () => {
+            expect(() => getShipOffsets("Z")).toThrow(TypeError);
+            expect(() => getShipOffsets(2.5)).toThrow(TypeError);
+            expect(() => getShipOffsets(3, "up")).toThrow(TypeError);
+        });
+    });
+
+    describe("Ship types", () => {
+        test.each([
+            [2, 2, { width: 2, height: 1 }],
+            ["L", 4, { width: 3, height: 2 }],
+            ["T", 4, { width: 3, height: 2 }],
+            ["plus", 5, { width: 3, height: 3 }],
+        ])("%s covers %i cells", (type, size, bounds) => {
+            expect(getShipSize(type)).toBe(size);
+            expect(getShipBounds(type)).toEqual(bounds);
+        });
+
+        test("isShipType() accepts valid lengths and shapes only", () => {
+            expect(isShipType(MIN_SHIP_LENGTH)).toBe(true);
+            expect(isShipType("plus")).toBe(true);
+            expect(isShipType(MAX_SHIP_LENGTH + 1)).toBe(false);
+            expect(isShipType("3")).toBe(false);
+            expect(isShipType("toString")).toBe(false);
+        });
+
+        test("parseShipType() reads lengths and shapes back from text", () => {
+            expect(parseShipType("3")).toBe(3);
+            expect(parseShipType("T")).toBe("T");
+        });
+    });
+
+    describe("getShipOrientations()", () => {
+        test.each([
+            [3, 2],
+            ["L", 8],
+            ["T", 4],
+            ["plus", 1],
+        ])("%s has %i distinct orientations", (type, count) => {
+            expect(getShipOrientations(type)).toHaveLength(count);
+        });
+
+        test("lists a straight ship facing east and south", () => {
+            expect(getShipOrientations(2).map(({ direction }) => direction)).toEqual([
+                DIRECTIONS.EAST,
+                DIRECTIONS.SOUTH,
+            ]);
+        });
+    });
+
+    describe("fitsShipType()", () => {
+        const cells = (...pairs) => pairs.map(([x, y]) => ({ x, y }));
+
+        test("matches a shape in any orientation and order", () => {
+            expect(fitsShipType(cells([5, 5], [5, 4], [5, 3], [6, 3]), "L")).toBe(true);
+            expect(fitsShipType(cells([4, 4], [3, 5], [4, 5], [5, 5], [4, 6]), "plus")).toBe(true);
+        });
+
+        test("rejects cells that don't form the shape", () => {
+            expect(fitsShipType(cells([0, 0], [1, 0], [2, 0], [3, 0]), "L")).toBe(false);
+            expect(fitsShipType(cells([0, 0], [1, 1]), 2)).toBe(false);
+        });
+    });
+});
@@ -1,4 +1,5 @@
 import Ship from "../models/Ship.js";
+import { SCHEMA_VERSION } from "../models/schema.js";
 import { MIN_SHIP_LENGTH, MAX_SHIP_LENGTH, DEFAULT_SHIP_LENGTH } from "../models/Constants.js";
 
 describe("Ship Class Tests", () => {
@@ -64,4 +65,69 @@ describe("Ship Class Tests", () => {
             expect(ship.isSunk()).toBe(true);
         });
     });
+
+    describe("Shaped Ships", () => {
+        test("a shaped ship's length is the number of cells it covers", () => {
+            const ship = new Ship("plus");
+
+            expect(ship.length).toBe(5);
+            expect(ship.shape).toBe("plus");
+            expect(ship.type).toBe("plus");
+        });
+
+        test("a straight ship's type is its length", () => {
+            const ship = new Ship(3);
+
+            expect(ship.shape).toBeNull();
+            expect(ship.type).toBe(3);
+        });
+
+        test("sinks once every cell is hit", () => {
+            const ship = new Ship("L");
+            for (let i = 0; i < 3; i++) ship.hit();
+            expect(ship.isSunk()).toBe(false);
+
+            ship.hit();
+            expect(ship.isSunk()).toBe(true);
+        });
+    });
+
+    describe("Serialization", () => {
+        test("round-trips a ship's shape", () => {
+            const restored = Ship.fromJSON(JSON.parse(JSON.stringify(new Ship("T"))));
+
+            expect(restored.shape).toBe("T");
+            expect(restored.length).toBe(4);
+        });
+
+        test("round-trips length and damage", () => {
+            const ship = new Ship(4);
+            ship.hit();
+            ship.hit();
+
+            const restored = Ship.fromJSON(JSON.parse(JSON.stringify(ship)));
+
+            expect(restored.length).toBe(4);
+            expect(restored.hits).toBe(2);
+            expect(restored.isSunk()).toBe(false);
+        });
+
+        test("records the schema version", () => {
+            expect(new Ship(3).toJSON().version).toBe(SCHEMA_VERSION);
+        });
+
+        test.each([
+            [{ version: SCHEMA_VERSION + 1, length: 3, hits: 0 }, RangeError],
+            [{ length: 3, hits: 0 }, RangeError],
+            [{ version: SCHEMA_VERSION, length: "3", hits: 0 }, TypeError],
+            [{ version: SCHEMA_VERSION, length: MAX_SHIP_LENGTH + 1, hits: 0 }, RangeError],
+            [{ version: SCHEMA_VERSION, length: 3, shape: null, hits: 4 }, RangeError],
+            [{ version: SCHEMA_VERSION, length: 3, hits: 0 }, RangeError],
+            [{ version: SCHEMA_VERSION, length: 3, shape: "Z", hits: 0 }, RangeError],
+            [{ version: SCHEMA_VERSION, length: 3, shape: "L", hits: 0 }, RangeError],
+            [null, TypeError],
+        ])("fromJSON() rejects %j", (data, error) => {
+            expect(() => Ship.fromJSON(data)).toThrow(error);
+        });
+    });
 });
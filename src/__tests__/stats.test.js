@@ -0,0 +1,74 @@
+import { getGameStats } from "../models/stats.js";
+import Game from "../models/Game.js";
+import { RealPlayer } from "../models/Player.js";
+import { MIN_BOARD_SIZE, WEAPONS } from "../models/Constants.js";
+import { placeFleet } from "./helpers/fleet.js";
+
+describe("Game Stats Tests", () => {
+    let alice, bob, game;
+
+    beforeEach(() => {
+        alice = new RealPlayer("Alice", MIN_BOARD_SIZE);
+        bob = new RealPlayer("Bob", MIN_BOARD_SIZE);
+    });
+
+    function startGame(options = {}) {
+        game = new Game(alice, bob, options);
+        game.startPlacement();
+        placeFleet(alice);
+        placeFleet(bob);
+        game.start();
+    }
+
+    // Alternating turns, Alice first; Alice wins on turn 9
+    function playGame(...shots) {
+        shots.forEach(([x, y], i) => game.playTurn(i % 2 === 0 ? alice : bob, x, y));
+    }
+
+    test("counts each player's shots, hits and misses", () => {
+        startGame();
+        playGame([0, 0], [4, 4], [4, 4], [3, 3], [1, 0], [0, 0], [0, 2], [1, 0], [1, 2]);
+        const [aliceStats, bobStats] = getGameStats(game);
+
+        expect(aliceStats).toMatchObject({ player: alice, turns: 5, shots: 5, hits: 4, misses: 1, accuracy: 0.8 });
+        expect(bobStats).toMatchObject({ player: bob, turns: 4, shots: 4, hits: 2, misses: 2, accuracy: 0.5 });
+    });
+
+    test("finds the longest run of hits", () => {
+        startGame();
+        playGame([0, 0], [4, 4], [4, 4], [3, 3], [1, 0], [0, 0], [0, 2], [1, 0], [1, 2]);
+        const [aliceStats, bobStats] = getGameStats(game);
+
+        expect(aliceStats.longestStreak).toBe(3);
+        expect(bobStats.longestStreak).toBe(2);
+    });
+
+    test("times each sinking from the first hit on the ship", () => {
+        startGame();
+        playGame([0, 0], [4, 4], [4, 4], [3, 3], [1, 0], [0, 0], [0, 2], [1, 0], [1, 2]);
+        const [aliceStats, bobStats] = getGameStats(game);
+
+        expect(aliceStats.sinkings).toEqual([
+            { ship: bob.gameboard.getShipAt(0, 0), turn: 5, turns: 3 },
+            { ship: bob.gameboard.getShipAt(0, 2), turn: 9, turns: 2 },
+        ]);
+        expect(bobStats.sinkings).toEqual([{ ship: alice.gameboard.getShipAt(0, 0), turn: 8, turns: 2 }]);
+    });
+
+    test("has no accuracy before the first shot", () => {
+        startGame();
+        expect(getGameStats(game).map(({ shots, accuracy }) => [shots, accuracy])).toEqual([
+            [0, null],
+            [0, null],
+        ]);
+    });
+
+    test("a sonar ping takes a turn but isn't a shot", () => {
+        startGame({ weapons: true });
+        game.useWeapon(alice, WEAPONS.SONAR, 1, 1);
+        game.playTurn(bob, 4, 4);
+        game.playTurn(alice, 0, 0);
+
+        expect(getGameStats(game)[0]).toMatchObject({ turns: 2, shots: 1, hits: 1, accuracy: 1 });
+    });
+});
@@ -0,0 +1,126 @@
+import {
+    saveGame,
+    loadGame,
+    hasSavedGame,
+    clearSavedGame,
+    savePlayerRecords,
+    loadPlayerRecords,
+    SAVED_GAME_KEY,
+    PLAYER_RECORDS_KEY,
+} from "../utils/storage.js";
+import Game from "../models/Game.js";
+import PlayerRecords from "../models/PlayerRecords.js";
+import { SCHEMA_VERSION } from "../models/schema.js";
+import { RealPlayer, ComputerPlayer } from "../models/Player.js";
+import { MIN_BOARD_SIZE, DIRECTIONS, GAME_PHASES } from "../models/Constants.js";
+
+// Minimal in-memory stand-in for window.localStorage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+describe("Storage Module Tests", () => {
+    let storage, game;
+
+    beforeEach(() => {
+        storage = createStorage();
+        const human = new RealPlayer("Alice", MIN_BOARD_SIZE);
+        game = new Game(human, new ComputerPlayer("AI", MIN_BOARD_SIZE));
+        game.startPlacement();
+        human.gameboard.placeShip(0, 0, 2, DIRECTIONS.EAST);
+        human.gameboard.placeShip(0, 2, 2, DIRECTIONS.EAST);
+        game.start();
+    });
+
+    test("saves and loads a game", () => {
+        game.playTurn(game.currentPlayer, 3, 3);
+        saveGame(game, storage);
+
+        expect(hasSavedGame(storage)).toBe(true);
+        const { game: loaded, error } = loadGame(storage);
+        expect(error).toBeNull();
+        expect(loaded).toBeInstanceOf(Game);
+        expect(loaded.phase).toBe(GAME_PHASES.IN_PROGRESS);
+        expect(loaded.currentPlayer.name).toBe("AI");
+        expect(loaded.players[1].gameboard.displayBoard()).toBe(game.players[1].gameboard.displayBoard());
+    });
+
+    test("returns null when nothing is saved", () => {
+        expect(hasSavedGame(storage)).toBe(false);
+        expect(loadGame(storage)).toEqual({ game: null, error: null });
+    });
+
+    test("clearSavedGame() forgets the save", () => {
+        saveGame(game, storage);
+        clearSavedGame(storage);
+        expect(hasSavedGame(storage)).toBe(false);
+    });
+
+    test("discards an unreadable save and says why", () => {
+        storage.setItem(SAVED_GAME_KEY, "{not json");
+
+        const { game: loaded, error } = loadGame(storage);
+        expect(loaded).toBeNull();
+        expect(error).toBeInstanceOf(SyntaxError);
+        expect(hasSavedGame(storage)).toBe(false);
+    });
+
+    test("reports why a malformed save was discarded", () => {
+        storage.setItem(SAVED_GAME_KEY, JSON.stringify({ ...game.toJSON(), turn: -1 }));
+
+        expect(loadGame(storage).error).toBeInstanceOf(RangeError);
+        expect(hasSavedGame(storage)).toBe(false);
+    });
+
+    describe("Player records", () => {
+        test("saves and loads the records", () => {
+            const records = PlayerRecords.fromJSON({
+                version: SCHEMA_VERSION,
+                players: [
+                    {
+                        name: "Alice",
+                        games: 1,
+                        wins: 1,
+                        losses: 0,
+                        shots: 4,
+                        hits: 4,
+                        accuracyTotal: 1,
+                        accuracyGames: 1,
+                        versusComputer: {},
+                    },
+                ],
+            });
+            savePlayerRecords(records, storage);
+
+            const { records: loaded, error } = loadPlayerRecords(storage);
+            expect(loaded.records).toEqual(records.records);
+            expect(error).toBeNull();
+        });
+
+        test("starts with no records", () => {
+            const { records, error } = loadPlayerRecords(storage);
+            expect(records.records).toEqual([]);
+            expect(error).toBeNull();
+        });
+
+        test("reports why unreadable records were ignored, and leaves them in place", () => {
+            const saved = JSON.stringify({ version: 1, players: [{ name: "Alice" }] });
+            storage.setItem(PLAYER_RECORDS_KEY, saved);
+            const { records, error } = loadPlayerRecords(storage);
+
+            expect(records.records).toEqual([]);
+            expect(error).toBeInstanceOf(TypeError);
+            expect(storage.getItem(PLAYER_RECORDS_KEY)).toBe(saved);
+        });
+
+        test("reports records that aren't JSON", () => {
+            storage.setItem(PLAYER_RECORDS_KEY, "{not json");
+            expect(loadPlayerRecords(storage).error).toBeInstanceOf(SyntaxError);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+import { TurnTimer } from "../utils/timer.js";
+
+describe("TurnTimer Tests", () => {
+    let timer;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        timer = new TurnTimer({ tickMs: 1000 });
+    });
+
+    afterEach(() => {
+        timer.stop();
+        jest.useRealTimers();
+    });
+
+    test("counts down the turn and the clock together, ticking as it goes", () => {
+        const onTick = jest.fn();
+        timer.start({ turnMs: 30000, clockMs: 60000 }, { onTick });
+
+        expect(timer.running).toBe(true);
+        expect(onTick).toHaveBeenLastCalledWith({ turnLeft: 30000, clockLeft: 60000 });
+
+        jest.advanceTimersByTime(5000);
+        expect(onTick).toHaveBeenLastCalledWith({ turnLeft: 25000, clockLeft: 55000 });
+        expect(timer.elapsed).toBe(5000);
+    });
+
+    test("reports the turn running out, with the time spent, and stops", () => {
+        const onTurnExpired = jest.fn();
+        const onClockExpired = jest.fn();
+        timer.start({ turnMs: 10000, clockMs: 60000 }, { onTurnExpired, onClockExpired });
+
+        jest.advanceTimersByTime(9999);
+        expect(onTurnExpired).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        expect(onTurnExpired).toHaveBeenCalledWith(10000);
+        expect(onClockExpired).not.toHaveBeenCalled();
+        expect(timer.running).toBe(false);
+    });
+
+    test("the clock running out wins over the turn running out", () => {
+        const onTurnExpired = jest.fn();
+        const onClockExpired = jest.fn();
+        timer.start({ turnMs: 5000, clockMs: 5000 }, { onTurnExpired, onClockExpired });
+
+        jest.advanceTimersByTime(5000);
+        expect(onClockExpired).toHaveBeenCalledWith(5000);
+        expect(onTurnExpired).not.toHaveBeenCalled();
+    });
+
+    test("without limits it only measures the turn", () => {
+        timer.start({}, {});
+        jest.advanceTimersByTime(120000);
+
+        expect([timer.turnLeft, timer.clockLeft]).toEqual([null, null]);
+        expect(timer.stop()).toBe(120000);
+        expect(timer.stop()).toBe(0);
+    });
+
+    test("doesn't count time spent paused", () => {
+        const onTurnExpired = jest.fn();
+        timer.start({ turnMs: 10000 }, { onTurnExpired });
+        jest.advanceTimersByTime(4000);
+
+        timer.pause();
+        expect(timer.paused).toBe(true);
+        jest.advanceTimersByTime(60000);
+        expect(onTurnExpired).not.toHaveBeenCalled();
+        expect(timer.turnLeft).toBe(6000);
+
+        timer.resume();
+        jest.advanceTimersByTime(6000);
+        expect(onTurnExpired).toHaveBeenCalledWith(10000);
+    });
+
+    test("a turn started while paused waits for resume()", () => {
+        timer.pause();
+        timer.start({ turnMs: 10000 }, {});
+        jest.advanceTimersByTime(30000);
+        expect(timer.turnLeft).toBe(10000);
+
+        timer.resume();
+        jest.advanceTimersByTime(3000);
+        expect(timer.turnLeft).toBe(7000);
+    });
+
+    test("starting a new turn drops the old one", () => {
+        const onTurnExpired = jest.fn();
+        timer.start({ turnMs: 5000 }, { onTurnExpired });
+        jest.advanceTimersByTime(4000);
+
+        timer.start({ turnMs: 5000 }, {});
+        jest.advanceTimersByTime(4000);
+
+        expect(onTurnExpired).not.toHaveBeenCalled();
+        expect(timer.turnLeft).toBe(1000);
+    });
+});
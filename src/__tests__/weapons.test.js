@@ -0,0 +1,57 @@
+import { isWeapon, getWeaponArea, combineResults } from "../models/weapons.js";
+import { WEAPONS, STRIKE_AXES, ATTACK_RESULTS } from "../models/Constants.js";
+
+describe("Special Weapon Tests", () => {
+    describe("isWeapon()", () => {
+        test("recognises every weapon and nothing else", () => {
+            Object.values(WEAPONS).forEach((weapon) => expect(isWeapon(weapon)).toBe(true));
+            expect(isWeapon("torpedo")).toBe(false);
+            expect(isWeapon(undefined)).toBe(false);
+        });
+    });
+
+    describe("getWeaponArea()", () => {
+        test("a bomb or sonar ping covers the square around its aim", () => {
+            const area = getWeaponArea(WEAPONS.BOMB, 4, 4, 10, 10);
+            expect(area).toHaveLength(9);
+            expect(area[0]).toEqual({ x: 3, y: 3 });
+            expect(area[8]).toEqual({ x: 5, y: 5 });
+            expect(getWeaponArea(WEAPONS.SONAR, 4, 4, 10, 10)).toEqual(area);
+        });
+
+        test("cuts the area off at the edges of the board", () => {
+            expect(getWeaponArea(WEAPONS.BOMB, 0, 0, 10, 10)).toEqual([
+                { x: 0, y: 0 },
+                { x: 1, y: 0 },
+                { x: 0, y: 1 },
+                { x: 1, y: 1 },
+            ]);
+            expect(getWeaponArea(WEAPONS.SONAR, 9, 5, 10, 6)).toHaveLength(4);
+        });
+
+        test("a line strike covers the whole row or column", () => {
+            const row = getWeaponArea(WEAPONS.LINE_STRIKE, 3, 2, 8, 6);
+            expect(row).toHaveLength(8);
+            expect(row.every(({ y }) => y === 2)).toBe(true);
+
+            const column = getWeaponArea(WEAPONS.LINE_STRIKE, 3, 2, 8, 6, STRIKE_AXES.COLUMN);
+            expect(column).toHaveLength(6);
+            expect(column.every(({ x }) => x === 3)).toBe(true);
+        });
+
+        test("throws TypeError for an unknown weapon or axis", () => {
+            expect(() => getWeaponArea("torpedo", 0, 0, 10, 10)).toThrow(TypeError);
+            expect(() => getWeaponArea(WEAPONS.LINE_STRIKE, 0, 0, 10, 10, "diagonal")).toThrow(TypeError);
+        });
+    });
+
+    describe("combineResults()", () => {
+        test("sums up a strike as its strongest result", () => {
+            const { MISS, HIT, SUNK, SUNK_ALL } = ATTACK_RESULTS;
+            expect(combineResults([MISS, MISS])).toBe(MISS);
+            expect(combineResults([MISS, HIT, MISS])).toBe(HIT);
+            expect(combineResults([HIT, SUNK, MISS])).toBe(SUNK);
+            expect(combineResults([SUNK, SUNK_ALL, HIT])).toBe(SUNK_ALL);
+        });
+    });
+});
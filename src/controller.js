@@ -10,9 +10,14 @@
  *  - initApp — Function that starts the application.
  *
  * Dependencies:
- *  - Player — The global state/data managers (model layer).
- *  - SidebarView — Renders and manages a sidebar UI.
- *  - MainView — Renders and manages the main content UI.
+ *  - Game — The headless game engine that owns the rules and the turn loop (model layer).
+ *  - GameView — Renders the boards and messages, subscribed to the game's events.
+ *  - PlacementView / SpectatorView / ReplayView / PracticeView — Placement phase, spectator playback, replay and
+ *    undo/redo controls.
+ *  - ClockView / TurnTimer — Shows and keeps time for humans' turns in timed games.
+ *  - SpectatorPlayback — Paces the shots of computer-vs-computer games to the spectator controls.
+ *  - FleetEditorView — The new-game dialog's custom fleet editor.
+ *  - StatsView / PlayerRecords — The end-of-game stats panel and the players' lifetime records.
  *  - DialogView — Handles modal dialog UI instances.
  *
  * @module controller
@@ -20,27 +25,191 @@
 
 import { GameView } from "./views/GameView.js";
 import { DialogView } from "./views/DialogView.js";
-import { placeShipsRandom, initialisePlayers } from "./utils/gameSetup.js";
+import { PlacementView } from "./views/PlacementView.js";
+import { SpectatorView } from "./views/SpectatorView.js";
+import { ReplayView } from "./views/ReplayView.js";
+import { PracticeView } from "./views/PracticeView.js";
+import { FleetEditorView } from "./views/FleetEditorView.js";
+import { ClockView } from "./views/ClockView.js";
+import { StatsView } from "./views/StatsView.js";
+import { initialisePlayers, getUnplacedShips, checkFleet, parseFleet, createIslands } from "./utils/gameSetup.js";
+import { SpectatorPlayback } from "./utils/playback.js";
+import {
+    saveGame,
+    loadGame,
+    hasSavedGame,
+    clearSavedGame,
+    loadPlayerRecords,
+    savePlayerRecords,
+} from "./utils/storage.js";
+import { TurnTimer } from "./utils/timer.js";
+import Game from "./models/Game.js";
+import Replay from "./models/Replay.js";
+import { getGameStats } from "./models/stats.js";
+import { RealPlayer } from "./models/Player.js";
+import Ship from "./models/Ship.js";
+import {
+    GAME_EVENTS,
+    GAME_MODES,
+    GAME_PHASES,
+    GAME_VARIANTS,
+    getShipConfigForBoardSize,
+    getEquivalentSquareSize,
+} from "./models/Constants.js";
 
 // ----------------------
 
 // Game state
-let playerOne;
-let playerTwo;
-let currentGameId = 0;
-let gameId;
+let game;
+let placingPlayer;
+let resolvePlacement;
+
+const TURN_DELAY_MS = 2000;
+
+// Spectator playback (computer-vs-computer games)
+const spectatorPlayback = new SpectatorPlayback();
+
+// Replay state (finished games)
+let replay = null;
+let replayTimer = null;
+
+const REPLAY_DELAY_MS = 1000;
+
+// Turn timer state (timed games) - the index of the player whose turn is being timed
+const turnTimer = new TurnTimer();
+let timedPlayerIndex = null;
 
 // ----------------------
 
 // View instances
 const gameView = new GameView(document.querySelector(".game-container"));
 const newGameDialog = new DialogView(document.querySelector(".new-game-dialog"));
+const placementView = new PlacementView(document.querySelector(".game-container"));
+const spectatorView = new SpectatorView(document.querySelector(".game-container"));
+const replayView = new ReplayView(document.querySelector(".game-container"));
+const practiceView = new PracticeView(document.querySelector(".game-container"));
+const fleetEditorView = new FleetEditorView(document.querySelector(".new-game-dialog"));
+const clockView = new ClockView(document.querySelector(".game-container"));
+const statsDialog = new DialogView(document.querySelector(".stats-dialog"));
+const statsView = new StatsView(document.querySelector(".game-container"), document.querySelector(".stats-dialog"));
+
+// ----------------------
+// Player helpers
+// ----------------------
+
+/**
+ * The boards are always drawn from a human's point of view where there is one: the player whose turn it is in
+ * hot-seat games, otherwise the only human at the table. Spectators always see player one on the left.
+ */
+function viewerFor(player) {
+    if (player instanceof RealPlayer) return player;
+    const other = game.opponentOf(player);
+    return other instanceof RealPlayer ? other : game.players[0];
+}
+
+const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ----------------------
+// Spectator playback
+// ----------------------
+
+function stopSpectating() {
+    spectatorPlayback.stop();
+    spectatorView.close();
+}
 
 // ----------------------
-// Helper to render the entire app state
+// Turn timer
 // ----------------------
-function renderAll(player, opponent) {
-    gameView.update(player, opponent);
+
+const isTimed = (current) => current.turnLimit !== null || current.clockLimit !== null;
+
+/**
+ * Times a human's turn. Running out of time for the turn fires a random shot or forfeits it; running out of clock
+ * loses the game.
+ */
+function startTurnTimer(current, player) {
+    timedPlayerIndex = current.players.indexOf(player);
+    turnTimer.start(
+        { turnMs: current.turnLimit === null ? null : current.turnLimit * 1000, clockMs: current.timeLeft(player) },
+        {
+            onTick: () => renderClocks(current),
+            onTurnExpired: (elapsed) => {
+                chargeTurnTime(current, elapsed);
+                current.timeOutTurn(player);
+            },
+            onClockExpired: (elapsed) => {
+                chargeTurnTime(current, elapsed);
+                current.runOutOfTime(player);
+            },
+        }
+    );
+}
+
+/**
+ * Stops timing the turn, if one is being timed, and charges the time it took to the player's clock. Players are
+ * looked up by index, as undo/redo swaps in restored copies of them.
+ */
+function stopTurnTimer(current) {
+    chargeTurnTime(current, turnTimer.stop());
+    renderClocks(current);
+}
+
+function chargeTurnTime(current, elapsed) {
+    if (timedPlayerIndex !== null) current.spendTime(current.players[timedPlayerIndex], elapsed);
+    timedPlayerIndex = null;
+}
+
+function renderClocks(current) {
+    const thinking = timedPlayerIndex === null ? null : current.players[timedPlayerIndex];
+    const humans = current.players.filter((player) => player instanceof RealPlayer);
+    clockView.render({
+        turnLeft: thinking ? turnTimer.turnLeft : null,
+        clocks:
+            current.clockLimit === null
+                ? null
+                : humans.map((player) => ({
+                      name: player.name,
+                      timeLeft: player === thinking ? turnTimer.clockLeft : current.timeLeft(player),
+                      active: player === thinking,
+                  })),
+    });
+}
+
+// ----------------------
+// Replay
+// ----------------------
+
+function openReplay() {
+    if (game?.phase !== GAME_PHASES.FINISHED) return;
+
+    replay = new Replay(game);
+    gameView.setCoordinateEntryAvailable(false);
+    replayView.open();
+    showReplayPosition(0);
+}
+
+/**
+ * Seeks the replay to a position and redraws it. Seeking by hand pauses auto-play.
+ */
+function showReplayPosition(position, { playing = false } = {}) {
+    clearTimeout(replayTimer);
+    replayTimer = null;
+
+    replay.goTo(position);
+    gameView.renderReplay(replay);
+
+    if (playing && !replay.isAtEnd) {
+        replayTimer = setTimeout(() => showReplayPosition(replay.position + 1, { playing: true }), REPLAY_DELAY_MS);
+    }
+    replayView.render(replay.position, replay.length, replayTimer !== null);
+}
+
+function closeReplay() {
+    clearTimeout(replayTimer);
+    replayTimer = null;
+    replay = null;
+    replayView.close();
 }
 
 // ----------------------
@@ -49,59 +218,383 @@ function renderAll(player, opponent) {
 function assignCallbacks() {
     // GameView events
     gameView.setOnNewGameClicked(() => {
+        fleetEditorView.refresh();
+        // The clock doesn't run while the dialog is open
+        turnTimer.pause();
         newGameDialog.open();
     });
 
-    gameView.setOnCellClicked(async (x, y) => {
-        await handlePlayerTurn(x, y, gameId);
+    gameView.setOnResumeGameClicked(() => {
+        resumeSavedGame();
+    });
+
+    gameView.setOnReplayClicked(() => {
+        openReplay();
+    });
+
+    gameView.setOnStatsClicked(() => {
+        const { records, error } = loadPlayerRecords();
+        statsView.renderRecords(records.records, { unreadable: error !== null });
+        turnTimer.pause();
+        statsDialog.open();
+    });
+
+    gameView.setOnCellClicked((x, y) => {
+        handlePlayerTurn(x, y);
+    });
+
+    gameView.setOnVolleyFired((shots) => {
+        handlePlayerVolley(shots);
+    });
+
+    gameView.setOnWeaponFired((weapon, x, y, axis) => {
+        handlePlayerWeapon(weapon, x, y, axis);
     });
 
     // Dialog events
     newGameDialog.setOnSubmit(startNewGame);
+    newGameDialog.setOnClose(() => turnTimer.resume());
+    statsDialog.setOnClose(() => turnTimer.resume());
+
+    fleetEditorView.setOnCheckFleet((fleet, width, height, { noTouching, map }) =>
+        checkFleet(fleet, width, height, { noTouching, islands: createIslands(map, width, height).length })
+    );
+    fleetEditorView.setOnStandardFleet((width, height) =>
+        getShipConfigForBoardSize(getEquivalentSquareSize(width, height))
+    );
+
+    // Spectator events
+    spectatorView.setOnPlayToggled(() => {
+        spectatorPlayback.setPlaying(!spectatorPlayback.playing);
+        spectatorView.setPlaying(spectatorPlayback.playing);
+    });
+
+    spectatorView.setOnStep(() => {
+        spectatorPlayback.step();
+    });
+
+    spectatorView.setOnSpeedChanged((delayMs) => {
+        spectatorPlayback.setDelay(delayMs);
+    });
+
+    // Replay events
+    replayView.setOnSeek((position) => {
+        showReplayPosition(position);
+    });
+
+    replayView.setOnPlayToggled(() => {
+        if (replayTimer !== null) {
+            showReplayPosition(replay.position);
+        } else {
+            // Playing from the end starts the game over
+            showReplayPosition(replay.isAtEnd ? 0 : replay.position, { playing: true });
+        }
+    });
+
+    replayView.setOnClose(() => {
+        closeReplay();
+        gameView.renderGame(game, viewerFor(game.winner));
+        gameView.renderGameMessage(`${game.winner.name} wins!`);
+        gameView.disableGrids();
+    });
+
+    // Practice events
+    practiceView.setOnUndo(() => {
+        rewind(() => game.undo(), "Move undone.");
+    });
+
+    practiceView.setOnRedo(() => {
+        rewind(() => game.redo(), "Move redone.");
+    });
+
+    // Placement events
+    placementView.setOnPreview((x, y, type, direction, mirrored) => {
+        return placingPlayer.gameboard.checkPlacement(x, y, type, direction, mirrored);
+    });
+
+    placementView.setOnShipPlaced((x, y, type, direction, mirrored) => {
+        const placement = placingPlayer.gameboard.placeShip(x, y, type, direction, mirrored);
+        refreshPlacement();
+        if (!placement.success) {
+            placementView.renderRejection(placement.reason);
+        }
+    });
+
+    placementView.setOnMinePlaced((x, y) => {
+        const mine = placingPlayer.gameboard.placeMine(x, y);
+        refreshPlacement();
+        if (!mine.success) {
+            placementView.renderRejection(mine.reason);
+        }
+    });
+
+    placementView.setOnShipRemoved((x, y) => {
+        const cell = placingPlayer.gameboard.board[y][x];
+        if (cell instanceof Ship) {
+            placingPlayer.gameboard.removeShip(cell);
+            refreshPlacement();
+        } else if (placingPlayer.gameboard.removeMine(x, y)) {
+            refreshPlacement();
+        }
+    });
+
+    placementView.setOnRandomise(() => {
+        game.randomiseFleet(placingPlayer);
+        refreshPlacement();
+    });
+
+    placementView.setOnReset(() => {
+        placingPlayer.gameboard.clear();
+        refreshPlacement();
+    });
+
+    placementView.setOnConfirm(() => {
+        if (!game.isFleetComplete(placingPlayer)) return;
+
+        placementView.close();
+        const resolve = resolvePlacement;
+        resolvePlacement = null;
+        resolve?.();
+    });
 }
 
-function startNewGame(formData) {
-    currentGameId++;
-    gameId = currentGameId;
-    ({ playerOne, playerTwo } = initialisePlayers(formData));
+/**
+ * Undoes or redoes a practice move. The game may have been over, so the grids and end-of-game buttons are reset
+ * before the restored turn (or result, with its stats) is announced.
+ */
+function rewind(restore, message) {
+    closeReplay();
+    gameView.setReplayAvailable(false);
+    gameView.enableGrids();
+    restore();
+    gameView.renderGame(game, viewerFor(game.currentPlayer));
+    if (game.phase === GAME_PHASES.FINISHED) {
+        statsView.showGameStats(getGameStats(game));
+    } else {
+        statsView.hideGameStats();
+        gameView.renderGameMessage(message);
+    }
+}
 
-    placeShipsRandom([playerOne.gameboard, playerTwo.gameboard]);
-    renderAll(playerOne, playerTwo);
-    gameView.renderGameMessage(`It's ${playerOne.name}'s turn.`);
-    gameView.wakeGrids();
+/**
+ * Abandons the current game and clears up anything left over from it
+ */
+function abandonCurrentGame() {
+    game?.cancel();
+    placementView.close();
+    resolvePlacement = null;
+    gameView.hidePassScreen();
+    gameView.setVolleyTargeting(0);
+    gameView.setWeapons(null);
+    gameView.setCoordinateEntryAvailable(false);
+    gameView.setReplayAvailable(false);
+    stopSpectating();
+    closeReplay();
+    practiceView.close();
+    turnTimer.stop();
+    timedPlayerIndex = null;
+    clockView.close();
+    statsView.hideGameStats();
+}
+
+/**
+ * Makes a game the current one and wires the views, pacing and autosave to its events
+ * @param {Game} current
+ */
+function attachGame(current) {
+    game = current;
+
+    gameView.renderSeed(current.seed);
+    gameView.observe(current, viewerFor);
+    current.on(GAME_EVENTS.TURN_STARTED, ({ player, turn, resumed = false }) => {
+        // Every attack ends by starting the next turn, so this is where the settled state (and clock) gets saved
+        stopTurnTimer(current);
+        saveGame(current);
+        practiceView.render(current.canUndo, current.canRedo);
+        handleTurnStarted(current, player, turn, resumed);
+    });
+    current.on(GAME_EVENTS.GAME_OVER, () => {
+        stopTurnTimer(current);
+        clearSavedGame();
+        gameView.setResumeAvailable(false);
+        gameView.setReplayAvailable(true);
+        practiceView.render(current.canUndo, current.canRedo);
+        if (current.mode === GAME_MODES.SPECTATOR) spectatorView.setFinished();
+        statsView.showGameStats(getGameStats(current));
+        // Unreadable records are replaced, starting from this game
+        const { records } = loadPlayerRecords();
+        if (records.recordGame(current)) savePlayerRecords(records);
+    });
+}
+
+/**
+ * Shows the battle and hands the first (or, when resuming, the current) turn over
+ * @param {Game} current
+ * @param {() => void} begin Starts or resumes the game's turn loop
+ */
+function enterBattle(current, begin) {
+    gameView.setPlacementMode(false);
     gameView.enableGrids();
+    if (current.mode === GAME_MODES.SPECTATOR) {
+        spectatorPlayback.setPlaying(true);
+        spectatorPlayback.setDelay(spectatorView.delayMs);
+        spectatorView.open(spectatorPlayback.playing);
+    }
+    if (current.practice) practiceView.open();
+    gameView.setCoordinateEntryAvailable(current.mode !== GAME_MODES.SPECTATOR);
+    if (isTimed(current) && current.mode !== GAME_MODES.SPECTATOR) {
+        clockView.open();
+        renderClocks(current);
+    }
+    gameView.renderGame(current, viewerFor(current.currentPlayer));
+    begin();
 }
 
-async function handlePlayerTurn(x, y, gameId) {
-    // Player one's turn (human)
-    const attackResult = playerOne.attack(playerTwo.gameboard, x, y);
-    renderAll(playerOne, playerTwo);
-    gameView.sleepGrids();
+// Time limits are submitted in seconds, or as "off"
+const parseTimeLimit = (value) => (value && value !== "off" ? Number(value) : null);
 
-    if (attackResult.result === "sunk-all") {
-        gameView.renderGameMessage(`${playerOne.name} wins!`);
-        gameView.disableGrids();
+async function startNewGame(formData) {
+    // Set the new game up before abandoning the current one, so a game that can't be set up leaves it playable
+    let current;
+    try {
+        const { playerOne, playerTwo, seed } = initialisePlayers(formData);
+        current = new Game(playerOne, playerTwo, {
+            practice: formData.practice === "on",
+            variant: formData.variant,
+            weapons: formData.weapons === "on",
+            // "off" or one of MINE_PENALTIES
+            minePenalty: formData.mines === "off" ? null : formData.mines,
+            turnLimit: parseTimeLimit(formData["turn-limit"]),
+            clockLimit: parseTimeLimit(formData["clock-limit"]),
+            turnTimeout: formData["turn-timeout"],
+            seed,
+            // The editor only submits a fleet when a custom one was picked
+            fleet: parseFleet(formData.fleet),
+        });
+        // Computers place their fleet straight away, humans get a placement phase first
+        current.startPlacement();
+    } catch (error) {
+        gameView.renderGameMessage(`The game couldn't be started: ${error.message}`);
         return;
-    } else {
-        // Computer's turn
-        gameView.renderGameMessage(`${playerOne.name} attacked - ${attackResult.result}.`);
-        await new Promise((r) => setTimeout(r, 2000));
+    }
 
-        if (gameId !== currentGameId) return;
-        const computerAttack = playerTwo.attack(playerOne.gameboard);
-        renderAll(playerOne, playerTwo);
+    abandonCurrentGame();
+    clearSavedGame();
+    gameView.setResumeAvailable(false);
+    attachGame(current);
 
-        gameView.renderGameMessage(`${playerTwo.name} attacked - ${computerAttack.result}.`);
+    const humans = current.players.filter((player) => player instanceof RealPlayer);
 
-        if (computerAttack.result === "sunk-all") {
-            gameView.renderGameMessage(`${playerTwo.name} wins!`);
-            gameView.disableGrids();
-            return;
+    for (const [index, human] of humans.entries()) {
+        if (index > 0) {
+            await gameView.showPassScreen(human.name);
+            if (current.isCancelled) return;
         }
-        // await new Promise((r) => setTimeout(r, 2000));
-        // gameView.renderGameMessage(`It's ${playerOne.name}'s turn.`);
-        gameView.wakeGrids();
+        await placeFleet(human);
+        if (current.isCancelled) return;
+    }
+
+    enterBattle(current, () => current.start());
+}
+
+async function resumeSavedGame() {
+    const { game: saved, error } = loadGame();
+    if (!saved) {
+        gameView.setResumeAvailable(false);
+        if (error) gameView.renderGameMessage("The saved game couldn't be loaded, so it has been discarded.");
+        return;
+    }
+
+    abandonCurrentGame();
+    attachGame(saved);
+    if (saved.mode === GAME_MODES.HOT_SEAT) {
+        // Keep both fleets hidden until the player whose turn it is has the device
+        await gameView.showPassScreen(saved.currentPlayer.name);
+        if (saved.isCancelled) return;
     }
+    gameView.renderGameMessage(`Game resumed - it's ${saved.currentPlayer.name}'s turn.`);
+    enterBattle(saved, () => saved.resume());
+}
+
+/**
+ * Runs the placement phase for one player
+ * @returns {Promise<void>} Resolves once the player confirms a complete fleet
+ */
+function placeFleet(player) {
+    placingPlayer = player;
+    placementView.open(player.name);
+    gameView.enableGrids();
+    gameView.wakeGrids();
+    gameView.setPlacementMode(true);
+    gameView.renderGameMessage(`${player.name}, place your ships.`);
+    refreshPlacement();
+
+    return new Promise((resolve) => {
+        resolvePlacement = resolve;
+    });
+}
+
+function refreshPlacement() {
+    gameView.renderGame(game, placingPlayer);
+    placementView.render(getUnplacedShips(game.fleet, placingPlayer.gameboard), game.minesToLay(placingPlayer));
+}
+
+/**
+ * Paces the start of each turn: computers fire after a short delay (or the spectator's playback), humans get the
+ * grids handed to them - via the pass screen in hot-seat games (unless it was shown before a resumed game was drawn),
+ * with salvo targeting switched on in salvo games and with their special weapons in weapons games
+ */
+async function handleTurnStarted(current, player, turn, resumed) {
+    const salvo = current.variant === GAME_VARIANTS.SALVO;
+    gameView.sleepGrids();
+    gameView.setVolleyTargeting(0);
+    gameView.setWeapons(null);
+
+    if (!(player instanceof RealPlayer)) {
+        if (current.mode === GAME_MODES.SPECTATOR) {
+            await spectatorPlayback.waitForShot();
+        } else if (turn > 1) {
+            await delay(TURN_DELAY_MS);
+        }
+        if (current.isCancelled) return;
+        if (salvo) current.playVolley(player);
+        else current.playTurn(player);
+        return;
+    }
+
+    if (current.mode === GAME_MODES.HOT_SEAT && !resumed) {
+        // Let the previous player read their result, then hide both fleets until the next player has the device
+        if (turn > 1) await delay(TURN_DELAY_MS);
+        if (current.isCancelled) return;
+        await gameView.showPassScreen(player.name);
+        if (current.isCancelled) return;
+        gameView.renderGameMessage(`It's ${player.name}'s turn.`);
+    }
+
+    gameView.renderGame(current, player);
+    if (salvo) gameView.setVolleyTargeting(current.shotsFor(player));
+    if (current.weapons) gameView.setWeapons(current.weaponsLeft(player));
+    gameView.wakeGrids();
+    if (isTimed(current)) startTurnTimer(current, player);
+}
+
+function handlePlayerTurn(x, y) {
+    if (game?.phase !== GAME_PHASES.IN_PROGRESS) return;
+    if (!(game.currentPlayer instanceof RealPlayer)) return;
+    if (game.variant === GAME_VARIANTS.SALVO) return;
+    game.playTurn(game.currentPlayer, x, y);
+}
+
+function handlePlayerVolley(shots) {
+    if (game?.phase !== GAME_PHASES.IN_PROGRESS) return;
+    if (!(game.currentPlayer instanceof RealPlayer)) return;
+    game.playVolley(game.currentPlayer, shots);
+}
+
+function handlePlayerWeapon(weapon, x, y, axis) {
+    if (game?.phase !== GAME_PHASES.IN_PROGRESS) return;
+    if (!(game.currentPlayer instanceof RealPlayer)) return;
+    game.useWeapon(game.currentPlayer, weapon, x, y, axis);
 }
 
 // ----------------------
@@ -109,4 +602,5 @@ async function handlePlayerTurn(x, y, gameId) {
 // ----------------------
 export async function initApp() {
     assignCallbacks();
+    gameView.setResumeAvailable(hasSavedGame());
 }
@@ -1,6 +1,6 @@
 // Board configuration
 export const MIN_BOARD_SIZE = 5;
-export const MAX_BOARD_SIZE = 10;
+export const MAX_BOARD_SIZE = 20;
 export const DEFAULT_BOARD_SIZE = 10;
 
 // Ship configuration
@@ -14,6 +14,61 @@ export const SHIP_CONFIGURATIONS = {
     8: [4, 3, 2, 2], // 11 cells = 17% of 64
     9: [5, 4, 3, 2], // 15 cells = 17% of 81
     10: [5, 4, 3, 3, 2], // 17 cells = 17% of 100
+    11: [5, 4, 3, 3, 2, 2], // 19 cells = 16% of 121
+    12: [5, 4, 4, 3, 3, 2, 2], // 23 cells = 16% of 144
+    13: [5, 5, 4, 3, 3, 3, 2, 2], // 27 cells = 16% of 169
+    14: [5, 5, 4, 4, 3, 3, 3, 2, 2], // 31 cells = 16% of 196
+    15: [5, 5, 4, 4, 3, 3, 3, 3, 2, 2, 2], // 36 cells = 16% of 225
+    16: [5, 5, 4, 4, 4, 3, 3, 3, 3, 2, 2, 2], // 40 cells = 16% of 256
+    17: [5, 5, 5, 4, 4, 4, 3, 3, 3, 3, 2, 2, 2], // 45 cells = 16% of 289
+    18: [5, 5, 5, 4, 4, 4, 3, 3, 3, 3, 3, 2, 2, 2, 2], // 50 cells = 15% of 324
+    19: [5, 5, 5, 5, 4, 4, 4, 3, 3, 3, 3, 3, 2, 2, 2, 2], // 55 cells = 15% of 361
+    20: [5, 5, 5, 5, 4, 4, 4, 4, 3, 3, 3, 3, 3, 2, 2, 2, 2, 2], // 61 cells = 15% of 400
+};
+
+// Non-linear ship shapes, as [dx, dy] offsets from the ship's base cell with the ship facing east (see the shapes
+// module). A fleet lists these by name alongside the lengths of its straight ships.
+export const SHIP_SHAPES = {
+    L: [
+        [0, 0],
+        [1, 0],
+        [2, 0],
+        [2, 1],
+    ],
+    T: [
+        [0, 0],
+        [1, 0],
+        [2, 0],
+        [1, 1],
+    ],
+    plus: [
+        [0, 0],
+        [1, 0],
+        [2, 0],
+        [1, -1],
+        [1, 1],
+    ],
+};
+
+// Display names for each ship type (a straight ship's length, or a shape), used by the fleet editor and ship tracker
+export const SHIP_NAMES = {
+    2: "Destroyer",
+    3: "Cruiser",
+    4: "Battleship",
+    5: "Carrier",
+    L: "L-Ship",
+    T: "T-Ship",
+    plus: "Cross",
+};
+
+// Fleet editor: the most ships of any one type a custom fleet may have
+export const MAX_SHIPS_PER_LENGTH = 10;
+
+// Reasons checkFleet() can reject a fleet
+export const FLEET_REJECTIONS = {
+    EMPTY: "empty",
+    INVALID_LENGTH: "invalid-length",
+    OVER_CAPACITY: "over-capacity",
 };
 
 export function getShipConfigForBoardSize(size) {
@@ -23,9 +78,37 @@ export function getShipConfigForBoardSize(size) {
     return SHIP_CONFIGURATIONS[size];
 }
 
+/**
+ * Rectangular boards use the standard fleet of the largest square board with no more cells, e.g. a 10x6 board (60
+ * cells) gets the 7x7 fleet
+ * @param {number} width
+ * @param {number} height
+ * @returns {number} A board size to look up with getShipConfigForBoardSize()
+ */
+export function getEquivalentSquareSize(width, height) {
+    return Math.floor(Math.sqrt(width * height));
+}
+
 // Game setup
 export const MAX_PLACEMENT_ATTEMPTS = 1000;
+// How many times a whole fleet is re-laid from scratch when the ships placed so far leave no room for the next one
+export const MAX_LAYOUT_ATTEMPTS = 20;
 export const BOARD_CAPACITY_THRESHOLD = 0.3;
+// Under the no-touching rule each ship also claims the water around it: a ship plus its margin fills a block one cell
+// wider and taller than the ship's bounding box (an (L + 1) x 2 block for a straight length-L ship) on a board padded
+// by one row and column. Fleets whose blocks cover more than this share of the
+// padded board are rejected, as random placement can no longer find room for them reliably.
+export const NO_TOUCHING_PACKING_THRESHOLD = 0.6;
+
+// Island maps, chosen in the new-game dialog (see createIslands)
+export const MAPS = {
+    OPEN: "open", // No islands
+    RANDOM: "random", // Islands scattered at random, from the game's seed
+    LAGOON: "lagoon", // One block of islands in the middle of the board
+    ARCHIPELAGO: "archipelago", // Single islands spread evenly across the board
+};
+// Random maps turn this share of the board's cells into islands
+export const RANDOM_ISLAND_SHARE = 0.06;
 
 // Directions
 export const DIRECTIONS = {
@@ -43,6 +126,16 @@ export const ATTACK_RESULTS = {
     MISS: "miss",
     SUNK: "sunk",
     SUNK_ALL: "sunk-all",
+    MINE: "mine", // The shot set off one of the defender's mines
+};
+
+// Reasons placeShip() / checkPlacement() can reject a placement
+export const PLACEMENT_REJECTIONS = {
+    OUT_OF_BOUNDS: "out-of-bounds",
+    CELL_OCCUPIED: "cell-occupied",
+    ADJACENT_SHIP: "adjacent-ship",
+    ISLAND: "island",
+    MINE: "mine",
 };
 
 // Cell states
@@ -50,8 +143,105 @@ export const CELL_STATES = {
     EMPTY: null,
     MISS: "miss",
     HIT: "hit",
+    ISLAND: "island",
+    MINE: "mine", // A mine that hasn't been fired on
+    DETONATED: "detonated", // A mine that has been fired on
+};
+
+// Game phases
+export const GAME_PHASES = {
+    SETUP: "setup",
+    PLACEMENT: "placement",
+    IN_PROGRESS: "in-progress",
+    FINISHED: "finished",
+};
+
+// Game modes, derived from the player types
+export const GAME_MODES = {
+    VS_COMPUTER: "vs-computer",
+    HOT_SEAT: "hot-seat",
+    SPECTATOR: "spectator",
+};
+
+// Game variants, chosen in the new-game dialog
+export const GAME_VARIANTS = {
+    CLASSIC: "classic", // One shot per turn
+    SALVO: "salvo", // One shot per ship still afloat, resolved together
+};
+
+// Special weapons, for games played with them (see the weapons module)
+export const WEAPONS = {
+    BOMB: "bomb", // Fires at every cell of a 3x3 square
+    LINE_STRIKE: "line-strike", // Fires at every cell of a row or column
+    SONAR: "sonar", // Reports whether a 3x3 square holds any undamaged part of a ship, without firing
+};
+export const WEAPON_NAMES = {
+    [WEAPONS.BOMB]: "Bomb",
+    [WEAPONS.LINE_STRIKE]: "Line strike",
+    [WEAPONS.SONAR]: "Sonar",
+};
+// How many times each player can use each weapon in a game
+export const WEAPON_SUPPLY = {
+    [WEAPONS.BOMB]: 1,
+    [WEAPONS.LINE_STRIKE]: 1,
+    [WEAPONS.SONAR]: 2,
+};
+// Bombs and sonar pings cover every cell within this many cells of their centre
+export const WEAPON_RADIUS = 1;
+
+// Which way a line strike runs
+export const STRIKE_AXES = {
+    ROW: "row",
+    COLUMN: "column",
+};
+
+// What a sonar ping reports
+export const SONAR_RESULTS = {
+    CONTACT: "contact",
+    CLEAR: "clear",
+};
+
+// Mines, for games played with them: each player lays this many alongside their fleet
+export const MINES_PER_PLAYER = 3;
+// What happens to a player who fires on one of their opponent's mines
+export const MINE_PENALTIES = {
+    RETALIATION: "retaliation", // One of their own ships takes a hit
+    LOSE_TURN: "lose-turn", // They miss their next turn
+};
+
+// Timed games: what happens to a player who doesn't move before their time for the turn runs out
+export const TURN_TIMEOUTS = {
+    RANDOM_SHOT: "random-shot", // A random shot is fired for them
+    FORFEIT: "forfeit", // Their turn passes to their opponent
+};
+
+// Game events
+export const GAME_EVENTS = {
+    TURN_STARTED: "turnStarted",
+    ATTACKED: "attacked",
+    SHIP_SUNK: "shipSunk",
+    VOLLEY_FIRED: "volleyFired",
+    WEAPON_USED: "weaponUsed",
+    MINE_DETONATED: "mineDetonated",
+    TURN_SKIPPED: "turnSkipped",
+    TURN_TIMED_OUT: "turnTimedOut",
+    CLOCK_RAN_OUT: "clockRanOut",
+    GAME_OVER: "gameOver",
 };
 
 // Player defaults
 export const DEFAULT_COMPUTER_NAME = "Computer";
 export const DEFAULT_AI_STRATEGY = "random";
+export const AI_STRATEGIES = ["random", "hunt", "smart"];
+export const AI_STRATEGY_NAMES = {
+    random: "Random",
+    hunt: "Hunt and Target",
+    smart: "Smart",
+};
+
+// Smart AI: multiplier applied per unresolved hit a candidate ship placement passes through
+export const SMART_TARGET_WEIGHT = 50;
+
+// Special weapons AI: the fewest cells still worth firing at that make a sonar ping or a bomb worth using
+export const AI_SONAR_MIN_CELLS = 6;
+export const AI_BOMB_MIN_CELLS = 5;
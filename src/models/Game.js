@@ -0,0 +1,1083 @@
+import { RealPlayer, playerFromJSON } from "./Player.js";
+import { placeShipsRandom, placeMinesRandom, getUnplacedShips, checkFleet } from "../utils/gameSetup.js";
+import {
+    getShipConfigForBoardSize,
+    getEquivalentSquareSize,
+    ATTACK_RESULTS,
+    CELL_STATES,
+    GAME_PHASES,
+    GAME_MODES,
+    GAME_EVENTS,
+    GAME_VARIANTS,
+    WEAPONS,
+    WEAPON_NAMES,
+    WEAPON_SUPPLY,
+    SONAR_RESULTS,
+    MINES_PER_PLAYER,
+    MINE_PENALTIES,
+    TURN_TIMEOUTS,
+} from "./Constants.js";
+import {
+    SCHEMA_VERSION,
+    upgradeVersioned,
+    assertArray,
+    assertObject,
+    assertInteger,
+    assertOneOf,
+    assertString,
+} from "./schema.js";
+import { SeededRandom, generateSeed } from "../utils/random.js";
+
+// Steps bringing older saves up to date, keyed by the schema version they upgrade from (see upgradeVersioned())
+const UPGRADES = {
+    // Moves weren't recorded
+    1: (data) => ({ history: [], ...data }),
+    // There were no practice games (with undo and redo)
+    2: (data) => ({ practice: false, ...data }),
+    // Games weren't seeded
+    3: (data) => ({ seed: generateSeed(), ...data }),
+    // Every game was a classic one
+    4: (data) => ({ variant: GAME_VARIANTS.CLASSIC, ...data }),
+    // Every game had the standard fleet for its board
+    5: (data) => ({ fleet: getShipConfigForBoardSize(data.players?.[0]?.gameboard?.size), ...data }),
+    // There were no special weapons
+    10: (data) => ({ arsenals: null, ...data }),
+    // There were no mines, so no turns to sit out
+    11: (data) => ({ minePenalty: null, turnsToSkip: [0, 0], ...data }),
+    // Games were untimed
+    12: (data) => ({
+        turnLimit: null,
+        clockLimit: null,
+        turnTimeout: TURN_TIMEOUTS.RANDOM_SHOT,
+        clocks: null,
+        ...data,
+    }),
+};
+
+/**
+ * Headless Battleship game engine. Owns the rules and the turn loop so they can be reused and tested without the DOM.
+ *
+ * @class
+ *
+ * Phases:
+ * - `setup`: Players exist but no ships have been placed
+ * - `placement`: Computers have placed their fleet, humans are placing theirs
+ * - `in-progress`: Players take turns attacking each other's boards
+ * - `finished`: One player has sunk the other's whole fleet
+ *
+ * Events (subscribe with `on()`):
+ * - `turnStarted`: `{ player, turn, resumed? }` - a player may now attack; resumed is set (to true) when resume()
+ *   picks up a restored game
+ * - `attacked`: `{ attacker, defender, x, y, result, turn }` - an attack was resolved
+ * - `shipSunk`: `{ attacker, defender, ship, x, y }` - the attack sank a ship
+ * - `volleyFired`: `{ attacker, defender, shots, turn }` - a salvo was resolved (instead of `attacked`); `shots` holds
+ *   each shot's `{ x, y, result }`, and any ships it sank have already been announced with `shipSunk`
+ * - `weaponUsed`: `{ attacker, defender, weapon, x, y, axis, cells, result, shots, turn }` - a special weapon was used
+ *   (instead of `attacked`; see Gameboard.receiveWeapon), and any ships it sank have already been announced
+ * - `mineDetonated`: `{ attacker, defender, x, y, penalty, retaliation, turn }` - the attacker fired on one of the
+ *   defender's mines (after the attack itself was announced); `retaliation` is the `{ x, y, result }` of the hit the
+ *   mine dealt back, or null if the penalty is losing a turn
+ * - `turnSkipped`: `{ player, turn }` - a player sits out a turn they lost to a mine
+ * - `turnTimedOut`: `{ player, turn, action }` - a player's time for the turn ran out; `action` is one of
+ *   TURN_TIMEOUTS, and the random shot fired for them (or the next turn) follows
+ * - `clockRanOut`: `{ player, turn }` - a player has used up their whole clock, and loses (`gameOver` follows)
+ * - `gameOver`: `{ winner, loser }` - the game has finished
+ *
+ * Variants:
+ * - `classic`: One shot per turn, played with `playTurn()`
+ * - `salvo`: One shot per ship the attacker still has afloat, all resolved together, played with `playVolley()`
+ *
+ * Special weapons: in a classic game played with `weapons`, each player also has WEAPON_SUPPLY uses of each of WEAPONS.
+ * Using one takes the player's turn, with `useWeapon()`; computers decide for themselves during `playTurn()`.
+ *
+ * Mines: in a game played with a `minePenalty`, each player also lays MINES_PER_PLAYER mines on their own board during
+ * placement. Firing on an opponent's mine (with any kind of shot) either makes it hit back at a random undamaged part
+ * of the attacker's fleet, which can lose them the game, or costs the attacker their next turn.
+ *
+ * Timed games: a game played with a `turnLimit` gives each player that many seconds per turn, and one played with a
+ * `clockLimit` gives each player that many seconds for the whole game, like a chess clock. The engine doesn't keep
+ * time itself: whoever drives the game charges each turn's time with `spendTime()`, and reports a turn that ran out
+ * with `timeOutTurn()` (which fires a random shot or forfeits the turn, as `turnTimeout` says) and a clock that ran
+ * out with `runOutOfTime()`.
+ *
+ * Every resolved attack is also kept in `history`, so finished games can be reviewed (see Replay). Shots fired by a
+ * weapon are recorded with the `weapon` that fired them, and a sonar ping is recorded once, at the cell it was aimed
+ * at, with its SONAR_RESULTS result. The hit a mine deals back is recorded as a `retaliation` move by the mine's owner.
+ *
+ * Practice games (against the computer only) can take moves back: `undo()` rolls back the human's last attack and the
+ * computer's reply by restoring a snapshot of both players taken before that attack, and `redo()` puts them back.
+ * Snapshots only live as long as the page; a resumed game starts with nothing to undo.
+ *
+ * Pacing (delays, pass-the-device screens, spectator playback) is left to whoever drives the game.
+ */
+export default class Game {
+    #playerOne;
+    #playerTwo;
+    #phase;
+    #currentPlayer;
+    #winner;
+    #turn;
+    #history;
+    #practice;
+    #variant;
+    #seed;
+    #random;
+    #undoStack;
+    #redoStack;
+    #fleet;
+    #arsenals;
+    #minePenalty;
+    #turnsToSkip;
+    #turnLimit;
+    #clockLimit;
+    #turnTimeout;
+    #clocks;
+    #listeners;
+    #cancelled;
+
+    /**
+     * Creates a new game between two players
+     * @param {Player} playerOne - The player who moves first
+     * @param {Player} playerTwo - The player who moves second
+     * @param {object} [options]
+     * @param {boolean} [options.practice=false] - Allow undo/redo. Only takes effect when a human plays the computer.
+     * @param {string} [options.variant=GAME_VARIANTS.CLASSIC] - One of GAME_VARIANTS
+     * @param {string} [options.seed=generateSeed()] - Seeds the computers' fleet placement. Pass the same seed the
+     * computer players' random streams were derived from (see initialisePlayers) to make the whole game reproducible.
+     * @param {Array<number|string>} [options.fleet] - Ship types each player places: lengths of straight ships and
+     * names of SHIP_SHAPES. Defaults to the standard fleet for the board size.
+     * @param {boolean} [options.weapons=false] - Give each player special weapons. Only takes effect in classic games.
+     * @param {string|null} [options.minePenalty=null] - Play with mines, punishing whoever fires on one with one of
+     * MINE_PENALTIES
+     * @param {number|null} [options.turnLimit=null] - Seconds each player has for a turn, or null for no limit
+     * @param {number|null} [options.clockLimit=null] - Seconds each player has for the whole game, or null for no clock
+     * @param {string} [options.turnTimeout=TURN_TIMEOUTS.RANDOM_SHOT] - What happens when a turn's time runs out, one
+     * of TURN_TIMEOUTS
+     * @throws {TypeError} If either player is missing or both are the same player
+     * @throws {RangeError} If the players' boards are different sizes, follow different placement rules or have
+     * different islands, the variant, mine penalty or turn timeout is unknown, a time limit isn't a positive whole
+     * number of seconds or the fleet doesn't pass checkFleet()
+     */
+    constructor(playerOne, playerTwo, options = {}) {
+        const {
+            practice = false,
+            variant = GAME_VARIANTS.CLASSIC,
+            seed = generateSeed(),
+            weapons = false,
+            minePenalty = null,
+            turnLimit = null,
+            clockLimit = null,
+            turnTimeout = TURN_TIMEOUTS.RANDOM_SHOT,
+        } = options;
+
+        if (!playerOne || !playerTwo || playerOne === playerTwo) {
+            throw new TypeError("A game needs two different players");
+        }
+
+        const { width, height } = playerOne.gameboard;
+        if (playerTwo.gameboard.width !== width || playerTwo.gameboard.height !== height) {
+            throw new RangeError("Both players must use the same board size");
+        }
+
+        if (playerOne.gameboard.noTouching !== playerTwo.gameboard.noTouching) {
+            throw new RangeError("Both players must use the same placement rules");
+        }
+
+        const islandKeys = (board) => board.islands.map(({ x, y }) => `${x},${y}`).sort();
+        if (islandKeys(playerOne.gameboard).join(";") !== islandKeys(playerTwo.gameboard).join(";")) {
+            throw new RangeError("Both players must use the same map");
+        }
+
+        if (!Object.values(GAME_VARIANTS).includes(variant)) {
+            throw new RangeError(`Unknown game variant: ${variant}`);
+        }
+
+        if (minePenalty !== null && !Object.values(MINE_PENALTIES).includes(minePenalty)) {
+            throw new RangeError(`Unknown mine penalty: ${minePenalty}`);
+        }
+
+        for (const [name, limit] of [
+            ["turn limit", turnLimit],
+            ["clock limit", clockLimit],
+        ]) {
+            if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+                throw new RangeError(`Invalid ${name}: ${limit} (expected a whole number of seconds, or null)`);
+            }
+        }
+
+        if (!Object.values(TURN_TIMEOUTS).includes(turnTimeout)) {
+            throw new RangeError(`Unknown turn timeout: ${turnTimeout}`);
+        }
+
+        const fleet = options.fleet ?? getShipConfigForBoardSize(getEquivalentSquareSize(width, height));
+        const fleetCheck = checkFleet(fleet, width, height, {
+            noTouching: playerOne.gameboard.noTouching,
+            islands: playerOne.gameboard.islands.length,
+        });
+        if (!fleetCheck.valid) {
+            throw new RangeError(`Invalid fleet (${fleetCheck.reason}): ${fleet.join(", ")}`);
+        }
+
+        this.#playerOne = playerOne;
+        this.#playerTwo = playerTwo;
+        this.#phase = GAME_PHASES.SETUP;
+        this.#currentPlayer = playerOne;
+        this.#winner = null;
+        this.#turn = 0;
+        this.#history = [];
+        this.#undoStack = [];
+        this.#redoStack = [];
+        this.#fleet = [...fleet];
+        this.#listeners = new Map();
+        this.#cancelled = false;
+        this.#practice = Boolean(practice) && this.mode === GAME_MODES.VS_COMPUTER;
+        this.#variant = variant;
+        this.#arsenals =
+            Boolean(weapons) && variant === GAME_VARIANTS.CLASSIC ? [{ ...WEAPON_SUPPLY }, { ...WEAPON_SUPPLY }] : null;
+        this.#minePenalty = minePenalty;
+        this.#turnsToSkip = [0, 0];
+        this.#turnLimit = turnLimit;
+        this.#clockLimit = clockLimit;
+        this.#turnTimeout = turnTimeout;
+        this.#clocks = clockLimit === null ? null : [clockLimit * 1000, clockLimit * 1000];
+        this.#random = new SeededRandom(seed).derive("placement");
+        this.#seed = seed;
+    }
+
+    /**
+     * Gets the current phase
+     * @returns {string} One of GAME_PHASES
+     */
+    get phase() {
+        return this.#phase;
+    }
+
+    /**
+     * Gets the game mode, which follows from who is playing
+     * @returns {string} One of GAME_MODES
+     */
+    get mode() {
+        const humans = this.players.filter((player) => player instanceof RealPlayer).length;
+        if (humans === 2) return GAME_MODES.HOT_SEAT;
+        if (humans === 0) return GAME_MODES.SPECTATOR;
+        return GAME_MODES.VS_COMPUTER;
+    }
+
+    /**
+     * Gets both players in turn order
+     * @returns {Array<Player>}
+     */
+    get players() {
+        return [this.#playerOne, this.#playerTwo];
+    }
+
+    /**
+     * Gets the player whose turn it is
+     * @returns {Player}
+     */
+    get currentPlayer() {
+        return this.#currentPlayer;
+    }
+
+    /**
+     * Gets the winner once the game has finished
+     * @returns {Player|null}
+     */
+    get winner() {
+        return this.#winner;
+    }
+
+    /**
+     * Gets the number of the turn being played (0 before the game starts)
+     * @returns {number}
+     */
+    get turn() {
+        return this.#turn;
+    }
+
+    /**
+     * Gets every attack made so far, oldest first
+     * @returns {Array<{turn: number, attacker: Player, x: number, y: number, result: string}>}
+     */
+    get history() {
+        return this.#history.map((move) => ({ ...move, attacker: this.players[move.attacker] }));
+    }
+
+    /**
+     * Gets the rules variant being played
+     * @returns {string} One of GAME_VARIANTS
+     */
+    get variant() {
+        return this.#variant;
+    }
+
+    /**
+     * Gets the seed the game's random choices come from
+     * @returns {string}
+     */
+    get seed() {
+        return this.#seed;
+    }
+
+    /**
+     * Whether this is a practice game, where moves can be undone
+     * @returns {boolean}
+     */
+    get practice() {
+        return this.#practice;
+    }
+
+    /**
+     * Whether undo() is possible: in a practice game, on the human's turn (or once the game is over), with a move
+     * to take back
+     * @returns {boolean}
+     */
+    get canUndo() {
+        return this.#canRewind(this.#undoStack);
+    }
+
+    /**
+     * Whether redo() is possible: there is an undone move and nothing has been played since
+     * @returns {boolean}
+     */
+    get canRedo() {
+        return this.#canRewind(this.#redoStack);
+    }
+
+    /**
+     * Whether the game is played with special weapons
+     * @returns {boolean}
+     */
+    get weapons() {
+        return this.#arsenals !== null;
+    }
+
+    /**
+     * Gets how many uses of each special weapon a player has left
+     * @param {Player} player - One of this game's players
+     * @returns {Object<string, number>|null} Uses left, keyed by WEAPONS value, or null if the game has no weapons
+     */
+    weaponsLeft(player) {
+        const arsenal = this.#arsenals?.[this.players.indexOf(player)];
+        return arsenal ? { ...arsenal } : null;
+    }
+
+    /**
+     * Gets what happens to a player who fires on a mine
+     * @returns {string|null} One of MINE_PENALTIES, or null if the game is played without mines
+     */
+    get minePenalty() {
+        return this.#minePenalty;
+    }
+
+    /**
+     * Gets how many more mines a player has to lay before the battle can start
+     * @param {Player} player - One of this game's players
+     * @returns {number} 0 once they're all laid, or in a game without mines
+     */
+    minesToLay(player) {
+        return this.#minePenalty ? Math.max(0, MINES_PER_PLAYER - player.gameboard.mineCount) : 0;
+    }
+
+    /**
+     * Gets how many seconds each player has for a turn
+     * @returns {number|null} null if turns aren't timed
+     */
+    get turnLimit() {
+        return this.#turnLimit;
+    }
+
+    /**
+     * Gets how many seconds each player's clock started with
+     * @returns {number|null} null if the game is played without clocks
+     */
+    get clockLimit() {
+        return this.#clockLimit;
+    }
+
+    /**
+     * Gets what happens when a player's time for a turn runs out
+     * @returns {string} One of TURN_TIMEOUTS
+     */
+    get turnTimeout() {
+        return this.#turnTimeout;
+    }
+
+    /**
+     * Gets how much time a player has left on their clock
+     * @param {Player} player - One of this game's players
+     * @returns {number|null} Milliseconds left, or null if the game is played without clocks
+     */
+    timeLeft(player) {
+        return this.#clocks?.[this.players.indexOf(player)] ?? null;
+    }
+
+    /**
+     * Gets the ship types (lengths or shapes) each player must place
+     * @returns {Array<number|string>}
+     */
+    get fleet() {
+        return [...this.#fleet];
+    }
+
+    /**
+     * Whether the game has been abandoned (e.g. because a new game was started)
+     * @returns {boolean}
+     */
+    get isCancelled() {
+        return this.#cancelled;
+    }
+
+    /**
+     * Gets the other player
+     * @param {Player} player - One of this game's players
+     * @returns {Player}
+     */
+    opponentOf(player) {
+        return player === this.#playerOne ? this.#playerTwo : this.#playerOne;
+    }
+
+    /**
+     * Subscribes to a game event
+     * @param {string} event - One of GAME_EVENTS
+     * @param {Function} handler - Called with the event's payload
+     * @returns {() => void} Unsubscribes the handler
+     */
+    on(event, handler) {
+        if (!Object.values(GAME_EVENTS).includes(event)) {
+            throw new TypeError(`Unknown game event: ${event}`);
+        }
+
+        if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+        this.#listeners.get(event).add(handler);
+        return () => this.#listeners.get(event)?.delete(handler);
+    }
+
+    /**
+     * Moves from setup to placement. Computer players place their fleets (and lay their mines) straight away.
+     * @throws {Error} If the game isn't in the setup phase
+     */
+    startPlacement() {
+        this.#assertPhase(GAME_PHASES.SETUP);
+
+        const computers = this.players.filter((player) => !(player instanceof RealPlayer));
+        const boards = computers.map((player) => player.gameboard);
+        placeShipsRandom(boards, this.#random, this.#fleet);
+        if (this.#minePenalty) placeMinesRandom(boards, this.#random);
+        this.#phase = GAME_PHASES.PLACEMENT;
+    }
+
+    /**
+     * Clears a player's board and places their whole fleet (and their mines) at random, using the game's seeded
+     * placement stream
+     * @param {Player} player - One of this game's players
+     * @throws {Error} If the game isn't in the placement phase
+     */
+    randomiseFleet(player) {
+        this.#assertPhase(GAME_PHASES.PLACEMENT);
+
+        player.gameboard.clear();
+        placeShipsRandom([player.gameboard], this.#random, this.#fleet);
+        if (this.#minePenalty) placeMinesRandom([player.gameboard], this.#random);
+    }
+
+    /**
+     * Checks whether a player has placed their whole fleet, and laid all their mines in a game with mines
+     * @param {Player} player
+     * @returns {boolean}
+     */
+    isFleetComplete(player) {
+        return getUnplacedShips(this.#fleet, player.gameboard).length === 0 && this.minesToLay(player) === 0;
+    }
+
+    /**
+     * Works out how many shots a player fires on their turn: one in a classic game, or one per ship they have afloat
+     * in a salvo game (never more than there are cells left to fire at)
+     * @param {Player} player - One of this game's players
+     * @returns {number}
+     */
+    shotsFor(player) {
+        if (this.#variant !== GAME_VARIANTS.SALVO) return 1;
+
+        const openCells = this.opponentOf(player).gameboard.board.flat().filter(isOpenCell).length;
+        return Math.min(player.gameboard.getRemainingShips().length, openCells);
+    }
+
+    /**
+     * Starts the battle once every fleet is in place. Player one moves first.
+     * @throws {Error} If the game isn't in the placement phase or a fleet is incomplete
+     */
+    start() {
+        this.#assertPhase(GAME_PHASES.PLACEMENT);
+
+        for (const player of this.players) {
+            if (!this.isFleetComplete(player)) {
+                throw new Error(`${player.name} hasn't placed their whole fleet`);
+            }
+        }
+
+        this.#phase = GAME_PHASES.IN_PROGRESS;
+        this.#currentPlayer = this.#playerOne;
+        this.#beginTurn();
+    }
+
+    /**
+     * Plays the current player's turn in a classic game. In a game with special weapons, computers may use one instead
+     * of firing a single shot.
+     * @param {Player} player - The player attacking; must be the current player
+     * @param {number} [x] - x-coordinate of the attack (required for human players)
+     * @param {number} [y] - y-coordinate of the attack (required for human players)
+     * @throws {Error} If the game isn't a classic game in progress, or it isn't this player's turn
+     * @returns {{result: string, x: number, y: number}} The resolved attack, or the resolved weapon if a computer used
+     * one (see useWeapon)
+     */
+    playTurn(player, x, y) {
+        this.#assertTurn(player);
+        if (this.#variant === GAME_VARIANTS.SALVO) {
+            throw new Error("Salvo turns are played with playVolley()");
+        }
+
+        const attacker = this.#currentPlayer;
+        const defender = this.opponentOf(attacker);
+        if (this.weapons && !(attacker instanceof RealPlayer)) {
+            const arsenal = this.#arsenals[this.players.indexOf(attacker)];
+            const strike = attacker.useWeapon(defender.gameboard, { ...arsenal });
+            if (strike) return this.#resolveWeapon(attacker, defender, strike);
+        }
+
+        const undoPoint = this.#takeUndoPoint(attacker);
+        const attack =
+            attacker instanceof RealPlayer
+                ? attacker.attack(defender.gameboard, x, y)
+                : attacker.attack(defender.gameboard);
+        this.#commitUndoPoint(undoPoint);
+
+        this.#recordMove(attacker, attack);
+        this.#emit(GAME_EVENTS.ATTACKED, { attacker, defender, ...attack, turn: this.#turn });
+        this.#announceSinking(attacker, defender, attack);
+        this.#endTurn(attacker, defender, [attack]);
+        return attack;
+    }
+
+    /**
+     * Plays the current player's turn in a salvo game. Every shot is placed before any is resolved.
+     * @param {Player} player - The player attacking; must be the current player
+     * @param {Array<{x: number, y: number}>} [shots] - The targets, exactly shotsFor(player) of them (required for
+     * human players; computers choose their own)
+     * @throws {Error} If the game isn't a salvo game in progress, or it isn't this player's turn
+     * @throws {RangeError} If a human fires the wrong number of shots
+     * @returns {Array<{result: string, x: number, y: number}>} Each shot's result
+     */
+    playVolley(player, shots) {
+        this.#assertTurn(player);
+        if (this.#variant !== GAME_VARIANTS.SALVO) {
+            throw new Error("Only salvo games are played with playVolley()");
+        }
+
+        const attacker = this.#currentPlayer;
+        const defender = this.opponentOf(attacker);
+        const count = this.shotsFor(attacker);
+        if (attacker instanceof RealPlayer && shots?.length !== count) {
+            throw new RangeError(`${attacker.name} must fire ${count} shots, not ${shots?.length ?? 0}`);
+        }
+
+        const undoPoint = this.#takeUndoPoint(attacker);
+        const volley =
+            attacker instanceof RealPlayer
+                ? attacker.attackVolley(defender.gameboard, shots)
+                : attacker.attackVolley(defender.gameboard, count);
+        this.#commitUndoPoint(undoPoint);
+
+        volley.forEach((attack) => this.#recordMove(attacker, attack));
+        volley.forEach((attack) => this.#announceSinking(attacker, defender, attack));
+        this.#emit(GAME_EVENTS.VOLLEY_FIRED, { attacker, defender, shots: volley, turn: this.#turn });
+        this.#endTurn(attacker, defender, volley);
+        return volley;
+    }
+
+    /**
+     * Uses one of the current player's special weapons as their turn
+     * @param {Player} player - The player attacking; must be the current (human) player
+     * @param {string} weapon - One of WEAPONS
+     * @param {number} x - x-coordinate the weapon is aimed at
+     * @param {number} y - y-coordinate the weapon is aimed at
+     * @param {string} [axis] - Which way a line strike runs, one of STRIKE_AXES
+     * @throws {Error} If the game isn't in progress or has no weapons, it isn't this player's turn, they have none of
+     * this weapon left, or a bomb or line strike has nothing left to fire at
+     * @returns {{weapon: string, x: number, y: number, axis: string, cells: Array<{x: number, y: number}>, result:
+     * string, shots: Array<{result: string, x: number, y: number}>}} The resolved weapon (see Gameboard.receiveWeapon)
+     */
+    useWeapon(player, weapon, x, y, axis) {
+        this.#assertTurn(player);
+        if (!this.weapons) {
+            throw new Error("This game isn't played with special weapons");
+        }
+
+        const attacker = this.#currentPlayer;
+        if (!(attacker instanceof RealPlayer)) {
+            throw new Error("Computers choose their own weapons in playTurn()");
+        }
+        if (!(this.#arsenals[this.players.indexOf(attacker)][weapon] > 0)) {
+            throw new Error(`${attacker.name} has no ${WEAPON_NAMES[weapon] ?? weapon} left`);
+        }
+
+        const defender = this.opponentOf(attacker);
+        const undoPoint = this.#takeUndoPoint(attacker);
+        const strike = attacker.useWeapon(defender.gameboard, weapon, x, y, axis);
+        this.#commitUndoPoint(undoPoint);
+        return this.#resolveWeapon(attacker, defender, strike);
+    }
+
+    /**
+     * Picks up a restored game where it left off by starting the current player's turn again
+     * @throws {Error} If the game isn't in progress
+     */
+    resume() {
+        this.#assertPhase(GAME_PHASES.IN_PROGRESS);
+        this.#emit(GAME_EVENTS.TURN_STARTED, { player: this.#currentPlayer, turn: this.#turn, resumed: true });
+    }
+
+    /**
+     * Takes back the human's last attack and the computer's reply. Emits `turnStarted` for the restored turn.
+     * @throws {Error} If there is nothing that can be undone (see canUndo)
+     */
+    undo() {
+        if (!this.canUndo) {
+            throw new Error("There is no move to undo");
+        }
+
+        this.#redoStack.push(this.toJSON());
+        this.#restoreSnapshot(this.#undoStack.pop());
+    }
+
+    /**
+     * Replays the last undone attack and reply. Emits `turnStarted`, or `gameOver` if they ended the game.
+     * @throws {Error} If there is nothing that can be redone (see canRedo)
+     */
+    redo() {
+        if (!this.canRedo) {
+            throw new Error("There is no move to redo");
+        }
+
+        this.#undoStack.push(this.toJSON());
+        this.#restoreSnapshot(this.#redoStack.pop());
+    }
+
+    /**
+     * Serializes the game: both players (with their boards), the phase, whose turn it is and the move history (see the
+     * schema module)
+     * @returns {object}
+     */
+    toJSON() {
+        const indexOf = (player) => (player ? this.players.indexOf(player) : null);
+        return {
+            version: SCHEMA_VERSION,
+            players: this.players.map((player) => player.toJSON()),
+            phase: this.#phase,
+            currentPlayer: indexOf(this.#currentPlayer),
+            winner: indexOf(this.#winner),
+            turn: this.#turn,
+            history: this.#history.map((move) => ({ ...move })),
+            practice: this.#practice,
+            variant: this.#variant,
+            seed: this.#seed,
+            fleet: [...this.#fleet],
+            arsenals: this.#arsenals?.map((arsenal) => ({ ...arsenal })) ?? null,
+            minePenalty: this.#minePenalty,
+            turnsToSkip: [...this.#turnsToSkip],
+            turnLimit: this.#turnLimit,
+            clockLimit: this.#clockLimit,
+            turnTimeout: this.#turnTimeout,
+            clocks: this.#clocks ? [...this.#clocks] : null,
+        };
+    }
+
+    /**
+     * Rebuilds a game from toJSON() output. Event listeners aren't part of the save and must be re-attached.
+     * @param {object} data
+     * @throws {TypeError|RangeError} If the data is malformed
+     * @returns {Game}
+     */
+    static fromJSON(data) {
+        data = upgradeVersioned(data, "game", UPGRADES);
+        assertArray(data.players, "game players");
+        if (data.players.length !== 2) {
+            throw new RangeError(`Invalid game players: expected 2 players, got ${data.players.length}`);
+        }
+        assertOneOf(data.phase, Object.values(GAME_PHASES), "game phase");
+        assertOneOf(data.currentPlayer, [0, 1], "game currentPlayer");
+        assertOneOf(data.winner, data.phase === GAME_PHASES.FINISHED ? [0, 1] : [null], "game winner");
+        assertInteger(data.turn, "game turn", 0);
+        assertArray(data.history, "game history");
+        assertOneOf(data.practice, [true, false], "game practice");
+        assertOneOf(data.variant, Object.values(GAME_VARIANTS), "game variant");
+        assertString(data.seed, "game seed");
+        assertArray(data.fleet, "game fleet");
+        if (data.arsenals !== null) {
+            assertArray(data.arsenals, "game arsenals");
+            if (data.variant !== GAME_VARIANTS.CLASSIC) {
+                throw new RangeError("Invalid game arsenals: special weapons are only used in classic games");
+            }
+            if (data.arsenals.length !== 2) {
+                throw new RangeError(`Invalid game arsenals: expected 2 arsenals, got ${data.arsenals.length}`);
+            }
+            data.arsenals.forEach((arsenal, i) => {
+                assertObject(arsenal, `game arsenals[${i}]`);
+                for (const weapon of Object.values(WEAPONS)) {
+                    assertInteger(arsenal[weapon], `game arsenals[${i}].${weapon}`, 0, WEAPON_SUPPLY[weapon]);
+                }
+            });
+        }
+        assertOneOf(data.minePenalty, [...Object.values(MINE_PENALTIES), null], "game minePenalty");
+        assertArray(data.turnsToSkip, "game turnsToSkip");
+        if (data.turnsToSkip.length !== 2) {
+            throw new RangeError(`Invalid game turnsToSkip: expected 2 counts, got ${data.turnsToSkip.length}`);
+        }
+        data.turnsToSkip.forEach((count, i) => assertInteger(count, `game turnsToSkip[${i}]`, 0));
+        if (data.turnLimit !== null) assertInteger(data.turnLimit, "game turnLimit", 1);
+        if (data.clockLimit !== null) assertInteger(data.clockLimit, "game clockLimit", 1);
+        assertOneOf(data.turnTimeout, Object.values(TURN_TIMEOUTS), "game turnTimeout");
+        if (data.clockLimit === null) {
+            assertOneOf(data.clocks, [null], "game clocks");
+        } else {
+            assertArray(data.clocks, "game clocks");
+            if (data.clocks.length !== 2) {
+                throw new RangeError(`Invalid game clocks: expected 2 clocks, got ${data.clocks.length}`);
+            }
+            data.clocks.forEach((ms, i) => assertInteger(ms, `game clocks[${i}]`, 0, data.clockLimit * 1000));
+        }
+
+        const [playerOne, playerTwo] = data.players.map(playerFromJSON);
+        const game = new Game(playerOne, playerTwo, {
+            practice: data.practice,
+            variant: data.variant,
+            seed: data.seed,
+            fleet: data.fleet,
+            weapons: data.arsenals !== null,
+            minePenalty: data.minePenalty,
+            turnLimit: data.turnLimit,
+            clockLimit: data.clockLimit,
+            turnTimeout: data.turnTimeout,
+        });
+        const mineLimit = data.minePenalty ? MINES_PER_PLAYER : 0;
+        game.players.forEach(({ gameboard }, i) => {
+            if (gameboard.mineCount > mineLimit) {
+                throw new RangeError(
+                    `Invalid game players[${i}]: ${gameboard.mineCount} mines laid, but at most ${mineLimit} are allowed`
+                );
+            }
+        });
+        const { width, height } = playerOne.gameboard;
+        data.history.forEach((move, i) => {
+            const path = `game history[${i}]`;
+            assertObject(move, path);
+            assertInteger(move.turn, `${path}.turn`, 1, data.turn);
+            assertOneOf(move.attacker, [0, 1], `${path}.attacker`);
+            assertInteger(move.x, `${path}.x`, 0, width - 1);
+            assertInteger(move.y, `${path}.y`, 0, height - 1);
+            if (move.weapon !== undefined) assertOneOf(move.weapon, Object.values(WEAPONS), `${path}.weapon`);
+            const results = move.weapon === WEAPONS.SONAR ? SONAR_RESULTS : ATTACK_RESULTS;
+            assertOneOf(move.result, Object.values(results), `${path}.result`);
+            if (move.retaliation !== undefined) assertOneOf(move.retaliation, [true], `${path}.retaliation`);
+        });
+
+        game.#loadState(data);
+        return game;
+    }
+
+    /**
+     * Abandons the game. Listeners are dropped and no further moves are accepted.
+     */
+    cancel() {
+        this.#cancelled = true;
+        this.#listeners.clear();
+    }
+
+    /**
+     * Copies the turn state (but not the players) out of toJSON() output
+     * @private
+     */
+    #loadState(data) {
+        this.#phase = data.phase;
+        this.#currentPlayer = this.players[data.currentPlayer];
+        this.#winner = data.winner === null ? null : this.players[data.winner];
+        this.#turn = data.turn;
+        this.#history = data.history.map(({ turn, attacker, x, y, result, weapon, retaliation }) => ({
+            turn,
+            attacker,
+            x,
+            y,
+            result,
+            ...(weapon && { weapon }),
+            ...(retaliation && { retaliation }),
+        }));
+        this.#arsenals = data.arsenals?.map((arsenal) => ({ ...arsenal })) ?? null;
+        this.#turnsToSkip = [...data.turnsToSkip];
+        this.#clocks = data.clocks ? [...data.clocks] : null;
+    }
+
+    /**
+     * Swaps in the players and turn state from an undo/redo snapshot and announces where the game now stands
+     * @private
+     */
+    #restoreSnapshot(snapshot) {
+        [this.#playerOne, this.#playerTwo] = snapshot.players.map(playerFromJSON);
+        this.#loadState(snapshot);
+
+        if (this.#phase === GAME_PHASES.FINISHED) {
+            this.#emit(GAME_EVENTS.GAME_OVER, { winner: this.#winner, loser: this.opponentOf(this.#winner) });
+        } else {
+            this.#emit(GAME_EVENTS.TURN_STARTED, { player: this.#currentPlayer, turn: this.#turn });
+        }
+    }
+
+    #canRewind(stack) {
+        if (!this.#practice || this.#cancelled || stack.length === 0) return false;
+        return this.#phase === GAME_PHASES.FINISHED || this.#currentPlayer instanceof RealPlayer;
+    }
+
+    /**
+     * Snapshots the game before a human's attack in a practice game, so undo() can return to it
+     * @returns {object|null}
+     * @private
+     */
+    #takeUndoPoint(attacker) {
+        return this.#practice && attacker instanceof RealPlayer ? this.toJSON() : null;
+    }
+
+    /**
+     * Keeps a snapshot once the attack it was taken for has gone through. Playing a new move drops anything undone.
+     * @private
+     */
+    #commitUndoPoint(undoPoint) {
+        if (!undoPoint) return;
+        this.#undoStack.push(undoPoint);
+        this.#redoStack = [];
+    }
+
+    /**
+     * @param {object} [details] - What else sets the move apart: the `weapon` that fired it, or `retaliation`
+     * @private
+     */
+    #recordMove(attacker, { x, y, result }, details = {}) {
+        this.#history.push({ turn: this.#turn, attacker: this.players.indexOf(attacker), x, y, result, ...details });
+    }
+
+    /**
+     * Charges time a player has spent thinking to their clock. A clock stops at zero; it's up to whoever keeps time to
+     * call runOutOfTime() then. Does nothing in a game without clocks.
+     * @param {Player} player - One of this game's players
+     * @param {number} ms - Milliseconds spent
+     * @throws {TypeError} If the player isn't in this game
+     * @throws {RangeError} If the time is negative or not a number
+     */
+    spendTime(player, ms) {
+        const index = this.players.indexOf(player);
+        if (index === -1) {
+            throw new TypeError("That player isn't playing this game");
+        }
+        if (!Number.isFinite(ms) || ms < 0) {
+            throw new RangeError(`Time spent must be a non-negative number of milliseconds, not ${ms}`);
+        }
+
+        if (this.#clocks) this.#clocks[index] = Math.max(0, this.#clocks[index] - Math.round(ms));
+    }
+
+    /**
+     * Ends the current player's turn for them once their time for it has run out: a random shot (or volley) is fired
+     * at cells they haven't fired at, or the turn passes to their opponent, as turnTimeout says. Random shots are drawn
+     * from a stream derived from the seed and the turn, so a resumed game plays out the same way.
+     * @param {Player} player - The current player
+     * @throws {Error} If the game isn't in progress or it isn't this player's turn
+     * @returns {object|null} The random shot or volley, as playTurn() or playVolley() returns it, or null if the turn
+     * was forfeited
+     */
+    timeOutTurn(player) {
+        this.#assertTurn(player);
+
+        const action = this.#turnTimeout;
+        this.#emit(GAME_EVENTS.TURN_TIMED_OUT, { player, turn: this.#turn, action });
+        if (action === TURN_TIMEOUTS.FORFEIT) {
+            this.#passTurn(this.opponentOf(player));
+            return null;
+        }
+
+        const board = this.opponentOf(player).gameboard;
+        const open = [];
+        board.board.forEach((row, y) =>
+            row.forEach((cell, x) => {
+                if (isOpenCell(cell)) open.push({ x, y });
+            })
+        );
+        const random = new SeededRandom(this.#seed).derive(`timeout:${this.#turn}`);
+        const shots = Array.from(
+            { length: this.shotsFor(player) },
+            () => open.splice(random.nextInt(open.length), 1)[0]
+        );
+
+        if (this.#variant === GAME_VARIANTS.SALVO) return this.playVolley(player, shots);
+        return this.playTurn(player, shots[0].x, shots[0].y);
+    }
+
+    /**
+     * Ends the game once the current player's clock has run out: they lose
+     * @param {Player} player - The current player
+     * @throws {Error} If the game isn't in progress, has no clocks or it isn't this player's turn
+     */
+    runOutOfTime(player) {
+        this.#assertTurn(player);
+        if (!this.#clocks) {
+            throw new Error("This game isn't played with clocks");
+        }
+
+        this.#clocks[this.players.indexOf(player)] = 0;
+        this.#emit(GAME_EVENTS.CLOCK_RAN_OUT, { player, turn: this.#turn });
+        this.#finish(this.opponentOf(player), player);
+    }
+
+    /**
+     * Spends the weapon, records and announces what it did, and ends the turn
+     * @private
+     */
+    #resolveWeapon(attacker, defender, strike) {
+        this.#arsenals[this.players.indexOf(attacker)][strike.weapon]--;
+
+        const { weapon } = strike;
+        if (weapon === WEAPONS.SONAR) {
+            this.#recordMove(attacker, strike, { weapon });
+        } else {
+            strike.shots.forEach((shot) => this.#recordMove(attacker, shot, { weapon }));
+        }
+        strike.shots.forEach((shot) => this.#announceSinking(attacker, defender, shot));
+        this.#emit(GAME_EVENTS.WEAPON_USED, { attacker, defender, ...strike, turn: this.#turn });
+        this.#endTurn(attacker, defender, strike.shots);
+        return strike;
+    }
+
+    #announceSinking(attacker, defender, { x, y, result }) {
+        if (result === ATTACK_RESULTS.SUNK || result === ATTACK_RESULTS.SUNK_ALL) {
+            const ship = defender.gameboard.getShipAt(x, y);
+            this.#emit(GAME_EVENTS.SHIP_SUNK, { attacker, defender, ship, x, y });
+        }
+    }
+
+    /**
+     * Finishes the game if the attacker has sunk the whole fleet. Otherwise any mines the attacker set off go off, and
+     * the turn passes to the defender - or back to the attacker, while the defender sits out turns lost to mines.
+     * @param {Array<{x: number, y: number, result: string}>} shots - Every shot fired this turn
+     * @private
+     */
+    #endTurn(attacker, defender, shots) {
+        if (shots.some((shot) => shot.result === ATTACK_RESULTS.SUNK_ALL)) {
+            this.#finish(attacker, defender);
+            return;
+        }
+
+        for (const shot of shots) {
+            if (shot.result === ATTACK_RESULTS.MINE && this.#detonateMine(attacker, defender, shot)) {
+                this.#finish(defender, attacker);
+                return;
+            }
+        }
+
+        this.#passTurn(defender);
+    }
+
+    /**
+     * Hands the turn to a player - or back to their opponent, while the player sits out turns lost to mines
+     * @private
+     */
+    #passTurn(next) {
+        while (this.#turnsToSkip[this.players.indexOf(next)] > 0) {
+            this.#turnsToSkip[this.players.indexOf(next)]--;
+            this.#emit(GAME_EVENTS.TURN_SKIPPED, { player: next, turn: this.#turn });
+            next = this.opponentOf(next);
+        }
+        this.#currentPlayer = next;
+        this.#beginTurn();
+    }
+
+    #finish(winner, loser) {
+        this.#phase = GAME_PHASES.FINISHED;
+        this.#winner = winner;
+        this.#emit(GAME_EVENTS.GAME_OVER, { winner, loser });
+    }
+
+    /**
+     * Punishes the attacker for firing on one of the defender's mines. Retaliation is aimed at a random undamaged
+     * ship cell, drawn from a stream derived from the seed, the turn and the mine, so a resumed game plays out the
+     * same way.
+     * @returns {boolean} Whether the mine's retaliation sank the attacker's whole fleet
+     * @private
+     */
+    #detonateMine(attacker, defender, { x, y }) {
+        let retaliation = null;
+        if (this.#minePenalty === MINE_PENALTIES.RETALIATION) {
+            const board = attacker.gameboard;
+            const targets = board
+                .getRemainingShips()
+                .flatMap((ship) => board.getShipCells(ship))
+                .filter((cell) => board.board[cell.y][cell.x] !== CELL_STATES.HIT);
+            const target = new SeededRandom(this.#seed).derive(`mine:${this.#turn}:${x},${y}`).pick(targets);
+            retaliation = { x: target.x, y: target.y, result: board.receiveAttack(target.x, target.y) };
+            this.#recordMove(defender, retaliation, { retaliation: true });
+            this.#announceSinking(defender, attacker, retaliation);
+        } else {
+            this.#turnsToSkip[this.players.indexOf(attacker)]++;
+        }
+
+        const penalty = this.#minePenalty;
+        this.#emit(GAME_EVENTS.MINE_DETONATED, { attacker, defender, x, y, penalty, retaliation, turn: this.#turn });
+        return retaliation?.result === ATTACK_RESULTS.SUNK_ALL;
+    }
+
+    #beginTurn() {
+        this.#turn++;
+        this.#emit(GAME_EVENTS.TURN_STARTED, { player: this.#currentPlayer, turn: this.#turn });
+    }
+
+    /**
+     * @throws {Error} If the game isn't in progress or it isn't this player's turn
+     * @private
+     */
+    #assertTurn(player) {
+        this.#assertPhase(GAME_PHASES.IN_PROGRESS);
+
+        if (player !== this.#currentPlayer) {
+            throw new Error(`It's not ${player?.name ?? "that player"}'s turn`);
+        }
+    }
+
+    /**
+     * @throws {Error} If the game has been cancelled or is in a different phase
+     * @private
+     */
+    #assertPhase(expected) {
+        if (this.#cancelled) {
+            throw new Error("This game has been cancelled");
+        }
+
+        if (this.#phase !== expected) {
+            throw new Error(`Expected the game to be in the ${expected} phase, but it is in the ${this.#phase} phase`);
+        }
+    }
+
+    #emit(event, payload) {
+        for (const handler of [...(this.#listeners.get(event) ?? [])]) {
+            handler(payload);
+        }
+    }
+}
+
+/**
+ * Whether a cell can still be fired at: it hasn't been fired at and isn't an island
+ * @private
+ */
+function isOpenCell(cell) {
+    return (
+        cell !== CELL_STATES.HIT &&
+        cell !== CELL_STATES.MISS &&
+        cell !== CELL_STATES.DETONATED &&
+        cell !== CELL_STATES.ISLAND
+    );
+}
@@ -6,7 +6,26 @@ import {
     VALID_DIRECTIONS,
     ATTACK_RESULTS,
     CELL_STATES,
+    PLACEMENT_REJECTIONS,
+    WEAPONS,
+    STRIKE_AXES,
+    SONAR_RESULTS,
 } from "./Constants.js";
+import { SCHEMA_VERSION, upgradeVersioned, assertArray, assertObject, assertInteger, assertOneOf } from "./schema.js";
+import { getShipOffsets, fitsShipType } from "./shapes.js";
+import { getWeaponArea, combineResults } from "./weapons.js";
+
+// Steps bringing older saves up to date, keyed by the schema version they upgrade from (see upgradeVersioned())
+const UPGRADES = {
+    // Boards were square
+    6: ({ size, ...data }) => ({ width: size, height: size, ...data }),
+    // Ships could always touch
+    7: (data) => ({ noTouching: false, ...data }),
+    // There were no islands
+    9: (data) => ({ islands: [], ...data }),
+    // There were no mines
+    11: (data) => ({ mines: [], ...data }),
+};
 
 /**
  * Represents a Battleship game board
@@ -19,11 +38,23 @@ import {
  *   - `Ship`: Ship object (ship is placed here)
  *   - `'miss'`: Attacked water (no ship was here)
  *   - `'hit'`: Attacked ship (ship was damaged here)
+ *   - `'island'`: Land - ships can't be placed on it and it can't be attacked
+ *   - `'mine'`: A mine laid in the water, waiting to punish whoever fires on it
+ *   - `'detonated'`: A mine that has been fired on
  *
  * Coordinate System:
  * - board[y][x] where (0,0) is top-left
- * - x: column (0 to size-1, left to right)
- * - y: row (0 to size-1, top to bottom)
+ * - x: column (0 to width-1, left to right)
+ * - y: row (0 to height-1, top to bottom)
+ *
+ * Boards can be rectangular; a board built with one dimension is square.
+ *
+ * Placement rules:
+ * - Ships are straight or one of SHIP_SHAPES, turned to face any direction and optionally mirrored (see the shapes
+ *   module)
+ * - Ships must lie entirely on the board and can't overlap each other or an island
+ * - With the optional "no touching" rule, ships also can't be next to each other, not even diagonally
+ * - Mines go on empty water, one per cell. They don't count as ships, so they can be laid right next to one.
  *
  * Example 5x5 board after some gameplay:
  * ```
@@ -38,40 +69,115 @@ import {
  */
 export default class Gameboard {
     // Private instance fields
-    #size;
+    #width;
+    #height;
+    #noTouching;
+    #islands;
     #board;
     #ships;
+    #shipCells;
 
     /**
      * Creates a new game board
-     * @param {number} [size=DEFAULT_BOARD_SIZE] - Board size (MIN_BOARD_SIZE-MAX_BOARD_SIZE inclusive)
-     * @throws {TypeError} If size is not an integer
-     * @throws {RangeError} If size is outside valid range
-     */
-    constructor(size = DEFAULT_BOARD_SIZE) {
-        // Validate type
-        if (!Number.isInteger(size)) {
-            throw new TypeError("Size must be an integer");
-        }
+     * @param {number} [width=DEFAULT_BOARD_SIZE] - Number of columns (MIN_BOARD_SIZE-MAX_BOARD_SIZE inclusive)
+     * @param {number} [height=width] - Number of rows (MIN_BOARD_SIZE-MAX_BOARD_SIZE inclusive)
+     * @param {object} [rules]
+     * @param {boolean} [rules.noTouching=false] - Reject ships placed next to another ship, including diagonally
+     * @param {Array<{x: number, y: number}>} [rules.islands=[]] - Cells of land (see createIslands)
+     * @throws {TypeError} If either dimension or an island coordinate is not an integer
+     * @throws {RangeError} If either dimension is outside valid range, or an island is off the board
+     */
+    constructor(width = DEFAULT_BOARD_SIZE, height = width, { noTouching = false, islands = [] } = {}) {
+        for (const dimension of [width, height]) {
+            // Validate type
+            if (!Number.isInteger(dimension)) {
+                throw new TypeError("Size must be an integer");
+            }
 
-        // Validate range
-        if (size < MIN_BOARD_SIZE || size > MAX_BOARD_SIZE) {
-            throw new RangeError(
-                `Gameboard must have grid size between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE} inclusive`
-            );
+            // Validate range
+            if (dimension < MIN_BOARD_SIZE || dimension > MAX_BOARD_SIZE) {
+                throw new RangeError(
+                    `Gameboard must have grid size between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE} inclusive`
+                );
+            }
         }
 
-        this.#size = size;
-        this.#board = Array.from({ length: size }, () => Array(size).fill(CELL_STATES.EMPTY));
+        this.#width = width;
+        this.#height = height;
+        this.#noTouching = Boolean(noTouching);
+        this.#islands = [];
+        for (const { x, y } of islands) {
+            this.#validateCoordinates(x, y);
+            if (!this.#islands.some((island) => island.x === x && island.y === y)) this.#islands.push({ x, y });
+        }
+        this.#board = this.#emptyGrid();
         this.#ships = [];
+        this.#shipCells = new Map();
+    }
+
+    /**
+     * Gets the number of columns
+     * @returns {number} MIN_BOARD_SIZE-MAX_BOARD_SIZE
+     */
+    get width() {
+        return this.#width;
+    }
+
+    /**
+     * Gets the number of rows
+     * @returns {number} MIN_BOARD_SIZE-MAX_BOARD_SIZE
+     */
+    get height() {
+        return this.#height;
+    }
+
+    /**
+     * Whether the board has as many rows as columns
+     * @returns {boolean}
+     */
+    get isSquare() {
+        return this.#width === this.#height;
+    }
+
+    /**
+     * Whether ships on this board must not touch each other, not even diagonally
+     * @returns {boolean}
+     */
+    get noTouching() {
+        return this.#noTouching;
+    }
+
+    /**
+     * Gets the cells of land on the board
+     * @returns {Array<{x: number, y: number}>}
+     */
+    get islands() {
+        return this.#islands.map((island) => ({ ...island }));
+    }
+
+    /**
+     * Gets how many mines have been laid on the board, whether or not they have been set off. Where they are is only
+     * known to the board's owner, but how many there are is no secret.
+     * @returns {number}
+     */
+    get mineCount() {
+        return this.#board.flat().filter((cell) => cell === CELL_STATES.MINE || cell === CELL_STATES.DETONATED).length;
+    }
+
+    /**
+     * Gets the number of cells on the board
+     * @returns {number}
+     */
+    get cellCount() {
+        return this.#width * this.#height;
     }
 
     /**
-     * Gets the board size
-     * @returns {number} The size of the board (MIN_BOARD_SIZE-MAX_BOARD_SIZE)
+     * Gets the number of cells that ships can be placed on and that can be attacked - every cell but the islands
+     * @returns {number}
      */
-    get size() {
-        return this.#size;
+    get playableCellCount() {
+        return this.cellCount - this.#islands.length;
     }
 
     /**
@@ -91,78 +197,188 @@ export default class Gameboard {
     }
 
     /**
-     * Places a new Ship object of the specified length, at the specified coordinates, facing the specified direction
+     * Places a new Ship object of the specified type, at the specified coordinates, facing the specified direction
      * @param {number} x - The x-coordinate of the base of the ship
      * @param {number} y - The y-coordinate of the base of the ship
-     * @param {number} length - The length of the ship (2-5)
+     * @param {number|string} type - The length of a straight ship (2-5), or one of SHIP_SHAPES
      * @param {string} direction - The direction the ship will face ("N" - North, "E" - East, "S" - South, "W" - West)
-     * @throws {TypeError} If coordinates aren't integers or direction is invalid
+     * @param {boolean} [mirrored=false] - Flip the ship across its length first (only changes shaped ships)
+     * @throws {TypeError} If coordinates aren't integers, or the type or direction is invalid
      * @returns {{success: boolean, ship?: Ship, reason?: string, position?: object}} A results object which describes
      * whether the ship was successfully placed or not. If not, we provide the reason why and the position at which we
      * failed.
      */
-    placeShip(x, y, length = 2, direction = "S") {
-        const deltas = {
-            N: [0, -1],
-            E: [1, 0],
-            S: [0, 1],
-            W: [-1, 0],
-        };
-
-        // Input validation
-        if (!Number.isInteger(x) || !Number.isInteger(y)) {
-            throw new TypeError("Coordinates must be integers");
-        }
-
-        if (!VALID_DIRECTIONS.includes(direction)) {
-            throw new TypeError(`Direction must be one of: ${VALID_DIRECTIONS.join(", ")}`);
-        }
-
-        const delta = deltas[direction];
+    placeShip(x, y, type = 2, direction = "S", mirrored = false) {
+        const cells = this.#resolveCells(x, y, type, direction, mirrored);
 
         // Check placement with detailed reason
-        const canPlace = this.#canPlaceShip(x, y, length, delta);
+        const canPlace = this.#canPlaceShip(cells);
         if (!canPlace.valid) {
             return {
                 success: false,
-                reason: canPlace.reason, // "out-of-bounds" or "cell-occupied"
+                reason: canPlace.reason, // One of PLACEMENT_REJECTIONS
                 position: canPlace.position,
             };
         }
 
         // Now we can safely place the new ship
-        const ship = new Ship(length);
-        for (let i = 0; i < length; i++) {
-            const xCoord = x + i * delta[0];
-            const yCoord = y + i * delta[1];
-            this.#board[yCoord][xCoord] = ship;
+        const ship = new Ship(type);
+        for (const cell of cells) {
+            this.#board[cell.y][cell.x] = ship;
         }
 
         this.#ships.push(ship);
+        this.#shipCells.set(ship, cells);
         return { success: true, ship };
     }
 
     /**
-     * Checks if ship can be placed (all positions must be valid and empty)
+     * Checks whether a ship could be placed without placing it, e.g. to preview a placement in the UI
+     * @param {number} x - The x-coordinate of the base of the ship
+     * @param {number} y - The y-coordinate of the base of the ship
+     * @param {number|string} type - The length of a straight ship (2-5), or one of SHIP_SHAPES
+     * @param {string} direction - The direction the ship would face ("N", "E", "S" or "W")
+     * @param {boolean} [mirrored=false] - Flip the ship across its length first
+     * @throws {TypeError} If coordinates aren't integers, or the type or direction is invalid
+     * @returns {{valid: boolean, reason?: string, position?: object}} The same reasons placeShip() would fail with
+     */
+    checkPlacement(x, y, type = 2, direction = "S", mirrored = false) {
+        return this.#canPlaceShip(this.#resolveCells(x, y, type, direction, mirrored));
+    }
+
+    /**
+     * Removes a ship from the board, freeing its cells. Only ships that haven't been hit can be removed.
+     * @param {Ship} ship - The ship to remove
+     * @throws {Error} If the ship has already been hit
+     * @returns {boolean} True if the ship was removed, false if it wasn't on this board
+     */
+    removeShip(ship) {
+        const cells = this.#shipCells.get(ship);
+        if (!cells) return false;
+
+        if (ship.hits > 0) {
+            throw new Error("Cannot remove a ship that has already been hit");
+        }
+
+        for (const { x, y } of cells) {
+            this.#board[y][x] = CELL_STATES.EMPTY;
+        }
+
+        this.#ships = this.#ships.filter((s) => s !== ship);
+        this.#shipCells.delete(ship);
+        return true;
+    }
+
+    /**
+     * Lays a mine on a cell of empty water
+     * @param {number} x - x-coordinate
+     * @param {number} y - y-coordinate
+     * @throws {TypeError} If coordinates aren't integers
+     * @throws {RangeError} If the cell is outside the board
+     * @returns {{success: boolean, reason?: string}} Whether the mine was laid, and if not, which of
+     * PLACEMENT_REJECTIONS stopped it
+     */
+    placeMine(x, y) {
+        this.#validateCoordinates(x, y);
+
+        const cell = this.#board[y][x];
+        if (cell === CELL_STATES.ISLAND) return { success: false, reason: PLACEMENT_REJECTIONS.ISLAND };
+        if (cell === CELL_STATES.MINE) return { success: false, reason: PLACEMENT_REJECTIONS.MINE };
+        if (cell !== CELL_STATES.EMPTY) return { success: false, reason: PLACEMENT_REJECTIONS.CELL_OCCUPIED };
+
+        this.#board[y][x] = CELL_STATES.MINE;
+        return { success: true };
+    }
+
+    /**
+     * Takes up a mine that hasn't been set off
+     * @param {number} x - x-coordinate
+     * @param {number} y - y-coordinate
+     * @returns {boolean} True if the mine was removed, false if there was no mine there
+     */
+    removeMine(x, y) {
+        if (!this.#withinBoard(x, y) || this.#board[y][x] !== CELL_STATES.MINE) return false;
+
+        this.#board[y][x] = CELL_STATES.EMPTY;
+        return true;
+    }
+
+    /**
+     * Clears the board, removing every ship, mine and attack. Islands stay where they are.
+     */
+    clear() {
+        this.#board = this.#emptyGrid();
+        this.#ships = [];
+        this.#shipCells = new Map();
+    }
+
+    /**
+     * Builds a height x width grid of empty water around the board's islands
+     * @private
+     */
+    #emptyGrid() {
+        const grid = Array.from({ length: this.#height }, () => Array(this.#width).fill(CELL_STATES.EMPTY));
+        for (const { x, y } of this.#islands) grid[y][x] = CELL_STATES.ISLAND;
+        return grid;
+    }
+
+    /**
+     * Validates the inputs shared by placeShip() and checkPlacement() and works out the cells the ship would cover
      * @param {number} x - x-coordinate of the base of the ship
      * @param {number} y - y-coordinate of the base of the ship
-     * @param {number} length - The length of the ship (2-5)
-     * @param {Array<Number>} delta - The delta applied to the coordinates on each iteration to correctly place the ship
+     * @param {number|string} type - The ship's length or shape
+     * @param {string} direction - The direction the ship faces
+     * @param {boolean} mirrored - Whether the ship is flipped
+     * @throws {TypeError} If coordinates aren't integers, or the type or direction is invalid
+     * @returns {Array<{x: number, y: number}>} The ship's cells, starting at its base. They may be off the board.
+     * @private
+     */
+    #resolveCells(x, y, type, direction, mirrored) {
+        if (!Number.isInteger(x) || !Number.isInteger(y)) {
+            throw new TypeError("Coordinates must be integers");
+        }
+
+        if (!VALID_DIRECTIONS.includes(direction)) {
+            throw new TypeError(`Direction must be one of: ${VALID_DIRECTIONS.join(", ")}`);
+        }
+
+        return getShipOffsets(type, direction, mirrored).map(([dx, dy]) => ({ x: x + dx, y: y + dy }));
+    }
+
+    /**
+     * Checks if ship can be placed (all positions must be valid and empty, and under the no-touching rule clear of
+     * other ships)
+     * @param {Array<{x: number, y: number}>} cells - The cells the ship would cover, starting at its base
      * @returns {{valid: boolean, reason?: string, position?: object}} A results object which describes whether the ship
      * can be placed or not. If not, we provide the reason why and the position at which we failed.
      * @private
      */
-    #canPlaceShip(x, y, length, delta) {
+    #canPlaceShip(cells) {
         // This checks EVERY position including the starting one
-        for (let i = 0; i < length; i++) {
-            const xCoord = x + i * delta[0];
-            const yCoord = y + i * delta[1];
+        for (let i = 0; i < cells.length; i++) {
+            const { x: xCoord, y: yCoord } = cells[i];
 
             // Checks starting position too (when i=0)
             if (!this.#withinBoard(xCoord, yCoord)) {
                 return {
                     valid: false,
-                    reason: "out-of-bounds",
+                    reason: PLACEMENT_REJECTIONS.OUT_OF_BOUNDS,
+                    position: { x: xCoord, y: yCoord, segment: i },
+                };
+            }
+
+            if (this.#board[yCoord][xCoord] === CELL_STATES.ISLAND) {
+                return {
+                    valid: false,
+                    reason: PLACEMENT_REJECTIONS.ISLAND,
+                    position: { x: xCoord, y: yCoord, segment: i },
+                };
+            }
+
+            if (this.#board[yCoord][xCoord] === CELL_STATES.MINE) {
+                return {
+                    valid: false,
+                    reason: PLACEMENT_REJECTIONS.MINE,
                     position: { x: xCoord, y: yCoord, segment: i },
                 };
             }
@@ -170,7 +386,20 @@ export default class Gameboard {
             if (this.#board[yCoord][xCoord] !== CELL_STATES.EMPTY) {
                 return {
                     valid: false,
-                    reason: "cell-occupied",
+                    reason: PLACEMENT_REJECTIONS.CELL_OCCUPIED,
+                    position: { x: xCoord, y: yCoord, segment: i },
+                };
+            }
+        }
+
+        // Only once the ship fits on the board, so an overlap is reported as an overlap rather than as touching
+        for (let i = 0; this.#noTouching && i < cells.length; i++) {
+            const { x: xCoord, y: yCoord } = cells[i];
+
+            if (this.#touchesShip(xCoord, yCoord)) {
+                return {
+                    valid: false,
+                    reason: PLACEMENT_REJECTIONS.ADJACENT_SHIP,
                     position: { x: xCoord, y: yCoord, segment: i },
                 };
             }
@@ -178,6 +407,17 @@ export default class Gameboard {
         return { valid: true };
     }
 
+    /**
+     * Checks whether any of a cell's neighbours (including diagonals) holds a ship, hit or not
+     * @private
+     */
+    #touchesShip(x, y) {
+        return this.getAdjacentCells(x, y).some(({ x: nx, y: ny }) => {
+            const cell = this.#board[ny][nx];
+            return cell instanceof Ship || cell === CELL_STATES.HIT;
+        });
+    }
+
     /**
      * Validates coordinates
      * @param {number} x - X coordinate
@@ -194,7 +434,9 @@ export default class Gameboard {
 
         // Range validation
         if (!this.#withinBoard(x, y)) {
-            throw new RangeError(`Coordinates must be between 0 and ${this.#size - 1} inclusive`);
+            throw new RangeError(
+                `Coordinates must be within 0-${this.#width - 1} (x) and 0-${this.#height - 1} (y) inclusive`
+            );
         }
     }
 
@@ -206,7 +448,7 @@ export default class Gameboard {
      * @private
      */
     #withinBoard(x, y) {
-        return x >= 0 && x <= this.#size - 1 && y >= 0 && y <= this.#size - 1;
+        return x >= 0 && x <= this.#width - 1 && y >= 0 && y <= this.#height - 1;
     }
 
     /**
@@ -216,18 +458,14 @@ export default class Gameboard {
      * @param {number} x - x-coordinate of the attack
      * @param {number} y - y-coordinate of the attack
      * @returns {string} "hit" if the shot hits, "miss" if the shot misses, "sunk" if a ship has sunk,
-     *                   "sunk-all" if all ships have been sunk
+     *                   "sunk-all" if all ships have been sunk, "mine" if the shot set off a mine
      */
     receiveAttack(x, y) {
         this.#validateCoordinates(x, y);
 
-        const cell = this.#board[y][x];
-
-        // Check if already attacked
-        if (cell === CELL_STATES.HIT || cell === CELL_STATES.MISS) {
-            throw new Error(`Cell at (${x}, ${y}) has already been attacked`);
-        }
+        this.#assertAttackable(x, y);
 
+        const cell = this.#board[y][x];
         if (cell instanceof Ship) {
             cell.hit();
             this.#board[y][x] = CELL_STATES.HIT;
@@ -237,11 +475,101 @@ export default class Gameboard {
             return ATTACK_RESULTS.HIT;
         }
 
+        if (cell === CELL_STATES.MINE) {
+            this.#board[y][x] = CELL_STATES.DETONATED;
+            return ATTACK_RESULTS.MINE;
+        }
+
         // Must be null (empty water)
         this.#board[y][x] = CELL_STATES.MISS;
         return ATTACK_RESULTS.MISS;
     }
 
+    /**
+     * Resolves several shots together (the Salvo variant). Every shot is checked before any of them lands, so an
+     * invalid volley leaves the board untouched.
+     * @param {Array<{x: number, y: number}>} shots
+     * @throws {TypeError} If there are no shots, or a coordinate isn't an integer
+     * @throws {RangeError} If a shot is outside the board
+     * @throws {Error} If a cell has already been attacked or is targeted twice
+     * @returns {Array<{result: string, x: number, y: number}>} Each shot's result, in the order given
+     */
+    receiveVolley(shots) {
+        if (!Array.isArray(shots) || shots.length === 0) {
+            throw new TypeError("A volley needs at least one shot");
+        }
+
+        const targeted = new Set();
+        for (const { x, y } of shots) {
+            this.#validateCoordinates(x, y);
+            this.#assertAttackable(x, y);
+            if (targeted.has(`${x},${y}`)) {
+                throw new Error(`Cell at (${x}, ${y}) is targeted more than once`);
+            }
+            targeted.add(`${x},${y}`);
+        }
+
+        return shots.map(({ x, y }) => ({ result: this.receiveAttack(x, y), x, y }));
+    }
+
+    /**
+     * Resolves a special weapon aimed at (x, y) (see the weapons module). A bomb or line strike fires at every cell in
+     * its area that can still be attacked, skipping islands and cells already fired at; a sonar ping only reports
+     * whether its area holds any undamaged part of a ship.
+     * @param {string} weapon - One of WEAPONS
+     * @param {number} x - x-coordinate the weapon is aimed at
+     * @param {number} y - y-coordinate the weapon is aimed at
+     * @param {string} [axis=STRIKE_AXES.ROW] - Which way a line strike runs
+     * @throws {TypeError} If a coordinate isn't an integer, or the weapon or axis is unknown
+     * @throws {RangeError} If (x, y) is outside the board
+     * @throws {Error} If a bomb or line strike has nothing left to fire at
+     * @returns {{weapon: string, x: number, y: number, axis: string, cells: Array<{x: number, y: number}>, result:
+     * string, shots: Array<{result: string, x: number, y: number}>}} The weapon's area and each shot it fired, in
+     * order; `result` is the strongest shot's result, or one of SONAR_RESULTS for a sonar ping (which fires no shots)
+     */
+    receiveWeapon(weapon, x, y, axis = STRIKE_AXES.ROW) {
+        this.#validateCoordinates(x, y);
+        const cells = getWeaponArea(weapon, x, y, this.#width, this.#height, axis);
+
+        if (weapon === WEAPONS.SONAR) {
+            const contact = cells.some((cell) => this.#board[cell.y][cell.x] instanceof Ship);
+            const result = contact ? SONAR_RESULTS.CONTACT : SONAR_RESULTS.CLEAR;
+            return { weapon, x, y, axis, cells, result, shots: [] };
+        }
+
+        const targets = cells.filter((cell) => this.#isAttackable(cell.x, cell.y));
+        if (targets.length === 0) {
+            throw new Error(`There is nothing left to attack around (${x}, ${y})`);
+        }
+
+        const shots = targets.map((cell) => ({ result: this.receiveAttack(cell.x, cell.y), x: cell.x, y: cell.y }));
+        return { weapon, x, y, axis, cells, result: combineResults(shots.map(({ result }) => result)), shots };
+    }
+
+    /**
+     * @throws {Error} If the cell has already been attacked or is an island
+     * @private
+     */
+    #assertAttackable(x, y) {
+        const cell = this.#board[y][x];
+        if (cell === CELL_STATES.HIT || cell === CELL_STATES.MISS || cell === CELL_STATES.DETONATED) {
+            throw new Error(`Cell at (${x}, ${y}) has already been attacked`);
+        }
+        if (cell === CELL_STATES.ISLAND) {
+            throw new Error(`Cell at (${x}, ${y}) is an island`);
+        }
+    }
+
+    #isAttackable(x, y) {
+        const cell = this.#board[y][x];
+        return (
+            cell !== CELL_STATES.HIT &&
+            cell !== CELL_STATES.MISS &&
+            cell !== CELL_STATES.DETONATED &&
+            cell !== CELL_STATES.ISLAND
+        );
+    }
+
     /**
      *
      * @returns {boolean} True if all ships are sunk, false otherwise
@@ -263,6 +591,175 @@ export default class Gameboard {
         return this.#ships.filter((ship) => !ship.isSunk());
     }
 
+    /**
+     * Gets the cells occupied by a ship on this board
+     * @param {Ship} ship - A ship placed on this board
+     * @returns {Array<{x: number, y: number}>} The ship's cells, or an empty array if the ship isn't on this board
+     */
+    getShipCells(ship) {
+        const cells = this.#shipCells.get(ship) ?? [];
+        return cells.map((cell) => ({ ...cell }));
+    }
+
+    /**
+     * Gets the up to eight cells around a cell, including diagonals, that are on the board
+     * @param {number} x - x-coordinate
+     * @param {number} y - y-coordinate
+     * @returns {Array<{x: number, y: number}>}
+     */
+    getAdjacentCells(x, y) {
+        const cells = [];
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if ((dx !== 0 || dy !== 0) && this.#withinBoard(x + dx, y + dy)) cells.push({ x: x + dx, y: y + dy });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Finds the ship occupying a cell, whether or not that cell has been hit
+     * @param {number} x - x-coordinate
+     * @param {number} y - y-coordinate
+     * @returns {Ship|null} The ship at the cell, or null if the cell is water
+     */
+    getShipAt(x, y) {
+        for (const [ship, cells] of this.#shipCells) {
+            if (cells.some((cell) => cell.x === x && cell.y === y)) return ship;
+        }
+        return null;
+    }
+
+    /**
+     * Serializes the board (see the schema module). Board cells reference Ship objects directly, so each ship is
+     * stored once with the cells it occupies (and which of them have been hit); mines and missed shots are stored
+     * separately.
+     * @returns {{version: number, width: number, height: number, noTouching: boolean, islands: Array<{x: number, y:
+     * number}>, ships: Array<object>, mines: Array<{x: number, y: number, detonated: boolean}>, misses: Array<{x:
+     * number, y: number}>}}
+     */
+    toJSON() {
+        const ships = this.#ships.map((ship) => ({
+            ...ship.toJSON(),
+            cells: this.#shipCells.get(ship).map(({ x, y }) => ({ x, y, hit: this.#board[y][x] === CELL_STATES.HIT })),
+        }));
+
+        const mines = [];
+        const misses = [];
+        this.#board.forEach((row, y) =>
+            row.forEach((cell, x) => {
+                if (cell === CELL_STATES.MINE || cell === CELL_STATES.DETONATED) {
+                    mines.push({ x, y, detonated: cell === CELL_STATES.DETONATED });
+                }
+                if (cell === CELL_STATES.MISS) misses.push({ x, y });
+            })
+        );
+
+        return {
+            version: SCHEMA_VERSION,
+            width: this.#width,
+            height: this.#height,
+            noTouching: this.#noTouching,
+            islands: this.islands,
+            ships,
+            mines,
+            misses,
+        };
+    }
+
+    /**
+     * Rebuilds a board from toJSON() output
+     * @param {object} data
+     * @throws {TypeError|RangeError} If the data is malformed, e.g. cells outside the board or not in the ship's shape,
+     * ships or mines sharing a cell with each other or an island (or ships touching, under the no-touching rule), or a
+     * ship's hit count not matching its hit cells
+     * @returns {Gameboard}
+     */
+    static fromJSON(data) {
+        data = upgradeVersioned(data, "gameboard", UPGRADES);
+        assertInteger(data.width, "gameboard width", MIN_BOARD_SIZE, MAX_BOARD_SIZE);
+        assertInteger(data.height, "gameboard height", MIN_BOARD_SIZE, MAX_BOARD_SIZE);
+        assertOneOf(data.noTouching, [true, false], "gameboard noTouching");
+        assertArray(data.islands, "gameboard islands");
+        assertArray(data.ships, "gameboard ships");
+        assertArray(data.mines, "gameboard mines");
+        assertArray(data.misses, "gameboard misses");
+
+        const used = new Set();
+
+        const claimCell = (cell, path) => {
+            assertObject(cell, path);
+            assertInteger(cell.x, `${path}.x`, 0, data.width - 1);
+            assertInteger(cell.y, `${path}.y`, 0, data.height - 1);
+            const key = `${cell.x},${cell.y}`;
+            if (used.has(key)) {
+                throw new RangeError(`Invalid ${path}: cell (${cell.x}, ${cell.y}) is used more than once`);
+            }
+            used.add(key);
+        };
+
+        // Islands are claimed first, so a ship or a miss on one is rejected as a shared cell
+        data.islands.forEach((cell, i) => claimCell(cell, `gameboard islands[${i}]`));
+        const gameboard = new Gameboard(data.width, data.height, {
+            noTouching: data.noTouching,
+            islands: data.islands.map(({ x, y }) => ({ x, y })),
+        });
+
+        data.ships.forEach((shipData, i) => {
+            const path = `gameboard ships[${i}]`;
+            const ship = Ship.fromJSON(shipData);
+            assertArray(shipData.cells, `${path}.cells`);
+
+            if (shipData.cells.length !== ship.length) {
+                throw new RangeError(`Invalid ${path}: expected ${ship.length} cells, got ${shipData.cells.length}`);
+            }
+
+            shipData.cells.forEach((cell, j) => {
+                claimCell(cell, `${path}.cells[${j}]`);
+                if (typeof cell.hit !== "boolean") {
+                    throw new TypeError(`Invalid ${path}.cells[${j}].hit: expected a boolean`);
+                }
+            });
+
+            if (!fitsShipType(shipData.cells, ship.type)) {
+                throw new RangeError(`Invalid ${path}: its cells don't form a ${ship.shape ?? "straight"} ship`);
+            }
+
+            const hitCells = shipData.cells.filter((cell) => cell.hit).length;
+            if (hitCells !== ship.hits) {
+                throw new RangeError(`Invalid ${path}: ${ship.hits} hits recorded but ${hitCells} cells are hit`);
+            }
+
+            if (data.noTouching && shipData.cells.some(({ x, y }) => gameboard.#touchesShip(x, y))) {
+                throw new RangeError(`Invalid ${path}: ships can't touch under the no-touching rule`);
+            }
+
+            for (const { x, y, hit } of shipData.cells) {
+                gameboard.#board[y][x] = hit ? CELL_STATES.HIT : ship;
+            }
+            gameboard.#ships.push(ship);
+            gameboard.#shipCells.set(
+                ship,
+                shipData.cells.map(({ x, y }) => ({ x, y }))
+            );
+        });
+
+        data.mines.forEach((cell, i) => {
+            claimCell(cell, `gameboard mines[${i}]`);
+            if (typeof cell.detonated !== "boolean") {
+                throw new TypeError(`Invalid gameboard mines[${i}].detonated: expected a boolean`);
+            }
+            gameboard.#board[cell.y][cell.x] = cell.detonated ? CELL_STATES.DETONATED : CELL_STATES.MINE;
+        });
+
+        data.misses.forEach((cell, i) => {
+            claimCell(cell, `gameboard misses[${i}]`);
+            gameboard.#board[cell.y][cell.x] = CELL_STATES.MISS;
+        });
+
+        return gameboard;
+    }
+
     /**
      * Helper function for visualising board
      */
@@ -274,6 +771,9 @@ export default class Gameboard {
                         if (cell === CELL_STATES.EMPTY) return "~";
                         if (cell === CELL_STATES.MISS) return "O";
                         if (cell === CELL_STATES.HIT) return "X";
+                        if (cell === CELL_STATES.ISLAND) return "#";
+                        if (cell === CELL_STATES.MINE) return "*";
+                        if (cell === CELL_STATES.DETONATED) return "!";
                         if (cell instanceof Ship) return "S";
                     })
                     .join(" ")
@@ -1,5 +1,38 @@
 import Gameboard from "./Gameboard.js";
-import { DEFAULT_BOARD_SIZE, DEFAULT_COMPUTER_NAME, DEFAULT_AI_STRATEGY } from "./Constants.js";
+import {
+    DEFAULT_BOARD_SIZE,
+    DEFAULT_COMPUTER_NAME,
+    DEFAULT_AI_STRATEGY,
+    AI_STRATEGIES,
+    CELL_STATES,
+    SMART_TARGET_WEIGHT,
+    WEAPONS,
+    STRIKE_AXES,
+    SONAR_RESULTS,
+    AI_SONAR_MIN_CELLS,
+    AI_BOMB_MIN_CELLS,
+} from "./Constants.js";
+import {
+    SCHEMA_VERSION,
+    upgradeVersioned,
+    assertOneOf,
+    assertString,
+    assertArray,
+    assertObject,
+    assertInteger,
+} from "./schema.js";
+import { getShipOrientations } from "./shapes.js";
+import { getWeaponArea } from "./weapons.js";
+import { SeededRandom } from "../utils/random.js";
+
+// Steps bringing older saves of computer players up to date, keyed by the schema version they upgrade from (see
+// upgradeVersioned()). Real players haven't changed.
+const COMPUTER_UPGRADES = {
+    // Computers drew on Math.random() rather than a stream of their own
+    3: (data) => ({ random: new SeededRandom().toJSON(), ...data }),
+    // Computers had no sonar to remember
+    10: (data) => ({ cleared: [], contact: null, ...data }),
+};
 
 /**
  * Base class for all players
@@ -9,13 +42,18 @@ class Player {
     #name;
     #gameboard;
 
+    /**
+     * @param {string} name - The player's name
+     * @param {number|Gameboard} [boardSize=DEFAULT_BOARD_SIZE] - The size of the player's board, or an existing board
+     * (e.g. one restored from a save)
+     */
     constructor(name, boardSize = DEFAULT_BOARD_SIZE) {
         if (typeof name !== "string" || name.trim() === "") {
             throw new TypeError("Player name must be a non-empty string");
         }
 
         this.#name = name.trim();
-        this.#gameboard = new Gameboard(boardSize);
+        this.#gameboard = boardSize instanceof Gameboard ? boardSize : new Gameboard(boardSize);
     }
 
     get name() {
@@ -36,6 +74,14 @@ class Player {
     attack() {
         throw new Error("attack() must be implemented by subclass");
     }
+
+    /**
+     * Serializes the player, including their board (see the schema module)
+     * @returns {{version: number, type: string, name: string, gameboard: object}}
+     */
+    toJSON() {
+        return { version: SCHEMA_VERSION, type: this.type, name: this.#name, gameboard: this.#gameboard.toJSON() };
+    }
 }
 
 /**
@@ -46,6 +92,21 @@ export class RealPlayer extends Player {
         super(name, boardSize);
     }
 
+    get type() {
+        return "real";
+    }
+
+    /**
+     * Rebuilds a human player from toJSON() output
+     * @param {object} data
+     * @throws {TypeError|RangeError} If the data is malformed
+     * @returns {RealPlayer}
+     */
+    static fromJSON(data) {
+        data = assertPlayerData(data, "real");
+        return new RealPlayer(data.name, Gameboard.fromJSON(data.gameboard));
+    }
+
     /**
      * Human player attacks with provided coordinates
      * @param {Gameboard} opponentBoard
@@ -59,6 +120,29 @@ export class RealPlayer extends Player {
         }
         return { result: opponentBoard.receiveAttack(x, y), x, y };
     }
+
+    /**
+     * Human player fires a salvo at the cells they selected
+     * @param {Gameboard} opponentBoard
+     * @param {Array<{x: number, y: number}>} shots - Targets from UI
+     * @returns {Array<{result: string, x: number, y: number}>}
+     */
+    attackVolley(opponentBoard, shots) {
+        return opponentBoard.receiveVolley(shots);
+    }
+
+    /**
+     * Human player uses a special weapon where they aimed it
+     * @param {Gameboard} opponentBoard
+     * @param {string} weapon - One of WEAPONS
+     * @param {number} x - X coordinate from UI
+     * @param {number} y - Y coordinate from UI
+     * @param {string} [axis] - Which way a line strike runs, one of STRIKE_AXES
+     * @returns {object} The resolved weapon (see Gameboard.receiveWeapon)
+     */
+    useWeapon(opponentBoard, weapon, x, y, axis) {
+        return opponentBoard.receiveWeapon(weapon, x, y, axis);
+    }
 }
 
 /**
@@ -67,11 +151,84 @@ export class RealPlayer extends Player {
 export class ComputerPlayer extends Player {
     #attackHistory;
     #aiStrategy;
+    #random;
+    #ruledOut;
+    #cleared;
+    #contact;
 
-    constructor(name = DEFAULT_COMPUTER_NAME, boardSize = DEFAULT_BOARD_SIZE, aiStrategy = DEFAULT_AI_STRATEGY) {
+    /**
+     * @param {string} [name=DEFAULT_COMPUTER_NAME]
+     * @param {number|Gameboard} [boardSize=DEFAULT_BOARD_SIZE]
+     * @param {string} [aiStrategy=DEFAULT_AI_STRATEGY] - One of AI_STRATEGIES
+     * @param {SeededRandom} [random] - Source of every random choice the AI makes; pass a seeded one to make its shots
+     * reproducible
+     */
+    constructor(
+        name = DEFAULT_COMPUTER_NAME,
+        boardSize = DEFAULT_BOARD_SIZE,
+        aiStrategy = DEFAULT_AI_STRATEGY,
+        random = new SeededRandom()
+    ) {
         super(name, boardSize);
         this.#attackHistory = new Set(); // Track attempted attacks
-        this.#aiStrategy = aiStrategy; // Future: 'hunt', 'smart'
+        this.#aiStrategy = aiStrategy; // 'random', 'hunt' or 'smart'
+        this.#random = random;
+        this.#ruledOut = new Set(); // Unattacked cells that can't hold a ship, worked out afresh for each shot
+        this.#cleared = new Set(); // Unattacked cells a sonar ping found no ship in
+        this.#contact = null; // Where a sonar ping last found a ship, until it's bombed
+    }
+
+    get type() {
+        return "comp";
+    }
+
+    get strategy() {
+        return this.#aiStrategy;
+    }
+
+    /**
+     * Serializes the computer player, including its strategy, attack history, what its sonar has found and its random
+     * number stream
+     * @returns {{version: number, type: string, name: string, gameboard: object, strategy: string,
+     * attackHistory: Array<string>, cleared: Array<string>, contact: {x: number, y: number}|null, random: {seed:
+     * string, state: number}}}
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            strategy: this.#aiStrategy,
+            attackHistory: [...this.#attackHistory],
+            cleared: [...this.#cleared],
+            contact: this.#contact && { ...this.#contact },
+            random: this.#random.toJSON(),
+        };
+    }
+
+    /**
+     * Rebuilds a computer player from toJSON() output
+     * @param {object} data
+     * @throws {TypeError|RangeError} If the data is malformed, including attack history or sonar findings outside the
+     * board
+     * @returns {ComputerPlayer}
+     */
+    static fromJSON(data) {
+        data = assertPlayerData(data, "comp", COMPUTER_UPGRADES);
+        assertOneOf(data.strategy, AI_STRATEGIES, "player strategy");
+
+        const gameboard = Gameboard.fromJSON(data.gameboard);
+        assertCellKeys(data.attackHistory, "player attackHistory", gameboard);
+        assertCellKeys(data.cleared, "player cleared", gameboard);
+        if (data.contact !== null) {
+            assertObject(data.contact, "player contact");
+            assertInteger(data.contact.x, "player contact.x", 0, gameboard.width - 1);
+            assertInteger(data.contact.y, "player contact.y", 0, gameboard.height - 1);
+        }
+
+        const player = new ComputerPlayer(data.name, gameboard, data.strategy, SeededRandom.fromJSON(data.random));
+        player.#attackHistory = new Set(data.attackHistory);
+        player.#cleared = new Set(data.cleared);
+        player.#contact = data.contact && { x: data.contact.x, y: data.contact.y };
+        return player;
     }
 
     /**
@@ -80,14 +237,224 @@ export class ComputerPlayer extends Player {
      * @returns {{result: string, x: number, y: number}}
      */
     attack(opponentBoard) {
+        const [x, y] = this.#pickTarget(opponentBoard);
+        return { result: opponentBoard.receiveAttack(x, y), x, y };
+    }
+
+    /**
+     * Computer picks a whole salvo before any of it is resolved, so it can't react to hits within the volley
+     * @param {Gameboard} opponentBoard
+     * @param {number} count - How many shots to fire
+     * @returns {Array<{result: string, x: number, y: number}>}
+     */
+    attackVolley(opponentBoard, count) {
+        const shots = [];
+        for (let i = 0; i < count; i++) {
+            const [x, y] = this.#pickTarget(opponentBoard);
+            shots.push({ x, y });
+        }
+        return opponentBoard.receiveVolley(shots);
+    }
+
+    /**
+     * Computer decides whether this turn is worth a special weapon, and uses it if so. While a damaged ship is still
+     * afloat it keeps firing single shots to finish it off. Otherwise it bombs where its sonar last found a ship, pings
+     * open water with sonar while it still has a bomb to follow up with, strikes the row or column with the most cells
+     * left to fire at, and bombs the most open area once its sonar is used up - each only when the area is worth it.
+     * @param {Gameboard} opponentBoard
+     * @param {Object<string, number>} arsenal - How many uses of each of WEAPONS are left
+     * @returns {object|null} The resolved weapon (see Gameboard.receiveWeapon), or null to fire a single shot instead
+     */
+    useWeapon(opponentBoard, arsenal) {
+        this.#rememberAttackedCells(opponentBoard);
+        this.#ruledOut = this.#findRuledOutCells(opponentBoard);
+        const choice = this.#chooseWeapon(opponentBoard, arsenal);
+        if (!choice) return null;
+
+        const { weapon, x, y, axis } = choice;
+        const strike = opponentBoard.receiveWeapon(weapon, x, y, axis);
+        for (const shot of strike.shots) {
+            this.#attackHistory.add(`${shot.x},${shot.y}`);
+            this.#cleared.delete(`${shot.x},${shot.y}`);
+        }
+
+        if (weapon === WEAPONS.BOMB) this.#contact = null;
+        if (strike.result === SONAR_RESULTS.CONTACT) this.#contact = { x, y };
+        if (strike.result === SONAR_RESULTS.CLEAR) {
+            for (const cell of strike.cells) {
+                if (this.#canTarget(cell.x, cell.y)) this.#cleared.add(`${cell.x},${cell.y}`);
+            }
+        }
+        return strike;
+    }
+
+    /**
+     * @returns {{weapon: string, x: number, y: number, axis?: string}|null}
+     * @private
+     */
+    #chooseWeapon(opponentBoard, arsenal) {
+        const board = opponentBoard.board;
+        const hasLead = board.some((row, y) =>
+            row.some((cell, x) => cell === CELL_STATES.HIT && !opponentBoard.getShipAt(x, y)?.isSunk())
+        );
+        if (hasLead) return null;
+
+        if (this.#contact && arsenal[WEAPONS.BOMB] > 0) {
+            return { weapon: WEAPONS.BOMB, ...this.#contact };
+        }
+
+        const squares = this.#scoreAreas(opponentBoard, WEAPONS.BOMB);
+        if (arsenal[WEAPONS.SONAR] > 0 && arsenal[WEAPONS.BOMB] > 0 && squares.score >= AI_SONAR_MIN_CELLS) {
+            return { weapon: WEAPONS.SONAR, ...this.#random.pick(squares.best) };
+        }
+
+        const lines = this.#scoreAreas(opponentBoard, WEAPONS.LINE_STRIKE);
+        const lineLength = Math.min(opponentBoard.width, opponentBoard.height);
+        if (arsenal[WEAPONS.LINE_STRIKE] > 0 && lines.score >= Math.ceil(lineLength / 2)) {
+            return { weapon: WEAPONS.LINE_STRIKE, ...this.#random.pick(lines.best) };
+        }
+
+        if (arsenal[WEAPONS.BOMB] > 0 && squares.score >= AI_BOMB_MIN_CELLS) {
+            return { weapon: WEAPONS.BOMB, ...this.#random.pick(squares.best) };
+        }
+        return null;
+    }
+
+    /**
+     * Finds where a weapon would cover the most cells still worth firing at
+     * @returns {{score: number, best: Array<{x: number, y: number, axis: string}>}} The most cells covered, and every
+     * aim that covers that many
+     * @private
+     */
+    #scoreAreas(opponentBoard, weapon) {
+        const { width, height } = opponentBoard;
+        const aims = [];
+        if (weapon === WEAPONS.LINE_STRIKE) {
+            for (let y = 0; y < height; y++) aims.push({ x: 0, y, axis: STRIKE_AXES.ROW });
+            for (let x = 0; x < width; x++) aims.push({ x, y: 0, axis: STRIKE_AXES.COLUMN });
+        } else {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) aims.push({ x, y, axis: STRIKE_AXES.ROW });
+            }
+        }
+
+        let best = [];
+        let bestScore = 0;
+        for (const aim of aims) {
+            const area = getWeaponArea(weapon, aim.x, aim.y, width, height, aim.axis);
+            const score = area.filter((cell) => this.#isUnattacked(opponentBoard, cell.x, cell.y)).length;
+            if (score > bestScore) {
+                best = [aim];
+                bestScore = score;
+            } else if (score === bestScore && score > 0) {
+                best.push(aim);
+            }
+        }
+        return { score: bestScore, best };
+    }
+
+    /**
+     * Chooses the next cell to fire at and remembers it, so it's never chosen again
+     * @private
+     */
+    #pickTarget(opponentBoard) {
+        this.#rememberAttackedCells(opponentBoard);
         // Check if all cells have been attacked first
-        const totalCells = opponentBoard.size ** 2;
-        if (this.#attackHistory.size >= totalCells) {
+        if (this.#attackHistory.size >= opponentBoard.playableCellCount) {
             throw new Error("All cells have already been attacked");
         }
+        this.#ruledOut = this.#findRuledOutCells(opponentBoard);
         const [x, y] = this.#generateAttackCoordinates(opponentBoard);
         this.#attackHistory.add(`${x},${y}`);
-        return { result: opponentBoard.receiveAttack(x, y), x, y };
+        return [x, y];
+    }
+
+    /**
+     * Cells can be fired at by more than this player: a mine's retaliation lands on the board it's attacking. Every
+     * cell already fired at goes into the attack history, so it's never chosen.
+     * @private
+     */
+    #rememberAttackedCells(opponentBoard) {
+        opponentBoard.board.forEach((row, y) =>
+            row.forEach((cell, x) => {
+                if (cell === CELL_STATES.HIT || cell === CELL_STATES.MISS || cell === CELL_STATES.DETONATED) {
+                    this.#attackHistory.add(`${x},${y}`);
+                }
+            })
+        );
+    }
+
+    /**
+     * Islands can't be fired at and cells a sonar ping found empty can't hold a ship, so they're always ruled out.
+     * Under the no-touching rule, the cells around a sunk ship can't hold another ship either, so there's no point
+     * firing at them. While any of the opponent's mines are still hidden, neither is there in firing at a cell no
+     * remaining ship could cover: it can only hide water or a mine. Either is skipped unless those are the only cells
+     * left, so the AI always has somewhere to fire.
+     * @returns {Set<string>} "x,y" keys of cells to skip
+     * @private
+     */
+    #findRuledOutCells(opponentBoard) {
+        let ruledOut = new Set([...opponentBoard.islands.map(({ x, y }) => `${x},${y}`), ...this.#cleared]);
+        const leavesACell = (cells) => cells.size < opponentBoard.cellCount - this.#attackHistory.size - ruledOut.size;
+
+        if (opponentBoard.noTouching) {
+            const margins = new Set();
+            for (const key of this.#findSunkCells(opponentBoard)) {
+                const [x, y] = key.split(",").map(Number);
+                for (const cell of opponentBoard.getAdjacentCells(x, y)) {
+                    const neighbour = `${cell.x},${cell.y}`;
+                    if (!this.#attackHistory.has(neighbour) && !ruledOut.has(neighbour)) margins.add(neighbour);
+                }
+            }
+            if (leavesACell(margins)) ruledOut = new Set([...ruledOut, ...margins]);
+        }
+
+        const detonated = opponentBoard.board.flat().filter((cell) => cell === CELL_STATES.DETONATED).length;
+        if (opponentBoard.mineCount > detonated) {
+            const deadWater = this.#findDeadWater(opponentBoard, ruledOut);
+            if (leavesACell(deadWater)) ruledOut = new Set([...ruledOut, ...deadWater]);
+        }
+        return ruledOut;
+    }
+
+    /**
+     * Finds the cells not yet fired at that no remaining ship could cover
+     * @param {Gameboard} opponentBoard
+     * @param {Set<string>} ruledOut - Cells already known not to hold a ship
+     * @returns {Set<string>} "x,y" keys
+     * @private
+     */
+    #findDeadWater(opponentBoard, ruledOut) {
+        const board = opponentBoard.board;
+        const sunkCells = this.#findSunkCells(opponentBoard);
+        const isBlocked = (x, y) =>
+            board[y][x] === CELL_STATES.MISS ||
+            board[y][x] === CELL_STATES.DETONATED ||
+            sunkCells.has(`${x},${y}`) ||
+            ruledOut.has(`${x},${y}`);
+
+        const coverable = new Set();
+        for (const cells of this.#placements(opponentBoard, isBlocked)) {
+            for (const [x, y] of cells) coverable.add(`${x},${y}`);
+        }
+
+        const deadWater = new Set();
+        for (let y = 0; y < opponentBoard.height; y++) {
+            for (let x = 0; x < opponentBoard.width; x++) {
+                const key = `${x},${y}`;
+                if (!coverable.has(key) && !this.#attackHistory.has(key) && !ruledOut.has(key)) deadWater.add(key);
+            }
+        }
+        return deadWater;
+    }
+
+    /**
+     * Whether a cell is worth firing at: not fired at before and not ruled out
+     * @private
+     */
+    #canTarget(x, y) {
+        const key = `${x},${y}`;
+        return !this.#attackHistory.has(key) && !this.#ruledOut.has(key);
     }
 
     /**
@@ -98,11 +465,10 @@ export class ComputerPlayer extends Player {
         switch (this.#aiStrategy) {
             case "random":
                 return this.#randomAttack(opponentBoard);
-            // Future strategies:
             case "hunt":
                 return this.#huntAndTargetAttack(opponentBoard);
-            // case 'smart':
-            //     return this.#smartAttack(opponentBoard);
+            case "smart":
+                return this.#smartAttack(opponentBoard);
             default:
                 return this.#randomAttack(opponentBoard);
         }
@@ -113,14 +479,14 @@ export class ComputerPlayer extends Player {
      * @private
      */
     #randomAttack(opponentBoard) {
-        const size = opponentBoard.size;
+        const { width, height } = opponentBoard;
         let x, y;
 
         // Keep trying until we find an unattacked cell
         do {
-            x = Math.floor(Math.random() * size);
-            y = Math.floor(Math.random() * size);
-        } while (this.#attackHistory.has(`${x},${y}`));
+            x = this.#random.nextInt(width);
+            y = this.#random.nextInt(height);
+        } while (!this.#canTarget(x, y));
 
         return [x, y];
     }
@@ -129,7 +495,7 @@ export class ComputerPlayer extends Player {
 
     // Hunt with checkerboard pattern. Target adjacent cells after hit. Follow ship direction once found
     #huntAndTargetAttack(opponentBoard) {
-        const size = opponentBoard.size;
+        const { width, height } = opponentBoard;
         const board = opponentBoard.board || [];
 
         const isHit = (val) => {
@@ -149,9 +515,8 @@ export class ComputerPlayer extends Player {
                     [col, row - 1],
                 ];
                 for (const [nx, ny] of neighbours) {
-                    if (nx < 0 || ny < 0 || nx >= size || ny >= size) continue;
-                    const key = `${nx},${ny}`;
-                    if (this.#attackHistory.has(key)) continue;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                    if (!this.#canTarget(nx, ny)) continue;
                     return [nx, ny];
                 }
             }
@@ -159,22 +524,20 @@ export class ComputerPlayer extends Player {
 
         // 2) Hunt phase: checkerboard pattern to maximize chances
         const huntCandidates = [];
-        for (let x = 0; x < size; x++) {
-            for (let y = 0; y < size; y++) {
-                const key = `${x},${y}`;
-                if (this.#attackHistory.has(key)) continue;
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) {
+                if (!this.#canTarget(x, y)) continue;
                 if ((x + y) % 2 === 0) huntCandidates.push([x, y]);
             }
         }
         if (huntCandidates.length) {
-            return huntCandidates[Math.floor(Math.random() * huntCandidates.length)];
+            return this.#random.pick(huntCandidates);
         }
 
         // 3) Fallback: pick any unattacked cell
-        for (let x = 0; x < size; x++) {
-            for (let y = 0; y < size; y++) {
-                const key = `${x},${y}`;
-                if (!this.#attackHistory.has(key)) return [x, y];
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) {
+                if (this.#canTarget(x, y)) return [x, y];
             }
         }
 
@@ -182,9 +545,162 @@ export class ComputerPlayer extends Player {
         return [0, 0];
     }
 
-    /* Probability calculations (where ships CAN be)
-    Ship size awareness (what ships REMAIN)
-    Weighted hunting (attack high-probability cells first)
-    Context-aware targeting (smarter direction choices) */
-    // #smartAttack(opponentBoard) { ... }
+    /**
+     * Probability density strategy. Every legal way each remaining ship could still fit on the board is counted, and
+     * the unattacked cell covered by the most placements is fired at.
+     *
+     * - Hunt mode: with no unresolved hits, every placement clear of misses and sunk ships counts once
+     * - Target mode: placements through unresolved hits are weighted by SMART_TARGET_WEIGHT per hit they cover, so
+     *   the cells that could extend a damaged ship dominate the density
+     * - Every way a remaining ship can face is counted, so shaped ships are searched for in each of their orientations
+     * - Sunk ships are taken out of the count: their cells block placements and they're no longer searched for
+     * - Under the no-touching rule, the cells around sunk ships block placements too
+     * @private
+     */
+    #smartAttack(opponentBoard) {
+        const density = this.#buildProbabilityDensity(opponentBoard);
+        const { width, height } = opponentBoard;
+
+        let best = [];
+        let bestScore = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!this.#isUnattacked(opponentBoard, x, y)) continue;
+                const score = density[y][x];
+                if (score > bestScore) {
+                    best = [[x, y]];
+                    bestScore = score;
+                } else if (score === bestScore) {
+                    best.push([x, y]);
+                }
+            }
+        }
+
+        // Break ties randomly so the AI isn't predictable
+        return this.#random.pick(best);
+    }
+
+    /**
+     * Builds a grid the size of the board counting the (weighted) number of ways the remaining ships could cover each cell
+     * @param {Gameboard} opponentBoard
+     * @returns {Array<Array<number>>} The density grid, indexed [y][x] like the board itself
+     * @private
+     */
+    #buildProbabilityDensity(opponentBoard) {
+        const { width, height } = opponentBoard;
+        const board = opponentBoard.board;
+        const density = Array.from({ length: height }, () => Array(width).fill(0));
+
+        // Cells of sunk ships are resolved - they can neither hold another ship nor count as a lead to follow
+        const sunkCells = this.#findSunkCells(opponentBoard);
+
+        const isBlocked = (x, y) =>
+            board[y][x] === CELL_STATES.MISS ||
+            board[y][x] === CELL_STATES.DETONATED ||
+            sunkCells.has(`${x},${y}`) ||
+            this.#ruledOut.has(`${x},${y}`);
+        const isUnresolvedHit = (x, y) => board[y][x] === CELL_STATES.HIT && !sunkCells.has(`${x},${y}`);
+
+        for (const cells of this.#placements(opponentBoard, isBlocked)) {
+            const hitsCovered = cells.filter(([cx, cy]) => isUnresolvedHit(cx, cy)).length;
+            const weight = SMART_TARGET_WEIGHT ** hitsCovered;
+
+            for (const [cx, cy] of cells) {
+                if (this.#isUnattacked(opponentBoard, cx, cy)) density[cy][cx] += weight;
+            }
+        }
+
+        return density;
+    }
+
+    /**
+     * Goes through every way each remaining ship could lie on the board, in every orientation, clear of blocked cells
+     * @param {Gameboard} opponentBoard
+     * @param {(x: number, y: number) => boolean} isBlocked - Whether a cell can't be part of a remaining ship
+     * @yields {Array<[number, number]>} The cells of one placement
+     * @private
+     */
+    *#placements(opponentBoard, isBlocked) {
+        const { width, height } = opponentBoard;
+        for (const ship of opponentBoard.getRemainingShips()) {
+            for (const { offsets } of getShipOrientations(ship.type)) {
+                const maxX = width - 1 - Math.max(...offsets.map(([dx]) => dx));
+                const maxY = height - 1 - Math.max(...offsets.map(([, dy]) => dy));
+
+                for (let y = 0; y <= maxY; y++) {
+                    for (let x = 0; x <= maxX; x++) {
+                        const cells = offsets.map(([dx, dy]) => [x + dx, y + dy]);
+                        if (!cells.some(([cx, cy]) => isBlocked(cx, cy))) yield cells;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * @returns {Set<string>} "x,y" keys of every cell of a sunk ship
+     * @private
+     */
+    #findSunkCells(opponentBoard) {
+        const sunkCells = new Set();
+        for (const ship of opponentBoard.ships) {
+            if (!ship.isSunk()) continue;
+            for (const { x, y } of opponentBoard.getShipCells(ship)) sunkCells.add(`${x},${y}`);
+        }
+        return sunkCells;
+    }
+
+    /**
+     * Checks whether a cell is still a legal target, whether it was fired at by this player or not, and hasn't been
+     * ruled out
+     * @private
+     */
+    #isUnattacked(opponentBoard, x, y) {
+        const cell = opponentBoard.board[y][x];
+        if (cell === CELL_STATES.HIT || cell === CELL_STATES.MISS || cell === CELL_STATES.DETONATED) return false;
+        return this.#canTarget(x, y);
+    }
+}
+
+/**
+ * Checks the fields every serialized player shares, after upgrading the data to the current version
+ * @throws {TypeError|RangeError} If they're malformed
+ * @returns {object} The upgraded data
+ * @private
+ */
+function assertPlayerData(data, type, upgrades) {
+    data = upgradeVersioned(data, "player", upgrades);
+    assertOneOf(data.type, [type], "player type");
+    assertString(data.name, "player name");
+    return data;
+}
+
+/**
+ * Checks a list of "x,y" cell keys
+ * @throws {TypeError|RangeError} If it isn't a list of keys of cells on the board
+ * @private
+ */
+function assertCellKeys(keys, path, gameboard) {
+    assertArray(keys, path);
+    keys.forEach((key, i) => {
+        const match = typeof key === "string" && /^(\d+),(\d+)$/.exec(key);
+        if (!match) {
+            throw new TypeError(`Invalid ${path}[${i}]: expected an "x,y" string`);
+        }
+        if (Number(match[1]) >= gameboard.width || Number(match[2]) >= gameboard.height) {
+            throw new RangeError(`Invalid ${path}[${i}]: ${key} is outside the board`);
+        }
+    });
+}
+
+/**
+ * Rebuilds a player of the right subclass from toJSON() output
+ * @param {object} data
+ * @throws {TypeError|RangeError} If the data is malformed or the player type is unknown
+ * @returns {RealPlayer|ComputerPlayer}
+ */
+export function playerFromJSON(data) {
+    assertObject(data, "player");
+    assertOneOf(data.type, ["real", "comp"], "player type");
+    return data.type === "comp" ? ComputerPlayer.fromJSON(data) : RealPlayer.fromJSON(data);
 }
@@ -0,0 +1,191 @@
+import { RealPlayer, ComputerPlayer } from "./Player.js";
+import { GAME_PHASES, AI_STRATEGIES } from "./Constants.js";
+import { getGameStats } from "./stats.js";
+import {
+    SCHEMA_VERSION,
+    upgradeVersioned,
+    assertArray,
+    assertObject,
+    assertInteger,
+    assertNumber,
+    assertString,
+    assertOneOf,
+} from "./schema.js";
+
+/**
+ * One human player's results across games
+ * @typedef {object} PlayerRecord
+ * @property {string} name
+ * @property {number} games
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} shots - Shots fired over all their games
+ * @property {number} hits - Of those, how many hit
+ * @property {number} accuracyTotal - The accuracy (0-1) of each game they fired in, added up
+ * @property {number} accuracyGames - How many games they fired in
+ * @property {Object<string, {wins: number, losses: number}>} versusComputer - Results against each of AI_STRATEGIES
+ * they've played
+ */
+
+/**
+ * Keeps each human player's lifetime record, by name, as games finish.
+ *
+ * Practice games don't count, as moves can be taken back in them, and neither do games that aren't finished. Nor do
+ * games between two human players with the same name, as their results can't be told apart. Computer players don't
+ * get a record; playing one counts towards the human's results against its strategy.
+ */
+export default class PlayerRecords {
+    #records;
+
+    /**
+     * Creates an empty set of records
+     */
+    constructor() {
+        this.#records = new Map();
+    }
+
+    /**
+     * Gets every player's record, most games played first
+     * @returns {Array<PlayerRecord>} Copies of the records
+     */
+    get records() {
+        return [...this.#records.values()].sort((a, b) => b.games - a.games).map(copyRecord);
+    }
+
+    /**
+     * Gets one player's record
+     * @param {string} name
+     * @returns {PlayerRecord|null} A copy of the record, or null if the player has none
+     */
+    getRecord(name) {
+        const record = this.#records.get(name);
+        return record ? copyRecord(record) : null;
+    }
+
+    /**
+     * Gets a player's average accuracy: each game's hits over shots, averaged over the games they fired in. Unlike
+     * hits over shots for all their games together, long games don't count for more than short ones.
+     * @param {PlayerRecord} record
+     * @returns {number|null} From 0 to 1, or null if they've never fired
+     */
+    static getAverageAccuracy({ accuracyTotal, accuracyGames }) {
+        return accuracyGames > 0 ? accuracyTotal / accuracyGames : null;
+    }
+
+    /**
+     * Adds a game's results to its human players' records
+     * @param {Game} game
+     * @returns {boolean} Whether the game counted (see the class notes)
+     */
+    recordGame(game) {
+        if (game.phase !== GAME_PHASES.FINISHED || game.practice) return false;
+        const [playerOne, playerTwo] = game.players;
+        const humans = game.players.every((player) => player instanceof RealPlayer);
+        if (humans && playerOne.name === playerTwo.name) return false;
+
+        for (const { player, shots, hits, accuracy } of getGameStats(game)) {
+            if (!(player instanceof RealPlayer)) continue;
+            const record = this.#records.get(player.name) ?? newRecord(player.name);
+            const outcome = game.winner === player ? "wins" : "losses";
+            record.games += 1;
+            record[outcome] += 1;
+            record.shots += shots;
+            record.hits += hits;
+            if (accuracy !== null) {
+                record.accuracyTotal += accuracy;
+                record.accuracyGames += 1;
+            }
+
+            const opponent = game.opponentOf(player);
+            if (opponent instanceof ComputerPlayer) {
+                record.versusComputer[opponent.strategy] ??= { wins: 0, losses: 0 };
+                record.versusComputer[opponent.strategy][outcome] += 1;
+            }
+            this.#records.set(player.name, record);
+        }
+        return true;
+    }
+
+    /**
+     * Serializes the records (see the schema module)
+     * @returns {{version: number, players: Array<PlayerRecord>}}
+     */
+    toJSON() {
+        return { version: SCHEMA_VERSION, players: [...this.#records.values()].map(copyRecord) };
+    }
+
+    /**
+     * Rebuilds records from toJSON() output
+     * @param {{version: number, players: Array<PlayerRecord>}} data
+     * @throws {TypeError|RangeError} If the data is malformed, e.g. more wins and losses than games
+     * @returns {PlayerRecords}
+     */
+    static fromJSON(data) {
+        data = upgradeVersioned(data, "player records");
+        assertArray(data.players, "player records");
+
+        const records = new PlayerRecords();
+        data.players.forEach((record, i) => {
+            const path = `player record[${i}]`;
+            assertObject(record, path);
+            assertString(record.name, `${path} name`);
+            if (records.#records.has(record.name)) throw new RangeError(`Invalid ${path}: ${record.name} is repeated`);
+            assertInteger(record.games, `${path} games`, 0);
+            assertInteger(record.wins, `${path} wins`, 0, record.games);
+            assertInteger(record.losses, `${path} losses`, 0, record.games);
+            if (record.wins + record.losses !== record.games) {
+                throw new RangeError(`Invalid ${path}: wins and losses don't add up to ${record.games} games`);
+            }
+            assertInteger(record.shots, `${path} shots`, 0);
+            assertInteger(record.hits, `${path} hits`, 0, record.shots);
+            assertInteger(record.accuracyGames, `${path} accuracyGames`, 0, record.games);
+            if (record.accuracyGames > record.shots) {
+                throw new RangeError(
+                    `Invalid ${path}: fired in ${record.accuracyGames} games with ${record.shots} shots`
+                );
+            }
+            assertNumber(record.accuracyTotal, `${path} accuracyTotal`, 0, record.accuracyGames);
+            assertObject(record.versusComputer, `${path} versusComputer`);
+            for (const [strategy, results] of Object.entries(record.versusComputer)) {
+                assertOneOf(strategy, AI_STRATEGIES, `${path} versusComputer strategy`);
+                assertObject(results, `${path} versusComputer.${strategy}`);
+                assertInteger(results.wins, `${path} versusComputer.${strategy} wins`, 0, record.wins);
+                assertInteger(results.losses, `${path} versusComputer.${strategy} losses`, 0, record.losses);
+            }
+            records.#records.set(record.name, copyRecord(record));
+        });
+        return records;
+    }
+}
+
+/**
+ * @private
+ * @returns {PlayerRecord} A record with no games in it
+ */
+function newRecord(name) {
+    return {
+        name,
+        games: 0,
+        wins: 0,
+        losses: 0,
+        shots: 0,
+        hits: 0,
+        accuracyTotal: 0,
+        accuracyGames: 0,
+        versusComputer: {},
+    };
+}
+
+/**
+ * @private
+ * @returns {PlayerRecord} A deep copy of a record, with only the record's own fields
+ */
+function copyRecord({ name, games, wins, losses, shots, hits, accuracyTotal, accuracyGames, versusComputer }) {
+    const versus = Object.fromEntries(
+        Object.entries(versusComputer).map(([strategy, results]) => [
+            strategy,
+            { wins: results.wins, losses: results.losses },
+        ])
+    );
+    return { name, games, wins, losses, shots, hits, accuracyTotal, accuracyGames, versusComputer: versus };
+}
@@ -0,0 +1,143 @@
+import { playerFromJSON } from "./Player.js";
+import { WEAPONS } from "./Constants.js";
+
+/**
+ * Steps through a game's move history on copies of its boards, so a game can be reviewed without touching it.
+ *
+ * @class
+ *
+ * The boards are rebuilt from the game's final ship layout and minefields with every hit and miss cleared and every
+ * mine primed again, then the recorded attacks are applied up to the current position. A mine's retaliation is
+ * recorded as an attack by the mine's owner, so it replays like any other shot. Position 0 is before the first attack and `length` is after the
+ * last one.
+ */
+export default class Replay {
+    #initialPlayers;
+    #moves;
+    #players;
+    #position;
+
+    /**
+     * Creates a replay of a game, positioned before the first attack
+     * @param {Game} game - The game to replay (usually a finished one)
+     */
+    constructor(game) {
+        this.#initialPlayers = game.players.map((player) => resetPlayer(player.toJSON()));
+        this.#moves = game.history.map((move) => ({ ...move, attacker: game.players.indexOf(move.attacker) }));
+        this.goTo(0);
+    }
+
+    /**
+     * Gets the number of attacks in the replay
+     * @returns {number}
+     */
+    get length() {
+        return this.#moves.length;
+    }
+
+    /**
+     * Gets how many attacks have been replayed
+     * @returns {number}
+     */
+    get position() {
+        return this.#position;
+    }
+
+    /**
+     * Gets copies of both players, with their boards as they stood at the current position
+     * @returns {Array<Player>}
+     */
+    get players() {
+        return [...this.#players];
+    }
+
+    /**
+     * Gets the attack that led to the current position
+     * @returns {{turn: number, attacker: Player, defender: Player, x: number, y: number, result: string}|null} null at
+     * the start of the replay
+     */
+    get lastMove() {
+        if (this.#position === 0) return null;
+
+        const move = this.#moves[this.#position - 1];
+        return { ...move, attacker: this.#players[move.attacker], defender: this.#players[1 - move.attacker] };
+    }
+
+    get isAtStart() {
+        return this.#position === 0;
+    }
+
+    get isAtEnd() {
+        return this.#position === this.#moves.length;
+    }
+
+    /**
+     * Jumps to a position, replaying the attacks before it from the start
+     * @param {number} position - 0 to length inclusive
+     * @throws {RangeError} If the position is outside the replay
+     */
+    goTo(position) {
+        if (!Number.isInteger(position) || position < 0 || position > this.#moves.length) {
+            throw new RangeError(`Replay position must be between 0 and ${this.#moves.length}`);
+        }
+
+        this.#players = this.#initialPlayers.map(playerFromJSON);
+        for (const move of this.#moves.slice(0, position)) {
+            this.#applyMove(move);
+        }
+        this.#position = position;
+    }
+
+    /**
+     * Replays the next attack
+     * @returns {boolean} False if already at the end
+     */
+    stepForward() {
+        if (this.isAtEnd) return false;
+
+        this.#applyMove(this.#moves[this.#position]);
+        this.#position++;
+        return true;
+    }
+
+    /**
+     * Undoes the last replayed attack
+     * @returns {boolean} False if already at the start
+     */
+    stepBack() {
+        if (this.isAtStart) return false;
+
+        this.goTo(this.#position - 1);
+        return true;
+    }
+
+    /**
+     * Fires a recorded shot at the defender's board. Sonar pings don't change the board, so there's nothing to replay.
+     * @private
+     */
+    #applyMove({ attacker, x, y, weapon }) {
+        if (weapon === WEAPONS.SONAR) return;
+        this.#players[1 - attacker].gameboard.receiveAttack(x, y);
+    }
+}
+
+/**
+ * Clears every hit, miss, remembered attack and sonar finding from a serialized player and primes their mines again,
+ * leaving just their fleet and minefield
+ * @private
+ */
+function resetPlayer(data) {
+    const gameboard = {
+        ...data.gameboard,
+        ships: data.gameboard.ships.map((ship) => ({
+            ...ship,
+            hits: 0,
+            cells: ship.cells.map((cell) => ({ ...cell, hit: false })),
+        })),
+        mines: data.gameboard.mines.map((mine) => ({ ...mine, detonated: false })),
+        misses: [],
+    };
+    return data.attackHistory
+        ? { ...data, gameboard, attackHistory: [], cleared: [], contact: null }
+        : { ...data, gameboard };
+}
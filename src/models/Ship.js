@@ -1,4 +1,12 @@
-import { MIN_SHIP_LENGTH, MAX_SHIP_LENGTH, DEFAULT_SHIP_LENGTH } from "./Constants.js";
+import { MIN_SHIP_LENGTH, MAX_SHIP_LENGTH, DEFAULT_SHIP_LENGTH, SHIP_SHAPES } from "./Constants.js";
+import { SCHEMA_VERSION, upgradeVersioned, assertInteger, assertOneOf } from "./schema.js";
+import { isShapedType, getShipSize } from "./shapes.js";
+
+// Steps bringing older saves up to date, keyed by the schema version they upgrade from (see upgradeVersioned())
+const UPGRADES = {
+    // Every ship was straight
+    8: (data) => ({ shape: null, ...data }),
+};
 
 /**
  * Represents a ship in the Battleship game
@@ -6,15 +14,19 @@ import { MIN_SHIP_LENGTH, MAX_SHIP_LENGTH, DEFAULT_SHIP_LENGTH } from "./Constan
  */
 export default class Ship {
     #length;
+    #shape;
     #timesHit;
 
     /**
      * Creates a new ship
-     * @param {number} [length=DEFAULT_SHIP_LENGTH] - The length of the ship (MIN_SHIP_LENGTH-MAX_SHIP_LENGTH inclusive)
+     * @param {number|string} [type=DEFAULT_SHIP_LENGTH] - The length of a straight ship (MIN_SHIP_LENGTH-MAX_SHIP_LENGTH
+     * inclusive), or the name of one of SHIP_SHAPES
      * @throws {TypeError} If length is not an integer
      * @throws {RangeError} If length is outside the valid range
      */
-    constructor(length = DEFAULT_SHIP_LENGTH) {
+    constructor(type = DEFAULT_SHIP_LENGTH) {
+        const shape = isShapedType(type) ? type : null;
+        const length = shape ? getShipSize(shape) : type;
         if (!Number.isInteger(length)) {
             throw new TypeError("Length must be an integer");
         }
@@ -22,17 +34,34 @@ export default class Ship {
             throw new RangeError(`Ship must have length between ${MIN_SHIP_LENGTH} and ${MAX_SHIP_LENGTH} inclusive`);
         }
         this.#length = length;
+        this.#shape = shape;
         this.#timesHit = 0;
     }
 
     /**
-     * Gets the length of the ship
+     * Gets the length of the ship - for a shaped ship, the number of cells it covers
      * @returns {number} The ship's length (MIN_SHIP_LENGTH-MAX_SHIP_LENGTH)
      */
     get length() {
         return this.#length;
     }
 
+    /**
+     * Gets the ship's shape
+     * @returns {string|null} One of SHIP_SHAPES, or null for a straight ship
+     */
+    get shape() {
+        return this.#shape;
+    }
+
+    /**
+     * Gets the ship's type, as listed in a fleet
+     * @returns {number|string} The shape for a shaped ship, otherwise the length
+     */
+    get type() {
+        return this.#shape ?? this.#length;
+    }
+
     /**
      * Gets the number of hits the ship has taken
      * @returns {number} Number of hits (0 to length)
@@ -50,6 +79,34 @@ export default class Ship {
         return this.#timesHit;
     }
 
+    /**
+     * Serializes the ship (see the schema module)
+     * @returns {{version: number, length: number, shape: string|null, hits: number}}
+     */
+    toJSON() {
+        return { version: SCHEMA_VERSION, length: this.#length, shape: this.#shape, hits: this.#timesHit };
+    }
+
+    /**
+     * Rebuilds a ship from toJSON() output
+     * @param {{version: number, length: number, shape: string|null, hits: number}} data
+     * @throws {TypeError|RangeError} If the data is malformed, e.g. a length that doesn't match the ship's shape
+     * @returns {Ship}
+     */
+    static fromJSON(data) {
+        data = upgradeVersioned(data, "ship", UPGRADES);
+        assertInteger(data.length, "ship length", MIN_SHIP_LENGTH, MAX_SHIP_LENGTH);
+        assertOneOf(data.shape, [null, ...Object.keys(SHIP_SHAPES)], "ship shape");
+        if (data.shape !== null && getShipSize(data.shape) !== data.length) {
+            throw new RangeError(`Invalid ship length: a ${data.shape} ship covers ${getShipSize(data.shape)} cells`);
+        }
+        assertInteger(data.hits, "ship hits", 0, data.length);
+
+        const ship = new Ship(data.shape ?? data.length);
+        ship.#timesHit = data.hits;
+        return ship;
+    }
+
     /**
      * Checks if the ship has been sunk
      * @returns {boolean} True if sunk, false otherwise
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Save-data schema shared by the toJSON()/fromJSON() methods of Ship, Gameboard, Player, Game and
+ * PlayerRecords.
+ *
+ * Every serialized object carries the schema `version` it was written with, so each class can be restored on its
+ * own and old saves can be recognised. Loading upgrades older data to the current version (see upgradeVersioned()),
+ * then validates it and throws a TypeError (wrong shape or type) or RangeError (value out of range / unsupported
+ * version) whose message names the offending field.
+ *
+ * Schema (version 13):
+ * ```
+ * Ship       { version, length, shape, hits }      - shape is one of SHIP_SHAPES, or null for a straight ship
+ * Gameboard  { version, width, height, noTouching, islands: [Cell], ships: [BoardShip], mines: [Mine],
+ *              misses: [Cell] }
+ * BoardShip  { ...Ship, cells: [{ x, y, hit }] }   - the cells the ship occupies, in order from its base
+ * Mine       { x, y, detonated }                   - detonated once the mine has been fired on
+ * Cell       { x, y }                              - (0,0) is top-left, as on the board
+ * Player     { version, type: "real", name, gameboard }
+ *            { version, type: "comp", name, gameboard, strategy, attackHistory: ["x,y", ...], cleared: ["x,y", ...],
+ *              contact: Cell | null, random: Random }
+ *                                                  - cleared / contact are what the AI's sonar pings have found
+ * Game       { version, players: [Player, Player], phase, currentPlayer, winner, turn, history: [Move], practice,
+ *              variant, seed, fleet: [type, ...], arsenals: [Arsenal, Arsenal] | null, minePenalty,
+ *              turnsToSkip: [count, count], turnLimit, clockLimit, turnTimeout, clocks: [ms, ms] | null }
+ *                                                  - currentPlayer / winner are indexes into players (winner may be null)
+ *                                                  - fleet types are straight ships' lengths or names of SHIP_SHAPES
+ *                                                  - arsenals is null unless the game is played with special weapons
+ *                                                  - minePenalty is one of MINE_PENALTIES, or null in a game without
+ *                                                    mines; turnsToSkip is how many turns each player has lost to mines
+ *                                                    and is still to sit out
+ *                                                  - turnLimit / clockLimit are seconds per turn / per player for the
+ *                                                    whole game, or null if untimed; turnTimeout is one of
+ *                                                    TURN_TIMEOUTS; clocks are the milliseconds each player has left,
+ *                                                    or null without a clockLimit
+ * Arsenal    { [weapon]: uses }                    - uses left of each of WEAPONS
+ * Move       { turn, attacker, x, y, result, weapon?, retaliation? }
+ *                                                  - attacker is an index into players; result is an ATTACK_RESULTS value
+ *                                                  - weapon is only set on moves made with one of WEAPONS; a sonar
+ *                                                    ping's result is a SONAR_RESULTS value
+ *                                                  - retaliation is set (to true) on the hit a mine deals back to the
+ *                                                    player who fired on it; its attacker is the mine's owner
+ * Random     { seed, state }                       - a SeededRandom stream and how far through it the player is
+ * PlayerRecords { version, players: [Record] }
+ * Record     { name, games, wins, losses, shots, hits, accuracyTotal, accuracyGames,
+ *              versusComputer: { [strategy]: { wins, losses } } }
+ *                                                  - one per human player's name; wins + losses = games, hits <= shots
+ *                                                  - accuracyTotal adds up the accuracy (0-1) of each of the
+ *                                                    accuracyGames games in which the player fired a shot
+ *                                                  - versusComputer is keyed by AI_STRATEGIES the player has faced
+ * ```
+ *
+ * Ship objects are referenced directly from board cells at runtime; the schema stores each ship once, with its
+ * cells, which is how shared references are rebuilt on load. A ship's `hits` must match its number of hit cells.
+ *
+ * Version history - the version goes up whenever the format changes, along with an upgrade step for each kind of
+ * object whose format changed:
+ * - 1: the first format
+ * - 2: games keep their move history; upgraded games start with none
+ * - 3: games record whether they're practice games; upgraded games aren't
+ * - 4: games have a seed, and computers a random stream of their own; upgraded ones get fresh ones
+ * - 5: games have a variant; upgraded games are classic ones
+ * - 6: games have a fleet; upgraded games have the standard one for their board
+ * - 7: boards have a width and height instead of a size; upgraded boards are square
+ * - 8: boards record whether ships may touch; upgraded boards let them
+ * - 9: ships have a shape; upgraded ships are straight
+ * - 10: boards have islands; upgraded boards have none
+ * - 11: games can be played with special weapons, and computers remember what their sonar found; upgraded games are
+ *   played without them
+ * - 12: boards can be mined, and games say what a mine costs; upgraded games have no mines
+ * - 13: games can be timed; upgraded games are untimed
+ *
+ * @module schema
+ */
+
+export const SCHEMA_VERSION = 13;
+
+// The oldest version that can still be loaded, by upgrading it
+export const OLDEST_SCHEMA_VERSION = 1;
+
+/**
+ * Checks a serialized object's shape and version, and brings it up to SCHEMA_VERSION so fromJSON() only has to read
+ * the current format. Each kind of object lists the versions after which its format changed, with a step that turns
+ * data of that version into the next one's; versions with no step didn't change it.
+ * @param {*} data - The serialized value
+ * @param {string} kind - What it should be, for error messages (e.g. "gameboard")
+ * @param {Object<number, (data: object) => object>} [upgrades={}] - Upgrade steps, keyed by the version they upgrade
+ * from. A step needn't set the version.
+ * @throws {TypeError} If data isn't a plain object
+ * @throws {RangeError} If the version isn't supported
+ * @returns {object} The data at SCHEMA_VERSION (a copy, if it was upgraded)
+ */
+export function upgradeVersioned(data, kind, upgrades = {}) {
+    assertObject(data, kind);
+    const { version } = data;
+    if (!Number.isInteger(version) || version < OLDEST_SCHEMA_VERSION || version > SCHEMA_VERSION) {
+        throw new RangeError(
+            `Invalid ${kind} data: unsupported schema version ${version} ` +
+                `(expected ${OLDEST_SCHEMA_VERSION}-${SCHEMA_VERSION})`
+        );
+    }
+
+    let upgraded = data;
+    for (let from = version; from < SCHEMA_VERSION; from++) {
+        upgraded = { ...(upgrades[from]?.(upgraded) ?? upgraded), version: from + 1 };
+    }
+    return upgraded;
+}
+
+/**
+ * @throws {TypeError} If value isn't a plain object
+ */
+export function assertObject(value, path) {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        throw new TypeError(`Invalid ${path}: expected an object`);
+    }
+}
+
+/**
+ * @throws {TypeError} If value isn't an array
+ */
+export function assertArray(value, path) {
+    if (!Array.isArray(value)) {
+        throw new TypeError(`Invalid ${path}: expected an array`);
+    }
+}
+
+/**
+ * @throws {TypeError} If value isn't an integer
+ * @throws {RangeError} If value is outside [min, max]
+ */
+export function assertInteger(value, path, min = -Infinity, max = Infinity) {
+    if (!Number.isInteger(value)) {
+        throw new TypeError(`Invalid ${path}: expected an integer`);
+    }
+    if (value < min || value > max) {
+        throw new RangeError(`Invalid ${path}: ${value} is outside ${min}-${max}`);
+    }
+}
+
+/**
+ * @throws {TypeError} If value isn't a finite number
+ * @throws {RangeError} If value is outside [min, max]
+ */
+export function assertNumber(value, path, min = -Infinity, max = Infinity) {
+    if (!Number.isFinite(value)) {
+        throw new TypeError(`Invalid ${path}: expected a number`);
+    }
+    if (value < min || value > max) {
+        throw new RangeError(`Invalid ${path}: ${value} is outside ${min}-${max}`);
+    }
+}
+
+/**
+ * @throws {TypeError} If value isn't a non-empty string
+ */
+export function assertString(value, path) {
+    if (typeof value !== "string" || value.trim() === "") {
+        throw new TypeError(`Invalid ${path}: expected a non-empty string`);
+    }
+}
+
+/**
+ * @throws {RangeError} If value isn't one of the allowed values
+ */
+export function assertOneOf(value, allowed, path) {
+    if (!allowed.includes(value)) {
+        throw new RangeError(`Invalid ${path}: expected one of ${allowed.join(", ")}, got ${value}`);
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Ship geometry shared by the board, random placement, the AI and the placement view.
+ *
+ * A ship type is either a length, for a straight ship, or the name of one of SHIP_SHAPES. Every type is laid out as
+ * [dx, dy] offsets from the ship's base cell with the ship facing east. Facing another direction turns the offsets
+ * clockwise about the base cell (east -> south -> west -> north), and mirroring flips them across the ship's
+ * east-west axis before turning, so an L bending south bends north instead.
+ *
+ * @module shapes
+ */
+
+import { SHIP_SHAPES, MIN_SHIP_LENGTH, MAX_SHIP_LENGTH, DIRECTIONS } from "./Constants.js";
+
+// Clockwise turns from east, in the order orientations are listed
+const TURNS = [DIRECTIONS.EAST, DIRECTIONS.SOUTH, DIRECTIONS.WEST, DIRECTIONS.NORTH];
+
+/**
+ * Whether a ship type names one of SHIP_SHAPES
+ * @param {*} type
+ * @returns {boolean}
+ */
+export function isShapedType(type) {
+    return typeof type === "string" && Object.hasOwn(SHIP_SHAPES, type);
+}
+
+/**
+ * Whether a value is a ship type a fleet can hold: a length from MIN_SHIP_LENGTH to MAX_SHIP_LENGTH, or a shape
+ * @param {*} type
+ * @returns {boolean}
+ */
+export function isShipType(type) {
+    if (isShapedType(type)) return true;
+    return Number.isInteger(type) && type >= MIN_SHIP_LENGTH && type <= MAX_SHIP_LENGTH;
+}
+
+/**
+ * Reads a ship type back from text, e.g. a form value: shape names are kept and anything else becomes a number
+ * @param {string} text
+ * @returns {number|string}
+ */
+export function parseShipType(text) {
+    return isShapedType(text) ? text : Number(text);
+}
+
+/**
+ * Gets the cells a ship covers, relative to its base cell
+ * @param {number|string} type - A length (straight ship) or one of SHIP_SHAPES
+ * @param {string} [direction="E"] - The direction the ship faces ("N", "E", "S" or "W")
+ * @param {boolean} [mirrored=false] - Whether the ship is flipped across its east-west axis
+ * @throws {TypeError} If the type isn't an integer length or a known shape, or the direction is invalid
+ * @returns {Array<Array<number>>} [dx, dy] offsets, starting with the base cell [0, 0]
+ */
+export function getShipOffsets(type, direction = DIRECTIONS.EAST, mirrored = false) {
+    let offsets;
+    if (isShapedType(type)) {
+        offsets = SHIP_SHAPES[type];
+    } else if (Number.isInteger(type)) {
+        offsets = Array.from({ length: type }, (_, i) => [i, 0]);
+    } else {
+        throw new TypeError(`Ship type must be a length or one of: ${Object.keys(SHIP_SHAPES).join(", ")}`);
+    }
+
+    const turns = TURNS.indexOf(direction);
+    if (turns === -1) {
+        throw new TypeError(`Direction must be one of: ${TURNS.join(", ")}`);
+    }
+
+    // 0 - n rather than -n, so no -0 creeps into the offsets
+    return offsets.map(([dx, dy]) => {
+        let [x, y] = [dx, mirrored ? 0 - dy : dy];
+        for (let i = 0; i < turns; i++) [x, y] = [0 - y, x];
+        return [x, y];
+    });
+}
+
+/**
+ * Gets the number of cells a ship of this type covers
+ * @param {number|string} type
+ * @returns {number}
+ */
+export function getShipSize(type) {
+    return getShipOffsets(type).length;
+}
+
+/**
+ * Gets the columns and rows a ship of this type spans when facing east
+ * @param {number|string} type
+ * @returns {{width: number, height: number}}
+ */
+export function getShipBounds(type) {
+    const offsets = normalise(getShipOffsets(type));
+    return {
+        width: Math.max(...offsets.map(([dx]) => dx)) + 1,
+        height: Math.max(...offsets.map(([, dy]) => dy)) + 1,
+    };
+}
+
+/**
+ * Lists the ways a ship can face that cover differently shaped sets of cells, e.g. a straight ship only has an
+ * east- and a south-facing orientation, as facing west or north covers the same cells as one of those
+ * @param {number|string} type
+ * @returns {Array<{direction: string, mirrored: boolean, offsets: Array<Array<number>>}>} Each orientation, with its
+ * offsets shifted so the smallest dx and dy are 0
+ */
+export function getShipOrientations(type) {
+    const orientations = [];
+    const seen = new Set();
+    for (const mirrored of [false, true]) {
+        for (const direction of TURNS) {
+            const offsets = normalise(getShipOffsets(type, direction, mirrored));
+            const key = shapeKey(offsets);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            orientations.push({ direction, mirrored, offsets });
+        }
+    }
+    return orientations;
+}
+
+/**
+ * Whether a set of board cells is a ship of this type in some orientation
+ * @param {Array<{x: number, y: number}>} cells
+ * @param {number|string} type
+ * @returns {boolean}
+ */
+export function fitsShipType(cells, type) {
+    const key = shapeKey(normalise(cells.map(({ x, y }) => [x, y])));
+    return getShipOrientations(type).some(({ offsets }) => shapeKey(offsets) === key);
+}
+
+/**
+ * Shifts offsets so the smallest dx and dy are 0
+ * @private
+ */
+function normalise(offsets) {
+    const minX = Math.min(...offsets.map(([dx]) => dx));
+    const minY = Math.min(...offsets.map(([, dy]) => dy));
+    return offsets.map(([dx, dy]) => [dx - minX, dy - minY]);
+}
+
+/**
+ * Describes a set of offsets regardless of their order, to compare shapes
+ * @private
+ */
+function shapeKey(offsets) {
+    return offsets
+        .map(([dx, dy]) => `${dx},${dy}`)
+        .sort()
+        .join(";");
+}
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Per-game statistics, worked out from a game's move history for the end-of-game stats panel and the
+ * players' lifetime records (see PlayerRecords).
+ *
+ * Only shots count towards accuracy: a sonar ping finds things without firing, and a mine striking back is recorded
+ * as a move by the mine's owner without them having fired it. A ship a player's mine sinks still counts as theirs.
+ *
+ * @module stats
+ */
+
+import { ATTACK_RESULTS, WEAPONS } from "./Constants.js";
+
+// Results that count as a hit on a ship
+const HIT_RESULTS = [ATTACK_RESULTS.HIT, ATTACK_RESULTS.SUNK, ATTACK_RESULTS.SUNK_ALL];
+const SUNK_RESULTS = [ATTACK_RESULTS.SUNK, ATTACK_RESULTS.SUNK_ALL];
+
+/**
+ * How one player did in a game
+ * @typedef {object} GameStats
+ * @property {Player} player
+ * @property {number} turns - Turns the player took a shot (or pinged with sonar) in
+ * @property {number} shots - Shots fired, not counting sonar pings or mines striking back
+ * @property {number} hits - Shots that hit a ship
+ * @property {number} misses - Shots that found water (the rest set off mines)
+ * @property {number|null} accuracy - hits / shots, or null before the first shot
+ * @property {number} longestStreak - Most hits in a row
+ * @property {Array<{ship: Ship, turn: number, turns: number}>} sinkings - The opponent's ships the player sank, in
+ * order: the turn each went down on, and how many of the player's turns that took from the first hit on it
+ */
+
+/**
+ * Works out how each player is doing from a game's move history (it needn't be finished)
+ * @param {Game} game
+ * @returns {Array<GameStats>} One per player, in the game's player order
+ */
+export function getGameStats(game) {
+    const history = game.history;
+
+    return game.players.map((player) => {
+        const moves = history.filter((move) => move.attacker === player);
+        const ownMoves = moves.filter((move) => !move.retaliation);
+        const shots = ownMoves.filter(({ weapon }) => weapon !== WEAPONS.SONAR);
+        const hits = shots.filter(({ result }) => HIT_RESULTS.includes(result)).length;
+
+        return {
+            player,
+            turns: new Set(ownMoves.map(({ turn }) => turn)).size,
+            shots: shots.length,
+            hits,
+            misses: shots.filter(({ result }) => result === ATTACK_RESULTS.MISS).length,
+            accuracy: shots.length > 0 ? hits / shots.length : null,
+            longestStreak: longestStreak(shots),
+            sinkings: findSinkings(moves, ownMoves, game.opponentOf(player).gameboard),
+        };
+    });
+}
+
+/**
+ * @private
+ * @returns {number} The most hits in a row among some shots
+ */
+function longestStreak(shots) {
+    let longest = 0;
+    let current = 0;
+    for (const { result } of shots) {
+        current = HIT_RESULTS.includes(result) ? current + 1 : 0;
+        longest = Math.max(longest, current);
+    }
+    return longest;
+}
+
+/**
+ * Finds the ships a player's moves sank (their mines' included), and how long each took
+ * @private
+ * @param {Array<object>} moves - All of the player's moves
+ * @param {Array<object>} ownMoves - The moves the player made themselves, whose turns are counted
+ * @param {Gameboard} board - The opponent's board
+ */
+function findSinkings(moves, ownMoves, board) {
+    const firstHits = new Map();
+    const sinkings = [];
+
+    for (const { x, y, turn, result } of moves) {
+        if (!HIT_RESULTS.includes(result)) continue;
+        const ship = board.getShipAt(x, y);
+        if (!firstHits.has(ship)) firstHits.set(ship, turn);
+        if (!SUNK_RESULTS.includes(result)) continue;
+
+        const first = firstHits.get(ship);
+        const turns = new Set(ownMoves.filter((move) => move.turn >= first && move.turn <= turn).map((m) => m.turn));
+        sinkings.push({ ship, turn, turns: Math.max(1, turns.size) });
+    }
+    return sinkings;
+}
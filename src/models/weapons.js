@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Special weapon geometry and results, shared by the board, the game, the AI and the game view.
+ *
+ * A weapon is aimed at a cell and acts on an area around it: a bomb or a sonar ping covers the square of cells within
+ * WEAPON_RADIUS of that cell, and a line strike covers the whole row or column through it. Areas are cut off at the
+ * edges of the board.
+ *
+ * @module weapons
+ */
+
+import { WEAPONS, WEAPON_RADIUS, STRIKE_AXES, ATTACK_RESULTS } from "./Constants.js";
+
+// Attack results from weakest to strongest, for summing up a strike. Setting off a mine beats a plain miss.
+const RESULT_RANKS = [
+    ATTACK_RESULTS.MISS,
+    ATTACK_RESULTS.MINE,
+    ATTACK_RESULTS.HIT,
+    ATTACK_RESULTS.SUNK,
+    ATTACK_RESULTS.SUNK_ALL,
+];
+
+/**
+ * Whether a value names one of WEAPONS
+ * @param {*} weapon
+ * @returns {boolean}
+ */
+export function isWeapon(weapon) {
+    return Object.values(WEAPONS).includes(weapon);
+}
+
+/**
+ * Gets the cells a weapon acts on when aimed at (x, y)
+ * @param {string} weapon - One of WEAPONS
+ * @param {number} x - x-coordinate the weapon is aimed at
+ * @param {number} y - y-coordinate the weapon is aimed at
+ * @param {number} width - The board's width
+ * @param {number} height - The board's height
+ * @param {string} [axis=STRIKE_AXES.ROW] - Which way a line strike runs (ignored by other weapons)
+ * @throws {TypeError} If the weapon or axis is unknown
+ * @returns {Array<{x: number, y: number}>} The cells on the board, row by row
+ */
+export function getWeaponArea(weapon, x, y, width, height, axis = STRIKE_AXES.ROW) {
+    if (!isWeapon(weapon)) {
+        throw new TypeError(`Weapon must be one of: ${Object.values(WEAPONS).join(", ")}`);
+    }
+
+    let [left, top, right, bottom] = [x - WEAPON_RADIUS, y - WEAPON_RADIUS, x + WEAPON_RADIUS, y + WEAPON_RADIUS];
+    if (weapon === WEAPONS.LINE_STRIKE) {
+        if (!Object.values(STRIKE_AXES).includes(axis)) {
+            throw new TypeError(`Strike axis must be one of: ${Object.values(STRIKE_AXES).join(", ")}`);
+        }
+        [left, top, right, bottom] = axis === STRIKE_AXES.ROW ? [0, y, width - 1, y] : [x, 0, x, height - 1];
+    }
+
+    const cells = [];
+    for (let cy = Math.max(0, top); cy <= Math.min(height - 1, bottom); cy++) {
+        for (let cx = Math.max(0, left); cx <= Math.min(width - 1, right); cx++) {
+            cells.push({ x: cx, y: cy });
+        }
+    }
+    return cells;
+}
+
+/**
+ * Sums up the shots of a strike as its strongest result, e.g. a bomb that hits one ship and sinks another "sank"
+ * @param {Array<string>} results - ATTACK_RESULTS values
+ * @returns {string} The strongest of them
+ */
+export function combineResults(results) {
+    return results.reduce((best, result) =>
+        RESULT_RANKS.indexOf(result) > RESULT_RANKS.indexOf(best) ? result : best
+    );
+}
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Names board cells the way players say them - a column letter and a row number, e.g. "B7" - and reads
+ * them back from what players type, including checking a typed shot can be fired.
+ *
+ * Columns run A, B, C... from the left and rows 1, 2, 3... from the top, so board coordinate (0, 0) is "A1".
+ * MAX_BOARD_SIZE keeps columns within A-Z.
+ *
+ * @module coordinates
+ */
+
+import { CELL_STATES } from "../models/Constants.js";
+
+const FIRST_COLUMN = "A".charCodeAt(0);
+
+// A column letter then a row number, give or take spaces and case
+const COORDINATE_PATTERN = /^\s*([a-z])\s*(\d+)\s*$/i;
+
+/**
+ * Names a cell
+ * @param {number} x - Column, from 0
+ * @param {number} y - Row, from 0
+ * @returns {string} e.g. "B7" for (1, 6)
+ */
+export function formatCoordinate(x, y) {
+    return `${columnLabel(x)}${y + 1}`;
+}
+
+/**
+ * Names a column
+ * @param {number} x - Column, from 0
+ * @returns {string} e.g. "C" for 2
+ */
+export function columnLabel(x) {
+    return String.fromCharCode(FIRST_COLUMN + x);
+}
+
+/**
+ * Reads a cell's name. Whether the cell is on a particular board is left to the caller.
+ * @param {string} text - e.g. "B7", "b7" or " B 7 "
+ * @returns {{x: number, y: number}|null} The cell, or null if the text doesn't name one
+ */
+export function parseCoordinate(text) {
+    const match = COORDINATE_PATTERN.exec(text);
+    if (!match) return null;
+    const y = parseInt(match[2], 10) - 1;
+    if (y < 0) return null;
+    return { x: match[1].toUpperCase().charCodeAt(0) - FIRST_COLUMN, y };
+}
+
+/**
+ * Reads a shot typed in by a player and checks it can be fired at the opponent's board: the square has to be on the
+ * board, not an island and not fired at already. A special weapon can be aimed at any square on the board, as what
+ * it covers around the square may still be open.
+ * @param {string} text - e.g. "C4"
+ * @param {Gameboard} board - The opponent's board
+ * @param {boolean} [weaponArmed=false] - Whether the shot aims a special weapon
+ * @returns {{cell: {x: number, y: number}|null, problem: string|null}} The square to fire at, or null and a message
+ * saying why it can't be
+ */
+export function checkTypedShot(text, board, weaponArmed = false) {
+    const cell = parseCoordinate(text);
+    const reject = (problem) => ({ cell: null, problem });
+    if (!cell) return reject(`"${text.trim()}" isn't a square - type a letter and a number, like C4.`);
+
+    const square = formatCoordinate(cell.x, cell.y);
+    if (cell.x >= board.width || cell.y >= board.height) return reject(`${square} isn't on the grid.`);
+    if (!weaponArmed) {
+        const state = board.board[cell.y][cell.x];
+        if (state === CELL_STATES.ISLAND) return reject(`${square} is an island - there's nothing there to hit.`);
+        if (state === CELL_STATES.HIT || state === CELL_STATES.MISS || state === CELL_STATES.DETONATED) {
+            return reject(`You've already fired at ${square}.`);
+        }
+    }
+    return { cell, problem: null };
+}
@@ -1,66 +1,293 @@
 // Export public API
-export { placeShipsRandom, initialisePlayers };
+export {
+    placeShipsRandom,
+    placeMinesRandom,
+    initialisePlayers,
+    getUnplacedShips,
+    checkFleet,
+    parseFleet,
+    createIslands,
+};
 
 // Export for testing
 export const __testing__ = { pickRandomDirection, tryPlaceShip };
 
 import { ComputerPlayer, RealPlayer } from "../models/Player.js";
+import Gameboard from "../models/Gameboard.js";
+import { SeededRandom, generateSeed } from "./random.js";
+import {
+    isShipType,
+    isShapedType,
+    parseShipType,
+    getShipSize,
+    getShipBounds,
+    getShipOrientations,
+} from "../models/shapes.js";
 
 // gameSetup.js
 import {
     MAX_PLACEMENT_ATTEMPTS,
+    MAX_LAYOUT_ATTEMPTS,
     getShipConfigForBoardSize,
+    getEquivalentSquareSize,
     VALID_DIRECTIONS,
     BOARD_CAPACITY_THRESHOLD,
+    NO_TOUCHING_PACKING_THRESHOLD,
+    FLEET_REJECTIONS,
+    MAPS,
+    RANDOM_ISLAND_SHARE,
+    MINES_PER_PLAYER,
+    CELL_STATES,
 } from "../models/Constants.js";
 
-function pickRandomDirection() {
-    return VALID_DIRECTIONS[Math.floor(Math.random() * VALID_DIRECTIONS.length)];
+function pickRandomDirection(random = new SeededRandom()) {
+    return random.pick(VALID_DIRECTIONS);
 }
 
-function tryPlaceShip(board, length, maxAttempts) {
+/**
+ * Places one ship at a random position. Random guesses are cheap and almost always succeed quickly; on crowded boards
+ * where they keep missing, one of the placements that are still free is picked instead. Shaped ships are also
+ * mirrored half of the time.
+ * @param {Gameboard} board
+ * @param {number|string} type - The ship's length or shape
+ * @throws {Error} If there is nowhere left for the ship
+ */
+function tryPlaceShip(board, type, maxAttempts, random = new SeededRandom()) {
     let attempts = 0;
-    while (
-        !board.placeShip(
-            Math.floor(Math.random() * board.size),
-            Math.floor(Math.random() * board.size),
-            length,
-            pickRandomDirection()
-        ).success
-    ) {
+    const placeAtRandom = () =>
+        board.placeShip(
+            random.nextInt(board.width),
+            random.nextInt(board.height),
+            type,
+            pickRandomDirection(random),
+            isShapedType(type) && random.pick([false, true])
+        );
+
+    while (!placeAtRandom().success) {
         attempts++;
         if (attempts >= maxAttempts) {
-            throw new Error(`Failed to place ${length}-length ship after ${maxAttempts} attempts`);
+            const free = findFreePlacements(board, type);
+            if (free.length === 0) {
+                const name = isShapedType(type) ? `${type}-shaped` : `${type}-length`;
+                throw new Error(`Failed to place ${name} ship after ${maxAttempts} attempts`);
+            }
+            const { x, y, direction, mirrored } = random.pick(free);
+            board.placeShip(x, y, type, direction, mirrored);
+            return;
         }
     }
 }
 
-function placeShipsRandom(boards) {
+/**
+ * Lists every position a ship could still be placed at. Only orientations covering differently shaped cells are
+ * listed, e.g. east- and south-facing for a straight ship, as every north/west placement covers the same cells as one
+ * of them.
+ */
+function findFreePlacements(board, type) {
+    const orientations = getShipOrientations(type);
+    const free = [];
+    for (let y = 0; y < board.height; y++) {
+        for (let x = 0; x < board.width; x++) {
+            for (const { direction, mirrored } of orientations) {
+                if (board.checkPlacement(x, y, type, direction, mirrored).valid) {
+                    free.push({ x, y, direction, mirrored });
+                }
+            }
+        }
+    }
+    return free;
+}
+
+/**
+ * Places a full fleet at random on each board. Ships are placed largest first, and if the ships placed so far leave
+ * no room for the next one the board is cleared and laid out again (up to MAX_LAYOUT_ATTEMPTS times), so dense
+ * fleets on large boards still get placed.
+ * @param {Array<Gameboard>} boards - Empty boards to fill
+ * @param {SeededRandom} [random] - Pass a seeded stream to get the same layouts every time
+ * @param {Array<number|string>} [fleet] - Ship types (lengths or shapes) to place on every board; defaults to the
+ * standard fleet for each board's size (see getEquivalentSquareSize)
+ * @throws {Error} If a fleet can't fit on its board
+ */
+function placeShipsRandom(boards, random = new SeededRandom(), fleet = null) {
     const maxAttempts = MAX_PLACEMENT_ATTEMPTS;
+    const fleetFor = (board) => fleet ?? getShipConfigForBoardSize(getEquivalentSquareSize(board.width, board.height));
 
     // Step 1: Validate all boards can fit ships
     for (let board of boards) {
-        const shipLengths = getShipConfigForBoardSize(board.size);
-        const capacity = shipLengths.reduce((sum, len) => sum + len, 0);
-        const boardCapacity = board.size ** 2;
-        if (capacity / boardCapacity > BOARD_CAPACITY_THRESHOLD) {
+        const shipTypes = fleetFor(board);
+        const capacity = shipTypes.reduce((sum, type) => sum + getShipSize(type), 0);
+        if (capacity / board.playableCellCount > BOARD_CAPACITY_THRESHOLD) {
             throw new Error("Board too small for these ships");
         }
     }
 
     // Step 2: Only if ALL valid, place ships
     for (let board of boards) {
-        const shipLengths = getShipConfigForBoardSize(board.size);
-        for (let len of shipLengths) {
-            tryPlaceShip(board, len, maxAttempts);
+        const shipTypes = [...fleetFor(board)].sort((a, b) => getShipSize(b) - getShipSize(a));
+        for (let layout = 1; ; layout++) {
+            try {
+                for (let type of shipTypes) {
+                    tryPlaceShip(board, type, maxAttempts, random);
+                }
+                break;
+            } catch (error) {
+                board.clear();
+                if (layout >= MAX_LAYOUT_ATTEMPTS) throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Lays mines at random on each board's empty water. Place the fleet first, as ships can't go where a mine is.
+ * @param {Array<Gameboard>} boards - Boards to lay mines on
+ * @param {SeededRandom} [random] - Pass a seeded stream to get the same minefields every time
+ * @param {number} [count=MINES_PER_PLAYER] - How many mines to lay on each board
+ * @throws {Error} If a board hasn't enough empty water left
+ */
+function placeMinesRandom(boards, random = new SeededRandom(), count = MINES_PER_PLAYER) {
+    for (const board of boards) {
+        const water = [];
+        board.board.forEach((row, y) =>
+            row.forEach((cell, x) => {
+                if (cell === CELL_STATES.EMPTY) water.push({ x, y });
+            })
+        );
+        if (water.length < count) {
+            throw new Error(`Not enough open water to lay ${count} mines`);
+        }
+
+        for (let i = 0; i < count; i++) {
+            const [{ x, y }] = water.splice(random.nextInt(water.length), 1);
+            board.placeMine(x, y);
+        }
+    }
+}
+
+/**
+ * Checks whether a fleet can be played on a board: it needs at least one ship, every ship must be a valid length or
+ * shape, and the ships may cover at most BOARD_CAPACITY_THRESHOLD of the board's open water (and, under the
+ * no-touching rule, pack within NO_TOUCHING_PACKING_THRESHOLD) so they can always be placed at random
+ * @param {Array<number|string>} fleet - Ship types (lengths or shapes)
+ * @param {number} width - The board's width
+ * @param {number} [height=width] - The board's height
+ * @param {{noTouching?: boolean, islands?: number}} [rules] - The board's placement rules, and how many of its cells
+ * are islands
+ * @returns {{valid: boolean, reason?: string, cells: number, capacity: number}} `cells` is how many cells the fleet
+ * covers and `capacity` the most it may cover; `reason` is one of FLEET_REJECTIONS
+ */
+function checkFleet(fleet, width, height = width, { noTouching = false, islands = 0 } = {}) {
+    const valid = fleet.every(isShipType);
+    const cells = valid ? fleet.reduce((sum, type) => sum + getShipSize(type), 0) : 0;
+    const capacity = Math.floor((width * height - islands) * BOARD_CAPACITY_THRESHOLD);
+    const reject = (reason) => ({ valid: false, reason, cells, capacity });
+
+    if (fleet.length === 0) return reject(FLEET_REJECTIONS.EMPTY);
+    if (!valid) return reject(FLEET_REJECTIONS.INVALID_LENGTH);
+    if (cells > capacity) return reject(FLEET_REJECTIONS.OVER_CAPACITY);
+    if (noTouching) {
+        const blocks = fleet.reduce((sum, type) => {
+            const bounds = getShipBounds(type);
+            return sum + (bounds.width + 1) * (bounds.height + 1);
+        }, 0);
+        if (blocks > ((width + 1) * (height + 1) - islands) * NO_TOUCHING_PACKING_THRESHOLD) {
+            return reject(FLEET_REJECTIONS.OVER_CAPACITY);
         }
     }
+
+    return { valid: true, cells, capacity };
+}
+
+/**
+ * Lays out the islands for one of the MAPS. Both players' boards use the same islands.
+ * @param {string} map - One of MAPS
+ * @param {number} width - The board's width
+ * @param {number} [height=width] - The board's height
+ * @param {SeededRandom} [random] - Places the islands of a random map
+ * @throws {RangeError} If the map is unknown
+ * @returns {Array<{x: number, y: number}>} The island cells
+ */
+function createIslands(map, width, height = width, random = new SeededRandom()) {
+    const islands = [];
+    switch (map) {
+        case MAPS.OPEN:
+            break;
+        case MAPS.RANDOM: {
+            const count = Math.floor(width * height * RANDOM_ISLAND_SHARE);
+            const used = new Set();
+            while (islands.length < count) {
+                const x = random.nextInt(width);
+                const y = random.nextInt(height);
+                if (used.has(`${x},${y}`)) continue;
+                used.add(`${x},${y}`);
+                islands.push({ x, y });
+            }
+            break;
+        }
+        case MAPS.LAGOON: {
+            // A block a quarter of the board across, in the middle
+            const lagoonWidth = Math.max(1, Math.floor(width / 4));
+            const lagoonHeight = Math.max(1, Math.floor(height / 4));
+            const left = Math.floor((width - lagoonWidth) / 2);
+            const top = Math.floor((height - lagoonHeight) / 2);
+            for (let y = top; y < top + lagoonHeight; y++) {
+                for (let x = left; x < left + lagoonWidth; x++) islands.push({ x, y });
+            }
+            break;
+        }
+        case MAPS.ARCHIPELAGO:
+            for (let y = 2; y < height; y += 4) {
+                for (let x = 2; x < width; x += 4) islands.push({ x, y });
+            }
+            break;
+        default:
+            throw new RangeError(`Unknown map: ${map}`);
+    }
+    return islands;
+}
+
+/**
+ * Reads a fleet from the new-game form's comma-separated `fleet` field, e.g. "5,4,L,T"
+ * @param {string} [text]
+ * @returns {Array<number|string>|undefined} The ship types, or undefined if no fleet was submitted
+ */
+function parseFleet(text) {
+    return text?.split(",").map(parseShipType);
+}
+
+/**
+ * Works out which ships of a fleet still need to be placed on a board
+ * @param {Array<number|string>} fleet - The ship types (lengths or shapes) that make up the full fleet
+ * @param {Gameboard} board - The board being placed on
+ * @returns {Array<number|string>} The types from the fleet that aren't on the board yet
+ */
+function getUnplacedShips(fleet, board) {
+    const unplaced = [...fleet];
+    for (const ship of board.ships) {
+        const index = unplaced.indexOf(ship.type);
+        if (index !== -1) unplaced.splice(index, 1);
+    }
+    return unplaced;
 }
 
+/**
+ * Creates both players from the new-game form
+ * @param {object} formData - The new-game dialog's values. A blank `seed` gets a newly generated one.
+ * @returns {{playerOne: Player, playerTwo: Player, seed: string}} The players, and the seed their AI (and the game's
+ * fleet placement) draws its random numbers from
+ */
 function initialisePlayers(formData) {
     let playerOne;
     let playerTwo;
-    const boardSize = Number(formData["board-size"]);
+    const seed = formData.seed?.trim() || generateSeed();
+    const random = new SeededRandom(seed);
+    // Each player gets their own board, so build a fresh one per player
+    const width = Number(formData["board-width"]);
+    const height = Number(formData["board-height"]);
+    const noTouching = formData["no-touching"] === "on";
+    // The map gets its own stream so it doesn't shift the computers' moves for a given seed
+    const islands = createIslands(formData.map ?? MAPS.OPEN, width, height, random.derive("map"));
+    const newBoard = () => new Gameboard(width, height, { noTouching, islands });
     const playerOneType = formData["player-type-1"];
     const playerOneName = formData["player-name-1"];
     const playerTwoType = formData["player-type-2"];
@@ -69,26 +296,41 @@ function initialisePlayers(formData) {
     // Player One
     switch (playerOneType) {
         case "real":
-            playerOne = new RealPlayer(playerOneName, boardSize);
+            playerOne = new RealPlayer(playerOneName, newBoard());
             break;
         case "comp":
-            playerOne = new ComputerPlayer(playerOneName, boardSize, formData["strategy-1"]);
+            playerOne = new ComputerPlayer(
+                playerOneName,
+                newBoard(),
+                formData["strategy-1"],
+                random.derive("player-1")
+            );
             break;
         default:
-            playerOne = new RealPlayer(playerOneName, boardSize);
+            playerOne = new RealPlayer(playerOneName, newBoard());
     }
 
     // Player Two
     switch (playerTwoType) {
         case "real":
-            playerTwo = new RealPlayer(playerTwoName, boardSize);
+            playerTwo = new RealPlayer(playerTwoName, newBoard());
             break;
         case "comp":
-            playerTwo = new ComputerPlayer(playerTwoName, boardSize, formData["strategy-2"]);
+            playerTwo = new ComputerPlayer(
+                playerTwoName,
+                newBoard(),
+                formData["strategy-2"],
+                random.derive("player-2")
+            );
             break;
         default:
-            playerTwo = new ComputerPlayer(playerTwoName, boardSize, formData["strategy-2"]);
+            playerTwo = new ComputerPlayer(
+                playerTwoName,
+                newBoard(),
+                formData["strategy-2"],
+                random.derive("player-2")
+            );
     }
 
-    return { playerOne, playerTwo };
+    return { playerOne, playerTwo, seed };
 }
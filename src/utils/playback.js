@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Paces the shots of a computer-vs-computer game for a spectator.
+ *
+ * Responsibilities:
+ * - Hold each shot back until the selected delay has passed while playing, or until "step" is pressed while paused
+ * - Let the delay change between shots, as the speed slider moves
+ * - Drop a waiting shot when the game is abandoned
+ *
+ * Firing the shot is left to the caller, once waitForShot() resolves.
+ *
+ * @module playback
+ */
+
+/**
+ * Plays or steps through a spectator game one shot at a time
+ * @class
+ */
+export class SpectatorPlayback {
+    #playing;
+    #delayMs;
+    #timer;
+    #release;
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.delayMs=0] - Milliseconds between shots while playing
+     * @param {boolean} [options.playing=true] - Whether playback starts off playing rather than paused
+     */
+    constructor({ delayMs = 0, playing = true } = {}) {
+        this.#delayMs = delayMs;
+        this.#playing = playing;
+        this.#timer = null;
+        this.#release = null;
+    }
+
+    /**
+     * Whether shots follow each other by themselves
+     * @returns {boolean}
+     */
+    get playing() {
+        return this.#playing;
+    }
+
+    /**
+     * Whether a shot is waiting to be let go
+     * @returns {boolean}
+     */
+    get waiting() {
+        return this.#release !== null;
+    }
+
+    /**
+     * Gets the delay between shots while playing
+     * @returns {number} Milliseconds
+     */
+    get delayMs() {
+        return this.#delayMs;
+    }
+
+    /**
+     * Waits for the next shot: after the delay while playing, or until step() while paused. A shot that was already
+     * waiting is dropped.
+     * @returns {Promise<void>} Resolves when the shot should be fired (never, if it's dropped)
+     */
+    waitForShot() {
+        return new Promise((resolve) => {
+            this.#release = resolve;
+            this.#schedule();
+        });
+    }
+
+    /**
+     * Plays or pauses. Playing again waits a whole delay before the next shot.
+     * @param {boolean} playing
+     */
+    setPlaying(playing) {
+        this.#playing = playing;
+        this.#schedule();
+    }
+
+    /**
+     * Lets the waiting shot go, while paused
+     * @returns {boolean} Whether a shot was let go
+     */
+    step() {
+        if (this.#playing || !this.waiting) return false;
+        this.#letGo();
+        return true;
+    }
+
+    /**
+     * Changes the delay between shots. The shot being waited for is timed afresh with the new delay.
+     * @param {number} delayMs - Milliseconds
+     * @throws {RangeError} If the delay is negative or not a number
+     */
+    setDelay(delayMs) {
+        if (!Number.isFinite(delayMs) || delayMs < 0) {
+            throw new RangeError(`Playback delay must be a non-negative number of milliseconds, got ${delayMs}`);
+        }
+        this.#delayMs = delayMs;
+        this.#schedule();
+    }
+
+    /**
+     * Drops the waiting shot, if there is one, without letting it go
+     */
+    stop() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+        this.#release = null;
+    }
+
+    /**
+     * Times the waiting shot, if playing
+     * @private
+     */
+    #schedule() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+        if (this.#playing && this.waiting) this.#timer = setTimeout(() => this.#letGo(), this.#delayMs);
+    }
+
+    /**
+     * @private
+     */
+    #letGo() {
+        const release = this.#release;
+        this.stop();
+        release?.();
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Seedable pseudo-random numbers, so a game can be reproduced from its seed.
+ *
+ * Responsibilities:
+ * - Turn a seed string into a repeatable sequence of numbers (mulberry32, seeded with an FNV-1a hash of the seed)
+ * - Derive independent streams from one seed (e.g. one for fleet placement and one per computer player), so one
+ *   consumer drawing more numbers doesn't shift what the others see
+ * - Save and restore a stream's position
+ *
+ * Everything in the game that needs randomness takes a SeededRandom; `generateSeed()` is the only place Math.random
+ * is used, to pick a seed when the player doesn't type one in.
+ *
+ * @module random
+ */
+import { assertObject, assertString, assertInteger } from "../models/schema.js";
+
+const SEED_ALPHABET = "abcdefghijkmnpqrstuvwxyz23456789";
+const SEED_LENGTH = 6;
+
+/**
+ * Picks a new seed that is short enough to read out and type back in
+ * @returns {string}
+ */
+export function generateSeed() {
+    let seed = "";
+    for (let i = 0; i < SEED_LENGTH; i++) {
+        seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+}
+
+/**
+ * A repeatable stream of pseudo-random numbers
+ * @class
+ */
+export class SeededRandom {
+    #seed;
+    #state;
+
+    /**
+     * @param {string} [seed=generateSeed()] - Any non-empty string; the same seed always gives the same numbers
+     * @throws {TypeError} If the seed isn't a non-empty string
+     */
+    constructor(seed = generateSeed()) {
+        if (typeof seed !== "string" || seed.trim() === "") {
+            throw new TypeError("Seed must be a non-empty string");
+        }
+        this.#seed = seed.trim();
+        this.#state = hashSeed(this.#seed);
+    }
+
+    /**
+     * Gets the seed the stream was created from
+     * @returns {string}
+     */
+    get seed() {
+        return this.#seed;
+    }
+
+    /**
+     * Gets a number in [0, 1), like Math.random()
+     * @returns {number}
+     */
+    next() {
+        this.#state = (this.#state + 0x6d2b79f5) >>> 0;
+        let t = this.#state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Gets an integer in [0, max)
+     * @param {number} max
+     * @returns {number}
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Picks an element of an array
+     * @param {Array} array - A non-empty array
+     * @returns {*}
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Creates an independent stream from this one's seed
+     * @param {string} name - What the stream is for (e.g. "placement"); each name gives a different stream
+     * @returns {SeededRandom}
+     */
+    derive(name) {
+        return new SeededRandom(`${this.#seed}/${name}`);
+    }
+
+    /**
+     * Serializes the stream's seed and position
+     * @returns {{seed: string, state: number}}
+     */
+    toJSON() {
+        return { seed: this.#seed, state: this.#state };
+    }
+
+    /**
+     * Restores a stream from toJSON() output, carrying on from where it left off
+     * @param {{seed: string, state: number}} data
+     * @throws {TypeError|RangeError} If the data is malformed
+     * @returns {SeededRandom}
+     */
+    static fromJSON(data) {
+        assertObject(data, "random");
+        assertString(data.seed, "random seed");
+        assertInteger(data.state, "random state", 0, 0xffffffff);
+
+        const random = new SeededRandom(data.seed);
+        random.#state = data.state;
+        return random;
+    }
+}
+
+/**
+ * FNV-1a hash of a string, used as the generator's starting state
+ * @private
+ */
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (const char of seed) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
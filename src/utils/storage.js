@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Persists the game in progress so it survives page reloads, and the players' lifetime records.
+ *
+ * Responsibilities:
+ * - Write the current game to localStorage after every attack
+ * - Read it back, handing back (rather than throwing) the reason an unreadable save couldn't be loaded
+ * - Forget it once the game is over or replaced
+ * - Keep the players' records (see PlayerRecords) between visits, handing back why unreadable ones couldn't be loaded
+ *
+ * Every function takes an optional Storage so it can be exercised without a browser.
+ *
+ * @module storage
+ */
+import Game from "../models/Game.js";
+import PlayerRecords from "../models/PlayerRecords.js";
+
+export const SAVED_GAME_KEY = "odin-battleship:saved-game";
+export const PLAYER_RECORDS_KEY = "odin-battleship:player-records";
+
+/**
+ * Saves a game, overwriting any previous save
+ * @param {Game} game
+ * @param {Storage} [storage=localStorage]
+ */
+export function saveGame(game, storage = globalThis.localStorage) {
+    storage.setItem(SAVED_GAME_KEY, JSON.stringify(game));
+}
+
+/**
+ * Loads the saved game, if there is one. An unreadable save is deleted, so it's only reported once.
+ * @param {Storage} [storage=localStorage]
+ * @returns {{game: Game|null, error: Error|null}} The restored game, or null with the reason it couldn't be loaded
+ * (error is null too if nothing was saved)
+ */
+export function loadGame(storage = globalThis.localStorage) {
+    const saved = storage.getItem(SAVED_GAME_KEY);
+    if (!saved) return { game: null, error: null };
+
+    try {
+        return { game: Game.fromJSON(JSON.parse(saved)), error: null };
+    } catch (error) {
+        // A corrupt save shouldn't break the app - drop it and start fresh
+        clearSavedGame(storage);
+        return { game: null, error };
+    }
+}
+
+/**
+ * Checks whether a saved game exists
+ * @param {Storage} [storage=localStorage]
+ * @returns {boolean}
+ */
+export function hasSavedGame(storage = globalThis.localStorage) {
+    return storage.getItem(SAVED_GAME_KEY) !== null;
+}
+
+/**
+ * Deletes the saved game
+ * @param {Storage} [storage=localStorage]
+ */
+export function clearSavedGame(storage = globalThis.localStorage) {
+    storage.removeItem(SAVED_GAME_KEY);
+}
+
+/**
+ * Saves the players' records, overwriting the previous ones
+ * @param {PlayerRecords} records
+ * @param {Storage} [storage=localStorage]
+ */
+export function savePlayerRecords(records, storage = globalThis.localStorage) {
+    storage.setItem(PLAYER_RECORDS_KEY, JSON.stringify(records));
+}
+
+/**
+ * Loads the players' records. Unreadable records are left in place until the next recorded game overwrites them, in
+ * case they can be recovered by hand.
+ * @param {Storage} [storage=localStorage]
+ * @returns {{records: PlayerRecords, error: Error|null}} The saved records, or empty ones (with the reason, if
+ * something unreadable was saved)
+ */
+export function loadPlayerRecords(storage = globalThis.localStorage) {
+    const saved = storage.getItem(PLAYER_RECORDS_KEY);
+    if (!saved) return { records: new PlayerRecords(), error: null };
+
+    try {
+        return { records: PlayerRecords.fromJSON(JSON.parse(saved)), error: null };
+    } catch (error) {
+        return { records: new PlayerRecords(), error };
+    }
+}
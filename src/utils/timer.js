@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Keeps time for a human's turn in a timed game.
+ *
+ * Responsibilities:
+ * - Count down the time left for the turn and on the player's clock, ticking so the display can follow along
+ * - Report whichever runs out first, as soon as it does
+ * - Pause (e.g. while a dialog is open) without losing or gaining any time
+ *
+ * The timer only measures time: charging it to the game's clocks, and what running out means, is left to the caller
+ * (see Game.spendTime(), timeOutTurn() and runOutOfTime()).
+ *
+ * @module timer
+ */
+
+const TICK_MS = 250;
+
+/**
+ * Counts down one turn at a time
+ * @class
+ */
+export class TurnTimer {
+    #tickMs;
+    #turnMs;
+    #clockMs;
+    #callbacks;
+    #running;
+    #paused;
+    #spent;
+    #since;
+    #ticker;
+    #alarm;
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.tickMs=250] - How often onTick is called while the timer runs
+     */
+    constructor({ tickMs = TICK_MS } = {}) {
+        this.#tickMs = tickMs;
+        this.#callbacks = {};
+        this.#running = false;
+        this.#paused = false;
+        this.#spent = 0;
+        this.#since = null;
+    }
+
+    /**
+     * Whether a turn is being timed (even while paused)
+     * @returns {boolean}
+     */
+    get running() {
+        return this.#running;
+    }
+
+    /**
+     * Whether the timer is paused
+     * @returns {boolean}
+     */
+    get paused() {
+        return this.#paused;
+    }
+
+    /**
+     * Gets the time spent on the turn so far, leaving out time spent paused
+     * @returns {number} Milliseconds
+     */
+    get elapsed() {
+        return this.#spent + (this.#since === null ? 0 : Date.now() - this.#since);
+    }
+
+    /**
+     * Gets the time left for the turn
+     * @returns {number|null} Milliseconds (never below 0), or null if the turn has no limit
+     */
+    get turnLeft() {
+        return this.#turnMs === null ? null : Math.max(0, this.#turnMs - this.elapsed);
+    }
+
+    /**
+     * Gets the time left on the player's clock
+     * @returns {number|null} Milliseconds (never below 0), or null if the player has no clock
+     */
+    get clockLeft() {
+        return this.#clockMs === null ? null : Math.max(0, this.#clockMs - this.elapsed);
+    }
+
+    /**
+     * Starts timing a turn, dropping any turn that was being timed. A paused timer starts counting on resume().
+     * @param {{turnMs?: number|null, clockMs?: number|null}} limits - Milliseconds left for the turn and on the
+     * player's clock, or null for no limit
+     * @param {object} [callbacks]
+     * @param {(left: {turnLeft: number|null, clockLeft: number|null}) => void} [callbacks.onTick] - Called at the
+     * start and then every tick while the timer runs
+     * @param {(elapsed: number) => void} [callbacks.onTurnExpired] - Called once the turn's time has run out, with the
+     * time spent on it. The timer has stopped by then.
+     * @param {(elapsed: number) => void} [callbacks.onClockExpired] - Called once the clock has run out (this wins if
+     * both run out together)
+     */
+    start({ turnMs = null, clockMs = null }, callbacks = {}) {
+        this.stop();
+        this.#turnMs = turnMs;
+        this.#clockMs = clockMs;
+        this.#callbacks = callbacks;
+        this.#running = true;
+        if (!this.#paused) this.#run();
+        this.#tick();
+    }
+
+    /**
+     * Stops timing the turn
+     * @returns {number} Milliseconds spent on it, leaving out time spent paused (0 if no turn was being timed)
+     */
+    stop() {
+        const elapsed = this.#running ? this.elapsed : 0;
+        this.#halt();
+        this.#running = false;
+        this.#spent = 0;
+        this.#callbacks = {};
+        return elapsed;
+    }
+
+    /**
+     * Stops the countdown until resume() is called. Turns started in the meantime wait too.
+     */
+    pause() {
+        if (this.#paused) return;
+        this.#paused = true;
+        if (this.#running) this.#halt();
+    }
+
+    /**
+     * Carries on counting down after pause()
+     */
+    resume() {
+        if (!this.#paused) return;
+        this.#paused = false;
+        if (this.#running) this.#run();
+    }
+
+    #run() {
+        this.#since = Date.now();
+        this.#ticker = setInterval(() => this.#tick(), this.#tickMs);
+        this.#schedule();
+    }
+
+    /**
+     * Banks the time counted since the timer last started running, and cancels its timeouts
+     * @private
+     */
+    #halt() {
+        this.#spent = this.elapsed;
+        this.#since = null;
+        clearInterval(this.#ticker);
+        clearTimeout(this.#alarm);
+    }
+
+    #tick() {
+        this.#callbacks.onTick?.({ turnLeft: this.turnLeft, clockLeft: this.clockLeft });
+    }
+
+    /**
+     * Sets an alarm for whichever limit runs out first
+     * @private
+     */
+    #schedule() {
+        const limits = [this.turnLeft, this.clockLeft].filter((left) => left !== null);
+        if (limits.length === 0) return;
+        this.#alarm = setTimeout(() => this.#expire(), Math.min(...limits));
+    }
+
+    #expire() {
+        const { onTurnExpired, onClockExpired } = this.#callbacks;
+        if (this.clockLeft === 0) {
+            onClockExpired?.(this.stop());
+        } else if (this.turnLeft === 0) {
+            onTurnExpired?.(this.stop());
+        } else {
+            // Timers may fire a moment early
+            this.#schedule();
+        }
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Countdown display for timed games.
+ *
+ * Responsibilities:
+ *  - Show/hide the clock bar.
+ *  - Show the time left for the current turn, and each player's chess clock.
+ *  - Flag whichever is running low.
+ *
+ * Exports:
+ *  - ClockView — Controls the clock bar.
+ *
+ * Dependencies:
+ *  - UIUtils
+ *
+ * @module ClockView
+ */
+
+import { UIUtils } from "../utils/UIUtils.js";
+
+// Times below this are shown as running low
+const LOW_TIME_MS = 10000;
+
+export class ClockView {
+    /**
+     * @param {HTMLElement} container The DOM element holding the clock bar.
+     */
+    constructor(container) {
+        this.panel = container.querySelector(".clock-display");
+        this.turnEl = this.panel.querySelector(".turn-countdown");
+        this.clocksEl = this.panel.querySelector(".chess-clocks");
+    }
+
+    /**
+     * Shows the clock bar.
+     */
+    open() {
+        this.panel.hidden = false;
+    }
+
+    /**
+     * Hides the clock bar.
+     */
+    close() {
+        this.panel.hidden = true;
+    }
+
+    /**
+     * Redraw the countdowns.
+     * @param {object} times
+     * @param {number|null} times.turnLeft Milliseconds left for the turn being timed, or null if no turn is.
+     * @param {Array<{name: string, timeLeft: number, active: boolean}>|null} times.clocks Each player's clock, or null
+     * if the game is played without clocks. The clock of the player who is thinking is `active`.
+     */
+    render({ turnLeft, clocks }) {
+        this.turnEl.hidden = turnLeft === null;
+        if (turnLeft !== null) {
+            this.turnEl.textContent = `Turn: ${formatTime(turnLeft)}`;
+            this.turnEl.classList.toggle("low", turnLeft < LOW_TIME_MS);
+        }
+
+        this.clocksEl.hidden = clocks === null;
+        UIUtils.clearChildren(this.clocksEl);
+        for (const { name, timeLeft, active } of clocks ?? []) {
+            const clock = UIUtils.createElement("span", "chess-clock", `${name} ${formatTime(timeLeft)}`);
+            clock.classList.toggle("active", active);
+            clock.classList.toggle("low", timeLeft < LOW_TIME_MS);
+            this.clocksEl.appendChild(clock);
+        }
+    }
+}
+
+/**
+ * Formats milliseconds as minutes and seconds, rounding up so "0:00" only shows once time is up
+ * @private
+ */
+function formatTime(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
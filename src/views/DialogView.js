@@ -6,7 +6,7 @@
  *  - Open and close a dialog element.
  *  - Collect values from form controls inside the dialog.
  *  - Store contextual data for the duration of the dialog session.
- *  - Allow external modules to register submit and cancel handlers.
+ *  - Allow external modules to register submit, cancel and close handlers.
  *
  * Usage example:
  *  const myDialog = new DialogView(document.querySelector("#my-dialog"));
@@ -27,12 +27,14 @@
  *  - close() — Closes the dialog and clears internal context.
  *  - onSubmit(callback) — Registers a submit handler.
  *  - onCancel(callback) — Registers a cancel handler.
+ *  - onClose(callback) — Registers a handler for whenever the dialog closes, however it was closed.
  *
  * Internal methods/properties:
  *  - _setupEventListeners() — Binds UI event handlers.
  *  - _collectFormData() — Gathers form control values inside the dialog.
  *  - _onSubmit — Stored function for submit events.
  *  - _onCancel — Stored function for cancel events.
+ *  - _onClose — Stored function for close events.
  *  - _context — Internal store for contextual data passed into open().
  *
  * @module DialogView
@@ -49,6 +51,7 @@ export class DialogView {
 
         this._onSubmit = null;
         this._onCancel = null;
+        this._onClose = null;
         this._context = {};
 
         this._setupEventListeners();
@@ -87,6 +90,14 @@ export class DialogView {
         this._onCancel = callback;
     }
 
+    /**
+     * Registers a callback for whenever the dialog closes: on submit, cancel or Escape.
+     * @param {Function} callback
+     */
+    setOnClose(callback) {
+        this._onClose = callback;
+    }
+
     /**
      * Bind internal UI event handlers.
      */
@@ -100,6 +111,10 @@ export class DialogView {
             });
         }
 
+        this.dialogElement.addEventListener("close", () => {
+            this._onClose?.();
+        });
+
         if (this.closeButton) {
             this.closeButton.addEventListener("click", () => {
                 this._onCancel?.();
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Fleet editor in the new-game dialog.
+ *
+ * Responsibilities:
+ *  - Switch between the standard fleet for the board size and a custom one.
+ *  - Add and remove straight ships of each length between MIN_SHIP_LENGTH and MAX_SHIP_LENGTH, and shaped ships.
+ *  - Show how much of the board the fleet covers, and block "Start Game" while the fleet can't be played.
+ *  - Keep the form's hidden `fleet` field (comma-separated ship types, e.g. "5,4,L") in step with the editor.
+ *
+ * Exports:
+ *  - FleetEditorView — Controls the fleet editor.
+ *
+ * Dependencies:
+ *  - UIUtils
+ *  - shapes (ship sizes and reading ship types back from the DOM)
+ *
+ * @module FleetEditorView
+ */
+
+import { UIUtils } from "../utils/UIUtils.js";
+import {
+    MIN_SHIP_LENGTH,
+    MAX_SHIP_LENGTH,
+    MAX_SHIPS_PER_LENGTH,
+    SHIP_SHAPES,
+    SHIP_NAMES,
+    FLEET_REJECTIONS,
+} from "../models/Constants.js";
+import { getShipSize, parseShipType } from "../models/shapes.js";
+
+// One editor row per ship type: the straight ships by length, then the shapes
+const SHIP_TYPES = [
+    ...Array.from({ length: MAX_SHIP_LENGTH - MIN_SHIP_LENGTH + 1 }, (_, i) => MIN_SHIP_LENGTH + i),
+    ...Object.keys(SHIP_SHAPES),
+];
+
+export class FleetEditorView {
+    #onCheckFleet;
+    #onStandardFleet;
+    #counts;
+
+    /**
+     * @param {HTMLElement} dialogElement The new-game dialog holding the editor.
+     */
+    constructor(dialogElement) {
+        this.editor = dialogElement.querySelector(".fleet-editor");
+        this.customInput = this.editor.querySelector(".custom-fleet-input");
+        this.rows = this.editor.querySelector(".fleet-rows");
+        this.fleetInput = this.editor.querySelector(".fleet-input");
+        this.status = this.editor.querySelector(".fleet-status");
+        this.boardWidthInput = dialogElement.querySelector("[name='board-width']");
+        this.boardHeightInput = dialogElement.querySelector("[name='board-height']");
+        this.noTouchingInput = dialogElement.querySelector("[name='no-touching']");
+        this.mapInputs = dialogElement.querySelectorAll("[name='map']");
+        this.submitBtn = dialogElement.querySelector(".submit-button");
+
+        this.#counts = new Map();
+        this.#buildRows();
+        this._setupEventListeners();
+    }
+
+    /**
+     * Redraw the editor for the current board size. Unless a custom fleet is being edited, the counts are reset to
+     * the standard fleet.
+     */
+    refresh() {
+        const custom = this.customInput.checked;
+        const [width, height] = [Number(this.boardWidthInput.value), Number(this.boardHeightInput.value)];
+        if (!custom) this.#setFleet(this.#onStandardFleet?.(width, height) ?? []);
+
+        const fleet = this.#fleet();
+        const map = [...this.mapInputs].find((input) => input.checked)?.value;
+        const rules = { noTouching: this.noTouchingInput.checked, map };
+        const check = this.#onCheckFleet?.(fleet, width, height, rules) ?? { valid: true, cells: 0, capacity: 0 };
+
+        this.rows.hidden = !custom;
+        this.fleetInput.disabled = !custom;
+        this.fleetInput.value = fleet.join(",");
+        this.submitBtn.disabled = custom && !check.valid;
+
+        for (const row of this.rows.children) {
+            const count = this.#counts.get(parseShipType(row.dataset.type));
+            row.querySelector(".fleet-count").textContent = count;
+            row.querySelector("[data-change='-1']").disabled = count === 0;
+            row.querySelector("[data-change='1']").disabled = count >= MAX_SHIPS_PER_LENGTH;
+        }
+
+        this.status.textContent = `${fleet.length} ships, ${check.cells} / ${check.capacity} cells. ${describeCheck(check)}`;
+        this.status.classList.toggle("fleet-invalid", !check.valid);
+    }
+
+    /**
+     * The fleet as ship types, largest first
+     */
+    #fleet() {
+        const fleet = SHIP_TYPES.flatMap((type) => Array(this.#counts.get(type)).fill(type));
+        return fleet.sort((a, b) => getShipSize(b) - getShipSize(a));
+    }
+
+    #setFleet(fleet) {
+        for (const type of SHIP_TYPES) {
+            this.#counts.set(type, fleet.filter((shipType) => shipType === type).length);
+        }
+    }
+
+    #buildRows() {
+        UIUtils.clearChildren(this.rows);
+        for (const type of SHIP_TYPES) {
+            const row = UIUtils.createElement("div", "fleet-row");
+            row.dataset.type = type;
+
+            const remove = UIUtils.createElement("button", [], "-");
+            remove.type = "button";
+            remove.dataset.change = "-1";
+            remove.setAttribute("aria-label", `Remove a ${SHIP_NAMES[type]}`);
+
+            const add = UIUtils.createElement("button", [], "+");
+            add.type = "button";
+            add.dataset.change = "1";
+            add.setAttribute("aria-label", `Add a ${SHIP_NAMES[type]}`);
+
+            row.append(
+                UIUtils.createElement("span", "fleet-ship-name", `${SHIP_NAMES[type]} (${getShipSize(type)})`),
+                remove,
+                UIUtils.createElement("output", "fleet-count", "0"),
+                add
+            );
+            this.rows.appendChild(row);
+        }
+    }
+
+    /**
+     * Bind internal UI event handlers.
+     */
+    _setupEventListeners() {
+        this.customInput.addEventListener("change", () => this.refresh());
+        this.boardWidthInput.addEventListener("input", () => this.refresh());
+        this.boardHeightInput.addEventListener("input", () => this.refresh());
+        this.noTouchingInput.addEventListener("change", () => this.refresh());
+        // Islands take up room the fleet could have used
+        this.mapInputs.forEach((input) => input.addEventListener("change", () => this.refresh()));
+
+        this.rows.addEventListener("click", (e) => {
+            const button = e.target.closest("button[data-change]");
+            if (!button) return;
+
+            const type = parseShipType(button.closest(".fleet-row").dataset.type);
+            const count = this.#counts.get(type) + Number(button.dataset.change);
+            this.#counts.set(type, Math.min(Math.max(count, 0), MAX_SHIPS_PER_LENGTH));
+            this.refresh();
+        });
+    }
+
+    /**
+     * @param {(fleet: Array<number|string>, width: number, height: number, rules: {noTouching: boolean}) => {valid: boolean,
+     * reason?: string, cells: number, capacity: number}} callback Checks whether a fleet can be played on a board.
+     */
+    setOnCheckFleet(callback) {
+        this.#onCheckFleet = callback;
+    }
+
+    /**
+     * @param {(width: number, height: number) => Array<number|string>} callback Gets the standard fleet for a board
+     * size.
+     */
+    setOnStandardFleet(callback) {
+        this.#onStandardFleet = callback;
+    }
+}
+
+function describeCheck(check) {
+    switch (check.reason) {
+        case FLEET_REJECTIONS.EMPTY:
+            return "Add at least one ship.";
+        case FLEET_REJECTIONS.INVALID_LENGTH:
+            return `Straight ships must be ${MIN_SHIP_LENGTH} to ${MAX_SHIP_LENGTH} cells long.`;
+        case FLEET_REJECTIONS.OVER_CAPACITY:
+            return "Too many ships for this board - remove some or pick a bigger board.";
+        default:
+            return "Ready.";
+    }
+}
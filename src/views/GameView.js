@@ -1,27 +1,73 @@
 /**
- * @fileoverview Generic main content view responsible for rendering:
- *  - The active entity (e.g., project, category, document) heading.
- *  - A list of items associated with that entity.
- *  - Action buttons for editing, deleting, starring, expanding items, etc.
+ * @fileoverview The battle screen: both players' grids, the game message and the controls around them.
  *
- * This view does not assume any specific schema. All data comes in
- * through arguments and is rendered generically.
+ * Responsibilities:
+ *  - Draw the grids from a player's point of view (or a spectator's, or a replay's), with coordinate labels and the
+ *    opponent's remaining ships, redrawing only what has changed since the last draw.
+ *  - Outline sunk ships whole, and reveal the opponent's surviving ships once the game is over.
+ *  - Follow a game through observe(), redrawing and describing each turn, attack, sunk ship and mine as it happens.
+ *  - Let players fire by mouse or keyboard: the arrow keys, Home and End move around either grid, and Enter or
+ *    Space fires at the opponent's. A square can also be typed in by name (e.g. "C4").
+ *  - Pick targets for a salvo volley, and preview the area a special weapon covers before it's fired.
+ *  - Hide both fleets behind the pass screen while a hot-seat game changes hands.
+ *  - Read messages out to screen readers through the announcer, keeping only the latest few.
  *
  * Exports:
- *  - MainView — A reusable UI view for list-based applications.
+ *  - GameView — Controls the battle screen.
  *
  * Dependencies:
  *  - UIUtils
+ *  - GridPainter (how each square looks, and redrawing only the squares that change)
+ *  - weapons (the area a special weapon covers, to preview it)
+ *  - coordinates (to label the grids, name squares in messages and read typed shots)
  *
  * @module GameView
  */
 
 import { UIUtils } from "../utils/UIUtils.js";
-import { CELL_STATES } from "../models/Constants.js";
+import {
+    ATTACK_RESULTS,
+    GAME_EVENTS,
+    GAME_MODES,
+    GAME_PHASES,
+    SHIP_NAMES,
+    WEAPONS,
+    WEAPON_NAMES,
+    STRIKE_AXES,
+    SONAR_RESULTS,
+    TURN_TIMEOUTS,
+} from "../models/Constants.js";
+import { getWeaponArea } from "../models/weapons.js";
+import { GridPainter, playerBoardLooks, opponentBoardLooks } from "./GridPainter.js";
+import { formatCoordinate, columnLabel, checkTypedShot } from "../utils/coordinates.js";
+
+// The announcer only keeps the latest few messages, which is all a screen reader needs
+const MAX_ANNOUNCEMENTS = 5;
+
+// Export for testing
+export const __testing__ = { MAX_ANNOUNCEMENTS, addAnnouncement, squareInDirection };
 
 export class GameView {
     #onNewGameClicked;
+    #onResumeGameClicked;
+    #onReplayClicked;
+    #onStatsClicked;
     #onCellClicked;
+    #onVolleyFired;
+    #onWeaponFired;
+    #volleySize;
+    #volleyTargets;
+    #arsenal;
+    #armedWeapon;
+    #strikeAxis;
+    #playerPainter;
+    #opponentPainter;
+    #shipIndicators;
+    #opponentBoard;
+    #indicatedFleet;
+    #resolvePassScreen;
+    #unobserveGame;
+    #timeUpNote;
 
     /**
      * @param {HTMLElement} container The DOM element for the main section.
@@ -30,176 +76,561 @@ export class GameView {
         this.container = container;
 
         this.messageContainer = container.querySelector(".message-container");
+        this.announcer = container.querySelector(".announcer");
         this.gridsContainer = container.querySelector(".grids-container");
+        this.shipCountContainer = container.querySelector(".ship-count-container");
         this.playerGrid = container.querySelector(".player-grid");
         this.opponentGrid = container.querySelector(".opponent-grid");
         this.newGameBtn = container.querySelector(".new-game-button");
+        this.resumeGameBtn = container.querySelector(".resume-game-button");
+        this.replayGameBtn = container.querySelector(".replay-game-button");
+        this.statsBtn = container.querySelector(".stats-button");
+        this.seedDisplay = container.querySelector(".seed-display");
+        this.playerGridLabel = container.querySelector(".player-grid-label");
+        this.opponentGridLabel = container.querySelector(".opponent-grid-label");
+        this.passScreen = container.querySelector(".pass-screen");
+        this.passScreenMessage = container.querySelector(".pass-screen-message");
+        this.passScreenBtn = container.querySelector(".pass-screen-button");
+        this.volleyControls = container.querySelector(".volley-controls");
+        this.volleyStatus = container.querySelector(".volley-status");
+        this.fireVolleyBtn = container.querySelector(".fire-volley-button");
+        this.clearVolleyBtn = container.querySelector(".clear-volley-button");
+        this.weaponControls = container.querySelector(".weapon-controls");
+        this.weaponButtons = container.querySelector(".weapon-buttons");
+        this.strikeAxisBtn = container.querySelector(".strike-axis-button");
+        this.weaponStatus = container.querySelector(".weapon-status");
+        this.coordinateEntry = container.querySelector(".coordinate-entry");
+        this.coordinateInput = container.querySelector(".coordinate-input");
+        this.coordinateFireBtn = container.querySelector(".coordinate-fire-button");
+        this.coordinateStatus = container.querySelector(".coordinate-status");
 
         /** @type {() => void} */
         this.#onNewGameClicked = null;
+        this.#volleySize = 0;
+        this.#volleyTargets = new Map();
+        this.#arsenal = null;
+        this.#armedWeapon = null;
+        this.#strikeAxis = STRIKE_AXES.ROW;
+        // Each grid is only rebuilt when its board changes size, and only the squares that look different are redrawn
+        this.#playerPainter = new GridPainter((board) => this.#buildGrid(this.playerGrid, board, "player-square"));
+        this.#opponentPainter = new GridPainter((board) =>
+            this.#buildGrid(this.opponentGrid, board, "opponent-square")
+        );
+        this.#shipIndicators = [];
+        this.#opponentBoard = null;
+        this.#indicatedFleet = null;
+        this.#timeUpNote = "";
 
         this._setupEventListeners();
     }
 
     /**
-     * Build the battleship game grids according to the provided boardSize.
-     * @param {number} playerGridSize The dimensions of the player grid that will be built
-     * @param {number} opponnetGridSize The dimensions of the opponent grid that will be built
+     * Build a battleship game grid for a board. The squares are built off-document and inserted in one go, and kept in
+     * [y][x] arrays so rendering doesn't have to look each one up - boards can have up to MAX_BOARD_SIZE x
+     * MAX_BOARD_SIZE squares.
+     *
+     * Squares sit in rows for screen readers (the rows don't affect the layout), under a row of column letters and
+     * after each row's number. One square at a time - the keyboard cursor - can be tabbed to.
+     * @returns {Array<Array<HTMLElement>>} The grid's squares, indexed [y][x] like the board
      */
-    #buildGrids(playerGridSize, opponentGridSize) {
-        this.playerGrid.innerHTML = ``;
-        this.opponentGrid.innerHTML = ``;
-
-        for (let i = 0; i < playerGridSize; i++) {
-            for (let j = 0; j < playerGridSize; j++) {
-                // create a square
-                let playerSquare = UIUtils.createElement("div", "player-square");
+    #buildGrid(grid, board, squareClass) {
+        const fragment = document.createDocumentFragment();
+        const squares = [];
 
-                playerSquare.id = `player-square${j}-${i}`;
-                playerSquare.style.minWidth = `${100 / playerGridSize}%`;
-                playerSquare.style.minHeight = `${100 / playerGridSize}%`;
-                /* playerSquare.style.opacity = 0; */
-
-                this.playerGrid.appendChild(playerSquare);
-            }
+        const headerRow = UIUtils.createElement("div", "grid-row");
+        headerRow.setAttribute("role", "row");
+        headerRow.appendChild(UIUtils.createElement("div", "grid-label"));
+        for (let j = 0; j < board.width; j++) {
+            headerRow.appendChild(createGridLabel("columnheader", columnLabel(j)));
         }
+        fragment.appendChild(headerRow);
 
-        for (let i = 0; i < opponentGridSize; i++) {
-            for (let j = 0; j < opponentGridSize; j++) {
+        for (let i = 0; i < board.height; i++) {
+            const rowEl = UIUtils.createElement("div", "grid-row");
+            rowEl.setAttribute("role", "row");
+            rowEl.appendChild(createGridLabel("rowheader", String(i + 1)));
+            const row = [];
+            for (let j = 0; j < board.width; j++) {
                 // create a square
-                let opponentSquare = UIUtils.createElement("div", "opponent-square");
-
-                opponentSquare.classList.add("opponent-square");
-                opponentSquare.id = `opponent-square${j}-${i}`;
+                const square = UIUtils.createElement("div", squareClass);
+                square.id = `${squareClass}${j}-${i}`;
+                square.setAttribute("role", "gridcell");
+                square.tabIndex = i === 0 && j === 0 ? 0 : -1;
                 // use data attributes for robust coordinate retrieval
-                opponentSquare.dataset.x = String(j);
-                opponentSquare.dataset.y = String(i);
-                // mark as not-clicked so we can prevent double-clicks
-                opponentSquare.dataset.clicked = "false";
-                // show pointer for clickable opponent squares
-                opponentSquare.style.cursor = "pointer";
-                opponentSquare.style.minWidth = `${100 / opponentGridSize}%`;
-                opponentSquare.style.minHeight = `${100 / opponentGridSize}%`;
-                /* opponentSquare.style.opacity = 0; */
-
-                this.opponentGrid.appendChild(opponentSquare);
+                square.dataset.x = String(j);
+                square.dataset.y = String(i);
+                row.push(square);
+                rowEl.appendChild(square);
             }
+            squares.push(row);
+            fragment.appendChild(rowEl);
         }
 
-        this.playerGrid.style.gridTemplateColumns = `repeat(${playerGridSize}, 1fr)`;
-        this.opponentGrid.style.gridTemplateColumns = `repeat(${opponentGridSize}, 1fr)`;
-        // reveal the game grids
-        this.gridsContainer.classList.add("visible");
-    }
-
-    #renderPlayerBoard(gameboard) {
-        const gridSize = gameboard.size;
-        const boardState = gameboard.board;
-
-        for (let i = 0; i < gridSize; i++) {
-            for (let j = 0; j < gridSize; j++) {
-                let cellState = boardState[i][j];
-
-                // if the cell is empty, we don't style it
-                if (!cellState) {
-                    continue;
-                }
-                let cellEl = this.playerGrid.querySelector(`#player-square${j}-${i}`);
-                // check if this is a ship
-                if (cellState === CELL_STATES.HIT) {
-                    cellEl.appendChild(UIUtils.createElement("div", "hit"));
-                    cellEl.classList.add("ship");
-                } else if (cellState === CELL_STATES.MISS) {
-                    cellEl.appendChild(UIUtils.createElement("div", "miss"));
-                } else {
-                    // it's a ship
-                    cellEl.classList.add("ship");
-                }
-            }
-        }
+        grid.replaceChildren(fragment);
+        grid.style.setProperty("--cols", board.width);
+        grid.style.setProperty("--rows", board.height);
+        grid.style.gridTemplateColumns = `var(--label-size) repeat(${board.width}, 1fr)`;
+        grid.style.gridTemplateRows = `var(--label-size) repeat(${board.height}, 1fr)`;
+        return squares;
     }
 
-    #renderOpponentBoard(gameboard) {
-        const gridSize = gameboard.size;
-        const boardState = gameboard.board;
-
-        for (let i = 0; i < gridSize; i++) {
-            for (let j = 0; j < gridSize; j++) {
-                let cellState = boardState[i][j];
-                const cellEl = this.opponentGrid.querySelector(`#opponent-square${j}-${i}`);
-                if (!cellEl) continue;
-                // don't render anything for empty cells (they remain clickable)
-                if (!cellState) {
-                    continue;
-                }
-                // check if this is a hit or miss
-                if (cellState === CELL_STATES.HIT) {
-                    cellEl.appendChild(UIUtils.createElement("div", "hit"));
-                    cellEl.dataset.clicked = "true";
-                    cellEl.style.cursor = "default";
-                    cellEl.classList.add("clicked");
-                } else if (cellState === CELL_STATES.MISS) {
-                    cellEl.appendChild(UIUtils.createElement("div", "miss"));
-                    cellEl.dataset.clicked = "true";
-                    cellEl.style.cursor = "default";
-                    cellEl.classList.add("clicked");
-                } else {
-                    // we don't show ships on opponent board
-                    continue;
-                }
-            }
-        }
+    /**
+     * Show a message, and announce it to screen readers
+     * @param {string} message
+     * @param {string} [announcement=message] What to announce, if it differs from what's shown
+     */
+    renderGameMessage(message, announcement = message) {
+        this.messageContainer.textContent = message;
+        this.announce(announcement);
     }
 
-    renderGameMessage(message) {
-        this.messageContainer.textContent = message;
+    /**
+     * Announce a message to screen readers without showing it
+     * @param {string} message
+     */
+    announce(message) {
+        addAnnouncement(this.announcer, message);
     }
 
     disableGrids() {
         this.playerGrid.classList.add("disabled");
         this.opponentGrid.classList.add("disabled");
+        this.#updateOpponentGridDisabled();
     }
 
     sleepGrids() {
         this.playerGrid.classList.add("sleeping");
         this.opponentGrid.classList.add("sleeping");
+        this.#updateOpponentGridDisabled();
     }
 
     wakeGrids() {
         this.playerGrid.classList.remove("sleeping");
         this.opponentGrid.classList.remove("sleeping");
+        this.#updateOpponentGridDisabled();
     }
 
     enableGrids() {
         this.playerGrid.classList.remove("disabled");
         this.opponentGrid.classList.remove("disabled");
+        this.#updateOpponentGridDisabled();
+    }
+
+    /**
+     * Whether the opponent grid can be fired at (mouse clicks are blocked by CSS otherwise, keyboard shots here)
+     * @returns {boolean}
+     */
+    #opponentGridLive() {
+        return !this.opponentGrid.classList.contains("disabled") && !this.opponentGrid.classList.contains("sleeping");
+    }
+
+    #updateOpponentGridDisabled() {
+        const live = this.#opponentGridLive();
+        this.opponentGrid.setAttribute("aria-disabled", String(!live));
+        this.coordinateInput.disabled = !live;
+        this.coordinateFireBtn.disabled = !live;
     }
 
+    /**
+     * Toggle placement mode: the opponent grid is locked while the player grid is being set up
+     * @param {boolean} placing
+     */
+    setPlacementMode(placing) {
+        this.opponentGrid.classList.toggle("disabled", placing);
+        this.#updateOpponentGridDisabled();
+    }
+
+    /**
+     * One indicator per ship, so custom fleets show which ships are still afloat. The indicators are only built when
+     * the fleet changes (a new game, usually); after that each one is just marked sunk or afloat.
+     * @param {Player} opponent
+     */
     #renderRemainingShips(opponent) {
-        const shipCountContainer = this.container.querySelector(".ship-count-container");
-        const totalShips = opponent.gameboard.ships.length;
-        const shipsRemaining = opponent.gameboard.getRemainingShips().length;
-
-        shipCountContainer.innerHTML = "";
-        for (let i = 0; i < totalShips; i++) {
-            let shipIndicator = UIUtils.createElement("div", "ship-indicator");
-            if (i < shipsRemaining) {
-                shipIndicator.classList.add("ship-alive");
-            } else {
-                shipIndicator.classList.add("ship-sunk");
-            }
-            shipCountContainer.appendChild(shipIndicator);
+        const ships = [...opponent.gameboard.ships].sort((a, b) => b.length - a.length);
+        const names = ships.map((ship) => `${SHIP_NAMES[ship.type]} (${ship.length})`);
+
+        // Both players of a game have the same fleet, so switching sides in a hot-seat game keeps the indicators
+        const fleet = names.join(", ");
+        if (fleet !== this.#indicatedFleet) {
+            this.#indicatedFleet = fleet;
+            this.#shipIndicators = names.map((name) => UIUtils.createElement("div", "ship-indicator", name));
+            this.shipCountContainer.replaceChildren(...this.#shipIndicators);
+        }
+
+        ships.forEach((ship, i) => {
+            const sunk = ship.isSunk();
+            const indicator = this.#shipIndicators[i];
+            indicator.classList.toggle("ship-sunk", sunk);
+            indicator.classList.toggle("ship-alive", !sunk);
+            indicator.title = `${SHIP_NAMES[ship.type]}, ${ship.length} cells - ${sunk ? "sunk" : "afloat"}`;
+        });
+    }
+
+    /**
+     * Show or hide the box for typing in shots
+     * @param {boolean} available Whether a human is playing the game on screen
+     */
+    setCoordinateEntryAvailable(available) {
+        this.coordinateEntry.hidden = !available;
+        this.coordinateInput.value = "";
+        this.coordinateStatus.textContent = "";
+    }
+
+    /**
+     * Fire at a typed-in square, as if it had been clicked, once it's checked to be a square of the opponent's board
+     * that can be fired at (see checkTypedShot())
+     * @param {string} text e.g. "C4"
+     */
+    #fireAtTyped(text) {
+        if (!this.#opponentBoard) return;
+        const { cell, problem } = checkTypedShot(text, this.#opponentBoard, this.#armedWeapon !== null);
+        if (problem) {
+            this.coordinateStatus.textContent = problem;
+            return;
         }
+
+        this.coordinateInput.value = "";
+        this.coordinateStatus.textContent = "";
+        this.#fireAt(this.#opponentPainter.squares[cell.y][cell.x]);
+    }
+
+    /**
+     * Show or hide the "Resume game" button
+     * @param {boolean} available Whether there is a saved game to resume
+     */
+    setResumeAvailable(available) {
+        this.resumeGameBtn.hidden = !available;
+    }
+
+    /**
+     * Switch the opponent grid between firing on click and picking salvo targets. While targeting, clicks toggle
+     * targets and the volley is fired with the "Fire" button once every shot has been placed.
+     * @param {number} size How many shots to pick, or 0 to stop targeting
+     */
+    setVolleyTargeting(size) {
+        this.#volleySize = size;
+        this.#clearVolleyTargets();
+        this.volleyControls.hidden = size === 0;
+    }
+
+    #toggleVolleyTarget(square, x, y) {
+        const key = `${x},${y}`;
+        if (this.#volleyTargets.has(key)) {
+            this.#volleyTargets.delete(key);
+            square.classList.remove("targeted");
+            square.removeAttribute("aria-selected");
+        } else if (this.#volleyTargets.size < this.#volleySize) {
+            this.#volleyTargets.set(key, { x, y });
+            square.classList.add("targeted");
+            square.setAttribute("aria-selected", "true");
+        }
+        this.#renderVolleyStatus();
+    }
+
+    #clearVolleyTargets() {
+        this.#volleyTargets.clear();
+        this.opponentGrid.querySelectorAll(".targeted").forEach((square) => {
+            square.classList.remove("targeted");
+            square.removeAttribute("aria-selected");
+        });
+        this.#renderVolleyStatus();
+    }
+
+    #renderVolleyStatus() {
+        this.volleyStatus.textContent = `Salvo targets: ${this.#volleyTargets.size} / ${this.#volleySize}`;
+        this.fireVolleyBtn.disabled = this.#volleySize === 0 || this.#volleyTargets.size < this.#volleySize;
+    }
+
+    /**
+     * Show the special weapons a player has left, or hide them. Picking a weapon arms it: the opponent grid then
+     * previews the weapon's area, and the next click there uses it.
+     * @param {Object<string, number>|null} arsenal Uses left of each weapon, or null to hide the weapons
+     */
+    setWeapons(arsenal) {
+        this.#arsenal = arsenal;
+        this.weaponControls.hidden = arsenal === null;
+        this.#armWeapon(null);
+    }
+
+    #armWeapon(weapon) {
+        this.#armedWeapon = weapon;
+        this.opponentGrid.classList.toggle("weapon-targeting", weapon !== null);
+        this.#clearWeaponPreview();
+        this.#renderWeapons();
+    }
+
+    #renderWeapons() {
+        UIUtils.clearChildren(this.weaponButtons);
+        for (const weapon of Object.values(WEAPONS)) {
+            const uses = this.#arsenal?.[weapon] ?? 0;
+            const button = UIUtils.createElement("button", "weapon-button", `${WEAPON_NAMES[weapon]} (${uses})`);
+            button.type = "button";
+            button.dataset.weapon = weapon;
+            button.disabled = uses === 0;
+            button.setAttribute("aria-pressed", String(this.#armedWeapon === weapon));
+            this.weaponButtons.appendChild(button);
+        }
+
+        this.strikeAxisBtn.hidden = this.#armedWeapon !== WEAPONS.LINE_STRIKE;
+        this.strikeAxisBtn.textContent = `Along a ${this.#strikeAxis} (R)`;
+        this.weaponStatus.textContent = this.#armedWeapon
+            ? `Aim the ${WEAPON_NAMES[this.#armedWeapon].toLowerCase()} at ${this.opponentGridLabel.textContent}.`
+            : "";
+    }
+
+    #turnStrikeAxis() {
+        this.#strikeAxis = this.#strikeAxis === STRIKE_AXES.ROW ? STRIKE_AXES.COLUMN : STRIKE_AXES.ROW;
+        this.#clearWeaponPreview();
+        this.#renderWeapons();
+        const aimed = this.opponentGrid.querySelector(".opponent-square:hover, .opponent-square:focus");
+        if (aimed) this.#previewWeapon(parseInt(aimed.dataset.x, 10), parseInt(aimed.dataset.y, 10));
+    }
+
+    /**
+     * @returns {Array<HTMLElement>} The opponent grid's squares the armed weapon would cover when aimed at (x, y)
+     */
+    #weaponSquares(x, y) {
+        const squares = this.#opponentPainter.squares;
+        const height = squares.length;
+        const width = squares[0]?.length ?? 0;
+        return getWeaponArea(this.#armedWeapon, x, y, width, height, this.#strikeAxis).map(
+            (cell) => squares[cell.y][cell.x]
+        );
+    }
+
+    #previewWeapon(x, y) {
+        this.#clearWeaponPreview();
+        this.#weaponSquares(x, y).forEach((square) => square.classList.add("weapon-preview"));
+    }
+
+    #clearWeaponPreview() {
+        this.opponentGrid
+            .querySelectorAll(".weapon-preview")
+            .forEach((square) => square.classList.remove("weapon-preview"));
+    }
+
+    #fireWeapon(x, y) {
+        const weapon = this.#armedWeapon;
+        const open = this.#weaponSquares(x, y).some((square) => square.dataset.clicked !== "true");
+        if (weapon !== WEAPONS.SONAR && !open) {
+            this.weaponStatus.textContent = "There's nothing left to hit there.";
+            return;
+        }
+
+        const axis = this.#strikeAxis;
+        this.setWeapons(null);
+        this.#onWeaponFired?.(weapon, x, y, axis);
+    }
+
+    /**
+     * Fire at (or pick as a salvo target, or aim the armed weapon at) one of the opponent's squares; squares already
+     * fired at are ignored
+     * @param {HTMLElement} square
+     */
+    #fireAt(square) {
+        const x = parseInt(square.dataset.x, 10);
+        const y = parseInt(square.dataset.y, 10);
+        if (Number.isNaN(x) || Number.isNaN(y)) return;
+        // an armed weapon can be aimed anywhere, even at cells already fired at
+        if (this.#armedWeapon) {
+            this.#fireWeapon(x, y);
+            return;
+        }
+        // prevent double clicks
+        if (square.dataset.clicked === "true") return;
+        // salvo turns pick targets first and fire them together
+        if (this.#volleySize > 0) {
+            this.#toggleVolleyTarget(square, x, y);
+            return;
+        }
+        // mark immediately to avoid race double-clicks while controller processes, and have the square redrawn from
+        // the board next time (in case the shot doesn't go ahead)
+        square.dataset.clicked = "true";
+        square.classList.add("clicked");
+        this.#opponentPainter.forget(x, y);
+        this.#onCellClicked?.(x, y);
+    }
+
+    /**
+     * Show the seed of the game being played, so it can be shared and replayed
+     * @param {string} seed
+     */
+    renderSeed(seed) {
+        this.seedDisplay.textContent = `Seed: ${seed}`;
+        this.seedDisplay.hidden = false;
+    }
+
+    /**
+     * Show or hide the "Watch replay" button
+     * @param {boolean} available Whether there is a finished game to replay
+     */
+    setReplayAvailable(available) {
+        this.replayGameBtn.hidden = !available;
     }
 
     /**
-     * Rerender the game view (player board + opponent board)
+     * Cover both fleets with a "pass the device" screen between hot-seat turns
+     * @param {string} playerName The player who should take the device next
+     * @returns {Promise<void>} Resolves when that player says they're ready
      */
-    update(player, opponent) {
-        this.#buildGrids(player.gameboard.size, opponent.gameboard.size);
-        this.#renderPlayerBoard(player.gameboard);
-        this.#renderOpponentBoard(opponent.gameboard);
+    showPassScreen(playerName) {
+        this.passScreenMessage.textContent = `Pass the device to ${playerName}`;
+        this.passScreenBtn.textContent = `I'm ${playerName} - show my boards`;
+        this.passScreen.hidden = false;
+        this.gridsContainer.classList.add("concealed");
+        this.passScreenBtn.focus();
+
+        return new Promise((resolve) => {
+            this.#resolvePassScreen = resolve;
+        });
+    }
+
+    /**
+     * Remove the pass screen without resolving it (e.g. when a new game is started underneath it)
+     */
+    hidePassScreen() {
+        this.passScreen.hidden = true;
+        this.gridsContainer.classList.remove("concealed");
+        this.#resolvePassScreen = null;
+    }
+
+    /**
+     * Rerender the game view (player board + opponent board). The grids are only rebuilt when the boards change size;
+     * otherwise just the squares that look different are redrawn.
+     * @param {Player} player The player whose own board is shown on the left
+     * @param {Player} opponent The player whose board is shown on the right
+     * @param {{spectating?: boolean, pings?: Array<object>, gameOver?: boolean}} [options] Spectators see both fleets
+     * and neither grid is "theirs". `pings` are the player's sonar pings on the opponent's board, as recorded in the
+     * game's history. Once the game is over, the opponent's surviving ships are revealed.
+     */
+    update(player, opponent, { spectating = false, pings = [], gameOver = false } = {}) {
+        this.playerGridLabel.textContent = spectating ? `${player.name}'s grid` : `Your grid (${player.name})`;
+        this.opponentGridLabel.textContent = `${opponent.name}'s grid`;
+        this.#playerPainter.fit(player.gameboard);
+        this.#opponentPainter.fit(opponent.gameboard);
+        this.#opponentBoard = opponent.gameboard;
+        this.#playerPainter.paint(playerBoardLooks(player.gameboard));
+        this.#opponentPainter.paint(
+            opponentBoardLooks(opponent.gameboard, { revealShips: spectating, pings, gameOver })
+        );
         this.#renderRemainingShips(opponent);
+        // reveal the game grids
+        this.gridsContainer.classList.add("visible");
+    }
+
+    /**
+     * Draw a game's boards from one of its players' point of view
+     * @param {Game} game
+     * @param {Player} viewer The player whose own board goes on the left
+     */
+    renderGame(game, viewer) {
+        const pings = game.history.filter((move) => move.weapon === WEAPONS.SONAR && move.attacker === viewer);
+        this.update(viewer, game.opponentOf(viewer), {
+            spectating: game.mode === GAME_MODES.SPECTATOR,
+            pings,
+            gameOver: game.phase === GAME_PHASES.FINISHED,
+        });
+    }
+
+    /**
+     * Draw a replay's boards (both fleets revealed, player one on the left) and describe the move that led to them
+     * @param {Replay} replay
+     */
+    renderReplay(replay) {
+        const [playerOne, playerTwo] = replay.players;
+        this.update(playerOne, playerTwo, { spectating: true });
+        this.disableGrids();
+
+        const move = replay.lastMove;
+        if (!move) {
+            this.renderGameMessage("Replay - the fleets before the first shot.");
+            return;
+        }
+
+        let action = `${move.attacker.name} attacked`;
+        if (move.weapon) action = `${move.attacker.name} used the ${WEAPON_NAMES[move.weapon].toLowerCase()} on`;
+        if (move.retaliation) action = `${move.attacker.name}'s mine struck back at`;
+        this.renderGameMessage(`Turn ${move.turn}: ${action} ${formatCoordinate(move.x, move.y)} - ${move.result}.`);
+    }
+
+    /**
+     * Subscribe to a game's events so the view redraws itself as the game is played. Any previously observed game
+     * is unsubscribed from.
+     * @param {Game} game
+     * @param {(player: Player) => Player} viewerFor Picks whose point of view to draw the boards from after a player
+     * attacks
+     */
+    observe(game, viewerFor) {
+        this.#unobserveGame?.();
+        this.#timeUpNote = "";
+
+        const unsubscribers = [
+            game.on(GAME_EVENTS.TURN_STARTED, ({ player, turn }) => {
+                // Later turns leave the last shot's result on screen, but screen readers still hear whose turn it is
+                if (turn === 1) this.renderGameMessage(`It's ${player.name}'s turn.`);
+                else this.announce(`It's ${player.name}'s turn.`);
+            }),
+            game.on(GAME_EVENTS.ATTACKED, ({ attacker, x, y, result }) => {
+                this.renderGame(game, viewerFor(attacker));
+                const square = formatCoordinate(x, y);
+                this.renderGameMessage(`${this.#takeTimeUpNote()}${attacker.name} attacked ${square} - ${result}.`);
+            }),
+            game.on(GAME_EVENTS.SHIP_SUNK, ({ attacker, defender, ship }) => {
+                const shipName = ship.shape ? SHIP_NAMES[ship.shape] : `${ship.length}-length ship`;
+                this.renderGameMessage(`${attacker.name} sank ${defender.name}'s ${shipName}!`);
+            }),
+            game.on(GAME_EVENTS.VOLLEY_FIRED, ({ attacker, shots }) => {
+                this.renderGame(game, viewerFor(attacker));
+                const squares = shots.map((shot) => formatCoordinate(shot.x, shot.y)).join(", ");
+                this.renderGameMessage(
+                    `${this.#takeTimeUpNote()}${attacker.name} fired at ${squares} - ${describeShots(shots)}.`
+                );
+            }),
+            game.on(GAME_EVENTS.WEAPON_USED, ({ attacker, weapon, x, y, axis, result, shots }) => {
+                this.renderGame(game, viewerFor(attacker));
+                this.renderGameMessage(
+                    describeWeapon(attacker, weapon, describeAim(weapon, x, y, axis), result, shots)
+                );
+            }),
+            game.on(GAME_EVENTS.MINE_DETONATED, ({ attacker, defender, x, y, retaliation }) => {
+                this.renderGame(game, viewerFor(attacker));
+                this.renderGameMessage(describeMine(attacker, defender, formatCoordinate(x, y), retaliation));
+            }),
+            game.on(GAME_EVENTS.TURN_SKIPPED, ({ player }) => {
+                // Keep the result of the shot that led to the skip on screen
+                const skipped = `${player.name} sits out this turn.`;
+                this.renderGameMessage(`${this.messageContainer.textContent} ${skipped}`, skipped);
+            }),
+            game.on(GAME_EVENTS.TURN_TIMED_OUT, ({ player, action }) => {
+                if (action === TURN_TIMEOUTS.FORFEIT) {
+                    this.renderGameMessage(`${player.name} ran out of time and forfeits the turn.`);
+                } else {
+                    // Said along with the random shot's result
+                    this.#timeUpNote = "Time's up! ";
+                }
+            }),
+            game.on(GAME_EVENTS.CLOCK_RAN_OUT, ({ player }) => {
+                this.#timeUpNote = `${player.name}'s clock ran out. `;
+            }),
+            game.on(GAME_EVENTS.GAME_OVER, ({ winner }) => {
+                // Show what was left of the loser's fleet
+                this.renderGame(game, viewerFor(winner));
+                this.renderGameMessage(`${this.#takeTimeUpNote()}${winner.name} wins!`);
+                this.disableGrids();
+            }),
+        ];
+
+        this.#unobserveGame = () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }
+
+    /**
+     * Hands over (and forgets) the note about a player running out of time, to lead the message it led to
+     * @returns {string} The note, or "" if nobody ran out of time
+     */
+    #takeTimeUpNote() {
+        const note = this.#timeUpNote;
+        this.#timeUpNote = "";
+        return note;
     }
 
     /**
@@ -211,28 +642,246 @@ export class GameView {
             this.#onNewGameClicked?.();
         });
 
-        // Delegated click handling for opponent grid; prevent clicks on already-clicked cells
+        // Resume saved game button
+        this.resumeGameBtn.addEventListener("click", () => {
+            this.#onResumeGameClicked?.();
+        });
+
+        // Replay finished game button
+        this.replayGameBtn.addEventListener("click", () => {
+            this.#onReplayClicked?.();
+        });
+
+        // Lifetime player stats button
+        this.statsBtn.addEventListener("click", () => {
+            this.#onStatsClicked?.();
+        });
+
+        // Salvo controls
+        this.clearVolleyBtn.addEventListener("click", () => {
+            this.#clearVolleyTargets();
+        });
+
+        this.fireVolleyBtn.addEventListener("click", () => {
+            const shots = [...this.#volleyTargets.values()];
+            this.setVolleyTargeting(0);
+            this.#onVolleyFired?.(shots);
+        });
+
+        // Special weapons: pick one to arm it (or pick it again to put it away)
+        this.weaponButtons.addEventListener("click", (e) => {
+            const button = e.target.closest(".weapon-button");
+            if (!button) return;
+            const weapon = button.dataset.weapon;
+            this.#armWeapon(this.#armedWeapon === weapon ? null : weapon);
+        });
+
+        this.strikeAxisBtn.addEventListener("click", () => {
+            this.#turnStrikeAxis();
+        });
+
+        document.addEventListener("keydown", (e) => {
+            if (this.#armedWeapon !== WEAPONS.LINE_STRIKE || e.target.closest?.("input, textarea, dialog")) return;
+            if (e.key.toLowerCase() === "r") this.#turnStrikeAxis();
+        });
+
+        this.opponentGrid.addEventListener("mouseover", (e) => {
+            if (!this.#armedWeapon) return;
+            const square = e.target.closest(".opponent-square");
+            if (square) this.#previewWeapon(parseInt(square.dataset.x, 10), parseInt(square.dataset.y, 10));
+        });
+
+        this.opponentGrid.addEventListener("mouseleave", () => {
+            this.#clearWeaponPreview();
+        });
+
+        // Hand the device over
+        this.passScreenBtn.addEventListener("click", () => {
+            const resolve = this.#resolvePassScreen;
+            this.hidePassScreen();
+            resolve?.();
+        });
+
+        // Typed shots
+        this.coordinateEntry.addEventListener("submit", (e) => {
+            e.preventDefault();
+            if (this.#opponentGridLive()) this.#fireAtTyped(this.coordinateInput.value);
+        });
+
+        // Delegated click handling for opponent grid
         this.opponentGrid.addEventListener("click", (e) => {
             const square = e.target.closest(".opponent-square");
             if (!square || !this.opponentGrid.contains(square)) return;
-            // prevent double clicks
-            if (square.dataset.clicked === "true") return;
-            const x = parseInt(square.dataset.x, 10);
-            const y = parseInt(square.dataset.y, 10);
-            if (Number.isNaN(x) || Number.isNaN(y)) return;
-            // mark immediately to avoid race double-clicks while controller processes
-            square.dataset.clicked = "true";
-            square.style.cursor = "default";
-            square.classList.add("clicked");
-            this.#onCellClicked?.(x, y);
+            this.#fireAt(square);
         });
+
+        // Keyboard play: the arrow keys move the cursor around either grid, and Enter or Space fires at the opponent
+        for (const grid of [this.playerGrid, this.opponentGrid]) {
+            grid.addEventListener("keydown", (e) => {
+                const square = e.target.closest("[role='gridcell']");
+                if (!square) return;
+                if (grid === this.opponentGrid && (e.key === "Enter" || e.key === " ")) {
+                    e.preventDefault();
+                    if (this.#opponentGridLive()) this.#fireAt(square);
+                    return;
+                }
+                const squares = (grid === this.playerGrid ? this.#playerPainter : this.#opponentPainter).squares;
+                const target = squareInDirection(squares, square, e.key);
+                if (!target) return;
+                e.preventDefault();
+                target.focus();
+            });
+
+            // Whichever square has focus (by keyboard or click) is where Tab comes back to
+            grid.addEventListener("focusin", (e) => {
+                const square = e.target.closest("[role='gridcell']");
+                if (!square) return;
+                grid.querySelectorAll("[tabindex='0']").forEach((other) => (other.tabIndex = -1));
+                square.tabIndex = 0;
+                if (grid === this.opponentGrid && this.#armedWeapon) {
+                    this.#previewWeapon(parseInt(square.dataset.x, 10), parseInt(square.dataset.y, 10));
+                }
+            });
+        }
     }
 
     setOnNewGameClicked(callback) {
         this.#onNewGameClicked = callback;
     }
 
+    setOnResumeGameClicked(callback) {
+        this.#onResumeGameClicked = callback;
+    }
+
+    setOnReplayClicked(callback) {
+        this.#onReplayClicked = callback;
+    }
+
+    setOnStatsClicked(callback) {
+        this.#onStatsClicked = callback;
+    }
+
     setOnCellClicked(callback) {
         this.#onCellClicked = callback;
     }
+
+    setOnVolleyFired(callback) {
+        this.#onVolleyFired = callback;
+    }
+
+    setOnWeaponFired(callback) {
+        this.#onWeaponFired = callback;
+    }
+}
+
+/**
+ * Summarises several shots resolved together, e.g. "2 hits, 1 ship sunk"
+ * @private
+ */
+function describeShots(shots) {
+    const hitResults = [ATTACK_RESULTS.HIT, ATTACK_RESULTS.SUNK, ATTACK_RESULTS.SUNK_ALL];
+    const hits = shots.filter(({ result }) => hitResults.includes(result)).length;
+    const sunkResults = [ATTACK_RESULTS.SUNK, ATTACK_RESULTS.SUNK_ALL];
+    const sunk = shots.filter(({ result }) => sunkResults.includes(result)).length;
+    const mines = shots.filter(({ result }) => result === ATTACK_RESULTS.MINE).length;
+
+    const sunkText = sunk > 0 ? `, ${count(sunk, "ship")} sunk` : "";
+    const mineText = mines > 0 ? `, ${count(mines, "mine")} set off` : "";
+    return `${count(hits, "hit")}${sunkText}${mineText}`;
+}
+
+/**
+ * Counts something, e.g. "1 hit" or "3 hits"
+ * @private
+ */
+function count(n, noun) {
+    return `${n} ${noun}${n === 1 ? "" : "s"}`;
+}
+
+/**
+ * Describes a mine going off, e.g. "Alice set off one of Bob's mines at C4 - it hit one of their own ships at A1!"
+ * @private
+ */
+function describeMine(attacker, defender, square, retaliation) {
+    const mine = `${attacker.name} set off one of ${defender.name}'s mines at ${square}`;
+    if (!retaliation) return `${mine} and loses their next turn!`;
+    const struck = formatCoordinate(retaliation.x, retaliation.y);
+    if (retaliation.result === ATTACK_RESULTS.HIT) return `${mine} - it hit one of their own ships at ${struck}!`;
+    return `${mine} - it sank one of their own ships at ${struck}!`;
+}
+
+/**
+ * Says where a special weapon was aimed, e.g. "C4", or "row 4" for a line strike along a row
+ * @private
+ */
+function describeAim(weapon, x, y, axis) {
+    if (weapon !== WEAPONS.LINE_STRIKE) return formatCoordinate(x, y);
+    return axis === STRIKE_AXES.ROW ? `row ${y + 1}` : `column ${columnLabel(x)}`;
+}
+
+/**
+ * Summarises a special weapon, e.g. "Alice used the bomb on C4 - 9 shots, 2 hits." or "Alice's sonar found a ship
+ * around C4!"
+ * @private
+ */
+function describeWeapon(attacker, weapon, aim, result, shots) {
+    const name = WEAPON_NAMES[weapon].toLowerCase();
+    if (weapon === WEAPONS.SONAR) {
+        return result === SONAR_RESULTS.CONTACT
+            ? `${attacker.name}'s ${name} found a ship around ${aim}!`
+            : `${attacker.name}'s ${name} found nothing around ${aim}.`;
+    }
+    return `${attacker.name} used the ${name} on ${aim} - ${count(shots.length, "shot")}, ${describeShots(shots)}.`;
+}
+
+/**
+ * Creates a row or column label for the edge of a grid
+ * @private
+ * @param {"rowheader"|"columnheader"} role
+ * @param {string} text
+ */
+function createGridLabel(role, text) {
+    const label = UIUtils.createElement("div", "grid-label", text);
+    label.setAttribute("role", role);
+    return label;
+}
+
+/**
+ * Adds a message to the announcer, dropping the oldest beyond MAX_ANNOUNCEMENTS. Messages are added rather than
+ * replaced, so several in quick succession are all read out.
+ * @private
+ * @param {HTMLElement} announcer The live region screen readers read from
+ * @param {string} message
+ */
+function addAnnouncement(announcer, message) {
+    const paragraph = announcer.ownerDocument.createElement("p");
+    paragraph.textContent = message;
+    announcer.appendChild(paragraph);
+    while (announcer.childElementCount > MAX_ANNOUNCEMENTS) announcer.firstElementChild.remove();
+}
+
+/**
+ * Finds the square a key moves the keyboard cursor to: the arrow keys move one square (stopping at the edges), Home
+ * and End go to the start and end of the row
+ * @private
+ * @param {Array<Array<HTMLElement>>} squares The grid's squares, indexed [y][x]
+ * @param {HTMLElement} square The square the cursor is on
+ * @param {string} key
+ * @returns {HTMLElement|null} The square to move to, or null if the key doesn't move the cursor
+ */
+function squareInDirection(squares, square, key) {
+    const x = parseInt(square.dataset.x, 10);
+    const y = parseInt(square.dataset.y, 10);
+    const width = squares[y].length;
+    const moves = {
+        ArrowUp: [x, Math.max(0, y - 1)],
+        ArrowDown: [x, Math.min(squares.length - 1, y + 1)],
+        ArrowLeft: [Math.max(0, x - 1), y],
+        ArrowRight: [Math.min(width - 1, x + 1), y],
+        Home: [0, y],
+        End: [width - 1, y],
+    };
+    if (!moves[key]) return null;
+    const [toX, toY] = moves[key];
+    return squares[toY][toX];
 }
@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Draws a board on a grid of squares, redrawing only the squares whose look has changed.
+ *
+ * Responsibilities:
+ *  - Work out how each square of a board looks (a SquareLook) from the player's own side or the opponent's.
+ *  - Keep a grid's squares, rebuilding them only when the board changes size.
+ *  - Repaint just the squares that look different from when they were last painted.
+ *
+ * Exports:
+ *  - GridPainter — Keeps one grid's squares and the looks they were painted with.
+ *  - playerBoardLooks / opponentBoardLooks — How each square of a board looks, for GridPainter.paint().
+ *  - lookKey, paintSquare — Compare looks, and draw one on a square.
+ *
+ * Dependencies:
+ *  - weapons (the area a sonar ping covers)
+ *  - coordinates (to name squares for screen readers)
+ *
+ * @module GridPainter
+ */
+
+import { CELL_STATES, WEAPONS, SONAR_RESULTS } from "../models/Constants.js";
+import { getWeaponArea } from "../models/weapons.js";
+import { formatCoordinate } from "../utils/coordinates.js";
+
+// What screen readers are told about a square, after its coordinate
+const SQUARE_DESCRIPTIONS = {
+    [CELL_STATES.HIT]: "hit",
+    [CELL_STATES.MISS]: "miss",
+    [CELL_STATES.ISLAND]: "island",
+    [CELL_STATES.MINE]: "mine",
+    [CELL_STATES.DETONATED]: "mine, set off",
+};
+
+// How a ship's squares are outlined, and the edges of a square an outline can run along
+const SHIP_OUTLINE_CLASSES = ["sunk", "revealed"];
+const SHIP_EDGES = [
+    { edge: "edge-top", dx: 0, dy: -1 },
+    { edge: "edge-right", dx: 1, dy: 0 },
+    { edge: "edge-bottom", dx: 0, dy: 1 },
+    { edge: "edge-left", dx: -1, dy: 0 },
+];
+
+// Every class a SquareLook can give a square, so a redraw can clear the old ones
+const LOOK_CLASSES = [
+    "ship",
+    "island",
+    "mine",
+    "clicked",
+    "sonar-contact",
+    "sonar-clear",
+    ...SHIP_OUTLINE_CLASSES,
+    ...SHIP_EDGES.map(({ edge }) => edge),
+];
+
+// The marker drawn in a square for each cell state that has one
+const MARKERS = {
+    [CELL_STATES.HIT]: "hit",
+    [CELL_STATES.MISS]: "miss",
+    [CELL_STATES.DETONATED]: "detonated",
+};
+
+// Export for testing
+export const __testing__ = { shipGrid, shipOutline, playerSquareLook, opponentSquareLook };
+
+/**
+ * What a square shows: its classes, the marker drawn in it (a hit, miss or set-off mine), whether it has been fired at
+ * and what screen readers are told about it
+ * @typedef {{classes: Array<string>, marker: string|null, clicked: boolean, label: string}} SquareLook
+ */
+
+/**
+ * Keeps one grid's squares, and the looks they were last painted with so unchanged squares can be left alone.
+ * Everything a look doesn't cover - focus, hover, salvo targets and weapon previews - is never touched.
+ * @class
+ */
+export class GridPainter {
+    #build;
+    #paint;
+    #squares;
+    #looks;
+
+    /**
+     * @param {(board: Gameboard) => Array<Array<HTMLElement>>} build Builds a grid of squares for a board, indexed
+     * [y][x] like the board
+     * @param {(square: HTMLElement, look: SquareLook) => void} [paint=paintSquare] Draws a look on a square
+     */
+    constructor(build, paint = paintSquare) {
+        this.#build = build;
+        this.#paint = paint;
+        this.#squares = [];
+        this.#looks = [];
+    }
+
+    /**
+     * The grid's squares, indexed [y][x]
+     * @returns {Array<Array<HTMLElement>>}
+     */
+    get squares() {
+        return this.#squares;
+    }
+
+    /**
+     * Rebuilds the grid to match a board's dimensions, unless it already does. A rebuilt grid is painted from scratch.
+     * @param {Gameboard} board
+     * @returns {boolean} Whether the grid was rebuilt
+     */
+    fit(board) {
+        if (this.#squares.length === board.height && this.#squares[0]?.length === board.width) return false;
+        this.#squares = this.#build(board);
+        this.#looks = [];
+        return true;
+    }
+
+    /**
+     * Repaints the squares whose look has changed since they were last painted
+     * @param {(x: number, y: number) => SquareLook} lookAt What each square should look like now
+     * @returns {Array<{x: number, y: number}>} The squares repainted
+     */
+    paint(lookAt) {
+        const painted = [];
+        this.#squares.forEach((row, y) => {
+            this.#looks[y] ??= [];
+            row.forEach((square, x) => {
+                const look = lookAt(x, y);
+                const key = lookKey(look);
+                if (this.#looks[y][x] === key) return;
+                this.#looks[y][x] = key;
+                this.#paint(square, look);
+                painted.push({ x, y });
+            });
+        });
+        return painted;
+    }
+
+    /**
+     * Has a square repainted next time, whatever it looks like then - for when something other than paint() has
+     * drawn on it
+     * @param {number} x
+     * @param {number} y
+     */
+    forget(x, y) {
+        if (this.#looks[y]) this.#looks[y][x] = null;
+    }
+}
+
+/**
+ * How the squares of a player's own board look. Sunk ships are outlined whole.
+ * @param {Gameboard} gameboard
+ * @returns {(x: number, y: number) => SquareLook}
+ */
+export function playerBoardLooks(gameboard) {
+    const boardState = gameboard.board;
+    const ships = shipGrid(gameboard);
+    return (x, y) => playerSquareLook(boardState[y][x], shipOutline(ships, x, y, false));
+}
+
+/**
+ * How the squares of the opponent's board look, as far as the player is allowed to know. Sunk ships are outlined
+ * whole, and once the game is over so are the ships that survived.
+ * @param {Gameboard} gameboard
+ * @param {object} [options]
+ * @param {boolean} [options.revealShips=false] Whether to show the ships and mines that haven't been hit (for
+ * spectators)
+ * @param {Array<{x: number, y: number, result: string}>} [options.pings=[]] Sonar pings to outline, by what they found
+ * @param {boolean} [options.gameOver=false] Whether to reveal the ships still afloat
+ * @returns {(x: number, y: number) => SquareLook}
+ */
+export function opponentBoardLooks(gameboard, { revealShips = false, pings = [], gameOver = false } = {}) {
+    const boardState = gameboard.board;
+    const ships = shipGrid(gameboard);
+    const sonar = new Map();
+    for (const { x, y, result } of pings) {
+        const found = result === SONAR_RESULTS.CONTACT ? "sonar-contact" : "sonar-clear";
+        for (const cell of getWeaponArea(WEAPONS.SONAR, x, y, gameboard.width, gameboard.height)) {
+            sonar.set(`${cell.x},${cell.y}`, found);
+        }
+    }
+
+    return (x, y) =>
+        opponentSquareLook(boardState[y][x], {
+            revealShips,
+            sonar: sonar.get(`${x},${y}`),
+            outline: shipOutline(ships, x, y, gameOver),
+        });
+}
+
+/**
+ * @param {SquareLook} look
+ * @returns {string} A key that's the same for two looks exactly when they look the same
+ */
+export function lookKey({ classes, marker, clicked, label }) {
+    return `${classes.join(" ")}|${marker}|${clicked}|${label}`;
+}
+
+/**
+ * Draws a square with a new look, replacing whatever it showed before
+ * @param {HTMLElement} square A grid square, with its coordinates in data-x and data-y
+ * @param {SquareLook} look
+ */
+export function paintSquare(square, { classes, marker, clicked, label }) {
+    square.classList.remove(...LOOK_CLASSES);
+    square.classList.add(...classes);
+    const markers = [];
+    if (marker) {
+        const markerEl = square.ownerDocument.createElement("div");
+        markerEl.classList.add(marker);
+        markers.push(markerEl);
+    }
+    square.replaceChildren(...markers);
+    square.dataset.clicked = String(clicked);
+    const x = parseInt(square.dataset.x, 10);
+    const y = parseInt(square.dataset.y, 10);
+    // Named for screen readers by coordinate and what's on it, e.g. "B7, miss"
+    square.setAttribute("aria-label", `${formatCoordinate(x, y)}, ${label}`);
+}
+
+/**
+ * How a square of the player's own board looks
+ * @private
+ * @param {string|Ship|null} cellState
+ * @param {Array<string>} outline The square's part in a ship outline (see shipOutline())
+ * @returns {SquareLook}
+ */
+function playerSquareLook(cellState, outline) {
+    const classes = [...outline];
+    if (cellState === CELL_STATES.HIT || (cellState && !(cellState in SQUARE_DESCRIPTIONS))) classes.push("ship");
+    if (cellState === CELL_STATES.ISLAND) classes.push("island");
+    if (cellState === CELL_STATES.MINE || cellState === CELL_STATES.DETONATED) classes.push("mine");
+    const label = outline.includes("sunk") ? "sunk" : describeSquare(cellState);
+    return { classes, marker: MARKERS[cellState] ?? null, clicked: false, label };
+}
+
+/**
+ * How a square of the opponent's board looks, as far as the player is allowed to know. Squares that have been fired
+ * at (and islands, which can't be) are marked clicked.
+ * @private
+ * @param {string|Ship|null} cellState
+ * @param {object} options
+ * @param {boolean} options.revealShips Whether ships and mines that haven't been hit are shown
+ * @param {string} [options.sonar] "sonar-contact" or "sonar-clear" if one of the player's sonar pings covered it
+ * @param {Array<string>} options.outline The square's part in a ship outline (see shipOutline())
+ * @returns {SquareLook}
+ */
+function opponentSquareLook(cellState, { revealShips, sonar, outline }) {
+    // Ships and mines stay hidden until they're fired on, except from spectators and once they're revealed
+    const hidden = !cellState || cellState === CELL_STATES.MINE || !(cellState in SQUARE_DESCRIPTIONS);
+    const revealed = outline.includes("revealed");
+    const clicked = !hidden;
+    const classes = clicked ? ["clicked", ...outline] : [...outline];
+    if (cellState === CELL_STATES.ISLAND) classes.push("island");
+    if (revealShips && cellState === CELL_STATES.MINE) classes.push("mine");
+    if (revealShips && !revealed && hidden && cellState && cellState !== CELL_STATES.MINE) classes.push("ship");
+    if (sonar) classes.push(sonar);
+
+    let label = hidden && !revealShips && !revealed ? "not fired at" : describeSquare(cellState);
+    if (outline.includes("sunk")) label = "sunk";
+    if (revealed) label += ", revealed";
+    if (sonar) label += `, ${sonar.replace("-", " ")}`;
+    return { classes, marker: MARKERS[cellState] ?? null, clicked, label };
+}
+
+/**
+ * Maps out which ship is on each cell of a board, whether or not the cell has been hit
+ * @private
+ * @param {Gameboard} gameboard
+ * @returns {Array<Array<Ship|null>>} Indexed [y][x]
+ */
+function shipGrid(gameboard) {
+    const ships = Array.from({ length: gameboard.height }, () => Array(gameboard.width).fill(null));
+    for (const ship of gameboard.ships) {
+        for (const { x, y } of gameboard.getShipCells(ship)) ships[y][x] = ship;
+    }
+    return ships;
+}
+
+/**
+ * Works out a square's part in outlining a whole ship. Sunk ships are outlined, and so are the ships still afloat
+ * once they're revealed; the outline runs along each edge the ship doesn't continue past.
+ * @private
+ * @param {Array<Array<Ship|null>>} ships The board's shipGrid()
+ * @param {number} x
+ * @param {number} y
+ * @param {boolean} revealAfloat Whether to outline the ships still afloat
+ * @returns {Array<string>} "sunk" or "revealed" followed by the square's edge classes, or nothing if the square isn't
+ * outlined
+ */
+function shipOutline(ships, x, y, revealAfloat) {
+    const ship = ships[y][x];
+    if (!ship || !(ship.isSunk() || revealAfloat)) return [];
+    const edges = SHIP_EDGES.filter(({ dx, dy }) => ships[y + dy]?.[x + dx] !== ship).map(({ edge }) => edge);
+    return [ship.isSunk() ? "sunk" : "revealed", ...edges];
+}
+
+/**
+ * Describes what's on a square, e.g. "miss" or "ship"
+ * @private
+ */
+function describeSquare(cellState) {
+    return SQUARE_DESCRIPTIONS[cellState] ?? (cellState ? "ship" : "water");
+}
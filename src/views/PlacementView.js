@@ -0,0 +1,404 @@
+/**
+ * @fileoverview View for the ship placement phase that runs before the first shot.
+ *
+ * Responsibilities:
+ *  - Render the dock of ships that still need to be placed.
+ *  - Let players drag a ship (or select it and click) onto their grid.
+ *  - Preview the placement live, including why it would fail.
+ *  - Rotate the ship being placed with the "R" key or the rotate button, and mirror shaped ships with "F" or the flip
+ *    button.
+ *  - In games with mines, offer the mines still to be laid and lay one on each clicked cell.
+ *  - Forward randomise / reset / start requests to the controller.
+ *
+ * The view never touches a Gameboard directly: placement checks and placement itself (of ships and mines)
+ * are delegated to the controller through the registered callbacks.
+ *
+ * Exports:
+ *  - PlacementView — Controls the placement panel and the player grid during placement.
+ *
+ * Dependencies:
+ *  - UIUtils
+ *  - shapes (which cells a ship covers, to draw the dock and the preview)
+ *
+ * @module PlacementView
+ */
+
+import { UIUtils } from "../utils/UIUtils.js";
+import { DIRECTIONS, PLACEMENT_REJECTIONS, SHIP_NAMES } from "../models/Constants.js";
+import { getShipOffsets, getShipSize, isShapedType, parseShipType } from "../models/shapes.js";
+
+// Rotating turns the ship clockwise
+const NEXT_DIRECTION = {
+    [DIRECTIONS.EAST]: DIRECTIONS.SOUTH,
+    [DIRECTIONS.SOUTH]: DIRECTIONS.WEST,
+    [DIRECTIONS.WEST]: DIRECTIONS.NORTH,
+    [DIRECTIONS.NORTH]: DIRECTIONS.EAST,
+};
+
+const DIRECTION_NAMES = {
+    [DIRECTIONS.NORTH]: "north",
+    [DIRECTIONS.EAST]: "east",
+    [DIRECTIONS.SOUTH]: "south",
+    [DIRECTIONS.WEST]: "west",
+};
+
+const REJECTION_MESSAGES = {
+    [PLACEMENT_REJECTIONS.OUT_OF_BOUNDS]: "That ship would stick out of the grid.",
+    [PLACEMENT_REJECTIONS.CELL_OCCUPIED]: "That ship would overlap another ship.",
+    [PLACEMENT_REJECTIONS.ADJACENT_SHIP]: "Ships can't touch each other, not even diagonally.",
+    [PLACEMENT_REJECTIONS.ISLAND]: "Ships can't be placed on an island.",
+    [PLACEMENT_REJECTIONS.MINE]: "Ships can't be placed on a mine.",
+};
+
+export class PlacementView {
+    #onShipPlaced;
+    #onShipRemoved;
+    #onMinePlaced;
+    #onPreview;
+    #onRandomise;
+    #onReset;
+    #onConfirm;
+
+    #direction;
+    #mirrored;
+    #unplaced;
+    #minesLeft;
+    #placingMine;
+    #selectedType;
+    #dragType;
+    #isOpen;
+
+    /**
+     * @param {HTMLElement} container The DOM element holding both the player grid and the placement panel.
+     */
+    constructor(container) {
+        this.container = container;
+
+        this.panel = container.querySelector(".placement-panel");
+        this.playerGrid = container.querySelector(".player-grid");
+        this.dock = this.panel.querySelector(".fleet-dock");
+        this.statusEl = this.panel.querySelector(".placement-status");
+        this.rotateBtn = this.panel.querySelector(".rotate-button");
+        this.flipBtn = this.panel.querySelector(".flip-button");
+        this.randomiseBtn = this.panel.querySelector(".randomise-button");
+        this.resetBtn = this.panel.querySelector(".reset-button");
+        this.startBtn = this.panel.querySelector(".start-battle-button");
+
+        this.#direction = DIRECTIONS.EAST;
+        this.#mirrored = false;
+        this.#unplaced = [];
+        this.#minesLeft = 0;
+        this.#placingMine = false;
+        this.#selectedType = null;
+        this.#dragType = null;
+        this.#isOpen = false;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Shows the placement panel and puts the player grid into placement mode.
+     * @param {string} playerName Whose fleet is being placed.
+     */
+    open(playerName) {
+        this.#isOpen = true;
+        this.#direction = DIRECTIONS.EAST;
+        this.#mirrored = false;
+        this.#selectedType = null;
+        this.#placingMine = false;
+        this.panel.querySelector(".placement-title").textContent = `${playerName}, place your fleet`;
+        this.panel.hidden = false;
+        this.playerGrid.classList.add("placing");
+        this.#renderDirection();
+    }
+
+    /**
+     * Hides the placement panel and leaves placement mode.
+     */
+    close() {
+        this.#isOpen = false;
+        this.#selectedType = null;
+        this.#placingMine = false;
+        this.#dragType = null;
+        this.panel.hidden = true;
+        this.playerGrid.classList.remove("placing");
+        this.#clearPreview();
+    }
+
+    /**
+     * Rerender the dock with the ships (and mines) that still need to be placed.
+     * @param {Array<number|string>} unplacedTypes Types (lengths or shapes) of the ships not yet on the grid.
+     * @param {number} [minesLeft=0] How many mines are still to be laid.
+     */
+    render(unplacedTypes, minesLeft = 0) {
+        this.#unplaced = [...unplacedTypes];
+        this.#minesLeft = minesLeft;
+        this.#renderDock();
+
+        if (!unplacedTypes.includes(this.#selectedType)) {
+            this.#selectedType = null;
+        }
+        if (minesLeft === 0) {
+            this.#placingMine = false;
+        }
+        this.#renderSelection();
+
+        const complete = unplacedTypes.length === 0 && minesLeft === 0;
+        this.startBtn.disabled = !complete;
+        this.renderStatus(complete ? "Fleet ready - start the battle when you are." : "");
+    }
+
+    /**
+     * Show a status line under the dock (e.g. why a placement failed).
+     * @param {string} message
+     */
+    renderStatus(message) {
+        this.statusEl.textContent = message;
+    }
+
+    /**
+     * Explain why a placement was rejected.
+     * @param {string} reason The rejection reason from Gameboard (one of PLACEMENT_REJECTIONS).
+     */
+    renderRejection(reason) {
+        this.renderStatus(REJECTION_MESSAGES[reason] ?? "That ship can't go there.");
+    }
+
+    // ----------------------
+    // Preview helpers
+    // ----------------------
+
+    #activeType() {
+        return this.#dragType ?? this.#selectedType;
+    }
+
+    #showPreview(x, y) {
+        this.#clearPreview();
+        const type = this.#activeType();
+        if (type === null) return;
+
+        const check = this.#onPreview?.(x, y, type, this.#direction, this.#mirrored) ?? { valid: true };
+
+        for (const [dx, dy] of getShipOffsets(type, this.#direction, this.#mirrored)) {
+            const cellEl = this.playerGrid.querySelector(`#player-square${x + dx}-${y + dy}`);
+            if (!cellEl) continue;
+            cellEl.classList.add(check.valid ? "placement-preview" : "placement-invalid");
+        }
+
+        if (check.valid) {
+            this.renderStatus("");
+        } else {
+            this.renderRejection(check.reason);
+        }
+    }
+
+    #clearPreview() {
+        this.playerGrid.querySelectorAll(".placement-preview, .placement-invalid").forEach((el) => {
+            el.classList.remove("placement-preview", "placement-invalid");
+        });
+    }
+
+    #rotate() {
+        this.#direction = NEXT_DIRECTION[this.#direction];
+        this.#renderDirection();
+    }
+
+    #flip() {
+        this.#mirrored = !this.#mirrored;
+        this.#renderDirection();
+    }
+
+    #renderDirection() {
+        this.rotateBtn.textContent = `Rotate (R) - facing ${DIRECTION_NAMES[this.#direction]}`;
+        this.flipBtn.setAttribute("aria-pressed", String(this.#mirrored));
+        // The dock shows every ship the way it would be placed
+        this.#renderDock();
+        this.#renderSelection();
+    }
+
+    /**
+     * Draws each unplaced ship on a small grid of its own, turned and mirrored like the ship being placed.
+     */
+    #renderDock() {
+        UIUtils.clearChildren(this.dock);
+
+        this.#unplaced.forEach((type) => {
+            const piece = UIUtils.createElement("div", "dock-ship");
+            piece.draggable = true;
+            piece.dataset.type = String(type);
+            piece.setAttribute(
+                "aria-label",
+                isShapedType(type) ? `${SHIP_NAMES[type]} (${getShipSize(type)} cells)` : `Ship of length ${type}`
+            );
+
+            const offsets = getShipOffsets(type, this.#direction, this.#mirrored);
+            const minX = Math.min(...offsets.map(([dx]) => dx));
+            const minY = Math.min(...offsets.map(([, dy]) => dy));
+            for (const [dx, dy] of offsets) {
+                const segment = UIUtils.createElement("div", "dock-ship-segment");
+                segment.style.gridColumn = String(dx - minX + 1);
+                segment.style.gridRow = String(dy - minY + 1);
+                piece.appendChild(segment);
+            }
+            this.dock.appendChild(piece);
+        });
+
+        if (this.#minesLeft > 0) {
+            const mine = UIUtils.createElement("button", "dock-mine", `Mines (${this.#minesLeft})`);
+            mine.type = "button";
+            mine.setAttribute("aria-label", `Lay a mine, ${this.#minesLeft} left`);
+            this.dock.appendChild(mine);
+        }
+    }
+
+    #renderSelection() {
+        let marked = false;
+        this.dock.querySelectorAll(".dock-ship").forEach((piece) => {
+            // Only highlight one piece even when several ships share a type
+            const selected = !marked && parseShipType(piece.dataset.type) === this.#selectedType;
+            piece.classList.toggle("selected", selected);
+            if (selected) marked = true;
+        });
+        this.dock.querySelector(".dock-mine")?.classList.toggle("selected", this.#placingMine);
+    }
+
+    /**
+     * Reads the coordinates of the player grid square an event happened on.
+     * @returns {{x: number, y: number} | null}
+     */
+    #squareFromEvent(e) {
+        const square = e.target.closest(".player-square");
+        if (!square || !this.playerGrid.contains(square)) return null;
+        const x = parseInt(square.dataset.x, 10);
+        const y = parseInt(square.dataset.y, 10);
+        if (Number.isNaN(x) || Number.isNaN(y)) return null;
+        return { x, y };
+    }
+
+    /**
+     * Event delegation for the dock, the player grid and the panel buttons.
+     */
+    _setupEventListeners() {
+        // Dock: drag a ship, or click it to select it for click-to-place
+        this.dock.addEventListener("dragstart", (e) => {
+            const piece = e.target.closest(".dock-ship");
+            if (!piece) return;
+            this.#dragType = parseShipType(piece.dataset.type);
+            e.dataTransfer.setData("text/plain", piece.dataset.type);
+            e.dataTransfer.effectAllowed = "move";
+        });
+
+        this.dock.addEventListener("dragend", () => {
+            this.#dragType = null;
+            this.#clearPreview();
+        });
+
+        this.dock.addEventListener("click", (e) => {
+            if (e.target.closest(".dock-mine")) {
+                this.#placingMine = !this.#placingMine;
+                this.#selectedType = null;
+                this.renderStatus(this.#placingMine ? "Click a cell to hide a mine there." : "");
+                this.#renderSelection();
+                return;
+            }
+            const piece = e.target.closest(".dock-ship");
+            if (!piece) return;
+            const type = parseShipType(piece.dataset.type);
+            this.#selectedType = this.#selectedType === type ? null : type;
+            this.#placingMine = false;
+            this.#renderSelection();
+        });
+
+        // Player grid: preview, drop and click-to-place / click-to-remove
+        this.playerGrid.addEventListener("dragover", (e) => {
+            if (!this.#isOpen || this.#dragType === null) return;
+            const square = this.#squareFromEvent(e);
+            if (!square) return;
+            e.preventDefault();
+            this.#showPreview(square.x, square.y);
+        });
+
+        this.playerGrid.addEventListener("dragleave", (e) => {
+            if (!this.playerGrid.contains(e.relatedTarget)) this.#clearPreview();
+        });
+
+        this.playerGrid.addEventListener("drop", (e) => {
+            if (!this.#isOpen || this.#dragType === null) return;
+            const square = this.#squareFromEvent(e);
+            if (!square) return;
+            e.preventDefault();
+            const type = this.#dragType;
+            this.#dragType = null;
+            this.#clearPreview();
+            this.#onShipPlaced?.(square.x, square.y, type, this.#direction, this.#mirrored);
+        });
+
+        this.playerGrid.addEventListener("mouseover", (e) => {
+            if (!this.#isOpen || this.#selectedType === null) return;
+            const square = this.#squareFromEvent(e);
+            if (square) this.#showPreview(square.x, square.y);
+        });
+
+        this.playerGrid.addEventListener("mouseleave", () => {
+            if (this.#isOpen) this.#clearPreview();
+        });
+
+        this.playerGrid.addEventListener("click", (e) => {
+            if (!this.#isOpen) return;
+            const square = this.#squareFromEvent(e);
+            if (!square) return;
+            this.#clearPreview();
+            if (this.#placingMine) {
+                this.#onMinePlaced?.(square.x, square.y);
+            } else if (this.#selectedType !== null) {
+                this.#onShipPlaced?.(square.x, square.y, this.#selectedType, this.#direction, this.#mirrored);
+            } else {
+                // Clicking a placed ship or mine sends it back to the dock
+                this.#onShipRemoved?.(square.x, square.y);
+            }
+        });
+
+        // Rotation and mirroring
+        this.rotateBtn.addEventListener("click", () => this.#rotate());
+        this.flipBtn.addEventListener("click", () => this.#flip());
+        document.addEventListener("keydown", (e) => {
+            if (!this.#isOpen || e.target.closest?.("input, textarea, dialog")) return;
+            const key = e.key.toLowerCase();
+            if (key === "r") this.#rotate();
+            if (key === "f") this.#flip();
+        });
+
+        // Panel buttons
+        this.randomiseBtn.addEventListener("click", () => this.#onRandomise?.());
+        this.resetBtn.addEventListener("click", () => this.#onReset?.());
+        this.startBtn.addEventListener("click", () => this.#onConfirm?.());
+    }
+
+    setOnShipPlaced(callback) {
+        this.#onShipPlaced = callback;
+    }
+
+    setOnShipRemoved(callback) {
+        this.#onShipRemoved = callback;
+    }
+
+    setOnMinePlaced(callback) {
+        this.#onMinePlaced = callback;
+    }
+
+    setOnPreview(callback) {
+        this.#onPreview = callback;
+    }
+
+    setOnRandomise(callback) {
+        this.#onRandomise = callback;
+    }
+
+    setOnReset(callback) {
+        this.#onReset = callback;
+    }
+
+    setOnConfirm(callback) {
+        this.#onConfirm = callback;
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Undo/redo controls for practice games.
+ *
+ * Responsibilities:
+ *  - Show/hide the practice control bar.
+ *  - Enable undo/redo only when the game allows them.
+ *  - Forward button clicks and Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z) presses.
+ *
+ * Exports:
+ *  - PracticeView — Controls the practice control bar.
+ *
+ * @module PracticeView
+ */
+
+export class PracticeView {
+    #onUndo;
+    #onRedo;
+
+    /**
+     * @param {HTMLElement} container The DOM element holding the practice controls.
+     */
+    constructor(container) {
+        this.panel = container.querySelector(".practice-controls");
+        this.undoBtn = this.panel.querySelector(".undo-button");
+        this.redoBtn = this.panel.querySelector(".redo-button");
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Shows the controls.
+     */
+    open() {
+        this.panel.hidden = false;
+    }
+
+    /**
+     * Hides the controls.
+     */
+    close() {
+        this.panel.hidden = true;
+    }
+
+    /**
+     * Enable or disable the buttons.
+     * @param {boolean} canUndo
+     * @param {boolean} canRedo
+     */
+    render(canUndo, canRedo) {
+        this.undoBtn.disabled = !canUndo;
+        this.redoBtn.disabled = !canRedo;
+    }
+
+    /**
+     * Bind internal UI event handlers.
+     */
+    _setupEventListeners() {
+        this.undoBtn.addEventListener("click", () => this.#onUndo?.());
+        this.redoBtn.addEventListener("click", () => this.#onRedo?.());
+
+        document.addEventListener("keydown", (e) => {
+            if (this.panel.hidden || !(e.ctrlKey || e.metaKey)) return;
+            if (e.target.closest?.("input, textarea, dialog")) return;
+
+            const key = e.key.toLowerCase();
+            const redo = key === "y" || (key === "z" && e.shiftKey);
+            const button = redo ? this.redoBtn : key === "z" ? this.undoBtn : null;
+            if (!button || button.disabled) return;
+
+            e.preventDefault();
+            button.click();
+        });
+    }
+
+    setOnUndo(callback) {
+        this.#onUndo = callback;
+    }
+
+    setOnRedo(callback) {
+        this.#onRedo = callback;
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Controls for stepping through a finished game's replay.
+ *
+ * Responsibilities:
+ *  - Show/hide the replay control bar.
+ *  - Turn the first/previous/next/last buttons into a position to seek to.
+ *  - Toggle auto-play and show how far through the game the replay is.
+ *
+ * Exports:
+ *  - ReplayView — Controls the replay control bar.
+ *
+ * @module ReplayView
+ */
+
+export class ReplayView {
+    #onSeek;
+    #onPlayToggled;
+    #onClose;
+    #position;
+    #length;
+
+    /**
+     * @param {HTMLElement} container The DOM element holding the replay controls.
+     */
+    constructor(container) {
+        this.panel = container.querySelector(".replay-controls");
+        this.seekBtns = this.panel.querySelectorAll(".replay-seek-button");
+        this.playBtn = this.panel.querySelector(".replay-play-button");
+        this.positionOutput = this.panel.querySelector(".replay-position-output");
+        this.closeBtn = this.panel.querySelector(".replay-close-button");
+
+        this.#position = 0;
+        this.#length = 0;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Shows the controls.
+     */
+    open() {
+        this.panel.hidden = false;
+    }
+
+    /**
+     * Hides the controls.
+     */
+    close() {
+        this.panel.hidden = true;
+    }
+
+    /**
+     * Reflect the replay's position and playback state in the controls.
+     * @param {number} position Attacks replayed so far.
+     * @param {number} length Attacks in the whole game.
+     * @param {boolean} playing Whether the replay is auto-playing.
+     */
+    render(position, length, playing) {
+        this.#position = position;
+        this.#length = length;
+
+        this.positionOutput.textContent = `Move ${position} / ${length}`;
+        this.playBtn.textContent = playing ? "Pause" : "Play";
+        this.playBtn.setAttribute("aria-pressed", String(playing));
+        this.playBtn.disabled = length === 0;
+
+        for (const btn of this.seekBtns) {
+            const backwards = btn.dataset.seek === "start" || btn.dataset.seek === "back";
+            btn.disabled = backwards ? position === 0 : position === length;
+        }
+    }
+
+    #seekTarget(seek) {
+        switch (seek) {
+            case "start":
+                return 0;
+            case "back":
+                return this.#position - 1;
+            case "forward":
+                return this.#position + 1;
+            default:
+                return this.#length;
+        }
+    }
+
+    /**
+     * Bind internal UI event handlers.
+     */
+    _setupEventListeners() {
+        for (const btn of this.seekBtns) {
+            btn.addEventListener("click", () => {
+                this.#onSeek?.(this.#seekTarget(btn.dataset.seek));
+            });
+        }
+
+        this.playBtn.addEventListener("click", () => {
+            this.#onPlayToggled?.();
+        });
+
+        this.closeBtn.addEventListener("click", () => {
+            this.#onClose?.();
+        });
+    }
+
+    setOnSeek(callback) {
+        this.#onSeek = callback;
+    }
+
+    setOnPlayToggled(callback) {
+        this.#onPlayToggled = callback;
+    }
+
+    setOnClose(callback) {
+        this.#onClose = callback;
+    }
+}
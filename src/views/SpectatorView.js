@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Playback controls for computer-vs-computer spectator games.
+ *
+ * Responsibilities:
+ *  - Show/hide the spectator control bar.
+ *  - Toggle between playing and paused, and step one shot at a time while paused.
+ *  - Convert the speed slider into a delay between shots.
+ *
+ * Exports:
+ *  - SpectatorView — Controls the spectator control bar.
+ *
+ * @module SpectatorView
+ */
+
+// Slider value 1 is the slowest speed; the delay between shots is BASE_DELAY_MS / speed
+const BASE_DELAY_MS = 2000;
+
+export class SpectatorView {
+    #onPlayToggled;
+    #onStep;
+    #onSpeedChanged;
+
+    /**
+     * @param {HTMLElement} container The DOM element holding the spectator controls.
+     */
+    constructor(container) {
+        this.panel = container.querySelector(".spectator-controls");
+        this.playBtn = this.panel.querySelector(".spectator-play-button");
+        this.stepBtn = this.panel.querySelector(".spectator-step-button");
+        this.speedInput = this.panel.querySelector(".spectator-speed-input");
+        this.speedOutput = this.panel.querySelector(".spectator-speed-output");
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Shows the controls.
+     * @param {boolean} playing Whether the game starts off playing.
+     */
+    open(playing = true) {
+        this.panel.hidden = false;
+        this.playBtn.disabled = false;
+        this.setPlaying(playing);
+        this.#renderSpeed();
+    }
+
+    /**
+     * Hides the controls.
+     */
+    close() {
+        this.panel.hidden = true;
+    }
+
+    /**
+     * Reflect the playback state in the controls. Stepping is only possible while paused.
+     * @param {boolean} playing
+     */
+    setPlaying(playing) {
+        this.playBtn.textContent = playing ? "Pause" : "Play";
+        this.playBtn.setAttribute("aria-pressed", String(playing));
+        this.stepBtn.disabled = playing;
+    }
+
+    /**
+     * Marks the end of the game, leaving nothing to play or step through.
+     */
+    setFinished() {
+        this.playBtn.disabled = true;
+        this.stepBtn.disabled = true;
+    }
+
+    /**
+     * Gets the delay between shots selected on the speed slider.
+     * @returns {number} Delay in milliseconds
+     */
+    get delayMs() {
+        return Math.round(BASE_DELAY_MS / Number(this.speedInput.value));
+    }
+
+    #renderSpeed() {
+        this.speedOutput.textContent = `${(1000 / this.delayMs).toFixed(1)} shots/s`;
+    }
+
+    /**
+     * Bind internal UI event handlers.
+     */
+    _setupEventListeners() {
+        this.playBtn.addEventListener("click", () => {
+            this.#onPlayToggled?.();
+        });
+
+        this.stepBtn.addEventListener("click", () => {
+            this.#onStep?.();
+        });
+
+        this.speedInput.addEventListener("input", () => {
+            this.#renderSpeed();
+            this.#onSpeedChanged?.(this.delayMs);
+        });
+    }
+
+    setOnPlayToggled(callback) {
+        this.#onPlayToggled = callback;
+    }
+
+    setOnStep(callback) {
+        this.#onStep = callback;
+    }
+
+    setOnSpeedChanged(callback) {
+        this.#onSpeedChanged = callback;
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Statistics tables: how each player did in the game just finished, and every player's lifetime record.
+ *
+ * Responsibilities:
+ *  - Show/hide the end-of-game stats panel.
+ *  - Fill in the stats dialog with the players' records.
+ *
+ * Exports:
+ *  - StatsView — Renders the stats panel and the contents of the stats dialog.
+ *
+ * Dependencies:
+ *  - UIUtils
+ *  - PlayerRecords (to average a record's accuracy)
+ *
+ * @module StatsView
+ */
+
+import { UIUtils } from "../utils/UIUtils.js";
+import PlayerRecords from "../models/PlayerRecords.js";
+import { AI_STRATEGIES, AI_STRATEGY_NAMES, SHIP_NAMES } from "../models/Constants.js";
+
+// The end-of-game table's rows: a heading and how to show that stat for one player
+const GAME_STAT_ROWS = [
+    ["Turns", (stats) => String(stats.turns)],
+    ["Shots", (stats) => String(stats.shots)],
+    ["Hits", (stats) => String(stats.hits)],
+    ["Misses", (stats) => String(stats.misses)],
+    ["Accuracy", (stats) => formatAccuracy(stats.accuracy)],
+    ["Longest hit streak", (stats) => String(stats.longestStreak)],
+    ["Ships sunk", (stats) => describeSinkings(stats.sinkings)],
+];
+
+export class StatsView {
+    /**
+     * @param {HTMLElement} container The DOM element holding the end-of-game stats panel.
+     * @param {HTMLDialogElement} dialog The stats dialog.
+     */
+    constructor(container, dialog) {
+        this.panel = container.querySelector(".game-stats");
+        this.gameTable = this.panel.querySelector(".game-stats-table");
+        this.recordsTable = dialog.querySelector(".player-records-table");
+        this.noRecords = dialog.querySelector(".no-player-records");
+        this.unreadableRecords = dialog.querySelector(".unreadable-player-records");
+    }
+
+    /**
+     * Show how each player did in a game.
+     * @param {Array<GameStats>} stats One per player, as getGameStats() gives them.
+     */
+    showGameStats(stats) {
+        UIUtils.clearChildren(this.gameTable);
+
+        const head = this.gameTable.createTHead().insertRow();
+        head.appendChild(createHeading("", "col"));
+        stats.forEach(({ player }) => head.appendChild(createHeading(player.name, "col")));
+
+        const body = this.gameTable.createTBody();
+        for (const [label, format] of GAME_STAT_ROWS) {
+            const row = body.insertRow();
+            row.appendChild(createHeading(label, "row"));
+            stats.forEach((playerStats) => (row.insertCell().textContent = format(playerStats)));
+        }
+        this.panel.hidden = false;
+    }
+
+    /**
+     * Hides the end-of-game stats panel.
+     */
+    hideGameStats() {
+        this.panel.hidden = true;
+    }
+
+    /**
+     * Fill in the stats dialog.
+     * @param {Array<PlayerRecord>} records Every player's record, as PlayerRecords gives them.
+     * @param {{unreadable?: boolean}} [options] Whether the saved records couldn't be read, so none are shown.
+     */
+    renderRecords(records, { unreadable = false } = {}) {
+        UIUtils.clearChildren(this.recordsTable);
+        this.unreadableRecords.hidden = !unreadable;
+        this.recordsTable.hidden = records.length === 0;
+        this.noRecords.hidden = records.length > 0 || unreadable;
+        if (records.length === 0) return;
+
+        const head = this.recordsTable.createTHead().insertRow();
+        const columns = ["Player", "Games", "Wins", "Losses", "Avg. accuracy"];
+        columns.push(...AI_STRATEGIES.map((strategy) => `vs ${AI_STRATEGY_NAMES[strategy]}`));
+        columns.forEach((column) => head.appendChild(createHeading(column, "col")));
+
+        const body = this.recordsTable.createTBody();
+        for (const record of records) {
+            const row = body.insertRow();
+            row.appendChild(createHeading(record.name, "row"));
+            const accuracy = PlayerRecords.getAverageAccuracy(record);
+            const versus = AI_STRATEGIES.map((strategy) => {
+                const results = record.versusComputer[strategy];
+                return results ? `${results.wins}-${results.losses}` : "-";
+            });
+            for (const value of [record.games, record.wins, record.losses, formatAccuracy(accuracy), ...versus]) {
+                row.insertCell().textContent = String(value);
+            }
+        }
+    }
+}
+
+/**
+ * @private
+ * @param {"col"|"row"} scope
+ */
+function createHeading(text, scope) {
+    const heading = UIUtils.createElement("th", [], text);
+    heading.scope = scope;
+    return heading;
+}
+
+/**
+ * @private
+ * @param {number|null} accuracy
+ * @returns {string} e.g. "42%", or "-" if nothing was fired
+ */
+function formatAccuracy(accuracy) {
+    return accuracy === null ? "-" : `${Math.round(accuracy * 100)}%`;
+}
+
+/**
+ * @private
+ * @returns {string} e.g. "Destroyer (2 turns), Cruiser (1 turn)", or "None"
+ */
+function describeSinkings(sinkings) {
+    if (sinkings.length === 0) return "None";
+    return sinkings
+        .map(({ ship, turns }) => `${SHIP_NAMES[ship.type]} (${turns} ${turns === 1 ? "turn" : "turns"})`)
+        .join(", ");
+}